@@ -1,10 +1,32 @@
+import { useState } from 'react';
 import './App.css';
 import VibrationDashboard from './components/VibrationDashboard';
+import FleetOverview from './components/FleetOverview';
+import useDeviceRegistry from './hooks/useDeviceRegistry';
 
 function App() {
+  const { devices, saveDevice, removeDevice } = useDeviceRegistry();
+  // A single node opens straight into its dashboard
+  const [activeId, setActiveId] = useState(() => (devices.length === 1 ? devices[0].id : null));
+  const activeDevice = devices.find(device => device.id === activeId);
+
   return (
     <div className="App">
-     <VibrationDashboard />
+      {activeDevice ? (
+        <VibrationDashboard
+          key={activeDevice.id}
+          device={activeDevice}
+          onDeviceChange={saveDevice}
+          onBack={() => setActiveId(null)}
+        />
+      ) : (
+        <FleetOverview
+          devices={devices}
+          onOpen={setActiveId}
+          onSaveDevice={saveDevice}
+          onRemoveDevice={removeDevice}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,83 @@
+import { ALL_CHANNELS, LEVELS, LEVEL_RANK, RULE_TYPES } from './rules';
+
+const INITIAL_STATE = { level: LEVELS.NORMAL, pending: null, pendingSince: null, value: null };
+
+// Level for `value` given the current level. Hysteresis (percent) means a
+// level is only left once the value drops that far below its threshold.
+const classify = (value, rule, current) => {
+  const release = 1 - rule.hysteresis / 100;
+
+  if (value >= rule.danger) return LEVELS.DANGER;
+  if (current === LEVELS.DANGER && value >= rule.danger * release) return LEVELS.DANGER;
+  if (value >= rule.alert) return LEVELS.ALERT;
+  if (current !== LEVELS.NORMAL && value >= rule.alert * release) return LEVELS.ALERT;
+  return LEVELS.NORMAL;
+};
+
+// Advances one rule/channel state machine. Escalation has to persist for
+// `minDuration` seconds before it takes effect; de-escalation is immediate
+// once the hysteresis band is left.
+export const evaluateRule = (rule, value, previous = INITIAL_STATE, time) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return previous;
+
+  const target = classify(value, rule, previous.level);
+
+  if (LEVEL_RANK[target] <= LEVEL_RANK[previous.level]) {
+    return { level: target, pending: null, pendingSince: null, value };
+  }
+
+  const pendingSince = previous.pending === target ? previous.pendingSince : time;
+  if (time - pendingSince >= rule.minDuration * 1000) {
+    return { level: target, pending: null, pendingSince: null, value };
+  }
+  return { ...previous, pending: target, pendingSince, value };
+};
+
+export const stateKey = (ruleId, channel) => `${ruleId}:${channel}`;
+
+// Evaluates every enabled rule against every channel it applies to.
+// `inputs` maps channel keys to { magnitudes, metrics, samplingFreq, fftSize, enbw }.
+// Returns the new state map and the level transitions that happened.
+export const evaluateAlarms = ({ rules, inputs, states, time }) => {
+  const nextStates = {};
+  const transitions = [];
+
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    const channels = rule.channel === ALL_CHANNELS ? Object.keys(inputs) : [rule.channel];
+
+    channels.filter(channel => inputs[channel]).forEach(channel => {
+      const key = stateKey(rule.id, channel);
+      const previous = states[key] || INITIAL_STATE;
+      const input = inputs[channel];
+      const value = input.magnitudes && input.magnitudes.length > 0
+        ? RULE_TYPES[rule.type].measure(input, rule.params)
+        : null;
+      const next = evaluateRule(rule, value, previous, time);
+
+      nextStates[key] = next;
+      if (next.level !== previous.level) {
+        transitions.push({ rule, channel, from: previous.level, to: next.level, value: next.value });
+      }
+    });
+  });
+
+  return { states: nextStates, transitions };
+};
+
+// Highest active level per channel, with the rules responsible for it
+export const summarizeChannels = (rules, states) => {
+  const summary = {};
+  rules.forEach(rule => {
+    Object.entries(states).forEach(([key, state]) => {
+      const [ruleId, channel] = key.split(':');
+      if (ruleId !== rule.id || state.level === LEVELS.NORMAL) return;
+
+      const current = summary[channel] || { level: LEVELS.NORMAL, rules: [] };
+      summary[channel] = {
+        level: LEVEL_RANK[state.level] > LEVEL_RANK[current.level] ? state.level : current.level,
+        rules: [...current.rules, { name: rule.name, level: state.level }]
+      };
+    });
+  });
+  return summary;
+};
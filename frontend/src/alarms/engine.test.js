@@ -0,0 +1,127 @@
+import { evaluateAlarms, evaluateRule, stateKey, summarizeChannels } from './engine';
+import { ALL_CHANNELS, LEVELS, createRule } from './rules';
+
+const rule = (overrides = {}) => createRule('overallRms', { alert: 10, danger: 20, hysteresis: 10, minDuration: 0, ...overrides });
+
+// Feeds `values` one second apart and returns the level after each
+const levelsFor = (testRule, values) => {
+  let state;
+  return values.map((value, i) => {
+    state = evaluateRule(testRule, value, state, i * 1000);
+    return state.level;
+  });
+};
+
+describe('evaluateRule', () => {
+  it('escalates at the alert and danger levels', () => {
+    expect(levelsFor(rule(), [5, 10, 19, 20])).toEqual([LEVELS.NORMAL, LEVELS.ALERT, LEVELS.ALERT, LEVELS.DANGER]);
+  });
+
+  it('holds a level inside the hysteresis band', () => {
+    // Alert releases below 9 and danger below 18 with 10 % hysteresis
+    expect(levelsFor(rule(), [12, 9.5, 9])).toEqual([LEVELS.ALERT, LEVELS.ALERT, LEVELS.ALERT]);
+    expect(levelsFor(rule(), [12, 8.9])).toEqual([LEVELS.ALERT, LEVELS.NORMAL]);
+    expect(levelsFor(rule(), [25, 18.5, 17.9])).toEqual([LEVELS.DANGER, LEVELS.DANGER, LEVELS.ALERT]);
+  });
+
+  it('does not apply the hysteresis on the way up', () => {
+    expect(levelsFor(rule(), [9.5])).toEqual([LEVELS.NORMAL]);
+  });
+
+  it('drops straight to normal once below both bands', () => {
+    expect(levelsFor(rule(), [25, 1])).toEqual([LEVELS.DANGER, LEVELS.NORMAL]);
+  });
+
+  it('escalates only after the level persisted for the minimum duration', () => {
+    const delayed = rule({ minDuration: 3 });
+    expect(levelsFor(delayed, [12, 12, 12, 12])).toEqual([LEVELS.NORMAL, LEVELS.NORMAL, LEVELS.NORMAL, LEVELS.ALERT]);
+  });
+
+  it('restarts the minimum duration when the value drops back', () => {
+    const delayed = rule({ minDuration: 2 });
+    expect(levelsFor(delayed, [12, 12, 5, 12, 12, 12])).toEqual([
+      LEVELS.NORMAL, LEVELS.NORMAL, LEVELS.NORMAL, LEVELS.NORMAL, LEVELS.NORMAL, LEVELS.ALERT
+    ]);
+  });
+
+  it('restarts the minimum duration when a higher level becomes pending', () => {
+    const delayed = rule({ minDuration: 2 });
+    const states = [12, 12, 25, 25, 25].reduce((acc, value, i) => [...acc, evaluateRule(delayed, value, acc[acc.length - 1], i * 1000)], []);
+
+    expect(states.map(state => state.level)).toEqual([LEVELS.NORMAL, LEVELS.NORMAL, LEVELS.NORMAL, LEVELS.NORMAL, LEVELS.DANGER]);
+    expect(states[3].pending).toBe(LEVELS.DANGER);
+  });
+
+  it('de-escalates without waiting', () => {
+    const delayed = rule({ minDuration: 5 });
+    const danger = { level: LEVELS.DANGER, pending: null, pendingSince: null, value: 25 };
+    expect(evaluateRule(delayed, 1, danger, 0).level).toBe(LEVELS.NORMAL);
+  });
+
+  it('keeps the state when there is no value', () => {
+    const state = { level: LEVELS.ALERT, pending: null, pendingSince: null, value: 12 };
+    expect(evaluateRule(rule(), null, state, 0)).toBe(state);
+    expect(evaluateRule(rule(), NaN, state, 0)).toBe(state);
+  });
+});
+
+describe('evaluateAlarms', () => {
+  const input = (velocityRms) => ({ magnitudes: [0, 1], metrics: { velocityRms }, samplingFreq: 1024, fftSize: 1024, enbw: 1.5 });
+
+  it('evaluates a rule for all channels and reports the transitions', () => {
+    const allChannels = rule({ id: 'r', channel: ALL_CHANNELS });
+    const { states, transitions } = evaluateAlarms({
+      rules: [allChannels],
+      inputs: { Channel1: input(15), Channel2: input(2) },
+      states: {},
+      time: 0
+    });
+
+    expect(states[stateKey('r', 'Channel1')].level).toBe(LEVELS.ALERT);
+    expect(states[stateKey('r', 'Channel2')].level).toBe(LEVELS.NORMAL);
+    expect(transitions).toEqual([
+      { rule: allChannels, channel: 'Channel1', from: LEVELS.NORMAL, to: LEVELS.ALERT, value: 15 }
+    ]);
+  });
+
+  it('skips disabled rules and channels without input', () => {
+    const { states } = evaluateAlarms({
+      rules: [rule({ id: 'off', enabled: false }), rule({ id: 'one', channel: 'Channel3' })],
+      inputs: { Channel1: input(15) },
+      states: {},
+      time: 0
+    });
+    expect(states).toEqual({});
+  });
+
+  it('leaves channels without a spectrum at their level', () => {
+    const previous = { [stateKey('r', 'Channel1')]: { level: LEVELS.ALERT, pending: null, pendingSince: null, value: 12 } };
+    const { states, transitions } = evaluateAlarms({
+      rules: [rule({ id: 'r' })],
+      inputs: { Channel1: { ...input(1), magnitudes: [] } },
+      states: previous,
+      time: 0
+    });
+    expect(states).toEqual(previous);
+    expect(transitions).toEqual([]);
+  });
+});
+
+describe('summarizeChannels', () => {
+  it('reports the highest level per channel and the rules behind it', () => {
+    const velocity = rule({ id: 'velocity', name: 'Velocity' });
+    const band = rule({ id: 'band', name: 'Band' });
+    const states = {
+      [stateKey('velocity', 'Channel1')]: { level: LEVELS.ALERT },
+      [stateKey('band', 'Channel1')]: { level: LEVELS.DANGER },
+      [stateKey('velocity', 'Channel2')]: { level: LEVELS.NORMAL }
+    };
+
+    expect(summarizeChannels([velocity, band], states)).toEqual({
+      Channel1: {
+        level: LEVELS.DANGER,
+        rules: [{ name: 'Velocity', level: LEVELS.ALERT }, { name: 'Band', level: LEVELS.DANGER }]
+      }
+    });
+  });
+});
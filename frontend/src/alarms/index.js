@@ -0,0 +1,3 @@
+export { ALL_CHANNELS, DEFAULT_RULES, LEVELS, LEVEL_RANK, RULE_TYPES, createRule } from './rules';
+export { evaluateAlarms, evaluateRule, stateKey, summarizeChannels } from './engine';
+export { LEVEL_STYLES } from './styles';
@@ -0,0 +1,105 @@
+import { computeBandRms } from '../dsp/metrics';
+
+export const LEVELS = {
+  NORMAL: 'normal',
+  ALERT: 'alert',
+  DANGER: 'danger'
+};
+
+export const LEVEL_RANK = {
+  [LEVELS.NORMAL]: 0,
+  [LEVELS.ALERT]: 1,
+  [LEVELS.DANGER]: 2
+};
+
+export const ALL_CHANNELS = 'all';
+
+// Largest local maximum within ±tolerance Hz of `frequency`, or 0 when the
+// window holds no peak
+const measurePeakNear = ({ magnitudes, samplingFreq, fftSize }, { frequency, tolerance }) => {
+  const binWidth = samplingFreq / fftSize;
+  const first = Math.max(1, Math.floor((frequency - tolerance) / binWidth));
+  const last = Math.min(magnitudes.length - 2, Math.ceil((frequency + tolerance) / binWidth));
+
+  let peak = 0;
+  for (let k = first; k <= last; k++) {
+    if (magnitudes[k] > magnitudes[k - 1] && magnitudes[k] >= magnitudes[k + 1] && magnitudes[k] > peak) {
+      peak = magnitudes[k];
+    }
+  }
+  return peak;
+};
+
+// Each rule type turns one channel's analysis results into a single value
+// that is compared against the rule's alert and danger levels.
+export const RULE_TYPES = {
+  overallRms: {
+    label: 'Overall RMS',
+    unit: (params) => (params.metric === 'velocityRms' ? 'mm/s' : 'g'),
+    measure: (input, params) => input.metrics[params.metric],
+    defaultParams: { metric: 'velocityRms' }
+  },
+  bandEnergy: {
+    label: 'Band energy',
+    unit: () => 'g',
+    measure: (input, params) => computeBandRms(input.magnitudes, {
+      samplingFreq: input.samplingFreq,
+      fftSize: input.fftSize,
+      low: params.low,
+      high: params.high,
+      enbw: input.enbw
+    }),
+    defaultParams: { low: 2000, high: 4000 }
+  },
+  peakNear: {
+    label: 'Peak near frequency',
+    unit: () => 'g',
+    measure: (input, params) => measurePeakNear(input, params),
+    defaultParams: { frequency: 100, tolerance: 3 }
+  }
+};
+
+let ruleCounter = 0;
+
+export const createRule = (type = 'overallRms', overrides = {}) => {
+  ruleCounter += 1;
+  return {
+    id: `rule-${Date.now().toString(36)}-${ruleCounter}`,
+    name: RULE_TYPES[type].label,
+    type,
+    enabled: true,
+    channel: ALL_CHANNELS,
+    params: { ...RULE_TYPES[type].defaultParams },
+    alert: 1,
+    danger: 2,
+    hysteresis: 10,
+    minDuration: 0,
+    ...overrides
+  };
+};
+
+export const DEFAULT_RULES = [
+  {
+    ...createRule('overallRms'),
+    id: 'default-velocity',
+    name: 'Overall velocity',
+    alert: 4.5,
+    danger: 7.1,
+    minDuration: 5
+  },
+  {
+    ...createRule('bandEnergy'),
+    id: 'default-band',
+    name: 'Energy 2–4 kHz',
+    alert: 0.1,
+    danger: 0.2,
+    minDuration: 5
+  },
+  {
+    ...createRule('peakNear'),
+    id: 'default-peak',
+    name: 'Peak near 100 Hz',
+    alert: 0.02,
+    danger: 0.05
+  }
+];
@@ -0,0 +1,13 @@
+import { LEVELS } from './rules';
+
+// Tailwind classes shared by everything that lights up on an alarm
+export const LEVEL_STYLES = {
+  [LEVELS.ALERT]: {
+    badge: 'text-orange-200 bg-orange-900 bg-opacity-50 border-orange-500',
+    card: 'border-orange-500 shadow-orange-900/40'
+  },
+  [LEVELS.DANGER]: {
+    badge: 'text-red-200 bg-red-900 bg-opacity-50 border-red-500 animate-pulse',
+    card: 'border-red-500 shadow-red-900/50'
+  }
+};
@@ -0,0 +1,9 @@
+/* eslint-disable no-restricted-globals */
+import { createAnalysisEngine, handleMessage } from './engine';
+
+const engine = createAnalysisEngine();
+
+self.onmessage = (event) => {
+  const reply = handleMessage(engine, event.data);
+  if (reply) self.postMessage(reply);
+};
@@ -0,0 +1,107 @@
+import { createAnalysisEngine, handleMessage } from './engine';
+import { createAnalysisWorker } from './worker';
+
+// Runs the engine in the current thread, for environments without workers
+const createLocalClient = () => {
+  const engine = createAnalysisEngine();
+  return {
+    worker: false,
+    post: (message) => Promise.resolve().then(() => handleMessage(engine, message)),
+    terminate: () => {}
+  };
+};
+
+const createWorkerClient = (worker, onFailure) => {
+  const pending = new Map();
+  worker.onmessage = (event) => {
+    const { id, result, error } = event.data;
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve({ id, result });
+  };
+  // A worker that fails to load or crashes is replaced by the local engine
+  worker.onerror = (event) => {
+    event.preventDefault();
+    worker.terminate();
+    pending.forEach(request => request.reject(new Error('Analysis worker failed')));
+    pending.clear();
+    onFailure();
+  };
+
+  return {
+    worker: true,
+    post: (message) => {
+      if (message.type !== 'analyze') {
+        worker.postMessage(message);
+        return Promise.resolve(null);
+      }
+      return new Promise((resolve, reject) => {
+        pending.set(message.id, { resolve, reject });
+        worker.postMessage(message);
+      });
+    },
+    terminate: () => {
+      worker.terminate();
+      pending.clear();
+    }
+  };
+};
+
+// Frame analysis off the main thread (see engine.js). `analyze(request)`
+// resolves with the engine's result; resets are applied in order with the
+// analyses around them. Falls back to the current thread when no worker can
+// be started.
+export const createAnalysisClient = () => {
+  let nextId = 0;
+  let client = null;
+  const fallBack = () => {
+    client = createLocalClient();
+  };
+
+  try {
+    client = typeof Worker === 'undefined' ? createLocalClient() : createWorkerClient(createAnalysisWorker(), fallBack);
+  } catch (err) {
+    client = createLocalClient();
+  }
+
+  return {
+    analyze: async (request) => {
+      nextId += 1;
+      const reply = await client.post({ type: 'analyze', id: nextId, request });
+      if (reply.error) throw new Error(reply.error);
+      return reply.result;
+    },
+    resetAveraging: (key) => client.post({ type: 'resetAveraging', key }),
+    resetCross: () => client.post({ type: 'resetCross' }),
+    isWorker: () => client.worker,
+    terminate: () => client.terminate()
+  };
+};
+
+let sharedClient = null;
+let sharedUsers = 0;
+
+// One client shared by every caller, for analyses without averaging or
+// cross-channel settings: those keep state in the engine, which callers
+// would then share too. `terminate` releases the caller's hold; the worker
+// stops once nobody holds it.
+export const createSharedAnalysisClient = () => {
+  if (!sharedClient) sharedClient = createAnalysisClient();
+  sharedUsers += 1;
+
+  let released = false;
+  return {
+    ...sharedClient,
+    terminate: () => {
+      if (released) return;
+      released = true;
+      sharedUsers -= 1;
+      if (sharedUsers === 0) {
+        sharedClient.terminate();
+        sharedClient = null;
+      }
+    }
+  };
+};
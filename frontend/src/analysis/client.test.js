@@ -0,0 +1,74 @@
+import { createAnalysisClient, createSharedAnalysisClient } from './client';
+import { createAnalysisWorker } from './worker';
+
+// The real module resolves the worker through import.meta, which Jest cannot parse
+jest.mock('./worker', () => ({ createAnalysisWorker: jest.fn() }));
+
+// Answers every analysis request with its id
+const fakeWorker = () => {
+  const worker = {
+    postMessage: jest.fn(message => {
+      if (message.type === 'analyze') setTimeout(() => worker.onmessage({ data: { id: message.id, result: { id: message.id } } }), 0);
+    }),
+    terminate: jest.fn()
+  };
+  return worker;
+};
+
+const frame = { timestamp: new Date(0), channels: { Channel1: [0, 1, 0] }, acquisition: { samplingFreq: 8, fftSize: 8 } };
+
+describe('createAnalysisClient', () => {
+  it('runs in the current thread without worker support', async () => {
+    const client = createAnalysisClient();
+    const analysis = await client.analyze({ frame });
+
+    expect(client.isWorker()).toBe(false);
+    expect(analysis.spectra.Channel1).toEqual([0, 1, 0]);
+  });
+});
+
+describe('createSharedAnalysisClient', () => {
+  let workers;
+
+  beforeEach(() => {
+    workers = [];
+    global.Worker = function Worker() {};
+    createAnalysisWorker.mockImplementation(() => {
+      const worker = fakeWorker();
+      workers.push(worker);
+      return worker;
+    });
+  });
+
+  afterEach(() => {
+    delete global.Worker;
+  });
+
+  it('starts one worker for every caller', async () => {
+    const first = createSharedAnalysisClient();
+    const second = createSharedAnalysisClient();
+    const results = await Promise.all([first.analyze({ frame }), second.analyze({ frame })]);
+
+    expect(workers).toHaveLength(1);
+    expect(first.isWorker()).toBe(true);
+    expect(results.map(result => result.id)).toEqual([1, 2]);
+
+    first.terminate();
+    second.terminate();
+  });
+
+  it('stops the worker once the last caller lets go', () => {
+    const first = createSharedAnalysisClient();
+    const second = createSharedAnalysisClient();
+
+    first.terminate();
+    first.terminate();
+    expect(workers[0].terminate).not.toHaveBeenCalled();
+
+    second.terminate();
+    expect(workers[0].terminate).toHaveBeenCalledTimes(1);
+
+    createSharedAnalysisClient().terminate();
+    expect(workers).toHaveLength(2);
+  });
+});
@@ -0,0 +1,139 @@
+import { analyzeFrame, frameAcquisition } from '../dsp/analyzeFrame';
+import { AVERAGING_MODES, DEFAULT_AVERAGING, accumulateSpectrum } from '../dsp/averaging';
+import { accumulateDensities, complexDensities, crossSpectrum, sampleDensities } from '../dsp/crossSpectrum';
+import { DEFAULT_PEAK_SETTINGS, findPeaks } from '../dsp/peaks';
+import { DEFAULT_FFT_SETTINGS } from '../dsp/spectrum';
+import { activeChannelKeys } from '../dataSources/frames';
+
+// Everything the dashboard computes per frame, kept in one place so it can
+// run off the main thread (see analysis.worker.js). The engine holds the
+// state that spans frames: per-channel spectral averages and the
+// cross-channel average. Frames are folded into them once, however often
+// they are re-analyzed with other settings.
+
+const hasData = (values) => Boolean(values) && values.length > 0;
+
+// Densities of one frame for a pair of channels, from the raw blocks when the
+// frame has them and from the device's complex spectra otherwise, with the
+// axis they are on
+const pairDensities = (frame, channelA, channelB, fftSettings) => {
+  if (frame.samples && hasData(frame.samples[channelA]) && hasData(frame.samples[channelB])) {
+    const densities = sampleDensities(frame.samples[channelA], frame.samples[channelB], fftSettings);
+    return densities && {
+      densities,
+      source: 'samples',
+      samplingFreq: frame.samplingFreq || frameAcquisition(frame).samplingFreq,
+      fftSize: fftSettings.fftSize
+    };
+  }
+  if (frame.complex) {
+    const densities = complexDensities(frame.complex[channelA], frame.complex[channelB]);
+    const { samplingFreq, fftSize } = frameAcquisition(frame);
+    return densities && { densities, source: 'complex', samplingFreq, fftSize };
+  }
+  return null;
+};
+
+export const createAnalysisEngine = () => {
+  let averages = {};
+  let averagedAt = null;
+  let cross = null;
+
+  // `key` resets one channel's average, nothing resets them all
+  const resetAveraging = (key) => {
+    averages = key ? { ...averages, [key]: null } : {};
+  };
+
+  const resetCross = () => {
+    cross = null;
+  };
+
+  // Each channel's spectrum averaged with that channel's settings (the raw
+  // one for channels without averaging), the number of frames in each
+  // average and the peaks of what is displayed
+  const averageSpectra = (analysis, settingsByChannel, fresh) => {
+    const { spectra, peaks, samplingFreq, fftSize } = analysis;
+    const result = { spectra: {}, counts: {}, peaks: {} };
+    Object.keys(spectra).forEach(key => {
+      const settings = settingsByChannel[key] || DEFAULT_AVERAGING;
+      if (fresh) averages[key] = accumulateSpectrum(averages[key], spectra[key], settings);
+      const state = averages[key];
+      const active = settings.mode !== AVERAGING_MODES.NONE && state && state.spectrum.length === spectra[key].length;
+      result.spectra[key] = active ? state.spectrum : spectra[key];
+      result.counts[key] = active ? state.count : 0;
+      result.peaks[key] = active
+        ? findPeaks(state.spectrum, { ...analysis.peakSettings, samplingFreq, fftSize })
+        : peaks[key];
+    });
+    return result;
+  };
+
+  // The cross-channel average restarts when the pair, the FFT settings or
+  // the kind of data change. A pair the frame lacks falls back to its first
+  // two channels.
+  const averageCross = (frame, spectra, settings, fftSettings, fresh) => {
+    if (!settings) return null;
+    if (fresh) {
+      const keys = activeChannelKeys(spectra);
+      const channelA = keys.includes(settings.channelA) ? settings.channelA : keys[0];
+      const channelB = keys.includes(settings.channelB) ? settings.channelB : keys[1];
+      const next = channelA !== channelB && pairDensities(frame, channelA, channelB, fftSettings);
+      if (!next) {
+        cross = null;
+      } else {
+        const key = [channelA, channelB, next.source, next.samplingFreq, fftSettings.fftSize, fftSettings.window, fftSettings.overlap].join('|');
+        const average = accumulateDensities(cross && cross.key === key ? cross.average : null, next.densities, settings.averages);
+        cross = { key, source: next.source, samplingFreq: next.samplingFreq, fftSize: next.fftSize, average, result: null };
+      }
+    }
+    if (!cross) return null;
+    if (!cross.result) cross.result = crossSpectrum(cross.average.sum);
+    return {
+      cross: cross.result,
+      frames: cross.average.frames.length,
+      source: cross.source,
+      samplingFreq: cross.samplingFreq,
+      fftSize: cross.fftSize
+    };
+  };
+
+  // `request` is { frame, options, averaging, cross }: the frame, the
+  // analyzeFrame options, averaging settings per channel and the channel pair
+  // { channelA, channelB, averages } for cross-channel analysis, if any
+  const analyze = ({ frame, options = {}, averaging = {}, cross: crossSettings = null }) => {
+    const analysis = analyzeFrame(frame, options);
+    const time = frame.timestamp ? frame.timestamp.getTime() : null;
+    const fresh = time !== null && time !== averagedAt;
+    if (fresh) averagedAt = time;
+
+    const fftSettings = options.fftSettings || DEFAULT_FFT_SETTINGS;
+    return {
+      ...analysis,
+      averaged: averageSpectra({ ...analysis, peakSettings: options.peakSettings || DEFAULT_PEAK_SETTINGS }, averaging, fresh),
+      cross: averageCross(frame, analysis.spectra, crossSettings, fftSettings, fresh)
+    };
+  };
+
+  return { analyze, resetAveraging, resetCross };
+};
+
+// Applies one client message to an engine: { type: 'analyze', id, request }
+// is answered with { id, result } or { id, error }; resets have no answer
+export const handleMessage = (engine, message) => {
+  switch (message.type) {
+    case 'analyze':
+      try {
+        return { id: message.id, result: engine.analyze(message.request) };
+      } catch (err) {
+        return { id: message.id, error: err.message };
+      }
+    case 'resetAveraging':
+      engine.resetAveraging(message.key);
+      return null;
+    case 'resetCross':
+      engine.resetCross();
+      return null;
+    default:
+      return null;
+  }
+};
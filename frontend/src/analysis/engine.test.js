@@ -0,0 +1,54 @@
+import { createAnalysisEngine } from './engine';
+import { AVERAGING_MODES } from '../dsp/averaging';
+
+const spectrum = (level) => new Array(64).fill(level);
+
+const frame = (second, level) => ({
+  timestamp: new Date(second * 1000),
+  channels: { Channel1: spectrum(level), Channel2: spectrum(level) },
+  acquisition: { samplingFreq: 1024, fftSize: 128 }
+});
+
+const LINEAR = { mode: AVERAGING_MODES.LINEAR, count: 8 };
+const EXPONENTIAL = { mode: AVERAGING_MODES.EXPONENTIAL, weight: 0.5 };
+
+describe('analysis engine averaging', () => {
+  it('folds each frame in once, however often it is analyzed', () => {
+    const engine = createAnalysisEngine();
+    const averaging = { Channel1: LINEAR };
+    engine.analyze({ frame: frame(1, 1), averaging });
+    engine.analyze({ frame: frame(2, 3), averaging });
+    const { averaged } = engine.analyze({ frame: frame(2, 3), averaging });
+
+    expect(averaged.counts).toEqual({ Channel1: 2, Channel2: 0 });
+    expect(averaged.spectra.Channel1[10]).toBe(2);
+    expect(averaged.spectra.Channel2[10]).toBe(3);
+  });
+
+  it('restarts a channel whose settings changed', () => {
+    const engine = createAnalysisEngine();
+    engine.analyze({ frame: frame(1, 1), averaging: { Channel1: LINEAR, Channel2: LINEAR } });
+    engine.analyze({ frame: frame(2, 3), averaging: { Channel1: LINEAR, Channel2: LINEAR } });
+
+    // What the dashboard does when Channel1 switches to exponential
+    engine.resetAveraging('Channel1');
+    const { averaged } = engine.analyze({ frame: frame(3, 8), averaging: { Channel1: EXPONENTIAL, Channel2: LINEAR } });
+
+    expect(averaged.counts).toEqual({ Channel1: 1, Channel2: 3 });
+    expect(averaged.spectra.Channel1[10]).toBe(8);
+    expect(averaged.spectra.Channel2[10]).toBe(4);
+  });
+
+  it('restarts every channel on a full reset', () => {
+    const engine = createAnalysisEngine();
+    const averaging = { Channel1: LINEAR, Channel2: EXPONENTIAL };
+    engine.analyze({ frame: frame(1, 1), averaging });
+
+    engine.resetAveraging();
+    const { averaged } = engine.analyze({ frame: frame(2, 5), averaging });
+
+    expect(averaged.counts).toEqual({ Channel1: 1, Channel2: 1 });
+    expect(averaged.spectra.Channel1[10]).toBe(5);
+    expect(averaged.spectra.Channel2[10]).toBe(5);
+  });
+});
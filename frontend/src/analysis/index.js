@@ -0,0 +1,2 @@
+export { createAnalysisEngine } from './engine';
+export { createAnalysisClient, createSharedAnalysisClient } from './client';
@@ -0,0 +1,3 @@
+// In a module of its own because the bundler finds the worker entry through
+// `import.meta.url`, which not every tool that loads the app can parse
+export const createAnalysisWorker = () => new Worker(new URL('./analysis.worker.js', import.meta.url));
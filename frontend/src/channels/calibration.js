@@ -0,0 +1,36 @@
+// Sensitivity the firmware assumes when it converts input volts to g
+export const NOMINAL_SENSITIVITY = 100;
+
+// Rescales one channel from the nominal sensitivity to the sensor's own.
+// The offset (mV) is the sensor's output at rest and only shifts the
+// waveform; it never reaches the spectrum beyond DC.
+const calibrate = (values, { sensitivity, offset }, withOffset) => {
+  const scale = NOMINAL_SENSITIVITY / sensitivity;
+  const shift = withOffset ? offset / sensitivity : 0;
+  if (scale === 1 && shift === 0) return values;
+  return values.map(value => value * scale - shift);
+};
+
+// Applies each channel's settings (see channels/config.js) to a frame.
+// Disabled channels are dropped.
+export const calibrateFrame = (frame, settingsByChannel) => {
+  const apply = (values, withOffset) => Object.keys(values).reduce((acc, key) => {
+    const settings = settingsByChannel[key];
+    if (!settings) acc[key] = values[key];
+    else if (settings.enabled !== false) acc[key] = calibrate(values[key], settings, withOffset);
+    return acc;
+  }, {});
+
+  const calibrated = { ...frame, channels: apply(frame.channels, false) };
+  if (frame.samples) calibrated.samples = apply(frame.samples, true);
+  if (frame.complex) {
+    calibrated.complex = Object.keys(frame.complex).reduce((acc, key) => {
+      const settings = settingsByChannel[key];
+      const { re, im } = frame.complex[key];
+      if (!settings) acc[key] = frame.complex[key];
+      else if (settings.enabled !== false) acc[key] = { re: calibrate(re, settings, false), im: calibrate(im, settings, false) };
+      return acc;
+    }, {});
+  }
+  return calibrated;
+};
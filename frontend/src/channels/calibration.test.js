@@ -0,0 +1,61 @@
+import { NOMINAL_SENSITIVITY, calibrateFrame } from './calibration';
+
+const frame = () => ({
+  timestamp: new Date(0),
+  acquisition: { samplingFreq: 1024, fftSize: 1024 },
+  channels: { Channel1: [1, 2], Channel2: [3, 4], Channel3: [5, 6] },
+  samples: { Channel1: [0.5, -0.5], Channel2: [1, -1], Channel3: [2, -2] },
+  complex: { Channel1: { re: [1, 2], im: [0, -2] }, Channel2: { re: [3], im: [4] } }
+});
+
+describe('calibrateFrame', () => {
+  it('rescales spectra, samples and complex spectra to the sensor sensitivity', () => {
+    const calibrated = calibrateFrame(frame(), { Channel1: { sensitivity: NOMINAL_SENSITIVITY / 2, offset: 0 } });
+
+    expect(calibrated.channels.Channel1).toEqual([2, 4]);
+    expect(calibrated.samples.Channel1).toEqual([1, -1]);
+    expect(calibrated.complex.Channel1).toEqual({ re: [2, 4], im: [0, -4] });
+  });
+
+  it('removes the offset from the samples only', () => {
+    // 10 mV at rest on a 50 mV/g sensor reads as 0.2 g
+    const calibrated = calibrateFrame(frame(), { Channel2: { sensitivity: 50, offset: 10 } });
+
+    expect(calibrated.samples.Channel2[0]).toBeCloseTo(1.8, 10);
+    expect(calibrated.samples.Channel2[1]).toBeCloseTo(-2.2, 10);
+    expect(calibrated.channels.Channel2).toEqual([6, 8]);
+    expect(calibrated.complex.Channel2).toEqual({ re: [6], im: [8] });
+  });
+
+  it('leaves nominal and unconfigured channels untouched', () => {
+    const input = frame();
+    const calibrated = calibrateFrame(input, { Channel1: { sensitivity: NOMINAL_SENSITIVITY, offset: 0 } });
+
+    expect(calibrated.channels.Channel1).toBe(input.channels.Channel1);
+    expect(calibrated.samples.Channel1).toBe(input.samples.Channel1);
+    expect(calibrated.channels.Channel3).toBe(input.channels.Channel3);
+    expect(calibrated.complex.Channel2).toBe(input.complex.Channel2);
+  });
+
+  it('drops disabled channels', () => {
+    const calibrated = calibrateFrame(frame(), { Channel2: { sensitivity: 100, offset: 0, enabled: false } });
+
+    expect(Object.keys(calibrated.channels)).toEqual(['Channel1', 'Channel3']);
+    expect(Object.keys(calibrated.samples)).toEqual(['Channel1', 'Channel3']);
+    expect(Object.keys(calibrated.complex)).toEqual(['Channel1']);
+  });
+
+  it('keeps the rest of the frame and does not modify its input', () => {
+    const input = frame();
+    const calibrated = calibrateFrame(input, { Channel1: { sensitivity: 50, offset: 5 } });
+
+    expect(calibrated.timestamp).toBe(input.timestamp);
+    expect(calibrated.acquisition).toBe(input.acquisition);
+    expect(input).toEqual(frame());
+  });
+
+  it('handles frames without samples or complex spectra', () => {
+    const calibrated = calibrateFrame({ timestamp: null, channels: { Channel1: [1] } }, { Channel1: { sensitivity: 50, offset: 0 } });
+    expect(calibrated).toEqual({ timestamp: null, channels: { Channel1: [2] } });
+  });
+});
@@ -0,0 +1,90 @@
+import { channelLabel, sortChannelKeys } from '../dataSources/frames';
+import { NOMINAL_SENSITIVITY } from './calibration';
+import { DEFAULT_UNIT, UNITS } from './units';
+
+// Typical sensitivities, offered when the sensor type changes
+export const SENSOR_TYPES = {
+  iepe: { label: 'IEPE accelerometer', sensitivity: 100 },
+  iepeLowFrequency: { label: 'IEPE accelerometer, low frequency', sensitivity: 500 },
+  mems: { label: 'MEMS accelerometer', sensitivity: 40 }
+};
+
+export const CHANNEL_COLORS = ['#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#f59e0b', '#06b6d4', '#ef4444', '#84cc16'];
+
+const colorFor = (key) => {
+  const number = Number(key.replace(/^Channel/, '')) || 1;
+  return CHANNEL_COLORS[(number - 1) % CHANNEL_COLORS.length];
+};
+
+export const defaultChannelSettings = (key) => ({
+  name: channelLabel(key),
+  location: '',
+  sensorType: 'iepe',
+  sensitivity: NOMINAL_SENSITIVITY,
+  offset: 0,
+  unit: DEFAULT_UNIT,
+  enabled: true,
+  color: colorFor(key)
+});
+
+// Settings of one channel of a device; `channels` holds only what was edited
+export const resolveChannelSettings = (channels, key) => ({
+  ...defaultChannelSettings(key),
+  ...(channels && channels[key])
+});
+
+// `{key, ...settings}` for each channel, in input order
+export const buildChannelList = (keys, channels) => sortChannelKeys(keys).map(key => ({
+  key,
+  ...resolveChannelSettings(channels, key)
+}));
+
+const FILE_FORMAT = 'vibration-channels';
+const FILE_VERSION = 1;
+
+export const channelSettingsToJson = (channels) => JSON.stringify({
+  format: FILE_FORMAT,
+  version: FILE_VERSION,
+  channels
+}, null, 2);
+
+// Checks one channel read from a file and fills in what it leaves out
+const readChannel = (key, value) => {
+  if (!/^Channel\d+$/.test(key)) throw new Error(`Unknown channel "${key}"`);
+  if (!value || typeof value !== 'object') throw new Error(`${key}: settings must be an object`);
+
+  const settings = resolveChannelSettings({ [key]: value }, key);
+  if (!(Number(settings.sensitivity) > 0)) throw new Error(`${key}: sensitivity must be a positive number`);
+  if (!Number.isFinite(Number(settings.offset))) throw new Error(`${key}: offset must be a number`);
+  if (!UNITS[settings.unit]) throw new Error(`${key}: unknown unit "${settings.unit}"`);
+  if (!SENSOR_TYPES[settings.sensorType]) throw new Error(`${key}: unknown sensor type "${settings.sensorType}"`);
+
+  return {
+    ...settings,
+    name: String(settings.name),
+    location: String(settings.location),
+    sensitivity: Number(settings.sensitivity),
+    offset: Number(settings.offset),
+    enabled: Boolean(settings.enabled)
+  };
+};
+
+// Parses a file written by `channelSettingsToJson`. A bare map of channel
+// keys to settings is accepted too.
+export const parseChannelSettings = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Not a JSON file');
+  }
+
+  const channels = parsed && parsed.format === FILE_FORMAT ? parsed.channels : parsed;
+  if (!channels || typeof channels !== 'object' || Array.isArray(channels) || Object.keys(channels).length === 0) {
+    throw new Error('No channel settings found');
+  }
+  return Object.keys(channels).reduce((acc, key) => {
+    acc[key] = readChannel(key, channels[key]);
+    return acc;
+  }, {});
+};
@@ -0,0 +1,11 @@
+export { NOMINAL_SENSITIVITY, calibrateFrame } from './calibration';
+export {
+  CHANNEL_COLORS,
+  SENSOR_TYPES,
+  buildChannelList,
+  channelSettingsToJson,
+  defaultChannelSettings,
+  parseChannelSettings,
+  resolveChannelSettings
+} from './config';
+export { DEFAULT_UNIT, INTEGRATION_LOW_FREQ, UNITS, convertSpectrum, unitFactor } from './units';
@@ -0,0 +1,42 @@
+import { STANDARD_GRAVITY_MM } from '../dsp/metrics';
+
+// Engineering units a channel can be displayed in. Velocity and displacement
+// are integrated from acceleration in the frequency domain.
+export const UNITS = {
+  g: { label: 'Acceleration (g)', quantity: 'Accel', integrations: 0, scale: 1 },
+  'm/s²': { label: 'Acceleration (m/s²)', quantity: 'Accel', integrations: 0, scale: STANDARD_GRAVITY_MM / 1000 },
+  'mm/s': { label: 'Velocity (mm/s)', quantity: 'Vel', integrations: 1, scale: STANDARD_GRAVITY_MM },
+  'µm': { label: 'Displacement (µm)', quantity: 'Disp', integrations: 2, scale: STANDARD_GRAVITY_MM * 1000 }
+};
+
+export const DEFAULT_UNIT = 'g';
+
+// Integration blows up towards DC, so bins below this are zeroed
+export const INTEGRATION_LOW_FREQ = 2;
+
+// Factor taking an amplitude in g at `frequency` to `unit`
+export const unitFactor = (unit, frequency) => {
+  const { integrations, scale } = UNITS[unit] || UNITS[DEFAULT_UNIT];
+  if (integrations === 0) return scale;
+  return frequency < INTEGRATION_LOW_FREQ ? 0 : scale / (2 * Math.PI * frequency) ** integrations;
+};
+
+// Amplitude spectrum in g -> the same spectrum in `unit`
+export const convertSpectrum = (magnitudes, unit, { samplingFreq, fftSize }) => {
+  if (!unit || unit === DEFAULT_UNIT) return magnitudes;
+
+  const binWidth = samplingFreq / fftSize;
+  return magnitudes.map((magnitude, k) => magnitude * unitFactor(unit, k * binWidth));
+};
+
+// Inverse of convertSpectrum: a spectrum in `unit` back to g. Bins that
+// convertSpectrum zeroes below INTEGRATION_LOW_FREQ stay zero.
+export const convertSpectrumToG = (magnitudes, unit, { samplingFreq, fftSize }) => {
+  if (!unit || unit === DEFAULT_UNIT) return magnitudes;
+
+  const binWidth = samplingFreq / fftSize;
+  return magnitudes.map((magnitude, k) => {
+    const factor = unitFactor(unit, k * binWidth);
+    return factor === 0 ? 0 : magnitude / factor;
+  });
+};
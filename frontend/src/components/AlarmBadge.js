@@ -0,0 +1,19 @@
+import React from 'react';
+import { BellRing } from 'lucide-react';
+import { LEVEL_STYLES } from '../alarms';
+
+const AlarmBadge = ({ alarm }) => {
+  if (!alarm || !LEVEL_STYLES[alarm.level]) return null;
+
+  return (
+    <span
+      title={alarm.rules.map(rule => `${rule.name} (${rule.level})`).join('\n')}
+      className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-bold uppercase border ${LEVEL_STYLES[alarm.level].badge}`}
+    >
+      <BellRing className="w-3 h-3" />
+      {alarm.level}
+    </span>
+  );
+};
+
+export default AlarmBadge;
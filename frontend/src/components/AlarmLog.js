@@ -0,0 +1,67 @@
+import React from 'react';
+import { Bell, BellOff, Check, CheckCheck, Trash2 } from 'lucide-react';
+import { LEVEL_STYLES } from '../alarms';
+import { channelLabel } from '../dataSources';
+
+const buttonClassName = 'flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:border-slate-400 hover:bg-slate-700 transition-colors';
+
+const AlarmLog = ({ events, channels = [], onAcknowledge, onAcknowledgeAll, onClear, notificationsEnabled, onToggleNotifications }) => {
+  const unacknowledged = events.filter(event => !event.acknowledged).length;
+  // The log outlives channel renames, so unknown keys keep their default label
+  const channelName = (key) => (channels.find(channel => channel.key === key) || { name: channelLabel(key) }).name;
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700">
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-xs sm:text-sm">
+        <h3 className="text-base sm:text-lg font-bold text-slate-100">Event Log</h3>
+        {unacknowledged > 0 && (
+          <span className="px-2 py-0.5 rounded-full bg-red-600 text-white text-xs font-bold">{unacknowledged}</span>
+        )}
+        <div className="ml-auto flex flex-wrap gap-2">
+          <button type="button" onClick={onToggleNotifications} className={buttonClassName}>
+            {notificationsEnabled ? <Bell className="w-4 h-4 text-cyan-400" /> : <BellOff className="w-4 h-4" />}
+            Notifications
+          </button>
+          <button type="button" onClick={onAcknowledgeAll} disabled={unacknowledged === 0} className={`${buttonClassName} disabled:opacity-50`}>
+            <CheckCheck className="w-4 h-4" />
+            Acknowledge all
+          </button>
+          <button type="button" onClick={onClear} className={buttonClassName}>
+            <Trash2 className="w-4 h-4" />
+            Clear
+          </button>
+        </div>
+      </div>
+
+      <div className="max-h-72 overflow-y-auto space-y-2">
+        {events.length > 0 ? events.map(event => (
+          <div
+            key={event.id}
+            className={`flex flex-wrap items-center gap-2 sm:gap-3 p-2 rounded-lg border text-xs sm:text-sm ${event.acknowledged ? 'border-slate-700 opacity-60' : LEVEL_STYLES[event.level].card}`}
+          >
+            <span className={`px-2 py-0.5 rounded-full border text-xs font-bold uppercase ${LEVEL_STYLES[event.level].badge}`}>
+              {event.level}
+            </span>
+            <span className="font-mono text-slate-400">{new Date(event.raisedAt).toLocaleString()}</span>
+            <span className="font-semibold text-slate-100">{event.ruleName}</span>
+            <span className="text-slate-300">{channelName(event.channel)}</span>
+            <span className="font-mono text-cyan-400">{event.value.toFixed(3)} {event.unit}</span>
+            <span className="text-slate-400">
+              {event.clearedAt ? `cleared ${new Date(event.clearedAt).toLocaleTimeString()}` : 'active'}
+            </span>
+            {!event.acknowledged && (
+              <button type="button" onClick={() => onAcknowledge(event.id)} className={`${buttonClassName} ml-auto`}>
+                <Check className="w-4 h-4" />
+                Ack
+              </button>
+            )}
+          </div>
+        )) : (
+          <div className="text-slate-500 text-xs sm:text-sm text-center py-6">No alarm events</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlarmLog;
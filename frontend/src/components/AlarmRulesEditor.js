@@ -0,0 +1,120 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { ALL_CHANNELS, RULE_TYPES, createRule } from '../alarms';
+import { channelLabel } from '../dataSources';
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1 font-mono';
+
+const NumberField = ({ label, value, onChange, step = 'any', unit }) => (
+  <label className="flex items-center gap-1 text-slate-400">
+    {label}
+    <input
+      type="number"
+      step={step}
+      value={value}
+      onChange={(event) => onChange(Number(event.target.value))}
+      className={`w-20 ${inputClassName}`}
+    />
+    {unit}
+  </label>
+);
+
+const RuleParams = ({ rule, onChange }) => {
+  const setParam = (key, value) => onChange({ ...rule, params: { ...rule.params, [key]: value } });
+
+  switch (rule.type) {
+    case 'overallRms':
+      return (
+        <select value={rule.params.metric} onChange={(event) => setParam('metric', event.target.value)} className={inputClassName}>
+          <option value="velocityRms">Velocity RMS</option>
+          <option value="rms">Acceleration RMS</option>
+        </select>
+      );
+    case 'bandEnergy':
+      return (
+        <>
+          <NumberField label="From" value={rule.params.low} onChange={(value) => setParam('low', value)} unit="Hz" />
+          <NumberField label="to" value={rule.params.high} onChange={(value) => setParam('high', value)} unit="Hz" />
+        </>
+      );
+    case 'peakNear':
+      return (
+        <>
+          <NumberField label="At" value={rule.params.frequency} onChange={(value) => setParam('frequency', value)} unit="Hz" />
+          <NumberField label="±" value={rule.params.tolerance} onChange={(value) => setParam('tolerance', value)} unit="Hz" />
+        </>
+      );
+    default:
+      return null;
+  }
+};
+
+// `channels` lists the channels of the device on screen. Rules are shared
+// by all devices, so a rule may name a channel this one does not have.
+const AlarmRulesEditor = ({ rules, onChange, channels }) => {
+  const updateRule = (updated) => onChange(rules.map(rule => (rule.id === updated.id ? updated : rule)));
+  const removeRule = (id) => onChange(rules.filter(rule => rule.id !== id));
+
+  const changeType = (rule, type) => updateRule({
+    ...rule,
+    type,
+    params: { ...RULE_TYPES[type].defaultParams }
+  });
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700 space-y-2 text-xs sm:text-sm">
+      {rules.map(rule => {
+        const unit = RULE_TYPES[rule.type].unit(rule.params);
+        return (
+          <div key={rule.id} className="flex flex-wrap items-center gap-2 p-2 rounded-lg border border-slate-700 bg-slate-900 bg-opacity-40">
+            <input
+              type="checkbox"
+              checked={rule.enabled}
+              onChange={(event) => updateRule({ ...rule, enabled: event.target.checked })}
+            />
+            <input
+              type="text"
+              value={rule.name}
+              onChange={(event) => updateRule({ ...rule, name: event.target.value })}
+              className={`w-40 ${inputClassName} font-sans`}
+            />
+            <select value={rule.type} onChange={(event) => changeType(rule, event.target.value)} className={inputClassName}>
+              {Object.entries(RULE_TYPES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <select value={rule.channel} onChange={(event) => updateRule({ ...rule, channel: event.target.value })} className={inputClassName}>
+              <option value={ALL_CHANNELS}>All channels</option>
+              {channels.map(({ key, name }) => <option key={key} value={key}>{name}</option>)}
+              {rule.channel !== ALL_CHANNELS && !channels.some(({ key }) => key === rule.channel) && (
+                <option value={rule.channel}>{channelLabel(rule.channel)}</option>
+              )}
+            </select>
+            <RuleParams rule={rule} onChange={updateRule} />
+            <NumberField label="Alert" value={rule.alert} onChange={(value) => updateRule({ ...rule, alert: value })} unit={unit} />
+            <NumberField label="Danger" value={rule.danger} onChange={(value) => updateRule({ ...rule, danger: value })} unit={unit} />
+            <NumberField label="Hysteresis" value={rule.hysteresis} onChange={(value) => updateRule({ ...rule, hysteresis: value })} unit="%" />
+            <NumberField label="Min duration" value={rule.minDuration} onChange={(value) => updateRule({ ...rule, minDuration: value })} unit="s" />
+            <button
+              type="button"
+              onClick={() => removeRule(rule.id)}
+              className="ml-auto p-1 rounded-lg text-slate-400 hover:text-red-400 hover:bg-slate-700"
+              title="Delete rule"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={() => onChange([...rules, createRule()])}
+        className="flex items-center gap-1 px-3 py-1 rounded-lg bg-cyan-600 hover:bg-cyan-500 text-white font-medium"
+      >
+        <Plus className="w-4 h-4" />
+        Add rule
+      </button>
+    </div>
+  );
+};
+
+export default AlarmRulesEditor;
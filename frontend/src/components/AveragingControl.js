@@ -0,0 +1,64 @@
+import React from 'react';
+import { RotateCcw, Sigma } from 'lucide-react';
+import { AVERAGING_MODES, AVERAGING_OPTIONS } from '../dsp/averaging';
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+
+const AveragingControl = ({ settings, onChange, count, onReset }) => {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+  const active = settings.mode !== AVERAGING_MODES.NONE;
+  const complete = settings.mode === AVERAGING_MODES.LINEAR && count >= settings.count;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs sm:text-sm">
+      <Sigma className="w-4 h-4 text-cyan-400" />
+      <select value={settings.mode} onChange={(event) => update('mode', event.target.value)} className={inputClassName}>
+        {AVERAGING_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+      {settings.mode === AVERAGING_MODES.LINEAR && (
+        <label className="flex items-center gap-1 text-slate-400">
+          N
+          <input
+            type="number"
+            min="2"
+            max="1000"
+            value={settings.count}
+            onChange={(event) => update('count', Math.max(2, Math.min(1000, Math.round(Number(event.target.value)) || 2)))}
+            className={`${inputClassName} w-16 font-mono`}
+          />
+        </label>
+      )}
+      {settings.mode === AVERAGING_MODES.EXPONENTIAL && (
+        <label className="flex items-center gap-1 text-slate-400">
+          Weight
+          <input
+            type="number"
+            min="0.01"
+            max="1"
+            step="0.05"
+            value={settings.weight}
+            onChange={(event) => update('weight', Math.max(0.01, Math.min(1, Number(event.target.value) || 0.01)))}
+            className={`${inputClassName} w-16 font-mono`}
+          />
+        </label>
+      )}
+      {active && (
+        <>
+          <span className={`font-mono ${complete ? 'text-emerald-400' : 'text-slate-300'}`}>
+            {settings.mode === AVERAGING_MODES.LINEAR ? `${Math.min(count, settings.count)} of ${settings.count}` : `${count} frames`}
+          </span>
+          <button
+            type="button"
+            onClick={onReset}
+            className="p-1 rounded-lg text-slate-400 hover:text-slate-100 hover:bg-slate-700"
+            title="Restart averaging"
+          >
+            <RotateCcw className="w-4 h-4" />
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AveragingControl;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Camera, Trash2 } from 'lucide-react';
+import { BASELINE_TRACES } from './SpectrumChart';
+
+export const DEFAULT_BASELINE_SETTINGS = {
+  activeId: null,
+  overlay: true,
+  trace: BASELINE_TRACES.NONE,
+  marginDb: 6
+};
+
+const buttonClassName = 'flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:border-slate-400 hover:bg-slate-700 transition-colors disabled:opacity-50';
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+
+const defaultBaselineName = () => `Baseline ${new Date().toLocaleDateString()}`;
+
+const BaselinePanel = ({ baselines, settings, onSettingsChange, onCapture, onDelete, canCapture, averaged, error }) => {
+  const [name, setName] = useState(defaultBaselineName);
+  const update = (key, value) => onSettingsChange({ ...settings, [key]: value });
+  const active = baselines.find(baseline => baseline.id === settings.activeId);
+
+  const handleCapture = async (event) => {
+    event.preventDefault();
+    const id = await onCapture(name.trim() || defaultBaselineName());
+    if (id !== null) {
+      onSettingsChange({ ...settings, activeId: id });
+      setName(defaultBaselineName());
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 sm:gap-3 bg-slate-800 bg-opacity-80 px-3 py-2 rounded-xl border border-slate-700 text-xs sm:text-sm">
+      <form onSubmit={handleCapture} className="flex items-center gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          className={`${inputClassName} w-48`}
+        />
+        <button
+          type="submit"
+          disabled={!canCapture}
+          className={buttonClassName}
+          title={averaged ? 'Stores the averaged spectra of all channels' : 'Stores the current spectra of all channels'}
+        >
+          <Camera className="w-4 h-4" />
+          Capture baseline
+        </button>
+      </form>
+
+      <select
+        value={settings.activeId === null ? '' : settings.activeId}
+        onChange={(event) => update('activeId', event.target.value === '' ? null : Number(event.target.value))}
+        className={inputClassName}
+      >
+        <option value="">No baseline</option>
+        {baselines.map(baseline => (
+          <option key={baseline.id} value={baseline.id}>
+            {baseline.name} ({baseline.createdAt.toLocaleDateString()})
+          </option>
+        ))}
+      </select>
+
+      {active && (
+        <>
+          <button
+            type="button"
+            onClick={() => window.confirm(`Delete baseline "${active.name}"?`) && onDelete(active.id)}
+            className="p-1 rounded-lg text-slate-400 hover:text-red-400 hover:bg-slate-700"
+            title="Delete baseline"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+          <label className="flex items-center gap-1 text-slate-300">
+            <input type="checkbox" checked={settings.overlay} onChange={(event) => update('overlay', event.target.checked)} />
+            Overlay
+          </label>
+          <select value={settings.trace} onChange={(event) => update('trace', event.target.value)} className={inputClassName}>
+            <option value={BASELINE_TRACES.NONE}>No trace</option>
+            <option value={BASELINE_TRACES.DIFFERENCE}>Difference</option>
+            <option value={BASELINE_TRACES.RATIO}>Ratio (dB)</option>
+          </select>
+          <label className="flex items-center gap-1 text-slate-400">
+            Highlight above
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={settings.marginDb}
+              onChange={(event) => update('marginDb', Math.max(0, Number(event.target.value)))}
+              className={`${inputClassName} w-16 font-mono`}
+            />
+            dB
+          </label>
+        </>
+      )}
+
+      {error && <span className="text-red-300">⚠ {error}</span>}
+    </div>
+  );
+};
+
+export default BaselinePanel;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { UNITS, convertSpectrum } from '../channels';
+import { visibleRange } from './SpectrumViewPanel';
+import OverlayChart from './OverlayChart';
+import { toDb } from '../utils/scales';
+
+// `channels` lists the overlaid channel keys, null for every channel;
+// `unit` is the common display unit, null for the first overlaid channel's
+export const DEFAULT_OVERLAY_SETTINGS = {
+  channels: null,
+  unit: null
+};
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+
+// Spectra of any selection of channels on shared axes. `spectra` are in g and
+// converted to one common unit; zoom, log axis and dB follow the spectrum `view`.
+const ChannelOverlayPanel = ({ channels, spectra, samplingFreq, fftSize, view, settings, onSettingsChange }) => {
+  const selected = channels.filter(channel => !settings.channels || settings.channels.includes(channel.key));
+  const unit = settings.unit || (selected[0] ? selected[0].unit : 'g');
+  const binWidth = samplingFreq / fftSize;
+  const { minFreq, maxFreq } = visibleRange(view, samplingFreq / 2, binWidth);
+
+  const toggle = (key) => {
+    const current = settings.channels || channels.map(channel => channel.key);
+    const next = current.includes(key) ? current.filter(item => item !== key) : [...current, key];
+    onSettingsChange({ ...settings, channels: next });
+  };
+
+  const converted = selected.map(channel => ({
+    key: channel.key,
+    label: channel.name,
+    color: channel.color,
+    values: convertSpectrum(spectra[channel.key] || [], unit, { samplingFreq, fftSize })
+  }));
+
+  const first = Math.max(1, Math.floor(minFreq / binWidth));
+  const last = Math.ceil(maxFreq / binWidth);
+  let visibleMax = 1e-3;
+  converted.forEach(({ values }) => {
+    for (let i = first; i <= Math.min(last, values.length - 1); i++) {
+      if (values[i] > visibleMax) visibleMax = values[i];
+    }
+  });
+  const dbTop = Math.ceil(toDb(visibleMax) / 10) * 10;
+  const traces = view.db
+    ? converted.map(trace => ({ ...trace, values: trace.values.map(toDb) }))
+    : converted;
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700 space-y-2">
+      <div className="flex flex-wrap items-center gap-3 text-xs sm:text-sm">
+        {channels.map(channel => (
+          <label key={channel.key} className="flex items-center gap-1 text-slate-300">
+            <input
+              type="checkbox"
+              checked={selected.some(item => item.key === channel.key)}
+              onChange={() => toggle(channel.key)}
+            />
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: channel.color }}></span>
+            {channel.name}
+          </label>
+        ))}
+        <select
+          value={settings.unit || ''}
+          onChange={(event) => onSettingsChange({ ...settings, unit: event.target.value || null })}
+          className={`${inputClassName} ml-auto`}
+        >
+          <option value="">Unit of first channel ({unit})</option>
+          {Object.entries(UNITS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </div>
+      <OverlayChart
+        traces={traces}
+        binWidth={binWidth}
+        minFreq={minFreq}
+        maxFreq={maxFreq}
+        logFreq={view.logFreq}
+        yDomain={view.db ? [dbTop - view.dbRange, dbTop] : [0, visibleMax * 1.05]}
+        yLabel={view.db ? `Magnitude (dB re 1 ${unit})` : `Magnitude (${unit})`}
+        formatValue={(value) => (view.db ? `${value.toFixed(1)} dB` : `${value.toFixed(4)} ${unit}`)}
+        height={320}
+        emptyMessage={selected.length === 0 ? 'Select channels to overlay' : 'Waiting for data'}
+      />
+    </div>
+  );
+};
+
+export default ChannelOverlayPanel;
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { Download, RotateCcw, Save, Upload } from 'lucide-react';
+import { SENSOR_TYPES, UNITS, channelSettingsToJson, parseChannelSettings, resolveChannelSettings } from '../channels';
+import { sortChannelKeys } from '../dataSources';
+import { downloadFile, fileTimestamp } from '../export';
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+const buttonClassName = 'flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:border-slate-400 hover:bg-slate-700 transition-colors';
+
+const toSettingsMap = (channels) => channels.reduce((acc, { key, ...settings }) => {
+  acc[key] = settings;
+  return acc;
+}, {});
+
+const ChannelRow = ({ channelKey, settings, onChange }) => {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+  const changeSensorType = (sensorType) => onChange({ ...settings, sensorType, sensitivity: SENSOR_TYPES[sensorType].sensitivity });
+
+  return (
+    <tr className={`border-t border-slate-700 ${settings.enabled ? '' : 'opacity-50'}`}>
+      <td className="py-1 pr-2">
+        <label className="flex items-center gap-2 text-slate-400 font-mono" title="Show this channel">
+          <input type="checkbox" checked={settings.enabled} onChange={(event) => update('enabled', event.target.checked)} />
+          {channelKey.replace(/^Channel/, 'V')}
+        </label>
+      </td>
+      <td className="py-1 pr-2">
+        <input
+          type="color"
+          value={settings.color}
+          onChange={(event) => update('color', event.target.value)}
+          className="w-8 h-7 bg-transparent cursor-pointer"
+          title="Trace color"
+        />
+      </td>
+      <td className="py-1 pr-2">
+        <input type="text" value={settings.name} onChange={(event) => update('name', event.target.value)} className={`${inputClassName} w-32`} />
+      </td>
+      <td className="py-1 pr-2">
+        <input
+          type="text"
+          value={settings.location}
+          placeholder="e.g. Motor DE, horizontal"
+          onChange={(event) => update('location', event.target.value)}
+          className={`${inputClassName} w-44`}
+        />
+      </td>
+      <td className="py-1 pr-2">
+        <select value={settings.sensorType} onChange={(event) => changeSensorType(event.target.value)} className={inputClassName}>
+          {Object.entries(SENSOR_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+      </td>
+      <td className="py-1 pr-2">
+        <input
+          type="number"
+          min="0.001"
+          step="any"
+          value={settings.sensitivity}
+          onChange={(event) => update('sensitivity', event.target.value)}
+          className={`${inputClassName} w-20 font-mono`}
+        />
+      </td>
+      <td className="py-1 pr-2">
+        <input
+          type="number"
+          step="any"
+          value={settings.offset}
+          onChange={(event) => update('offset', event.target.value)}
+          className={`${inputClassName} w-20 font-mono`}
+        />
+      </td>
+      <td className="py-1">
+        <select value={settings.unit} onChange={(event) => update('unit', event.target.value)} className={inputClassName}>
+          {Object.entries(UNITS).map(([unit, { label }]) => <option key={unit} value={unit}>{label}</option>)}
+        </select>
+      </td>
+    </tr>
+  );
+};
+
+// Name, sensor calibration, units and color of each channel of a device.
+// Edits stay local until saved; imported files land in the draft too.
+const ChannelSettingsPanel = ({ channels, deviceName, onSave }) => {
+  const [draft, setDraft] = useState(() => toSettingsMap(channels));
+  const [error, setError] = useState(null);
+  // Imported files may cover channels the source has not reported yet
+  const keys = sortChannelKeys(new Set([...channels.map(channel => channel.key), ...Object.keys(draft)]));
+  const settingsFor = (key) => draft[key] || resolveChannelSettings(draft, key);
+  const currentSettings = () => keys.reduce((acc, key) => {
+    acc[key] = settingsFor(key);
+    return acc;
+  }, {});
+
+  const handleSave = () => {
+    const settingsByKey = currentSettings();
+    const invalid = keys.find(key => !(Number(settingsByKey[key].sensitivity) > 0) || !Number.isFinite(Number(settingsByKey[key].offset)));
+    if (invalid) {
+      setError(`${settingsByKey[invalid].name}: sensitivity must be positive and offset a number`);
+      return;
+    }
+    setError(null);
+    onSave(keys.reduce((acc, key) => {
+      const settings = settingsByKey[key];
+      acc[key] = { ...settings, name: settings.name.trim() || key, sensitivity: Number(settings.sensitivity), offset: Number(settings.offset) };
+      return acc;
+    }, {}));
+  };
+
+  const handleExport = () => {
+    const safeName = deviceName.replace(/[^\w-]+/g, '_');
+    downloadFile(`channels_${safeName}_${fileTimestamp()}.json`, channelSettingsToJson(currentSettings()), 'application/json');
+  };
+
+  const handleImport = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setDraft({ ...draft, ...parseChannelSettings(reader.result) });
+        setError(null);
+      } catch (err) {
+        setError(`${file.name}: ${err.message}`);
+      }
+    };
+    reader.onerror = () => setError(`${file.name}: could not be read`);
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700 space-y-3 text-xs sm:text-sm">
+      <div className="overflow-x-auto">
+        <table className="w-full text-left">
+          <thead>
+            <tr className="text-slate-400">
+              <th className="font-medium py-1 pr-2">Input</th>
+              <th className="font-medium py-1 pr-2">Color</th>
+              <th className="font-medium py-1 pr-2">Name</th>
+              <th className="font-medium py-1 pr-2">Location</th>
+              <th className="font-medium py-1 pr-2">Sensor</th>
+              <th className="font-medium py-1 pr-2">mV/g</th>
+              <th className="font-medium py-1 pr-2">Offset (mV)</th>
+              <th className="font-medium py-1">Display unit</th>
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map(key => (
+              <ChannelRow
+                key={key}
+                channelKey={key}
+                settings={settingsFor(key)}
+                onChange={(settings) => setDraft({ ...draft, [key]: settings })}
+              />
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {error && <div className="text-red-300">⚠ {error}</div>}
+
+      <div className="flex flex-wrap gap-2">
+        <button type="button" onClick={handleSave} className="flex items-center gap-1 px-3 py-1 rounded-lg bg-cyan-600 hover:bg-cyan-500 text-white font-medium">
+          <Save className="w-4 h-4" />
+          Save
+        </button>
+        <button type="button" onClick={() => setDraft(toSettingsMap(channels))} className={buttonClassName}>
+          <RotateCcw className="w-4 h-4" />
+          Revert
+        </button>
+        <button type="button" onClick={handleExport} className={`${buttonClassName} ml-auto`}>
+          <Download className="w-4 h-4" />
+          Export JSON
+        </button>
+        <label className={`${buttonClassName} cursor-pointer`}>
+          <Upload className="w-4 h-4" />
+          Import JSON
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(event) => {
+              if (event.target.files[0]) handleImport(event.target.files[0]);
+              event.target.value = '';
+            }}
+            className="hidden"
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default ChannelSettingsPanel;
@@ -0,0 +1,184 @@
+import React from 'react';
+import { ArrowLeftRight, RotateCcw } from 'lucide-react';
+import { convertSpectrum, unitFactor } from '../channels';
+import { orderPhases } from '../dsp/crossSpectrum';
+import { visibleRange } from './SpectrumViewPanel';
+import OverlayChart from './OverlayChart';
+import { formatFrequency } from '../utils/scales';
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+const buttonClassName = 'flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:border-slate-400 hover:bg-slate-700 transition-colors';
+
+// Phase is meaningless where the channels are unrelated, so it is hidden there
+const PHASE_MIN_COHERENCE = 0.5;
+const PHASE_TICKS = [-180, -90, 0, 90, 180];
+const COHERENCE_COLOR = '#a3e635';
+const PHASE_COLOR = '#f472b6';
+
+const SOURCE_LABELS = {
+  samples: 'raw waveforms',
+  complex: 'device complex spectra'
+};
+
+// Cross spectrum, phase and coherence between a chosen pair of channels, as
+// averaged by the analysis engine (see analysis/engine.js), with the phase at
+// the first orders of the running speed. `speed` is the running speed in Hz
+// or null.
+const CrossChannelPanel = ({
+  channels,
+  settings,
+  onSettingsChange,
+  cross,
+  frames,
+  source,
+  samplingFreq,
+  fftSize,
+  view,
+  speed,
+  onReset
+}) => {
+  const update = (key, value) => onSettingsChange({ ...settings, [key]: value });
+  const channelA = channels.find(channel => channel.key === settings.channelA);
+  const channelB = channels.find(channel => channel.key === settings.channelB);
+
+  const controls = (
+    <div className="flex flex-wrap items-center gap-2 text-xs sm:text-sm">
+      <select value={settings.channelA} onChange={(event) => update('channelA', event.target.value)} className={inputClassName}>
+        {channels.map(channel => <option key={channel.key} value={channel.key}>{channel.name}</option>)}
+      </select>
+      <button
+        type="button"
+        onClick={() => onSettingsChange({ ...settings, channelA: settings.channelB, channelB: settings.channelA })}
+        className="p-1 rounded-lg text-slate-400 hover:text-slate-100 hover:bg-slate-700"
+        title="Swap channels"
+      >
+        <ArrowLeftRight className="w-4 h-4" />
+      </button>
+      <select value={settings.channelB} onChange={(event) => update('channelB', event.target.value)} className={inputClassName}>
+        {channels.map(channel => <option key={channel.key} value={channel.key}>{channel.name}</option>)}
+      </select>
+      <label className="flex items-center gap-1 text-slate-400">
+        Averages
+        <input
+          type="number"
+          min="1"
+          max="1000"
+          value={settings.averages}
+          onChange={(event) => update('averages', Math.max(1, Math.min(1000, Math.round(Number(event.target.value)) || 1)))}
+          className={`${inputClassName} w-16 font-mono`}
+        />
+      </label>
+      {cross && (
+        <span className="font-mono text-slate-400">
+          {frames}/{settings.averages} frames from {SOURCE_LABELS[source]}
+        </span>
+      )}
+      <button type="button" onClick={onReset} className={`${buttonClassName} ml-auto`}>
+        <RotateCcw className="w-4 h-4" />
+        Restart average
+      </button>
+    </div>
+  );
+
+  if (!channelA || !channelB || channelA.key === channelB.key) {
+    return (
+      <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700 space-y-2">
+        {controls}
+        <div className="text-slate-500 text-xs sm:text-sm text-center py-6">Choose two different channels</div>
+      </div>
+    );
+  }
+
+  if (!cross) {
+    return (
+      <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700 space-y-2">
+        {controls}
+        <div className="text-slate-500 text-xs sm:text-sm text-center py-6">
+          Cross-channel analysis needs the raw waveforms or complex spectra of both channels; this source only sends magnitudes
+        </div>
+      </div>
+    );
+  }
+
+  // Magnitudes are shown in the channels' unit when they share one
+  const unit = channelA.unit === channelB.unit ? channelA.unit : 'g';
+  const magnitude = convertSpectrum(cross.magnitude, unit, { samplingFreq, fftSize });
+  const phase = cross.phase.map((value, k) => (cross.coherence[k] >= PHASE_MIN_COHERENCE ? value : null));
+  const binWidth = samplingFreq / fftSize;
+  const { minFreq, maxFreq } = visibleRange(view, samplingFreq / 2, binWidth);
+
+  const first = Math.max(1, Math.floor(minFreq / binWidth));
+  const last = Math.min(magnitude.length - 1, Math.ceil(maxFreq / binWidth));
+  let visibleMax = 1e-3;
+  for (let i = first; i <= last; i++) {
+    if (magnitude[i] > visibleMax) visibleMax = magnitude[i];
+  }
+
+  const pairLabel = `${channelB.name} vs ${channelA.name}`;
+  const chartProps = { binWidth, minFreq, maxFreq, logFreq: view.logFreq, height: 200 };
+  const orders = speed ? orderPhases(cross, speed, { binWidth }) : [];
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700 space-y-2">
+      {controls}
+      {cross.count < 2 && (
+        <div className="text-yellow-300 text-xs sm:text-sm">⚠ Coherence is 1 until more than one spectrum is averaged</div>
+      )}
+      <OverlayChart
+        {...chartProps}
+        traces={[{ key: 'magnitude', label: `|${pairLabel}|`, color: channelB.color, values: magnitude }]}
+        yDomain={[0, visibleMax * 1.05]}
+        yLabel={`Cross (${unit})`}
+        formatValue={(value) => `${value.toFixed(4)} ${unit}`}
+      />
+      <OverlayChart
+        {...chartProps}
+        traces={[{ key: 'phase', label: `Phase of ${channelB.name} rel. ${channelA.name}`, color: PHASE_COLOR, values: phase, breakAbove: 180 }]}
+        yDomain={[-180, 180]}
+        yTicks={PHASE_TICKS}
+        yLabel="Phase (°)"
+        formatValue={(value) => `${value.toFixed(1)}°`}
+      />
+      <OverlayChart
+        {...chartProps}
+        traces={[{ key: 'coherence', label: 'Coherence', color: COHERENCE_COLOR, values: cross.coherence }]}
+        yDomain={[0, 1]}
+        yLabel="Coherence"
+        formatValue={(value) => value.toFixed(3)}
+      />
+
+      {orders.length > 0 && (
+        <table className="w-full text-left text-xs sm:text-sm font-mono">
+          <thead>
+            <tr className="text-slate-400 font-sans">
+              <th className="font-medium py-1 pr-2">Order</th>
+              <th className="font-medium py-1 pr-2">Frequency</th>
+              <th className="font-medium py-1 pr-2">Cross ({unit})</th>
+              <th className="font-medium py-1 pr-2">Phase</th>
+              <th className="font-medium py-1">Coherence</th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map(order => {
+              const reliable = order.coherence >= PHASE_MIN_COHERENCE;
+              return (
+                <tr key={order.order} className="border-t border-slate-700">
+                  <td className="py-1 pr-2 text-slate-300">{order.order}×</td>
+                  <td className="py-1 pr-2 text-cyan-400">{formatFrequency(order.frequency, 2)}</td>
+                  <td className="py-1 pr-2 text-emerald-400">{(order.magnitude * unitFactor(unit, order.frequency)).toFixed(4)}</td>
+                  <td className={`py-1 pr-2 ${reliable ? 'text-slate-100' : 'text-slate-500'}`}>{order.phase.toFixed(1)}°</td>
+                  <td className={`py-1 ${reliable ? 'text-slate-300' : 'text-yellow-300'}`}>{order.coherence.toFixed(2)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      <div className="text-slate-500 text-xs">
+        Phase is that of {channelB.name} relative to {channelA.name}, positive when it leads, and is hidden where coherence is below {PHASE_MIN_COHERENCE}.
+      </div>
+    </div>
+  );
+};
+
+export default CrossChannelPanel;
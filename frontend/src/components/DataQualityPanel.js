@@ -0,0 +1,27 @@
+import React from 'react';
+import { TriangleAlert } from 'lucide-react';
+import { channelLabel } from '../dataSources';
+
+// Data-quality warnings of the latest frame (see dataSources/quality.js)
+const DataQualityPanel = ({ warnings, channels = [] }) => {
+  const channelName = (key) => (channels.find(channel => channel.key === key) || { name: channelLabel(key) }).name;
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-yellow-700 text-xs sm:text-sm">
+      <div className="flex items-center gap-2 mb-2 font-medium text-yellow-200">
+        <TriangleAlert className="w-4 h-4" />
+        Data quality
+      </div>
+      <ul className="space-y-1">
+        {warnings.map((warning, index) => (
+          <li key={index} className="flex gap-2 text-slate-300">
+            <span className="w-28 shrink-0 text-slate-400 truncate">{warning.channel ? channelName(warning.channel) : 'Frame'}</span>
+            {warning.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DataQualityPanel;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { Database, Upload } from 'lucide-react';
+import { SOURCE_OPTIONS, SOURCE_TYPES, STREAMING_TYPES, parseReplayFile } from '../dataSources';
+
+const DataSourcePanel = ({ config, onChange }) => {
+  const [url, setUrl] = useState(config.url);
+  const [streamUrl, setStreamUrl] = useState(config.streamUrl);
+  const [interval, setIntervalValue] = useState(config.interval);
+  const [fileError, setFileError] = useState(null);
+
+  useEffect(() => {
+    setUrl(config.url);
+    setStreamUrl(config.streamUrl);
+    setIntervalValue(config.interval);
+  }, [config.url, config.streamUrl, config.interval]);
+
+  const isStreaming = STREAMING_TYPES.includes(config.type);
+
+  const handleApply = (event) => {
+    event.preventDefault();
+    onChange({ ...config, url, streamUrl, interval: Math.max(100, Number(interval) || config.interval) });
+  };
+
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const frames = parseReplayFile(reader.result);
+        setFileError(null);
+        onChange({ ...config, type: SOURCE_TYPES.REPLAY, frames, fileName: file.name });
+      } catch (err) {
+        setFileError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <form onSubmit={handleApply} className="flex flex-wrap items-center gap-2 sm:gap-3 bg-slate-800 bg-opacity-80 backdrop-blur-sm px-3 py-2 rounded-xl border border-slate-700 text-xs sm:text-sm">
+      <Database className="w-4 h-4 text-cyan-400" />
+      <select
+        value={config.type}
+        onChange={(event) => onChange({ ...config, type: event.target.value })}
+        className="bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1"
+      >
+        {SOURCE_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      {config.type === SOURCE_TYPES.HTTP && (
+        <input
+          type="url"
+          value={url}
+          onChange={(event) => setUrl(event.target.value)}
+          className="flex-1 min-w-[12rem] bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1 font-mono"
+        />
+      )}
+
+      {isStreaming && (
+        <input
+          type="text"
+          value={streamUrl}
+          placeholder={config.type === SOURCE_TYPES.WEBSOCKET ? 'ws://esp32.local:81/' : 'http://esp32.local/events'}
+          onChange={(event) => setStreamUrl(event.target.value)}
+          className="flex-1 min-w-[12rem] bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1 font-mono"
+        />
+      )}
+
+      {config.type === SOURCE_TYPES.REPLAY && (
+        <label className="flex items-center gap-2 cursor-pointer text-slate-300 hover:text-slate-100">
+          <Upload className="w-4 h-4" />
+          <span>{config.fileName || 'Load file…'}</span>
+          <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+        </label>
+      )}
+
+      {!isStreaming && (
+        <label className="flex items-center gap-1 text-slate-400">
+          Every
+          <input
+            type="number"
+            min="100"
+            step="100"
+            value={interval}
+            onChange={(event) => setIntervalValue(event.target.value)}
+            className="w-20 bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1 font-mono"
+          />
+          ms
+        </label>
+      )}
+
+      <button type="submit" className="px-3 py-1 rounded-lg bg-cyan-600 hover:bg-cyan-500 text-white font-medium">
+        Apply
+      </button>
+
+      {fileError && <span className="text-red-300">⚠ {fileError}</span>}
+    </form>
+  );
+};
+
+export default DataSourcePanel;
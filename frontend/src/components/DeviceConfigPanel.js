@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { CheckCircle2, Send } from 'lucide-react';
+import { ADC_FIELD_LABELS, DATA_RATES, DEFAULT_ADC_CONFIG, MUX_MODES, PGA_GAINS, adcMismatches, sendAdcConfig } from '../devices';
+import { FFT_SIZES } from '../dsp/spectrum';
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+
+const formatRate = (rate) => (rate >= 1000 ? `${rate / 1000} kSPS` : `${rate} SPS`);
+
+const Field = ({ label, children }) => (
+  <label className="flex flex-col gap-1 text-slate-400">
+    {label}
+    {children}
+  </label>
+);
+
+// Sends ADS1256 settings to the node and confirms them twice: from the
+// settings the node reports as applied, then from the acquisition parameters
+// of the frames that follow. `acquisition` is the latest frame's, as given by
+// `frameAcquisition` (see dsp/analyzeFrame.js).
+const DeviceConfigPanel = ({ device, acquisition, onDeviceChange }) => {
+  const applied = { ...DEFAULT_ADC_CONFIG, ...device.adc };
+  const [draft, setDraft] = useState(applied);
+  const [url, setUrl] = useState(device.configUrl || '');
+  const [status, setStatus] = useState(null);
+  const update = (key, value) => setDraft({ ...draft, [key]: value });
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus({ state: 'sending' });
+    try {
+      const result = await sendAdcConfig(url.trim(), draft);
+      const mismatches = adcMismatches(draft, result);
+      onDeviceChange({ ...device, configUrl: url.trim(), adc: { ...draft, ...result } });
+      setStatus({ state: 'applied', time: new Date(), mismatches, result });
+    } catch (err) {
+      setStatus({ state: 'error', message: err.message });
+    }
+  };
+
+  const framesMatch = acquisition
+    && acquisition.samplingFreq === Number(applied.dataRate)
+    && acquisition.fftSize === Number(applied.fftSize);
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700 space-y-3 text-xs sm:text-sm">
+      <Field label="Configuration endpoint">
+        <input
+          type="url"
+          value={url}
+          placeholder="http://esp32.local/config"
+          onChange={(event) => setUrl(event.target.value)}
+          className={`${inputClassName} font-mono`}
+        />
+      </Field>
+
+      <div className="grid grid-cols-2 lg:grid-cols-5 gap-3">
+        <Field label={ADC_FIELD_LABELS.pga}>
+          <select value={draft.pga} onChange={(event) => update('pga', Number(event.target.value))} className={inputClassName}>
+            {PGA_GAINS.map(gain => <option key={gain} value={gain}>×{gain}</option>)}
+          </select>
+        </Field>
+        <Field label={ADC_FIELD_LABELS.dataRate}>
+          <select value={draft.dataRate} onChange={(event) => update('dataRate', Number(event.target.value))} className={inputClassName}>
+            {DATA_RATES.map(rate => <option key={rate} value={rate}>{formatRate(rate)}</option>)}
+          </select>
+        </Field>
+        <Field label={ADC_FIELD_LABELS.mux}>
+          <select value={draft.mux} onChange={(event) => update('mux', event.target.value)} className={inputClassName}>
+            {Object.entries(MUX_MODES).map(([mode, { label }]) => <option key={mode} value={mode}>{label}</option>)}
+          </select>
+        </Field>
+        <Field label={ADC_FIELD_LABELS.fftSize}>
+          <select value={draft.fftSize} onChange={(event) => update('fftSize', Number(event.target.value))} className={inputClassName}>
+            {FFT_SIZES.map(size => <option key={size} value={size}>{size.toLocaleString()}</option>)}
+          </select>
+        </Field>
+        <label className="flex items-center gap-2 text-slate-300 self-end py-1">
+          <input type="checkbox" checked={draft.buffer} onChange={(event) => update('buffer', event.target.checked)} />
+          {ADC_FIELD_LABELS.buffer}
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="submit"
+          disabled={!url.trim() || (status && status.state === 'sending')}
+          className="flex items-center gap-1 px-3 py-1 rounded-lg bg-cyan-600 hover:bg-cyan-500 text-white font-medium disabled:opacity-50"
+        >
+          <Send className="w-4 h-4" />
+          {status && status.state === 'sending' ? 'Sending…' : 'Apply to device'}
+        </button>
+        {status && status.state === 'error' && <span className="text-red-300">⚠ {status.message}</span>}
+        {status && status.state === 'applied' && (status.mismatches.length === 0 ? (
+          <span className="flex items-center gap-1 text-emerald-400">
+            <CheckCircle2 className="w-4 h-4" />
+            Applied at {status.time.toLocaleTimeString()}
+          </span>
+        ) : (
+          <span className="text-yellow-300">
+            ⚠ The device applied {status.mismatches.map(key => `${ADC_FIELD_LABELS[key]} ${status.result[key]}`).join(', ')} instead
+          </span>
+        ))}
+        {acquisition && (acquisition.sources.samplingFreq === 'default' ? (
+          <span className="ml-auto text-slate-400">Frames do not report their sampling rate</span>
+        ) : (
+          <span className={`ml-auto font-mono ${framesMatch ? 'text-slate-400' : 'text-yellow-300'}`}>
+            Frames: {formatRate(acquisition.samplingFreq)}, {acquisition.fftSize.toLocaleString()}-point FFT
+            {framesMatch ? ' ✓' : ' · differs from the applied settings'}
+          </span>
+        ))}
+      </div>
+    </form>
+  );
+};
+
+export default DeviceConfigPanel;
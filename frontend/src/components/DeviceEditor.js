@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Save, Trash2, X } from 'lucide-react';
+import { ADS1256_INPUTS, LIVE_TYPES, SOURCE_OPTIONS, SOURCE_TYPES, STREAMING_TYPES, channelKeys } from '../dataSources';
+import { resolveChannelSettings } from '../channels';
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+
+// Input n of the node is channel n of its payload (V1..V8)
+const INPUT_KEYS = channelKeys(ADS1256_INPUTS);
+const INPUT_OPTIONS = INPUT_KEYS.map((key, index) => ({ value: key, label: `Input ${index + 1} (V${index + 1})` }));
+
+const Field = ({ label, children }) => (
+  <label className="flex flex-col gap-1 text-slate-400">
+    {label}
+    {children}
+  </label>
+);
+
+// Form for one registry entry. Edits stay local until saved.
+const DeviceEditor = ({ device, isNew, onSave, onDelete, onCancel }) => {
+  const [draft, setDraft] = useState(device);
+  const update = (key, value) => setDraft({ ...draft, [key]: value });
+  const updateSource = (key, value) => update('source', { ...draft.source, [key]: value });
+  const updateChannel = (key, input) => update('channelMap', { ...draft.channelMap, [key]: input || null });
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave({
+      ...draft,
+      name: draft.name.trim() || device.name,
+      source: { ...draft.source, interval: Math.max(100, Number(draft.source.interval) || device.source.interval) }
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-cyan-700 space-y-3 text-xs sm:text-sm">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        <Field label="Name">
+          <input type="text" value={draft.name} onChange={(event) => update('name', event.target.value)} className={inputClassName} />
+        </Field>
+        <Field label="Location">
+          <input
+            type="text"
+            value={draft.location}
+            placeholder="e.g. Pump house, line 2"
+            onChange={(event) => update('location', event.target.value)}
+            className={inputClassName}
+          />
+        </Field>
+        <Field label="Source">
+          <select value={draft.source.type} onChange={(event) => updateSource('type', event.target.value)} className={inputClassName}>
+            {SOURCE_OPTIONS.filter(option => LIVE_TYPES.includes(option.value)).map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </Field>
+        {!STREAMING_TYPES.includes(draft.source.type) && (
+          <Field label="Interval (ms)">
+            <input
+              type="number"
+              min="100"
+              step="100"
+              value={draft.source.interval}
+              onChange={(event) => updateSource('interval', event.target.value)}
+              className={`${inputClassName} font-mono`}
+            />
+          </Field>
+        )}
+      </div>
+
+      {draft.source.type === SOURCE_TYPES.HTTP && (
+        <Field label="Endpoint">
+          <input
+            type="url"
+            value={draft.source.url}
+            placeholder="https://daq-node.local/TestVibration.php"
+            onChange={(event) => updateSource('url', event.target.value)}
+            className={`${inputClassName} font-mono`}
+          />
+        </Field>
+      )}
+      {STREAMING_TYPES.includes(draft.source.type) && (
+        <Field label="Stream URL">
+          <input
+            type="text"
+            value={draft.source.streamUrl}
+            placeholder={draft.source.type === SOURCE_TYPES.WEBSOCKET ? 'ws://esp32.local:81/' : 'http://esp32.local/events'}
+            onChange={(event) => updateSource('streamUrl', event.target.value)}
+            className={`${inputClassName} font-mono`}
+          />
+        </Field>
+      )}
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+        {INPUT_KEYS.map(key => (
+          <Field key={key} label={resolveChannelSettings(draft.channels, key).name}>
+            <select value={(draft.channelMap[key] === undefined ? key : draft.channelMap[key]) || ''} onChange={(event) => updateChannel(key, event.target.value)} className={inputClassName}>
+              {INPUT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+              <option value="">Not connected</option>
+            </select>
+          </Field>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button type="submit" className="flex items-center gap-1 px-3 py-1 rounded-lg bg-cyan-600 hover:bg-cyan-500 text-white font-medium">
+          <Save className="w-4 h-4" />
+          {isNew ? 'Add device' : 'Save'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:bg-slate-700"
+        >
+          <X className="w-4 h-4" />
+          Cancel
+        </button>
+        {!isNew && (
+          <button
+            type="button"
+            onClick={() => window.confirm(`Remove "${device.name}" from the registry?`) && onDelete(device.id)}
+            className="ml-auto flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-300 hover:text-red-400 hover:border-red-700"
+          >
+            <Trash2 className="w-4 h-4" />
+            Remove
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default DeviceEditor;
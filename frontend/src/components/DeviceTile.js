@@ -0,0 +1,72 @@
+import React from 'react';
+import { MapPin, Pencil } from 'lucide-react';
+import AlarmBadge from './AlarmBadge';
+import useDeviceStatus from '../hooks/useDeviceStatus';
+import { LEVEL_STYLES } from '../alarms';
+import { SOURCE_TYPES, STREAMING_TYPES } from '../dataSources';
+import { DEVICE_STATUSES, STATUS_STYLES, deviceStatus, formatAge } from '../devices';
+
+const endpointLabel = (source) => {
+  if (source.type === SOURCE_TYPES.MOCK) return 'Simulated';
+  return (STREAMING_TYPES.includes(source.type) ? source.streamUrl : source.url) || 'No endpoint set';
+};
+
+const formatMetric = (value, digits) => (value === null ? '—' : value.toFixed(digits));
+
+// Live summary of one device; runs its own connection while shown
+const DeviceTile = ({ device, now, onOpen, onEdit }) => {
+  const status = useDeviceStatus(device);
+  const state = deviceStatus(status, device.source, now);
+  const style = STATUS_STYLES[state];
+  const hasData = Boolean(status.lastUpdate);
+
+  return (
+    <div className={`relative bg-slate-800 rounded-xl shadow-lg border ${status.alarm ? LEVEL_STYLES[status.alarm.level].card : 'border-slate-700 hover:border-slate-500'} transition-colors`}>
+      <button
+        type="button"
+        onClick={() => onEdit(device)}
+        className="absolute top-3 right-3 p-1 rounded-lg text-slate-400 hover:text-slate-100 hover:bg-slate-700"
+        title="Edit device"
+      >
+        <Pencil className="w-4 h-4" />
+      </button>
+      <button type="button" onClick={() => onOpen(device.id)} className="w-full text-left p-4 space-y-3">
+        <div className="flex flex-wrap items-center gap-2 pr-8">
+          <span className={`w-3 h-3 rounded-full ${style.dot}`}></span>
+          <h3 className="text-base sm:text-lg font-bold text-slate-100">{device.name}</h3>
+          <AlarmBadge alarm={status.alarm} />
+        </div>
+        <div className="space-y-1 text-xs sm:text-sm">
+          {device.location && (
+            <div className="flex items-center gap-1 text-slate-300">
+              <MapPin className="w-3 h-3 text-slate-400" />
+              {device.location}
+            </div>
+          )}
+          <div className="font-mono text-slate-500 truncate">{endpointLabel(device.source)}</div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-2 text-xs sm:text-sm">
+          <div className="bg-slate-900 bg-opacity-60 p-2 rounded-lg border border-slate-700">
+            <div className={`font-medium ${style.text}`}>{style.label}</div>
+            <div className="font-mono text-slate-300">{hasData ? formatAge(now - status.lastUpdate.getTime()) : '—'}</div>
+          </div>
+          <div className="bg-slate-900 bg-opacity-60 p-2 rounded-lg border border-slate-700">
+            <div className="text-slate-400 font-medium">Accel RMS</div>
+            <div className="font-mono font-bold text-emerald-400">{hasData ? `${formatMetric(status.accelRms, 4)} g` : '—'}</div>
+          </div>
+          <div className="bg-slate-900 bg-opacity-60 p-2 rounded-lg border border-slate-700">
+            <div className="text-slate-400 font-medium">Vel RMS</div>
+            <div className="font-mono font-bold text-purple-400">{hasData ? `${formatMetric(status.velocityRms, 2)} mm/s` : '—'}</div>
+          </div>
+        </div>
+
+        {status.error && state !== DEVICE_STATUSES.ONLINE && (
+          <div className="text-xs text-red-300 truncate" title={status.error}>⚠ {status.error}</div>
+        )}
+      </button>
+    </div>
+  );
+};
+
+export default DeviceTile;
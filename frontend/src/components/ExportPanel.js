@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS, downloadFile, exportMeta, fileTimestamp } from '../export';
+import { listSessions, loadSessionFrames } from '../sessions';
+import { createAnalysisClient } from '../analysis';
+
+const SCOPES = {
+  CURRENT: 'current',
+  SESSION: 'session'
+};
+
+const ALL_CHANNELS = 'all';
+
+const selectClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+const numberClassName = 'w-20 bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1 font-mono';
+
+// Exports the current frame or a frame range of a recorded session. Recorded
+// frames are analysed with the same settings as the live view, one at a time
+// in an analysis worker of their own.
+const ExportPanel = ({ deviceId, channels, currentAnalysis, analysisOptions }) => {
+  const [scope, setScope] = useState(SCOPES.CURRENT);
+  const [channel, setChannel] = useState(ALL_CHANNELS);
+  const [sessions, setSessions] = useState([]);
+  const [sessionId, setSessionId] = useState('');
+  const [range, setRange] = useState({ from: 1, to: 1 });
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const session = sessions.find(entry => entry.id === Number(sessionId));
+
+  useEffect(() => {
+    if (scope !== SCOPES.SESSION) return;
+    listSessions(deviceId)
+      .then(list => {
+        setSessions(list);
+        setError(null);
+      })
+      .catch(err => setError(err.message));
+  }, [scope, deviceId]);
+
+  useEffect(() => {
+    if (session) setRange({ from: 1, to: session.frameCount });
+  }, [session]);
+
+  const selectedChannels = channel === ALL_CHANNELS ? channels : channels.filter(({ key }) => key === channel);
+
+  const collectAnalyses = async () => {
+    if (scope === SCOPES.CURRENT) {
+      if (!currentAnalysis.timestamp) throw new Error('No frame received yet');
+      return [currentAnalysis];
+    }
+    if (!session) throw new Error('Choose a recorded session');
+
+    const frames = await loadSessionFrames(session.id);
+    const from = Math.max(1, Math.min(range.from, range.to));
+    const to = Math.min(frames.length, Math.max(range.from, range.to));
+    const selected = frames.slice(from - 1, to);
+
+    const client = createAnalysisClient();
+    const analyses = [];
+    try {
+      for (const frame of selected) {
+        setProgress({ done: analyses.length, total: selected.length });
+        analyses.push(await client.analyze({ frame, options: analysisOptions }));
+      }
+    } finally {
+      client.terminate();
+      setProgress(null);
+    }
+    return analyses;
+  };
+
+  const handleExport = async (formatKey) => {
+    const format = EXPORT_FORMATS[formatKey];
+    setBusy(true);
+    try {
+      const analyses = await collectAnalyses();
+      const sessionScope = scope === SCOPES.SESSION;
+      const content = format.build(analyses, selectedChannels, exportMeta(sessionScope ? session : null));
+      const channelPart = channel === ALL_CHANNELS ? 'all' : channel;
+      const sourcePart = sessionScope ? session.name.replace(/[^\w-]+/g, '_') : 'frame';
+      const stamp = fileTimestamp(analyses[0].timestamp || new Date());
+      downloadFile(`vibration_${sourcePart}_${stamp}_${channelPart}.${format.extension}`, content, format.mimeType);
+      setError(null);
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 sm:gap-3 bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700 text-xs sm:text-sm">
+      <select value={scope} onChange={(event) => setScope(event.target.value)} className={selectClassName}>
+        <option value={SCOPES.CURRENT}>Current frame</option>
+        <option value={SCOPES.SESSION}>Recorded session</option>
+      </select>
+
+      {scope === SCOPES.SESSION && (
+        <>
+          <select value={sessionId} onChange={(event) => setSessionId(event.target.value)} className={selectClassName}>
+            <option value="">Choose session…</option>
+            {sessions.map(entry => (
+              <option key={entry.id} value={entry.id}>{entry.name} ({entry.frameCount} frames)</option>
+            ))}
+          </select>
+          {session && (
+            <label className="flex items-center gap-1 text-slate-400">
+              Frames
+              <input
+                type="number"
+                min="1"
+                max={session.frameCount}
+                value={range.from}
+                onChange={(event) => setRange({ ...range, from: Number(event.target.value) })}
+                className={numberClassName}
+              />
+              –
+              <input
+                type="number"
+                min="1"
+                max={session.frameCount}
+                value={range.to}
+                onChange={(event) => setRange({ ...range, to: Number(event.target.value) })}
+                className={numberClassName}
+              />
+            </label>
+          )}
+        </>
+      )}
+
+      <select value={channel} onChange={(event) => setChannel(event.target.value)} className={selectClassName}>
+        <option value={ALL_CHANNELS}>All channels</option>
+        {channels.map(({ key, name }) => <option key={key} value={key}>{name}</option>)}
+      </select>
+
+      <div className="flex gap-2 ml-auto">
+        {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+          <button
+            key={key}
+            type="button"
+            disabled={busy}
+            onClick={() => handleExport(key)}
+            className="flex items-center gap-1 px-3 py-1 rounded-lg bg-cyan-600 hover:bg-cyan-500 text-white font-medium disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" />
+            {format.label}
+          </button>
+        ))}
+      </div>
+
+      {progress && (
+        <span className="w-full font-mono text-slate-400">
+          Analyzing frame {progress.done + 1} of {progress.total}…
+        </span>
+      )}
+      {error && <span className="w-full text-red-300">⚠ {error}</span>}
+    </div>
+  );
+};
+
+export default ExportPanel;
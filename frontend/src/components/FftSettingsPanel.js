@@ -0,0 +1,85 @@
+import React from 'react';
+import { Cpu } from 'lucide-react';
+import { FFT_SIZES, OVERLAP_OPTIONS, SPECTRUM_MODES } from '../dsp/spectrum';
+import { WINDOW_TYPES } from '../dsp/windows';
+
+const selectClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1 disabled:opacity-50';
+
+const inputClassName = 'w-16 bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1 font-mono';
+
+const FftSettingsPanel = ({ settings, onChange, hasSamples, velocityBand, onVelocityBandChange }) => {
+  const isBrowser = settings.mode === SPECTRUM_MODES.BROWSER;
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 sm:gap-3 bg-slate-800 bg-opacity-80 backdrop-blur-sm px-3 py-2 rounded-xl border border-slate-700 text-xs sm:text-sm">
+      <Cpu className="w-4 h-4 text-emerald-400" />
+      <select value={settings.mode} onChange={(event) => update('mode', event.target.value)} className={selectClassName}>
+        <option value={SPECTRUM_MODES.DEVICE}>Device FFT</option>
+        <option value={SPECTRUM_MODES.BROWSER}>Browser FFT</option>
+      </select>
+
+      <label className="flex items-center gap-1 text-slate-400">
+        Size
+        <select
+          value={settings.fftSize}
+          disabled={!isBrowser}
+          onChange={(event) => update('fftSize', Number(event.target.value))}
+          className={selectClassName}
+        >
+          {FFT_SIZES.map(size => <option key={size} value={size}>{size.toLocaleString()}</option>)}
+        </select>
+      </label>
+
+      <label className="flex items-center gap-1 text-slate-400">
+        Window
+        <select
+          value={settings.window}
+          disabled={!isBrowser}
+          onChange={(event) => update('window', event.target.value)}
+          className={selectClassName}
+        >
+          {Object.entries(WINDOW_TYPES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+
+      <label className="flex items-center gap-1 text-slate-400">
+        Overlap
+        <select
+          value={settings.overlap}
+          disabled={!isBrowser}
+          onChange={(event) => update('overlap', Number(event.target.value))}
+          className={selectClassName}
+        >
+          {OVERLAP_OPTIONS.map(overlap => <option key={overlap} value={overlap}>{overlap * 100}%</option>)}
+        </select>
+      </label>
+
+      <label className="flex items-center gap-1 text-slate-400">
+        Velocity band
+        <input
+          type="number"
+          min="0"
+          value={velocityBand.low}
+          onChange={(event) => onVelocityBandChange({ ...velocityBand, low: Math.max(0, Number(event.target.value)) })}
+          className={inputClassName}
+        />
+        –
+        <input
+          type="number"
+          min="1"
+          value={velocityBand.high}
+          onChange={(event) => onVelocityBandChange({ ...velocityBand, high: Math.max(1, Number(event.target.value)) })}
+          className={inputClassName}
+        />
+        Hz
+      </label>
+
+      {isBrowser && !hasSamples && (
+        <span className="text-yellow-300">⚠ No raw samples in frame, showing device FFT</span>
+      )}
+    </div>
+  );
+};
+
+export default FftSettingsPanel;
@@ -0,0 +1,50 @@
+import React, { useState, useRef } from 'react';
+import { FileInput } from 'lucide-react';
+
+// Accepts files dropped anywhere on its children and shows an overlay while dragging
+const FileDropZone = ({ onFile, className, children }) => {
+  const [dragging, setDragging] = useState(false);
+  const depthRef = useRef(0);
+
+  const hasFiles = (event) => Array.from(event.dataTransfer.types || []).includes('Files');
+
+  const handleDragEnter = (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    depthRef.current += 1;
+    setDragging(true);
+  };
+
+  const handleDragLeave = () => {
+    depthRef.current = Math.max(0, depthRef.current - 1);
+    if (depthRef.current === 0) setDragging(false);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    depthRef.current = 0;
+    setDragging(false);
+    const file = event.dataTransfer.files[0];
+    if (file) onFile(file);
+  };
+
+  return (
+    <div
+      onDragEnter={handleDragEnter}
+      onDragOver={(event) => hasFiles(event) && event.preventDefault()}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      className={className}
+    >
+      {children}
+      {dragging && (
+        <div className="fixed inset-0 z-40 flex flex-col items-center justify-center gap-3 bg-slate-950 bg-opacity-80 border-4 border-dashed border-cyan-500 pointer-events-none">
+          <FileInput className="w-12 h-12 text-cyan-400" />
+          <div className="text-xl font-bold text-slate-100">Drop a CSV, WAV or JSON file to analyze it</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FileDropZone;
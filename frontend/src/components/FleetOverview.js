@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { Factory, Plus } from 'lucide-react';
+import DeviceTile from './DeviceTile';
+import DeviceEditor from './DeviceEditor';
+import { createDevice } from '../devices';
+
+const AGE_REFRESH_MS = 1000;
+
+// Grid of every registered DAQ node. Clicking a tile opens its dashboard.
+const FleetOverview = ({ devices, onOpen, onSaveDevice, onRemoveDevice }) => {
+  const [now, setNow] = useState(Date.now);
+  const [editing, setEditing] = useState(null);
+
+  // Keeps the "updated … ago" labels and stale states current between frames
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), AGE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const isNew = editing !== null && !devices.some(device => device.id === editing.id);
+
+  return (
+    <div className="w-full min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 p-2 sm:p-4 lg:p-6">
+      <div className="max-w-[2000px] mx-auto space-y-4 sm:space-y-6">
+        <div className="bg-gradient-to-r from-slate-800 to-slate-900 rounded-2xl shadow-2xl p-4 sm:p-6 border border-slate-700 flex flex-wrap items-center gap-3">
+          <Factory className="w-6 h-6 sm:w-8 sm:h-8 text-cyan-400" />
+          <h1 className="text-2xl sm:text-3xl font-bold text-slate-100">Fleet Overview</h1>
+          <span className="text-slate-400 text-sm">{devices.length} device{devices.length === 1 ? '' : 's'}</span>
+          <button
+            type="button"
+            onClick={() => setEditing(createDevice({ name: `DAQ node ${devices.length + 1}` }))}
+            className="ml-auto flex items-center gap-1 px-3 py-1.5 rounded-lg bg-cyan-600 hover:bg-cyan-500 text-white text-sm font-medium"
+          >
+            <Plus className="w-4 h-4" />
+            Add device
+          </button>
+        </div>
+
+        {editing && (
+          <DeviceEditor
+            key={editing.id}
+            device={editing}
+            isNew={isNew}
+            onSave={(device) => {
+              onSaveDevice(device);
+              setEditing(null);
+            }}
+            onDelete={(id) => {
+              onRemoveDevice(id);
+              setEditing(null);
+            }}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+
+        {devices.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 2xl:grid-cols-4 gap-3 sm:gap-4 lg:gap-6">
+            {devices.map(device => (
+              <DeviceTile key={device.id} device={device} now={now} onOpen={onOpen} onEdit={setEditing} />
+            ))}
+          </div>
+        ) : (
+          <div className="text-slate-500 text-center py-12">No devices registered</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FleetOverview;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { FileInput, X } from 'lucide-react';
+import { channelLabel } from '../dataSources';
+import { FFT_SIZES } from '../dsp/spectrum';
+import { buildImportedFrames, defaultMapping } from '../importers';
+
+const KIND_LABELS = {
+  spectrum: 'Spectrum',
+  timeseries: 'Time series',
+  frames: 'JSON frames'
+};
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+
+// Maps the columns or tracks of an imported file onto the dashboard channels
+// and asks for the acquisition parameters the file does not carry
+const ImportDialog = ({ draft, onImport, onCancel }) => {
+  const [mapping, setMapping] = useState(() => defaultMapping(draft));
+  const [samplingFreq, setSamplingFreq] = useState(draft.samplingFreq || '');
+  const [fftSize, setFftSize] = useState(draft.fftSize || 4096);
+  const [scale, setScale] = useState(1);
+  const [error, setError] = useState(null);
+
+  // A spectrum's bin width is fixed by its frequency column, so the sampling
+  // rate follows the FFT size
+  const handleFftSizeChange = (value) => {
+    setFftSize(value);
+    if (draft.binWidth && Number(value) > 0) setSamplingFreq(draft.binWidth * Number(value));
+  };
+
+  const isTimeSeries = draft.kind === 'timeseries';
+  const sampleCount = draft.columns[0] && draft.columns[0].values ? draft.columns[0].values.length : null;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const rate = Number(samplingFreq);
+    if (!(rate > 0)) {
+      setError('Enter the sampling rate');
+      return;
+    }
+    if (Object.values(mapping).every(name => !name)) {
+      setError('Map at least one channel');
+      return;
+    }
+
+    try {
+      onImport(buildImportedFrames(draft, {
+        mapping,
+        samplingFreq: rate,
+        fftSize: Number(fftSize),
+        scale: Number(scale) || 1
+      }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-950 bg-opacity-80 p-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-lg bg-slate-800 rounded-2xl shadow-2xl border border-slate-600 p-4 sm:p-6 space-y-4 text-xs sm:text-sm">
+        <div className="flex items-center gap-2">
+          <FileInput className="w-5 h-5 text-cyan-400" />
+          <h3 className="text-lg font-bold text-slate-100 truncate">{draft.fileName}</h3>
+          <button type="button" onClick={onCancel} className="ml-auto p-1 text-slate-400 hover:text-slate-100" title="Cancel">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="text-slate-400">
+          {KIND_LABELS[draft.kind]} · {draft.columns.length} column{draft.columns.length === 1 ? '' : 's'}
+          {sampleCount !== null && ` · ${sampleCount.toLocaleString()} ${isTimeSeries ? 'samples' : 'bins'}`}
+          {draft.kind === 'frames' && ` · ${draft.frames.length} frame${draft.frames.length === 1 ? '' : 's'}`}
+          {draft.spectra && draft.spectra.length > 1 && ` · ${draft.spectra.length} frames`}
+          {draft.binWidth && ` · ${draft.startFrequency.toLocaleString()} Hz up in ${draft.binWidth.toLocaleString()} Hz bins`}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          {Object.keys(mapping).map(key => (
+            <label key={key} className="flex flex-col gap-1 text-slate-400">
+              {channelLabel(key)}
+              <select
+                value={mapping[key]}
+                onChange={(event) => setMapping({ ...mapping, [key]: event.target.value })}
+                className={inputClassName}
+              >
+                <option value="">— none —</option>
+                {draft.columns.map(({ name }) => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <label className="flex flex-col gap-1 text-slate-400">
+            Sampling rate (Hz)
+            <input
+              type="number"
+              min="1"
+              value={samplingFreq}
+              onChange={(event) => setSamplingFreq(event.target.value)}
+              className={`${inputClassName} font-mono`}
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-slate-400">
+            FFT size
+            {isTimeSeries ? (
+              <select value={fftSize} onChange={(event) => setFftSize(event.target.value)} className={inputClassName}>
+                {FFT_SIZES.map(size => <option key={size} value={size}>{size.toLocaleString()}</option>)}
+              </select>
+            ) : (
+              <input
+                type="number"
+                min="2"
+                step="2"
+                value={fftSize}
+                onChange={(event) => handleFftSizeChange(event.target.value)}
+                className={`${inputClassName} font-mono`}
+              />
+            )}
+          </label>
+          {isTimeSeries && (
+            <label className="flex flex-col gap-1 text-slate-400">
+              Scale (g per unit)
+              <input
+                type="number"
+                step="any"
+                value={scale}
+                onChange={(event) => setScale(event.target.value)}
+                className={`${inputClassName} font-mono`}
+              />
+            </label>
+          )}
+        </div>
+
+        {error && <div className="text-red-300">⚠ {error}</div>}
+
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onCancel} className="px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:bg-slate-700">
+            Cancel
+          </button>
+          <button type="submit" className="px-3 py-1 rounded-lg bg-cyan-600 hover:bg-cyan-500 text-white font-medium">
+            Analyze
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ImportDialog;
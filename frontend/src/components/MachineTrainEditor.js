@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { Copy, Plus, Trash2 } from 'lucide-react';
+import {
+  BEARING_MODELS,
+  CUSTOM_MODEL,
+  FAULT_COLORS,
+  computeFaultFrequencies,
+  createBearing,
+  createGearStage,
+  createMachineTrain,
+  resolveGeometry
+} from '../kinematics';
+import { formatFrequency } from '../utils/scales';
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1 font-mono';
+
+const NumberField = ({ label, value, onChange, step = 'any', unit, width = 'w-20', disabled }) => (
+  <label className="flex items-center gap-1 text-slate-400">
+    {label}
+    <input
+      type="number"
+      step={step}
+      value={value}
+      disabled={disabled}
+      onChange={(event) => onChange(Number(event.target.value))}
+      className={`${width} ${inputClassName} disabled:opacity-50`}
+    />
+    {unit}
+  </label>
+);
+
+const RemoveButton = ({ onClick, title }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className="ml-auto p-1 rounded-lg text-slate-400 hover:text-red-400 hover:bg-slate-700"
+    title={title}
+  >
+    <Trash2 className="w-4 h-4" />
+  </button>
+);
+
+const BearingRow = ({ bearing, shaftCount, onChange, onRemove }) => {
+  const isCustom = bearing.model === CUSTOM_MODEL;
+  const geometry = resolveGeometry(bearing);
+  const update = (key, value) => onChange({ ...bearing, [key]: value });
+
+  // Switching to custom starts from the catalog geometry that was shown
+  const changeModel = (model) => onChange({ ...bearing, ...(model === CUSTOM_MODEL ? geometry : {}), model });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 p-2 rounded-lg border border-slate-700 bg-slate-900 bg-opacity-40">
+      <input
+        type="text"
+        value={bearing.label}
+        onChange={(event) => update('label', event.target.value)}
+        className={`w-32 ${inputClassName} font-sans`}
+      />
+      <select value={bearing.model} onChange={(event) => changeModel(event.target.value)} className={inputClassName}>
+        {Object.keys(BEARING_MODELS).map(model => <option key={model} value={model}>{model}</option>)}
+        <option value={CUSTOM_MODEL}>Custom geometry</option>
+      </select>
+      {shaftCount > 1 && (
+        <select value={bearing.shaft} onChange={(event) => update('shaft', Number(event.target.value))} className={inputClassName}>
+          {Array.from({ length: shaftCount }, (_, index) => (
+            <option key={index} value={index + 1}>Shaft {index + 1}</option>
+          ))}
+        </select>
+      )}
+      <NumberField label="Balls" value={geometry.balls} onChange={(value) => update('balls', value)} step="1" width="w-14" disabled={!isCustom} />
+      <NumberField label="Ball ⌀" value={geometry.ballDiameter} onChange={(value) => update('ballDiameter', value)} unit="mm" disabled={!isCustom} />
+      <NumberField label="Pitch ⌀" value={geometry.pitchDiameter} onChange={(value) => update('pitchDiameter', value)} unit="mm" disabled={!isCustom} />
+      <NumberField label="Contact" value={geometry.contactAngle} onChange={(value) => update('contactAngle', value)} unit="°" width="w-14" disabled={!isCustom} />
+      <RemoveButton onClick={onRemove} title="Remove bearing" />
+    </div>
+  );
+};
+
+const GearRow = ({ stage, index, onChange, onRemove }) => {
+  const update = (key, value) => onChange({ ...stage, [key]: value });
+  return (
+    <div className="flex flex-wrap items-center gap-2 p-2 rounded-lg border border-slate-700 bg-slate-900 bg-opacity-40">
+      <input
+        type="text"
+        value={stage.label}
+        onChange={(event) => update('label', event.target.value)}
+        className={`w-32 ${inputClassName} font-sans`}
+      />
+      <NumberField label={`Shaft ${index + 1} teeth`} value={stage.teeth} onChange={(value) => update('teeth', value)} step="1" width="w-16" />
+      <NumberField label={`Shaft ${index + 2} teeth`} value={stage.mateTeeth} onChange={(value) => update('mateTeeth', value)} step="1" width="w-16" />
+      <RemoveButton onClick={onRemove} title="Remove gear stage" />
+    </div>
+  );
+};
+
+// Edits the machine train behind each channel. `trains` maps channel keys to
+// trains; channels without one get the defaults.
+const MachineTrainEditor = ({ trains, onChange, channels }) => {
+  const [channel, setChannel] = useState(() => (channels[0] ? channels[0].key : 'Channel1'));
+  const train = trains[channel] || createMachineTrain();
+
+  const updateTrain = (next) => onChange({ ...trains, [channel]: next });
+  const update = (key, value) => updateTrain({ ...train, [key]: value });
+  const updateItem = (key, updated) => update(key, train[key].map(item => (item.id === updated.id ? updated : item)));
+  const removeItem = (key, id) => update(key, train[key].filter(item => item.id !== id));
+
+  const copyToAll = () => onChange(channels.reduce((acc, { key }) => {
+    acc[key] = train;
+    return acc;
+  }, {}));
+
+  const faults = computeFaultFrequencies(train);
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700 space-y-3 text-xs sm:text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={channel} onChange={(event) => setChannel(event.target.value)} className={inputClassName}>
+          {channels.map(({ key, name }) => <option key={key} value={key}>{name}</option>)}
+        </select>
+        <label className="flex items-center gap-1 text-slate-300">
+          <input type="checkbox" checked={train.enabled} onChange={(event) => update('enabled', event.target.checked)} />
+          Show fault frequencies
+        </label>
+        <NumberField label="Shaft speed" value={train.rpm} onChange={(value) => update('rpm', value)} unit="RPM" />
+        <NumberField label="Harmonics" value={train.harmonics} onChange={(value) => update('harmonics', Math.max(1, Math.round(value)))} step="1" width="w-14" />
+        <NumberField label="Match ±" value={train.tolerance} onChange={(value) => update('tolerance', value)} unit="%" width="w-14" />
+        <button
+          type="button"
+          onClick={copyToAll}
+          className="ml-auto flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:bg-slate-700"
+        >
+          <Copy className="w-4 h-4" />
+          Apply to all channels
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {train.bearings.map(bearing => (
+          <BearingRow
+            key={bearing.id}
+            bearing={bearing}
+            shaftCount={train.gears.length + 1}
+            onChange={(updated) => updateItem('bearings', updated)}
+            onRemove={() => removeItem('bearings', bearing.id)}
+          />
+        ))}
+        {train.gears.map((stage, index) => (
+          <GearRow
+            key={stage.id}
+            stage={stage}
+            index={index}
+            onChange={(updated) => updateItem('gears', updated)}
+            onRemove={() => removeItem('gears', stage.id)}
+          />
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={() => update('bearings', [...train.bearings, createBearing()])}
+          className="flex items-center gap-1 px-3 py-1 rounded-lg bg-cyan-600 hover:bg-cyan-500 text-white font-medium"
+        >
+          <Plus className="w-4 h-4" />
+          Add bearing
+        </button>
+        <button
+          type="button"
+          onClick={() => update('gears', [...train.gears, createGearStage({ label: `Stage ${train.gears.length + 1}` })])}
+          className="flex items-center gap-1 px-3 py-1 rounded-lg bg-cyan-600 hover:bg-cyan-500 text-white font-medium"
+        >
+          <Plus className="w-4 h-4" />
+          Add gear stage
+        </button>
+      </div>
+
+      {faults.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {faults.map((fault, index) => (
+            <span key={`${fault.name}-${index}`} className="px-2 py-1 rounded-lg border border-slate-700 bg-slate-900 bg-opacity-60 font-mono">
+              <span className="font-bold" style={{ color: FAULT_COLORS[fault.kind] }}>{fault.name}</span>
+              {' '}
+              <span className="text-slate-300">{formatFrequency(fault.frequency, 2)}</span>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MachineTrainEditor;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { formatFrequency } from '../utils/scales';
+
+// Amplitude at fixed orders of the running speed (see dsp/runningSpeed.js).
+// Orders without a peak show the spectrum level there, dimmed.
+const OrderTable = ({ orders, unit = 'g' }) => {
+  const reference = orders.find(row => row.order === 1);
+
+  return (
+    <table className="w-full text-xs sm:text-sm font-mono">
+      <thead>
+        <tr className="text-slate-400 font-sans">
+          <th className="text-left font-medium py-1">Order</th>
+          <th className="text-right font-medium py-1">Freq</th>
+          <th className="text-right font-medium py-1">{unit}</th>
+          <th className="text-right font-medium py-1">vs 1×</th>
+        </tr>
+      </thead>
+      <tbody>
+        {orders.map(row => (
+          <tr key={row.order} className={`border-t border-slate-700 ${row.peak ? 'text-slate-200' : 'text-slate-500'}`}>
+            <td className="py-1 font-bold">{row.order}×</td>
+            <td className="py-1 text-right">{formatFrequency(row.frequency)}</td>
+            <td className={`py-1 text-right ${row.peak ? 'text-emerald-400' : ''}`}>
+              {row.magnitude === null ? '—' : row.magnitude.toFixed(4)}
+            </td>
+            <td className="py-1 text-right">
+              {row.order === 1 || !reference || !reference.magnitude || row.magnitude === null
+                ? ''
+                : `${Math.round((row.magnitude / reference.magnitude) * 100)}%`}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default OrderTable;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import TraceCanvas from './TraceCanvas';
+import { createScale, formatFrequency, formatFrequencyTick, linearTicks, logTicks } from '../utils/scales';
+
+const WIDTH = 1200;
+const PADDING = { top: 15, right: 30, bottom: 35, left: 60 };
+const PLOT_RIGHT = WIDTH - PADDING.right;
+
+// Several traces on one frequency axis. Each trace is
+// { key, label, color, values } with one value per bin (null leaves a gap);
+// `breakAbove` starts a new segment where consecutive values jump by more,
+// as phase does when it wraps. Values are drawn as given on `yDomain`.
+const OverlayChart = ({
+  traces,
+  binWidth,
+  minFreq,
+  maxFreq,
+  logFreq = false,
+  yDomain,
+  yTicks,
+  yLabel,
+  formatValue = (value) => value.toFixed(4),
+  height = 260,
+  emptyMessage = 'Waiting for data'
+}) => {
+  const [hoverBin, setHoverBin] = useState(null);
+  const plotBottom = height - PADDING.bottom;
+  const binCount = Math.max(0, ...traces.map(trace => trace.values.length));
+  const hasData = binCount > 0;
+
+  const x = createScale(minFreq, maxFreq, PADDING.left, PLOT_RIGHT, logFreq);
+  const y = createScale(yDomain[0], yDomain[1], plotBottom, PADDING.top);
+  const clampY = (value) => Math.max(PADDING.top, Math.min(plotBottom, y(value)));
+  const firstBin = Math.max(logFreq ? 1 : 0, Math.floor(minFreq / binWidth) - 1);
+  const lastBin = Math.min(binCount - 1, Math.ceil(maxFreq / binWidth) + 1);
+
+  const toX = (bin) => x(bin * binWidth);
+  const canvasTraces = hasData
+    ? traces.map(({ values, color, breakAbove }) => ({ values, first: firstBin, last: lastBin, toX, toY: clampY, color, breakAbove, opacity: 0.9 }))
+    : [];
+  const clip = { x: PADDING.left, y: 0, width: PLOT_RIGHT - PADDING.left, height };
+
+  const handlePointerMove = (event) => {
+    if (!hasData) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const position = ((event.clientX - rect.left) / rect.width) * WIDTH;
+    const inside = position >= PADDING.left && position <= PLOT_RIGHT;
+    setHoverBin(inside ? Math.max(0, Math.min(binCount - 1, Math.round(x.invert(position) / binWidth))) : null);
+  };
+
+  const xTicks = logFreq ? logTicks(minFreq, maxFreq) : linearTicks(minFreq, maxFreq, 10);
+  const ticks = yTicks || linearTicks(yDomain[0], yDomain[1], 4);
+  const hoverX = hoverBin !== null ? x(hoverBin * binWidth) : null;
+
+  return (
+    <div>
+      <div className="bg-slate-950 p-2 rounded-xl border border-slate-800">
+        <div className="relative">
+          <TraceCanvas width={WIDTH} height={height} traces={canvasTraces} clip={clip} />
+          <svg
+            viewBox={`0 0 ${WIDTH} ${height}`}
+            className="relative w-full h-auto"
+            preserveAspectRatio="xMidYMid meet"
+            onPointerMove={handlePointerMove}
+            onPointerLeave={() => setHoverBin(null)}
+          >
+            {ticks.map(tick => (
+              <g key={tick}>
+                <line x1={PADDING.left} y1={y(tick)} x2={PLOT_RIGHT} y2={y(tick)} stroke="#334155" strokeWidth="1" strokeDasharray="3 3" opacity="0.4"/>
+                <text x={PADDING.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#94a3b8">
+                  {Number(tick.toPrecision(3))}
+                </text>
+              </g>
+            ))}
+
+            {hoverX !== null && (
+              <line x1={hoverX} y1={PADDING.top} x2={hoverX} y2={plotBottom} stroke="#e2e8f0" strokeWidth="1" strokeDasharray="2 3" opacity="0.6"/>
+            )}
+
+            {/* Axes */}
+            <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={plotBottom} stroke="#64748b" strokeWidth="2" opacity="0.5"/>
+            <line x1={PADDING.left} y1={plotBottom} x2={PLOT_RIGHT} y2={plotBottom} stroke="#64748b" strokeWidth="2" opacity="0.5"/>
+            {xTicks.map(frequency => (
+              <g key={frequency}>
+                <line x1={x(frequency)} y1={plotBottom} x2={x(frequency)} y2={plotBottom + 5} stroke="#64748b" strokeWidth="1.5"/>
+                <text x={x(frequency)} y={plotBottom + 17} textAnchor="middle" fontSize="10" fill="#94a3b8">
+                  {formatFrequencyTick(frequency)}
+                </text>
+              </g>
+            ))}
+
+            <text x="15" y={PADDING.top + (plotBottom - PADDING.top) / 2} textAnchor="middle" fontSize="11" fill="#cbd5e1" fontWeight="bold" transform={`rotate(-90, 15, ${PADDING.top + (plotBottom - PADDING.top) / 2})`}>
+              {yLabel}
+            </text>
+
+            {!hasData && (
+              <text x={WIDTH / 2} y={height / 2} textAnchor="middle" fontSize="13" fill="#64748b">
+                {emptyMessage}
+              </text>
+            )}
+          </svg>
+        </div>
+      </div>
+      <div className="mt-1 min-h-[1.5rem] flex flex-wrap items-center gap-x-4 gap-y-1 text-xs font-mono">
+        {hoverBin !== null && <span className="text-cyan-400">{formatFrequency(hoverBin * binWidth, 2)}</span>}
+        {traces.map(trace => {
+          const value = hoverBin !== null ? trace.values[hoverBin] : null;
+          return (
+            <span key={trace.key} className="flex items-center gap-1 text-slate-300">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: trace.color }}></span>
+              {trace.label}
+              {value !== null && value !== undefined && <span className="text-emerald-400">{formatValue(value)}</span>}
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default OverlayChart;
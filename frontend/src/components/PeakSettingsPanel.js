@@ -0,0 +1,71 @@
+import React from 'react';
+import { INTERPOLATION_MODES, THRESHOLD_MODES } from '../dsp/peaks';
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+
+// The value edited next to the threshold select depends on the mode
+const THRESHOLD_FIELDS = {
+  [THRESHOLD_MODES.ABSOLUTE]: { key: 'absolute', label: 'Absolute', unit: 'g', step: '0.001' },
+  [THRESHOLD_MODES.RELATIVE]: { key: 'relative', label: 'Relative to max', unit: '%', step: '1' },
+  [THRESHOLD_MODES.NOISE_FLOOR]: { key: 'noiseFloorDb', label: 'Above noise floor', unit: 'dB', step: '1' }
+};
+
+const NumberField = ({ label, value, onChange, unit, step = '1', min = 0 }) => (
+  <label className="flex items-center gap-1 text-slate-400">
+    {label}
+    <input
+      type="number"
+      min={min}
+      step={step}
+      value={value}
+      onChange={(event) => onChange(Math.max(min, Number(event.target.value)))}
+      className={`${inputClassName} w-20 font-mono`}
+    />
+    {unit}
+  </label>
+);
+
+const PeakSettingsPanel = ({ settings, onChange }) => {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+  const thresholdField = THRESHOLD_FIELDS[settings.threshold];
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 sm:gap-3 bg-slate-800 bg-opacity-80 px-3 py-2 rounded-xl border border-slate-700 text-xs sm:text-sm">
+      <label className="flex items-center gap-1 text-slate-400">
+        Threshold
+        <select value={settings.threshold} onChange={(event) => update('threshold', event.target.value)} className={inputClassName}>
+          {Object.entries(THRESHOLD_FIELDS).map(([mode, field]) => (
+            <option key={mode} value={mode}>{field.label}</option>
+          ))}
+        </select>
+      </label>
+      <NumberField
+        label={null}
+        value={settings[thresholdField.key]}
+        onChange={(value) => update(thresholdField.key, value)}
+        unit={thresholdField.unit}
+        step={thresholdField.step}
+      />
+      <NumberField label="Prominence ≥" value={settings.minProminenceDb} onChange={(value) => update('minProminenceDb', value)} unit="dB" />
+      <NumberField label="Spacing" value={settings.minDistance} onChange={(value) => update('minDistance', Math.round(value))} unit="bins" />
+      <NumberField label="Peaks" value={settings.limit} onChange={(value) => update('limit', Math.round(value))} min={1} />
+      <label className="flex items-center gap-1 text-slate-400">
+        Interpolation
+        <select value={settings.interpolation} onChange={(event) => update('interpolation', event.target.value)} className={inputClassName}>
+          <option value={INTERPOLATION_MODES.NONE}>None</option>
+          <option value={INTERPOLATION_MODES.PARABOLIC}>Parabolic</option>
+          <option value={INTERPOLATION_MODES.GAUSSIAN}>Gaussian</option>
+        </select>
+      </label>
+      <NumberField
+        label="Harmonics ±"
+        value={settings.harmonicTolerance}
+        onChange={(value) => update('harmonicTolerance', value)}
+        unit="%"
+        step="0.5"
+      />
+    </div>
+  );
+};
+
+export default PeakSettingsPanel;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { createScale, formatFrequency, linearTicks } from '../utils/scales';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 15, right: 20, bottom: 35, left: 60 };
+const MAX_TRACKS = 5;
+const TRACK_COLORS = ['#22d3ee', '#f472b6', '#fbbf24', '#a3e635', '#c084fc'];
+
+export const TREND_METRICS = {
+  MAGNITUDE: 'magnitude',
+  FREQUENCY: 'frequency'
+};
+
+// Amplitude or frequency history of the strongest tracked peaks of one channel
+const PeakTrendChart = ({ channelName, color, tracks = [], metric, unit = 'g' }) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const shown = [...tracks].sort((a, b) => b.magnitude - a.magnitude).slice(0, MAX_TRACKS);
+
+  const points = shown.flatMap(track => track.points);
+  const times = points.map(point => point.time.getTime());
+  const values = points.map(point => point[metric]);
+  const firstTime = points.length > 0 ? Math.min(...times) : 0;
+  const lastTime = points.length > 0 ? Math.max(...times) : 1;
+
+  // Frequencies are drawn around their own range so small drifts stay visible
+  let yMin = 0;
+  let yMax = Math.max(1e-3, ...values) * 1.1;
+  if (metric === TREND_METRICS.FREQUENCY && values.length > 0) {
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    const margin = Math.max((high - low) * 0.1, 1);
+    yMin = Math.max(0, low - margin);
+    yMax = high + margin;
+  }
+
+  const x = createScale(firstTime, lastTime > firstTime ? lastTime : firstTime + 1, PADDING.left, PADDING.left + plotWidth);
+  const y = createScale(yMin, yMax, PADDING.top + plotHeight, PADDING.top);
+  const ticks = linearTicks(yMin, yMax, 4);
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="w-3 h-3 rounded-full" style={{ backgroundColor: color }}></div>
+        <h3 className="text-base font-bold text-slate-100">{channelName}</h3>
+      </div>
+
+      <div className="bg-slate-950 p-2 rounded-xl border border-slate-800">
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" preserveAspectRatio="xMidYMid meet">
+          {ticks.map(tick => (
+            <g key={tick}>
+              <line x1={PADDING.left} y1={y(tick)} x2={WIDTH - PADDING.right} y2={y(tick)} stroke="#334155" strokeWidth="1" strokeDasharray="3 3" opacity="0.4"/>
+              <text x={PADDING.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#94a3b8">
+                {metric === TREND_METRICS.FREQUENCY ? Number(tick.toPrecision(5)) : Number(tick.toPrecision(3))}
+              </text>
+            </g>
+          ))}
+
+          {shown.map((track, index) => (
+            <path
+              key={track.id}
+              d={`M ${track.points.map(point => `${x(point.time.getTime())},${y(point[metric])}`).join(' L ')}`}
+              fill="none"
+              stroke={TRACK_COLORS[index]}
+              strokeWidth="2"
+              strokeLinejoin="round"
+              strokeLinecap="round"
+            />
+          ))}
+
+          {/* Axes */}
+          <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PADDING.top + plotHeight} stroke="#64748b" strokeWidth="2" opacity="0.5"/>
+          <line x1={PADDING.left} y1={PADDING.top + plotHeight} x2={WIDTH - PADDING.right} y2={PADDING.top + plotHeight} stroke="#64748b" strokeWidth="2" opacity="0.5"/>
+
+          <text x="15" y={PADDING.top + plotHeight / 2} textAnchor="middle" fontSize="11" fill="#cbd5e1" fontWeight="bold" transform={`rotate(-90, 15, ${PADDING.top + plotHeight / 2})`}>
+            {metric === TREND_METRICS.FREQUENCY ? 'Frequency (Hz)' : `Magnitude (${unit})`}
+          </text>
+          {points.length > 0 && (
+            <>
+              <text x={PADDING.left} y={HEIGHT - 10} textAnchor="start" fontSize="10" fill="#94a3b8">
+                {new Date(firstTime).toLocaleTimeString()}
+              </text>
+              <text x={WIDTH - PADDING.right} y={HEIGHT - 10} textAnchor="end" fontSize="10" fill="#94a3b8">
+                {new Date(lastTime).toLocaleTimeString()}
+              </text>
+            </>
+          )}
+
+          {shown.length === 0 && (
+            <text x={WIDTH / 2} y={HEIGHT / 2} textAnchor="middle" fontSize="13" fill="#64748b">
+              No tracked peaks
+            </text>
+          )}
+        </svg>
+      </div>
+
+      {shown.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-2 text-xs font-mono">
+          {shown.map((track, index) => {
+            const drift = track.frequency - track.points[0].frequency;
+            return (
+              <span key={track.id} className="flex items-center gap-1 px-2 py-1 rounded-lg border border-slate-700 bg-slate-900 bg-opacity-60">
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: TRACK_COLORS[index] }}></span>
+                <span className="text-cyan-400">{formatFrequency(track.frequency, 2)}</span>
+                <span className="text-emerald-400">{track.magnitude.toFixed(4)}</span>
+                <span className="text-slate-400" title="Frequency drift since the track started">
+                  {drift >= 0 ? '+' : ''}{drift.toFixed(2)} Hz
+                </span>
+              </span>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PeakTrendChart;
@@ -0,0 +1,65 @@
+import React from 'react';
+import { Gauge } from 'lucide-react';
+import { SPEED_SOURCES } from '../dsp/runningSpeed';
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+
+const SOURCE_LABELS = {
+  tacho: 'tachometer',
+  spectrum: 'spectrum',
+  manual: 'manual'
+};
+
+const RpmField = ({ label, value, onChange }) => (
+  <label className="flex items-center gap-1 text-slate-400">
+    {label}
+    <input
+      type="number"
+      min="1"
+      step="10"
+      value={value}
+      onChange={(event) => onChange(Math.max(1, Number(event.target.value)))}
+      className={`${inputClassName} w-20 font-mono`}
+    />
+    RPM
+  </label>
+);
+
+// Where the running speed comes from, and the current value
+const RunningSpeedPanel = ({ settings, onChange, speed, channels }) => {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 sm:gap-3 bg-slate-800 bg-opacity-80 px-3 py-2 rounded-xl border border-slate-700 text-xs sm:text-sm">
+      <Gauge className="w-4 h-4 text-cyan-400" />
+      <span className="font-medium text-slate-300">Running speed</span>
+      <span className="font-mono font-bold text-cyan-400">
+        {speed ? `${Math.round(speed.rpm)} RPM · ${speed.frequency.toFixed(2)} Hz` : '—'}
+      </span>
+      {speed && (
+        <span className="text-slate-400">
+          {SOURCE_LABELS[speed.source]}{speed.source === 'spectrum' && `, ${speed.harmonics} harmonic${speed.harmonics === 1 ? '' : 's'}`}
+        </span>
+      )}
+
+      <select value={settings.source} onChange={(event) => update('source', event.target.value)} className={`${inputClassName} ml-auto`}>
+        <option value={SPEED_SOURCES.AUTO}>Tachometer, else spectrum</option>
+        <option value={SPEED_SOURCES.SPECTRUM}>From spectrum</option>
+        <option value={SPEED_SOURCES.MANUAL}>Manual</option>
+      </select>
+      {settings.source === SPEED_SOURCES.MANUAL ? (
+        <RpmField label="Speed" value={settings.manualRpm} onChange={(value) => update('manualRpm', value)} />
+      ) : (
+        <>
+          <select value={settings.channel} onChange={(event) => update('channel', event.target.value)} className={inputClassName}>
+            {channels.map(({ key, name }) => <option key={key} value={key}>{name}</option>)}
+          </select>
+          <RpmField label="Search" value={settings.minRpm} onChange={(value) => update('minRpm', value)} />
+          <RpmField label="–" value={settings.maxRpm} onChange={(value) => update('maxRpm', value)} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RunningSpeedPanel;
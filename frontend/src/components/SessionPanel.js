@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Circle, Square, Play, Pause, Pencil, Trash2, Radio, Check, X } from 'lucide-react';
+import { PLAYBACK_SPEEDS, deleteSession, listSessions, renameSession } from '../sessions';
+
+const buttonClassName = 'flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:border-slate-400 hover:bg-slate-700 transition-colors disabled:opacity-50';
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+
+const formatDuration = (start, end) => {
+  if (!start || !end) return '—';
+  const seconds = Math.round((end - start) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const defaultSessionName = () => `Session ${new Date().toLocaleString()}`;
+
+const usePlayerState = (player) => {
+  const [state, setState] = useState(player ? player.getState() : null);
+
+  useEffect(() => {
+    if (!player) {
+      setState(null);
+      return undefined;
+    }
+    setState(player.getState());
+    return player.subscribe(setState);
+  }, [player]);
+
+  return state;
+};
+
+const PlayerBar = ({ player, sessionName, onExit }) => {
+  const state = usePlayerState(player);
+  if (!state) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 sm:gap-3 p-3 rounded-xl border border-cyan-700 bg-cyan-950 bg-opacity-40 text-xs sm:text-sm">
+      <span className="font-semibold text-cyan-300">Replaying {sessionName}</span>
+      <button type="button" onClick={state.playing ? player.pause : player.play} className={buttonClassName}>
+        {state.playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+        {state.playing ? 'Pause' : 'Play'}
+      </button>
+      <div className="flex gap-1">
+        {PLAYBACK_SPEEDS.map(speed => (
+          <button
+            key={speed}
+            type="button"
+            onClick={() => player.setSpeed(speed)}
+            className={`px-2 py-1 rounded-lg border font-mono ${state.speed === speed ? 'border-cyan-400 text-cyan-300' : 'border-slate-600 text-slate-300'}`}
+          >
+            {speed}x
+          </button>
+        ))}
+      </div>
+      <input
+        type="range"
+        min="0"
+        max={Math.max(0, state.length - 1)}
+        value={state.position}
+        onChange={(event) => player.seek(Number(event.target.value))}
+        className="flex-1 min-w-[10rem] accent-cyan-400"
+      />
+      <span className="font-mono text-slate-300">
+        {state.position + 1}/{state.length}
+        {state.timestamp && ` · ${state.timestamp.toLocaleTimeString()}`}
+      </span>
+      <button type="button" onClick={onExit} className={buttonClassName}>
+        <Radio className="w-4 h-4" />
+        Back to live
+      </button>
+    </div>
+  );
+};
+
+const SessionRow = ({ session, onReplay, onRename, onDelete, canReplay, disabled }) => {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(session.name);
+
+  const handleRename = async (event) => {
+    event.preventDefault();
+    if (await onRename(session, name.trim() || session.name)) setEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete recording "${session.name}"?`)) return;
+    onDelete(session);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 sm:gap-3 p-2 rounded-lg border border-slate-700 bg-slate-900 bg-opacity-40 text-xs sm:text-sm">
+      {editing ? (
+        <form onSubmit={handleRename} className="flex items-center gap-2">
+          <input value={name} onChange={(event) => setName(event.target.value)} className={inputClassName} autoFocus />
+          <button type="submit" className="p-1 text-emerald-400 hover:text-emerald-300" title="Save"><Check className="w-4 h-4" /></button>
+          <button type="button" onClick={() => setEditing(false)} className="p-1 text-slate-400 hover:text-slate-200" title="Cancel"><X className="w-4 h-4" /></button>
+        </form>
+      ) : (
+        <span className="font-semibold text-slate-100">{session.name}</span>
+      )}
+      <span className="font-mono text-slate-400">{session.createdAt.toLocaleString()}</span>
+      <span className="font-mono text-slate-400">{session.frameCount} frames</span>
+      <span className="font-mono text-slate-400">{formatDuration(session.startTime, session.endTime)}</span>
+      <div className="ml-auto flex gap-2">
+        <button type="button" onClick={() => onReplay(session)} disabled={!canReplay || session.frameCount === 0} className={buttonClassName}>
+          <Play className="w-4 h-4" />
+          Replay
+        </button>
+        <button type="button" onClick={() => setEditing(true)} className={buttonClassName} title="Rename">
+          <Pencil className="w-4 h-4" />
+        </button>
+        <button type="button" onClick={handleDelete} disabled={disabled} className={buttonClassName} title="Delete">
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const SessionPanel = ({ deviceId, recorder, replay, onReplay, onExitReplay, canRecord }) => {
+  const [sessions, setSessions] = useState([]);
+  const [name, setName] = useState(defaultSessionName);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setSessions(await listSessions(deviceId));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleReplay = async (session) => {
+    try {
+      await onReplay(session);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRename = async (session, name) => {
+    try {
+      await renameSession(session.id, name);
+      await refresh();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleDelete = async (session) => {
+    try {
+      await deleteSession(session.id);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRecord = async () => {
+    if (recorder.recording) {
+      await recorder.stop();
+      setName(defaultSessionName());
+    } else {
+      await recorder.start(name.trim() || defaultSessionName());
+    }
+    refresh();
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700 space-y-3">
+      <div className="flex flex-wrap items-center gap-2 sm:gap-3 text-xs sm:text-sm">
+        <input
+          value={recorder.recording ? recorder.recording.name : name}
+          onChange={(event) => setName(event.target.value)}
+          disabled={Boolean(recorder.recording)}
+          className={`flex-1 min-w-[12rem] ${inputClassName}`}
+        />
+        <button
+          type="button"
+          onClick={handleRecord}
+          disabled={!recorder.recording && !canRecord}
+          className={`flex items-center gap-1 px-3 py-1 rounded-lg font-medium text-white disabled:opacity-50 ${recorder.recording ? 'bg-slate-600 hover:bg-slate-500' : 'bg-red-600 hover:bg-red-500'}`}
+        >
+          {recorder.recording ? <Square className="w-4 h-4" /> : <Circle className="w-4 h-4" />}
+          {recorder.recording ? 'Stop' : 'Record'}
+        </button>
+        {recorder.recording && (
+          <span className="flex items-center gap-2 font-mono text-red-300">
+            <span className="w-2 h-2 rounded-full bg-red-500 animate-ping"></span>
+            {recorder.recording.frameCount} frames
+          </span>
+        )}
+        {(error || recorder.error) && <span className="text-red-300">⚠ {error || recorder.error}</span>}
+      </div>
+
+      {replay && <PlayerBar player={replay.player} sessionName={replay.name} onExit={onExitReplay} />}
+
+      <div className="max-h-72 overflow-y-auto space-y-2">
+        {sessions.length > 0 ? sessions.map(session => (
+          <SessionRow
+            key={session.id}
+            session={session}
+            onReplay={handleReplay}
+            onRename={handleRename}
+            onDelete={handleDelete}
+            canReplay={!recorder.recording}
+            disabled={Boolean(recorder.recording) && recorder.recording.id === session.id}
+          />
+        )) : (
+          <div className="text-slate-500 text-xs sm:text-sm text-center py-6">No recorded sessions</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionPanel;
@@ -0,0 +1,113 @@
+import React from 'react';
+import { MACHINE_CLASSES, ZONES, getZoneLimits } from '../dsp/isoSeverity';
+import ZoneBadge from './ZoneBadge';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 15, right: 20, bottom: 35, left: 50 };
+
+// Velocity RMS trend of one channel drawn over its ISO zone bands
+const SeverityTrendChart = ({ channelKey, channelName, color, history, machineClass, zone, onMachineClassChange }) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const limits = getZoneLimits(machineClass);
+  const values = history.map(entry => entry.velocity[channelKey]);
+
+  const yMax = Math.max(limits[2] * 1.3, ...values) * 1.05;
+  const toY = (value) => PADDING.top + plotHeight - (value / yMax) * plotHeight;
+  const toX = (index) => PADDING.left + (history.length > 1 ? index / (history.length - 1) : 1) * plotWidth;
+
+  const bands = [
+    { zone: 'A', from: 0, to: limits[0] },
+    { zone: 'B', from: limits[0], to: limits[1] },
+    { zone: 'C', from: limits[1], to: limits[2] },
+    { zone: 'D', from: limits[2], to: yMax }
+  ];
+
+  const path = values.length > 0
+    ? `M ${values.map((value, index) => `${toX(index)},${toY(value)}`).join(' L ')}`
+    : '';
+
+  const firstTime = history.length > 0 ? history[0].timestamp : null;
+  const lastTime = history.length > 0 ? history[history.length - 1].timestamp : null;
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <div className="w-3 h-3 rounded-full" style={{ backgroundColor: color }}></div>
+        <h3 className="text-base font-bold text-slate-100">{channelName}</h3>
+        <ZoneBadge zone={zone} />
+        <select
+          value={machineClass}
+          onChange={(event) => onMachineClassChange(channelKey, event.target.value)}
+          className="ml-auto bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1 text-xs"
+        >
+          {Object.entries(MACHINE_CLASSES).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-slate-950 p-2 rounded-xl border border-slate-800">
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" preserveAspectRatio="xMidYMid meet">
+          {/* Zone bands */}
+          {bands.map(band => (
+            <g key={band.zone}>
+              <rect
+                x={PADDING.left}
+                y={toY(band.to)}
+                width={plotWidth}
+                height={toY(band.from) - toY(band.to)}
+                fill={ZONES[band.zone].color}
+                opacity="0.12"
+              />
+              <text x={WIDTH - PADDING.right - 4} y={toY(band.to) + 14} textAnchor="end" fontSize="11" fill={ZONES[band.zone].color} fontWeight="bold">
+                {band.zone}
+              </text>
+            </g>
+          ))}
+
+          {/* Zone boundaries */}
+          {limits.map(limit => (
+            <g key={limit}>
+              <line x1={PADDING.left} y1={toY(limit)} x2={WIDTH - PADDING.right} y2={toY(limit)} stroke="#94a3b8" strokeWidth="1" strokeDasharray="4 4" opacity="0.6"/>
+              <text x={PADDING.left - 6} y={toY(limit) + 4} textAnchor="end" fontSize="10" fill="#94a3b8">
+                {limit}
+              </text>
+            </g>
+          ))}
+
+          {path && (
+            <path d={path} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" strokeLinecap="round" />
+          )}
+
+          {/* Axes */}
+          <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PADDING.top + plotHeight} stroke="#64748b" strokeWidth="2" opacity="0.5"/>
+          <line x1={PADDING.left} y1={PADDING.top + plotHeight} x2={WIDTH - PADDING.right} y2={PADDING.top + plotHeight} stroke="#64748b" strokeWidth="2" opacity="0.5"/>
+
+          <text x="15" y={PADDING.top + plotHeight / 2} textAnchor="middle" fontSize="11" fill="#cbd5e1" fontWeight="bold" transform={`rotate(-90, 15, ${PADDING.top + plotHeight / 2})`}>
+            Vel RMS (mm/s)
+          </text>
+          {firstTime && (
+            <>
+              <text x={PADDING.left} y={HEIGHT - 10} textAnchor="start" fontSize="10" fill="#94a3b8">
+                {firstTime.toLocaleTimeString()}
+              </text>
+              <text x={WIDTH - PADDING.right} y={HEIGHT - 10} textAnchor="end" fontSize="10" fill="#94a3b8">
+                {lastTime.toLocaleTimeString()}
+              </text>
+            </>
+          )}
+
+          {history.length === 0 && (
+            <text x={WIDTH / 2} y={HEIGHT / 2} textAnchor="middle" fontSize="13" fill="#64748b">
+              Waiting for data
+            </text>
+          )}
+        </svg>
+      </div>
+    </div>
+  );
+};
+
+export default SeverityTrendChart;
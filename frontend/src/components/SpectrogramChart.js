@@ -0,0 +1,191 @@
+import React, { useEffect, useRef } from 'react';
+import { turbo } from '../utils/colormap';
+
+const WIDTH = 1200;
+const HEIGHT = 320;
+const PADDING = { top: 15, right: 40, bottom: 35, left: 60 };
+const MAX_WATERFALL_TRACES = 60;
+
+export const HISTORY_VIEWS = {
+  SPECTROGRAM: 'spectrogram',
+  WATERFALL: 'waterfall'
+};
+
+export const COLOR_SCALES = {
+  LINEAR: 'linear',
+  DB: 'db'
+};
+
+// Maps a magnitude to 0..1 on the chosen color scale. In dB mode the top of
+// the scale is the largest value in the history and `dbRange` sets how far
+// below it the scale reaches.
+const createNormalizer = (scale, maxValue, dbRange) => {
+  if (scale === COLOR_SCALES.DB) {
+    const top = 20 * Math.log10(Math.max(maxValue, 1e-12));
+    return (value) => (20 * Math.log10(Math.max(value, 1e-12)) - top + dbRange) / dbRange;
+  }
+  return (value) => value / Math.max(maxValue, 1e-12);
+};
+
+// Reduces one spectrum to `columns` pixel values, keeping the largest bin of
+// each column so narrow peaks survive
+const resampleSpectrum = (spectrum, binWidth, maxFreq, columns) => {
+  const values = new Float32Array(columns);
+  const binsPerColumn = maxFreq / binWidth / columns;
+  for (let column = 0; column < columns; column++) {
+    const start = Math.floor(column * binsPerColumn);
+    const end = Math.min(spectrum.length, Math.max(start + 1, Math.floor((column + 1) * binsPerColumn)));
+    let max = 0;
+    for (let k = start; k < end; k++) {
+      if (spectrum[k] > max) max = spectrum[k];
+    }
+    values[column] = max;
+  }
+  return values;
+};
+
+const drawSpectrogram = (context, rows, normalize) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const image = new ImageData(plotWidth, rows.length);
+
+  // Newest row at the top, older rows scroll down
+  rows.forEach((values, index) => {
+    const y = rows.length - 1 - index;
+    for (let x = 0; x < plotWidth; x++) {
+      const [r, g, b] = turbo(normalize(values[x]));
+      const offset = (y * plotWidth + x) * 4;
+      image.data[offset] = r;
+      image.data[offset + 1] = g;
+      image.data[offset + 2] = b;
+      image.data[offset + 3] = 255;
+    }
+  });
+
+  const buffer = document.createElement('canvas');
+  buffer.width = plotWidth;
+  buffer.height = rows.length;
+  buffer.getContext('2d').putImageData(image, 0, 0);
+
+  context.imageSmoothingEnabled = false;
+  context.drawImage(buffer, PADDING.left, PADDING.top, plotWidth, plotHeight);
+};
+
+// Pseudo-3D waterfall: the oldest trace is drawn at the back (top right) and
+// each newer trace is filled with the background so it hides what is behind it
+const drawWaterfall = (context, rows, normalize) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const step = Math.max(1, Math.ceil(rows.length / MAX_WATERFALL_TRACES));
+  const traces = rows.filter((_, index) => (rows.length - 1 - index) % step === 0);
+  const depthX = plotWidth * 0.15;
+  const depthY = plotHeight * 0.55;
+  const traceWidth = plotWidth - depthX;
+  const traceHeight = plotHeight - depthY;
+
+  traces.forEach((values, index) => {
+    const age = traces.length > 1 ? 1 - index / (traces.length - 1) : 0;
+    const originX = PADDING.left + depthX * age;
+    const baseY = PADDING.top + plotHeight - depthY * age;
+
+    context.beginPath();
+    context.moveTo(originX, baseY);
+    for (let x = 0; x < values.length; x++) {
+      const level = Math.max(0, Math.min(1, normalize(values[x])));
+      context.lineTo(originX + (x / values.length) * traceWidth, baseY - level * traceHeight);
+    }
+    context.lineTo(originX + traceWidth, baseY);
+    context.closePath();
+    context.fillStyle = '#020617';
+    context.fill();
+
+    const [r, g, b] = turbo(1 - age * 0.8);
+    context.strokeStyle = `rgb(${r}, ${g}, ${b})`;
+    context.lineWidth = 1;
+    context.stroke();
+  });
+};
+
+const SpectrogramChart = ({ channelName, color, history, view, scale, dbRange, maxFreq }) => {
+  const canvasRef = useRef(null);
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+
+    context.clearRect(0, 0, WIDTH, HEIGHT);
+    context.fillStyle = '#020617';
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+
+    const columns = view === HISTORY_VIEWS.SPECTROGRAM ? plotWidth : Math.round(plotWidth * 0.85);
+    const rows = history
+      .filter(entry => entry.spectrum && entry.spectrum.length > 0)
+      .map(entry => resampleSpectrum(entry.spectrum, entry.binWidth, maxFreq, columns));
+
+    if (rows.length > 0) {
+      let maxValue = 0;
+      rows.forEach(values => {
+        for (let x = 0; x < values.length; x++) {
+          if (values[x] > maxValue) maxValue = values[x];
+        }
+      });
+      const normalize = createNormalizer(scale, maxValue, dbRange);
+
+      if (view === HISTORY_VIEWS.WATERFALL) {
+        drawWaterfall(context, rows, normalize);
+      } else {
+        drawSpectrogram(context, rows, normalize);
+      }
+    }
+
+    // Axes and frequency labels
+    context.strokeStyle = 'rgba(100, 116, 139, 0.5)';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(PADDING.left, PADDING.top);
+    context.lineTo(PADDING.left, HEIGHT - PADDING.bottom);
+    context.lineTo(WIDTH - PADDING.right, HEIGHT - PADDING.bottom);
+    context.stroke();
+
+    context.fillStyle = '#94a3b8';
+    context.font = '10px sans-serif';
+    context.textAlign = 'center';
+    for (let ratio = 0; ratio <= 1.0001; ratio += 0.125) {
+      const frequency = ratio * maxFreq;
+      const x = PADDING.left + ratio * (view === HISTORY_VIEWS.SPECTROGRAM ? plotWidth : plotWidth * 0.85);
+      context.fillText(frequency >= 1000 ? `${(frequency / 1000).toFixed(1)}k` : frequency.toFixed(0), x, HEIGHT - PADDING.bottom + 14);
+    }
+
+    context.fillStyle = '#cbd5e1';
+    context.font = 'bold 11px sans-serif';
+    context.fillText('Frequency (Hz)', WIDTH / 2, HEIGHT - 4);
+    context.save();
+    context.translate(22, HEIGHT / 2);
+    context.rotate(-Math.PI / 2);
+    context.fillText(view === HISTORY_VIEWS.SPECTROGRAM ? 'Time (newest on top)' : 'Time (newest in front)', 0, 0);
+    context.restore();
+
+    if (rows.length === 0) {
+      context.fillStyle = '#64748b';
+      context.font = '14px sans-serif';
+      context.fillText('No spectrum history yet', WIDTH / 2, HEIGHT / 2);
+    }
+  }, [history, view, scale, dbRange, maxFreq, plotWidth]);
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg p-3 sm:p-4 border border-slate-700">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="w-3 h-3 rounded-full" style={{ backgroundColor: color }}></div>
+        <h3 className="text-base font-bold text-slate-100">{channelName}</h3>
+        <span className="ml-auto text-xs font-mono text-slate-400">{history.length} frames</span>
+      </div>
+      <div className="bg-slate-950 p-2 rounded-xl border border-slate-800">
+        <canvas ref={canvasRef} width={WIDTH} height={HEIGHT} className="w-full h-auto" />
+      </div>
+    </div>
+  );
+};
+
+export default SpectrogramChart;
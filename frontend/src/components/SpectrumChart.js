@@ -0,0 +1,466 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X } from 'lucide-react';
+import { CURSOR_MODES, resetZoom, visibleRange } from './SpectrumViewPanel';
+import TraceCanvas from './TraceCanvas';
+import { FAULT_COLORS } from '../kinematics';
+import { createScale, formatFrequency, formatFrequencyTick, linearTicks, logTicks, toDb } from '../utils/scales';
+
+const WIDTH = 1200;
+const HEIGHT = 320;
+const PADDING = { top: 20, right: 60, bottom: 40, left: 60 };
+const PLOT_BOTTOM = HEIGHT - PADDING.bottom;
+const PLOT_RIGHT = WIDTH - PADDING.right;
+const ZOOM_STEP = 1.25;
+const MIN_ZOOM_BINS = 8;
+const DRAG_THRESHOLD = 3;
+const SNAP_BINS = 3;
+const MAX_MARKER_LABELS = 30;
+const TRACE_COLOR = '#fbbf24';
+const GRID = { width: 40, height: 30, color: '#1e293b' };
+const PLOT_CLIP = { x: PADDING.left, y: PADDING.top - 10, width: PLOT_RIGHT - PADDING.left, height: PLOT_BOTTOM - PADDING.top + 10 };
+
+export const BASELINE_TRACES = {
+  NONE: 'none',
+  DIFFERENCE: 'difference',
+  RATIO: 'ratio'
+};
+
+const identity = (value) => value;
+const pow10 = (value) => 10 ** value;
+
+// Keeps a window [low, high] (in axis units, i.e. log10 Hz on a log axis)
+// inside [floor, ceiling] without changing its width where possible
+const clampWindow = (low, high, floor, ceiling, minSpan) => {
+  const span = Math.min(Math.max(high - low, minSpan), ceiling - floor);
+  const center = (low + high) / 2;
+  const start = Math.max(floor, Math.min(center - span / 2, ceiling - span));
+  return [start, start + span];
+};
+
+// `baseline` is a reference spectrum on the same bins as `data`, drawn as an
+// overlay; `comparison` (see dsp/baseline.js) adds the exceedance bands and
+// the difference or ratio trace selected by `trace`, on a right-hand axis.
+// With `view.orderAxis`, frequencies are labelled as orders of `orderFrequency`.
+// Magnitudes are in `unit` (see channels/units.js).
+const SpectrumChart = ({
+  id,
+  data,
+  unit = 'g',
+  color,
+  samplingFreq,
+  fftSize,
+  peaks = [],
+  faultMarkers = [],
+  baseline = null,
+  comparison = null,
+  trace = BASELINE_TRACES.NONE,
+  marginDb,
+  orderFrequency = null,
+  view,
+  onViewChange
+}) => {
+  const [hover, setHover] = useState(null);
+  const [marker, setMarker] = useState(null);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const binWidth = samplingFreq / fftSize;
+  const nyquist = samplingFreq / 2;
+  const { minFreq, maxFreq } = visibleRange(view, nyquist, binWidth);
+  const hasData = data.length > 0;
+
+  const forward = view.logFreq ? Math.log10 : identity;
+  const inverse = view.logFreq ? pow10 : identity;
+  const axisFloor = forward(view.logFreq ? binWidth : 0);
+  const axisCeiling = forward(nyquist);
+  const minSpan = view.logFreq ? 0.05 : MIN_ZOOM_BINS * binWidth;
+
+  const x = createScale(minFreq, maxFreq, PADDING.left, PLOT_RIGHT, view.logFreq);
+
+  // Only bins inside the window (plus one each side so the line reaches the edges)
+  const firstBin = Math.max(view.logFreq ? 1 : 0, Math.floor(minFreq / binWidth) - 1);
+  const lastBin = Math.min(data.length - 1, Math.ceil(maxFreq / binWidth) + 1);
+
+  let visibleMax = 0;
+  for (let i = Math.max(firstBin, 1); i <= lastBin; i++) {
+    if (data[i] > visibleMax) visibleMax = data[i];
+  }
+  const yMax = view.lockedMax !== null ? view.lockedMax : Math.max(visibleMax * 1.05, 1e-3);
+  const dbTop = Math.ceil(toDb(yMax) / 10) * 10;
+  const yDomain = view.db ? [dbTop - view.dbRange, dbTop] : [0, yMax];
+  const yScale = createScale(yDomain[0], yDomain[1], PLOT_BOTTOM, PADDING.top);
+  const y = (magnitude) => Math.max(PADDING.top, Math.min(PLOT_BOTTOM, yScale(view.db ? toDb(magnitude) : magnitude)));
+
+  const binAt = (frequency) => Math.max(0, Math.min(data.length - 1, Math.round(frequency / binWidth)));
+  const pointAt = (bin) => ({ frequency: bin * binWidth, magnitude: data[bin] });
+
+  // Placed cursors jump to the largest bin nearby so they land on the peak
+  const snapToPeak = (frequency) => {
+    const center = binAt(frequency);
+    let best = center;
+    for (let i = Math.max(1, center - SNAP_BINS); i <= Math.min(data.length - 1, center + SNAP_BINS); i++) {
+      if (data[i] > data[best]) best = i;
+    }
+    return best * binWidth;
+  };
+
+  const interactionRef = useRef();
+  interactionRef.current = { view, onViewChange, forward, inverse, axisFloor, axisCeiling, minSpan, x };
+
+  // React registers wheel listeners as passive, so zooming needs a native one to stop page scroll
+  useEffect(() => {
+    const svg = svgRef.current;
+    const handleWheel = (event) => {
+      const current = interactionRef.current;
+      if (!current.onViewChange) return;
+      event.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      const position = ((event.clientX - rect.left) / rect.width) * WIDTH;
+      const anchor = current.forward(current.x.invert(Math.max(PADDING.left, Math.min(PLOT_RIGHT, position))));
+      const low = current.forward(current.x.invert(PADDING.left));
+      const high = current.forward(current.x.invert(PLOT_RIGHT));
+      const factor = event.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      const [start, end] = clampWindow(
+        anchor - (anchor - low) * factor,
+        anchor + (high - anchor) * factor,
+        current.axisFloor,
+        current.axisCeiling,
+        current.minSpan
+      );
+      current.onViewChange({ ...current.view, minFreq: current.inverse(start), maxFreq: current.inverse(end) });
+    };
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const toSvgX = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return ((event.clientX - rect.left) / rect.width) * WIDTH;
+  };
+
+  const handlePointerDown = (event) => {
+    if (!hasData || event.button !== 0) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { startX: toSvgX(event), low: forward(minFreq), high: forward(maxFreq), moved: false };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!hasData) return;
+    const position = toSvgX(event);
+    const drag = dragRef.current;
+
+    if (drag) {
+      const offset = position - drag.startX;
+      if (Math.abs(offset) > DRAG_THRESHOLD) drag.moved = true;
+      if (drag.moved && onViewChange) {
+        const shift = (-offset / (PLOT_RIGHT - PADDING.left)) * (drag.high - drag.low);
+        const [start, end] = clampWindow(drag.low + shift, drag.high + shift, axisFloor, axisCeiling, minSpan);
+        onViewChange({ ...view, minFreq: inverse(start), maxFreq: inverse(end) });
+        return;
+      }
+    }
+
+    setHover(position >= PADDING.left && position <= PLOT_RIGHT ? pointAt(binAt(x.invert(position))) : null);
+  };
+
+  const handlePointerUp = (event) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved || view.cursorMode === CURSOR_MODES.HOVER) return;
+
+    const position = toSvgX(event);
+    if (position < PADDING.left || position > PLOT_RIGHT) return;
+    const frequency = snapToPeak(x.invert(position));
+
+    // Shift-click in sideband mode measures the spacing from the carrier
+    if (view.cursorMode === CURSOR_MODES.SIDEBAND && event.shiftKey && marker !== null && onViewChange) {
+      onViewChange({ ...view, sidebandSpacing: Number(Math.abs(frequency - marker).toFixed(2)) });
+      return;
+    }
+    setMarker(frequency);
+  };
+
+  const inRange = (frequency) => frequency >= minFreq && frequency <= maxFreq;
+
+  // The spectrum, baseline and comparison traces are drawn on a canvas under
+  // the SVG, decimated to the screen's resolution
+  const toX = (bin) => x(bin * binWidth);
+  const traces = hasData
+    ? [{ values: data, first: firstBin, last: lastBin, toX, toY: y, color, lineWidth: 2, fill: { from: PADDING.top, to: PLOT_BOTTOM, colors: [`${color}66`, `${color}0d`] } }]
+    : [];
+  if (hasData && baseline) {
+    traces.push({ values: baseline, first: firstBin, last: lastBin, toX, toY: y, color: '#94a3b8', lineWidth: 1.5, dash: [5, 3], opacity: 0.9 });
+  }
+
+  // Right-hand axis for the comparison trace: ratio in dB or difference in `unit`,
+  // both centred on zero
+  const traceValues = comparison && trace !== BASELINE_TRACES.NONE
+    ? (trace === BASELINE_TRACES.RATIO ? comparison.ratioDb : comparison.difference)
+    : null;
+  let traceScale = null;
+  let traceTicks = [];
+  if (hasData && traceValues) {
+    let extent = trace === BASELINE_TRACES.RATIO ? Math.max(20, Math.ceil((marginDb * 2) / 10) * 10) : 1e-3;
+    if (trace === BASELINE_TRACES.DIFFERENCE) {
+      for (let i = firstBin; i <= Math.min(lastBin, traceValues.length - 1); i++) {
+        if (traceValues[i] !== null) extent = Math.max(extent, Math.abs(traceValues[i]) * 1.05);
+      }
+    }
+    traceScale = createScale(-extent, extent, PLOT_BOTTOM, PADDING.top);
+    const traceY = (value) => Math.max(PADDING.top, Math.min(PLOT_BOTTOM, traceScale(value)));
+    traces.push({ values: traceValues, first: firstBin, last: lastBin, toX, toY: traceY, color: TRACE_COLOR, lineWidth: 1.5, opacity: 0.9 });
+    traceTicks = linearTicks(-extent, extent, 4);
+  }
+  const visibleBands = comparison
+    ? comparison.bands.filter(band => band.highFreq >= minFreq && band.lowFreq <= maxFreq)
+    : [];
+
+  // Order ticks are chosen in order units and placed back on the Hz axis
+  const orders = view.orderAxis && orderFrequency > 0;
+  const tickScale = orders ? orderFrequency : 1;
+  const xTicks = (view.logFreq ? logTicks(minFreq / tickScale, maxFreq / tickScale) : linearTicks(minFreq / tickScale, maxFreq / tickScale, 10))
+    .map(tick => tick * tickScale);
+  const formatTick = (frequency) => (orders ? `${Number((frequency / orderFrequency).toPrecision(3))}×` : formatFrequencyTick(frequency));
+  const formatPosition = (frequency) => (
+    orders ? `${(frequency / orderFrequency).toFixed(2)}× (${formatFrequency(frequency, 2)})` : formatFrequency(frequency, 2)
+  );
+  const yTicks = linearTicks(yDomain[0], yDomain[1], 5);
+
+  // Cursor families anchored on the placed marker
+  const cursorLines = [];
+  if (marker !== null && hasData) {
+    if (view.cursorMode === CURSOR_MODES.HARMONIC) {
+      for (let n = 1; n <= view.harmonicCount; n++) {
+        cursorLines.push({ frequency: marker * n, label: `${n}×`, stroke: '#fbbf24', dashed: n > 1 });
+      }
+    } else if (view.cursorMode === CURSOR_MODES.SIDEBAND) {
+      cursorLines.push({ frequency: marker, label: 'fc', stroke: '#f472b6', dashed: false });
+      for (let k = 1; k <= view.sidebandCount; k++) {
+        cursorLines.push({ frequency: marker - k * view.sidebandSpacing, label: `−${k}`, stroke: '#f472b6', dashed: true });
+        cursorLines.push({ frequency: marker + k * view.sidebandSpacing, label: `+${k}`, stroke: '#f472b6', dashed: true });
+      }
+    } else if (view.cursorMode === CURSOR_MODES.DELTA) {
+      cursorLines.push({ frequency: marker, label: 'ref', stroke: '#a78bfa', dashed: false });
+    }
+  }
+  const visibleCursors = cursorLines
+    .filter(line => line.frequency > 0 && line.frequency <= nyquist && inRange(line.frequency))
+    .map(line => ({ ...line, point: pointAt(binAt(line.frequency)) }));
+
+  const visibleFaults = faultMarkers.filter(fault => inRange(fault.frequency));
+
+  const reference = marker !== null && view.cursorMode === CURSOR_MODES.DELTA ? pointAt(binAt(marker)) : null;
+
+  const formatMagnitude = (magnitude) => `${magnitude.toFixed(4)} ${unit} (${toDb(magnitude).toFixed(1)} dB)`;
+
+  let readout = null;
+  const baselineAtHover = hover && baseline ? baseline[binAt(hover.frequency)] : null;
+  if (hover && baselineAtHover !== null && baselineAtHover !== undefined) {
+    readout = `${formatPosition(hover.frequency)} · ${formatMagnitude(hover.magnitude)} · baseline ${baselineAtHover.toFixed(4)} ${unit}`
+      + ` · ${(toDb(hover.magnitude) - toDb(baselineAtHover)).toFixed(1)} dB vs baseline`;
+  } else if (hover && reference) {
+    readout = `Δf ${formatFrequency(hover.frequency - reference.frequency, 2)} · Δ ${(toDb(hover.magnitude) - toDb(reference.magnitude)).toFixed(1)} dB`
+      + ` · ${formatPosition(hover.frequency)} ${formatMagnitude(hover.magnitude)}`;
+  } else if (hover) {
+    readout = `${formatPosition(hover.frequency)} · ${formatMagnitude(hover.magnitude)}`;
+  } else if (marker !== null && view.cursorMode === CURSOR_MODES.HARMONIC) {
+    readout = `1× = ${formatFrequency(marker, 2)}`;
+  } else if (marker !== null && view.cursorMode === CURSOR_MODES.SIDEBAND) {
+    readout = `fc ${formatFrequency(marker, 2)} · spacing ${view.sidebandSpacing} Hz (shift-click to measure)`;
+  } else if (reference) {
+    readout = `ref ${formatFrequency(reference.frequency, 2)} · ${formatMagnitude(reference.magnitude)}`;
+  }
+
+  return (
+    <div>
+      <div className="relative">
+        <TraceCanvas width={WIDTH} height={HEIGHT} traces={traces} clip={PLOT_CLIP} grid={GRID} />
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className={`relative w-full h-auto select-none touch-none ${hasData ? 'cursor-crosshair' : ''}`}
+          preserveAspectRatio="xMidYMid meet"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={() => setHover(null)}
+          onDoubleClick={() => onViewChange && onViewChange(resetZoom(view, nyquist))}
+        >
+          <defs>
+            <clipPath id={`plot-${id}`}>
+              <rect {...PLOT_CLIP} />
+            </clipPath>
+          </defs>
+
+          {hasData && (
+            <g clipPath={`url(#plot-${id})`}>
+              {visibleBands.map(band => (
+                <rect
+                  key={band.lowFreq}
+                  x={x(Math.max(band.lowFreq, minFreq))}
+                  y={PADDING.top}
+                  width={Math.max(2, x(Math.min(band.highFreq, maxFreq)) - x(Math.max(band.lowFreq, minFreq)))}
+                  height={PLOT_BOTTOM - PADDING.top}
+                  fill="#ef4444"
+                  opacity="0.18"
+                >
+                  <title>{`${formatFrequency(band.lowFreq)}–${formatFrequency(band.highFreq)}: +${band.excessDb.toFixed(1)} dB over baseline`}</title>
+                </rect>
+              ))}
+
+              {visibleFaults.map((fault, index) => (
+                <g key={`${fault.name}-${index}`}>
+                  <title>{`${fault.name}: ${formatFrequency(fault.frequency, 2)}`}</title>
+                  <line
+                    x1={x(fault.frequency)}
+                    y1={PADDING.top}
+                    x2={x(fault.frequency)}
+                    y2={PLOT_BOTTOM}
+                    stroke={FAULT_COLORS[fault.kind]}
+                    strokeWidth={fault.harmonic > 1 ? 1 : 1.5}
+                    strokeDasharray={fault.harmonic > 1 ? '2 4' : undefined}
+                    opacity="0.7"
+                  />
+                  {visibleFaults.length <= MAX_MARKER_LABELS && (
+                    <text
+                      x={x(fault.frequency) + 3}
+                      y={PLOT_BOTTOM - 6}
+                      fontSize="9"
+                      fill={FAULT_COLORS[fault.kind]}
+                      transform={`rotate(-90, ${x(fault.frequency) + 3}, ${PLOT_BOTTOM - 6})`}
+                    >
+                      {fault.short}
+                    </text>
+                  )}
+                </g>
+              ))}
+
+              {traceScale && (
+                <>
+                  <line x1={PADDING.left} y1={traceScale(0)} x2={PLOT_RIGHT} y2={traceScale(0)} stroke={TRACE_COLOR} strokeWidth="1" strokeDasharray="2 4" opacity="0.5" />
+                  {trace === BASELINE_TRACES.RATIO && (
+                    <line x1={PADDING.left} y1={traceScale(marginDb)} x2={PLOT_RIGHT} y2={traceScale(marginDb)} stroke="#ef4444" strokeWidth="1" strokeDasharray="6 4" opacity="0.7" />
+                  )}
+                </>
+              )}
+
+              {peaks.filter(peak => inRange(peak.frequency)).map((peak, index) => {
+                const peakX = x(peak.frequency);
+                const peakY = y(peak.magnitude);
+                return (
+                  <g key={index}>
+                    <circle cx={peakX} cy={peakY} r="5" fill="#ef4444" stroke="#f8fafc" strokeWidth="2" className="animate-pulse" />
+                    <text x={peakX} y={peakY - 12} textAnchor="middle" fontSize="11" fill="#f8fafc" fontWeight="bold">
+                      {formatTick(peak.frequency)}{peak.fault && ` ${peak.fault.short}`}
+                    </text>
+                  </g>
+                );
+              })}
+
+              {visibleCursors.map(({ frequency, label, stroke, dashed, point }) => (
+                <g key={label}>
+                  <line
+                    x1={x(frequency)}
+                    y1={PADDING.top}
+                    x2={x(frequency)}
+                    y2={PLOT_BOTTOM}
+                    stroke={stroke}
+                    strokeWidth="1.5"
+                    strokeDasharray={dashed ? '6 4' : undefined}
+                  />
+                  <circle cx={x(point.frequency)} cy={y(point.magnitude)} r="3.5" fill={stroke} />
+                  <text x={x(frequency) + 4} y={PADDING.top + 10} fontSize="10" fill={stroke} fontWeight="bold">{label}</text>
+                </g>
+              ))}
+
+              {hover && (
+                <g pointerEvents="none">
+                  <line x1={x(hover.frequency)} y1={PADDING.top} x2={x(hover.frequency)} y2={PLOT_BOTTOM} stroke="#e2e8f0" strokeWidth="1" opacity="0.6" />
+                  <circle cx={x(hover.frequency)} cy={y(hover.magnitude)} r="4" fill="none" stroke="#e2e8f0" strokeWidth="1.5" />
+                </g>
+              )}
+            </g>
+          )}
+
+          {/* Axes */}
+          <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PLOT_BOTTOM} stroke="#64748b" strokeWidth="2" opacity="0.5"/>
+          <line x1={PADDING.left} y1={PLOT_BOTTOM} x2={PLOT_RIGHT} y2={PLOT_BOTTOM} stroke="#64748b" strokeWidth="2" opacity="0.5"/>
+
+          <text x="18" y="150" textAnchor="middle" fontSize="12" fill="#cbd5e1" fontWeight="bold" transform="rotate(-90, 18, 150)">
+            {view.db ? `Magnitude (dB re 1 ${unit})` : `Magnitude (${unit})`}
+          </text>
+          <text x={(PADDING.left + PLOT_RIGHT) / 2} y={HEIGHT - 5} textAnchor="middle" fontSize="11" fill="#cbd5e1" fontWeight="bold">
+            {orders ? `Order (1× = ${formatFrequency(orderFrequency, 2)}, ${Math.round(orderFrequency * 60)} RPM)` : 'Frequency (Hz)'}
+          </text>
+
+          {yTicks.map(value => {
+            const tickY = yScale(value);
+            return (
+              <g key={value}>
+                <line x1={PADDING.left - 5} y1={tickY} x2={PADDING.left} y2={tickY} stroke="#64748b" strokeWidth="1.5"/>
+                <text x={PADDING.left - 10} y={tickY + 4} textAnchor="end" fontSize="10" fill="#94a3b8">
+                  {view.db ? value.toFixed(0) : Number(value.toPrecision(3))}
+                </text>
+              </g>
+            );
+          })}
+
+          {traceScale && (
+            <>
+              <line x1={PLOT_RIGHT} y1={PADDING.top} x2={PLOT_RIGHT} y2={PLOT_BOTTOM} stroke={TRACE_COLOR} strokeWidth="1.5" opacity="0.4"/>
+              {traceTicks.map(value => (
+                <g key={value}>
+                  <line x1={PLOT_RIGHT} y1={traceScale(value)} x2={PLOT_RIGHT + 5} y2={traceScale(value)} stroke={TRACE_COLOR} strokeWidth="1.5" opacity="0.6"/>
+                  <text x={PLOT_RIGHT + 8} y={traceScale(value) + 4} fontSize="10" fill={TRACE_COLOR}>
+                    {trace === BASELINE_TRACES.RATIO ? `${value > 0 ? '+' : ''}${value}` : Number(value.toPrecision(2))}
+                  </text>
+                </g>
+              ))}
+              <text x={WIDTH - 8} y="150" textAnchor="middle" fontSize="11" fill={TRACE_COLOR} fontWeight="bold" transform={`rotate(90, ${WIDTH - 8}, 150)`}>
+                {trace === BASELINE_TRACES.RATIO ? 'vs baseline (dB)' : `Δ baseline (${unit})`}
+              </text>
+            </>
+          )}
+
+          {xTicks.map(frequency => {
+            const tickX = x(frequency);
+            return (
+              <g key={frequency}>
+                <line x1={tickX} y1={PLOT_BOTTOM} x2={tickX} y2={PLOT_BOTTOM + 5} stroke="#64748b" strokeWidth="1.5"/>
+                <text x={tickX} y={PLOT_BOTTOM + 17} textAnchor="middle" fontSize="10" fill="#94a3b8">
+                  {formatTick(frequency)}
+                </text>
+              </g>
+            );
+          })}
+
+          {!hasData && (
+            <text x={WIDTH / 2} y={HEIGHT / 2} textAnchor="middle" fontSize="14" fill="#64748b">
+              No FFT data available
+            </text>
+          )}
+        </svg>
+      </div>
+
+      <div className="flex items-center gap-2 min-h-[1.5rem] px-1 text-xs font-mono text-slate-300">
+        {readout || (
+          <span className="font-sans text-slate-500">
+            Scroll to zoom · drag to pan · double-click to reset{view.cursorMode !== CURSOR_MODES.HOVER && ' · click to place a cursor'}
+          </span>
+        )}
+        {marker !== null && (
+          <button
+            type="button"
+            onClick={() => setMarker(null)}
+            className="ml-auto flex items-center gap-1 font-sans text-slate-400 hover:text-slate-100"
+          >
+            <X className="w-3 h-3" />
+            Clear cursor
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SpectrumChart;
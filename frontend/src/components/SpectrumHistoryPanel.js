@@ -0,0 +1,87 @@
+import React, { useMemo } from 'react';
+import { RotateCcw } from 'lucide-react';
+import SpectrogramChart, { COLOR_SCALES, HISTORY_VIEWS } from './SpectrogramChart';
+
+export const HISTORY_DEPTHS = [50, 100, 200, 500];
+
+export const DEFAULT_HISTORY_SETTINGS = {
+  view: HISTORY_VIEWS.SPECTROGRAM,
+  depth: 100,
+  scale: COLOR_SCALES.DB,
+  dbRange: 60
+};
+
+const selectClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+
+const SpectrumHistoryPanel = ({ channels, history, settings, onSettingsChange, onReset, maxFreq }) => {
+  const update = (key, value) => onSettingsChange({ ...settings, [key]: value });
+
+  const historyByChannel = useMemo(() => channels.reduce((acc, { key }) => {
+    acc[key] = history.map(entry => ({ spectrum: entry.spectra[key], binWidth: entry.binWidth }));
+    return acc;
+  }, {}), [channels, history]);
+
+  return (
+    <div className="space-y-3 sm:space-y-4">
+      <div className="flex flex-wrap items-center gap-2 sm:gap-3 bg-slate-800 bg-opacity-80 px-3 py-2 rounded-xl border border-slate-700 text-xs sm:text-sm">
+        <select value={settings.view} onChange={(event) => update('view', event.target.value)} className={selectClassName}>
+          <option value={HISTORY_VIEWS.SPECTROGRAM}>Spectrogram</option>
+          <option value={HISTORY_VIEWS.WATERFALL}>Waterfall</option>
+        </select>
+        <label className="flex items-center gap-1 text-slate-400">
+          Depth
+          <select value={settings.depth} onChange={(event) => update('depth', Number(event.target.value))} className={selectClassName}>
+            {HISTORY_DEPTHS.map(depth => <option key={depth} value={depth}>{depth} frames</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-1 text-slate-400">
+          Scale
+          <select value={settings.scale} onChange={(event) => update('scale', event.target.value)} className={selectClassName}>
+            <option value={COLOR_SCALES.LINEAR}>Linear</option>
+            <option value={COLOR_SCALES.DB}>dB</option>
+          </select>
+        </label>
+        {settings.scale === COLOR_SCALES.DB && (
+          <label className="flex items-center gap-1 text-slate-400">
+            Range
+            <input
+              type="number"
+              min="10"
+              max="140"
+              step="10"
+              value={settings.dbRange}
+              onChange={(event) => update('dbRange', Math.max(10, Number(event.target.value)))}
+              className="w-16 bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1 font-mono"
+            />
+            dB
+          </label>
+        )}
+        <button
+          type="button"
+          onClick={onReset}
+          className="ml-auto flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:border-slate-400 hover:bg-slate-700 transition-colors"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Reset
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-3 sm:gap-4 lg:gap-6">
+        {channels.map(({ key, name, color }) => (
+          <SpectrogramChart
+            key={key}
+            channelName={name}
+            color={color}
+            history={historyByChannel[key]}
+            view={settings.view}
+            scale={settings.scale}
+            dbRange={settings.dbRange}
+            maxFreq={maxFreq}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SpectrumHistoryPanel;
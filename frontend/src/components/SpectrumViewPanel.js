@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { Crosshair, Lock, LockOpen, RotateCcw } from 'lucide-react';
+
+export const CURSOR_MODES = {
+  HOVER: 'hover',
+  DELTA: 'delta',
+  HARMONIC: 'harmonic',
+  SIDEBAND: 'sideband'
+};
+
+const CURSOR_OPTIONS = [
+  { value: CURSOR_MODES.HOVER, label: 'Hover only' },
+  { value: CURSOR_MODES.DELTA, label: 'Delta' },
+  { value: CURSOR_MODES.HARMONIC, label: 'Harmonics' },
+  { value: CURSOR_MODES.SIDEBAND, label: 'Sidebands' }
+];
+
+// Display settings shared by all spectrum charts, so zooming one channel
+// zooms them all. `lockedMax` freezes the linear Y scale (in each channel's unit) when set;
+// `orderAxis` labels the frequency axis in orders of the running speed.
+export const DEFAULT_SPECTRUM_VIEW = {
+  minFreq: 0,
+  maxFreq: 8000,
+  logFreq: false,
+  orderAxis: false,
+  db: false,
+  dbRange: 80,
+  lockedMax: null,
+  cursorMode: CURSOR_MODES.DELTA,
+  harmonicCount: 10,
+  sidebandSpacing: 25,
+  sidebandCount: 3
+};
+
+// Frequency window actually shown for a view: clamped to Nyquist, and above
+// DC on a log axis
+export const visibleRange = (view, nyquist, binWidth) => {
+  const floor = view.logFreq ? binWidth : 0;
+  const minFreq = Math.max(view.minFreq, floor);
+  const maxFreq = Math.min(view.maxFreq, nyquist);
+  return minFreq < maxFreq ? { minFreq, maxFreq } : { minFreq: floor, maxFreq: nyquist };
+};
+
+export const resetZoom = (view, nyquist) => ({
+  ...view,
+  minFreq: DEFAULT_SPECTRUM_VIEW.minFreq,
+  maxFreq: Math.min(DEFAULT_SPECTRUM_VIEW.maxFreq, nyquist)
+});
+
+const inputClassName = 'bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1';
+
+const toggleClassName = (active) => `px-2 py-1 rounded-lg border transition-colors ${
+  active ? 'bg-cyan-900 bg-opacity-60 border-cyan-600 text-cyan-200' : 'border-slate-600 text-slate-300 hover:bg-slate-700'
+}`;
+
+const SpectrumViewPanel = ({ view, onChange, nyquist, currentMax, runningSpeed }) => {
+  const [minFreq, setMinFreq] = useState(view.minFreq);
+  const [maxFreq, setMaxFreq] = useState(view.maxFreq);
+
+  useEffect(() => {
+    setMinFreq(Number(view.minFreq.toFixed(1)));
+    setMaxFreq(Number(view.maxFreq.toFixed(1)));
+  }, [view.minFreq, view.maxFreq]);
+
+  const update = (key, value) => onChange({ ...view, [key]: value });
+
+  const handleRangeSubmit = (event) => {
+    event.preventDefault();
+    const low = Math.max(0, Number(minFreq) || 0);
+    const high = Math.min(nyquist, Number(maxFreq) || nyquist);
+    if (low < high) onChange({ ...view, minFreq: low, maxFreq: high });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 sm:gap-3 bg-slate-800 bg-opacity-80 px-3 py-2 rounded-xl border border-slate-700 text-xs sm:text-sm">
+      <form onSubmit={handleRangeSubmit} className="flex items-center gap-1 text-slate-400">
+        Range
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={minFreq}
+          onChange={(event) => setMinFreq(event.target.value)}
+          onBlur={handleRangeSubmit}
+          className={`${inputClassName} w-20 font-mono`}
+        />
+        –
+        <input
+          type="number"
+          min="1"
+          max={nyquist}
+          step="any"
+          value={maxFreq}
+          onChange={(event) => setMaxFreq(event.target.value)}
+          onBlur={handleRangeSubmit}
+          className={`${inputClassName} w-24 font-mono`}
+        />
+        Hz
+        <button
+          type="button"
+          onClick={() => onChange({ ...view, minFreq: 0, maxFreq: nyquist })}
+          className={toggleClassName(view.minFreq === 0 && view.maxFreq >= nyquist)}
+          title={`Show 0–${nyquist.toLocaleString()} Hz`}
+        >
+          Nyquist
+        </button>
+      </form>
+
+      <button type="button" onClick={() => update('logFreq', !view.logFreq)} className={toggleClassName(view.logFreq)}>
+        Log f
+      </button>
+      <button
+        type="button"
+        onClick={() => update('orderAxis', !view.orderAxis)}
+        disabled={!runningSpeed}
+        className={`${toggleClassName(view.orderAxis && Boolean(runningSpeed))} disabled:opacity-50`}
+        title={runningSpeed ? `Orders of ${runningSpeed.toFixed(2)} Hz` : 'Needs a running speed'}
+      >
+        Orders
+      </button>
+      <button type="button" onClick={() => update('db', !view.db)} className={toggleClassName(view.db)}>
+        dB
+      </button>
+      {view.db && (
+        <label className="flex items-center gap-1 text-slate-400">
+          <input
+            type="number"
+            min="20"
+            max="160"
+            step="10"
+            value={view.dbRange}
+            onChange={(event) => update('dbRange', Math.max(20, Number(event.target.value)))}
+            className={`${inputClassName} w-16 font-mono`}
+          />
+          dB range
+        </label>
+      )}
+      <button
+        type="button"
+        onClick={() => update('lockedMax', view.lockedMax === null ? currentMax : null)}
+        className={`flex items-center gap-1 ${toggleClassName(view.lockedMax !== null)}`}
+        title={view.lockedMax === null ? 'Freeze the Y scale of all channels at the current maximum' : 'Autoscale each channel'}
+      >
+        {view.lockedMax === null ? <LockOpen className="w-4 h-4" /> : <Lock className="w-4 h-4" />}
+        {view.lockedMax === null ? 'Lock Y' : `Y ≤ ${view.lockedMax.toPrecision(3)}`}
+      </button>
+
+      <label className="flex items-center gap-1 text-slate-400">
+        <Crosshair className="w-4 h-4 text-cyan-400" />
+        <select value={view.cursorMode} onChange={(event) => update('cursorMode', event.target.value)} className={inputClassName}>
+          {CURSOR_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+      </label>
+      {view.cursorMode === CURSOR_MODES.HARMONIC && (
+        <label className="flex items-center gap-1 text-slate-400">
+          <input
+            type="number"
+            min="2"
+            max="40"
+            value={view.harmonicCount}
+            onChange={(event) => update('harmonicCount', Math.max(2, Math.min(40, Number(event.target.value) || 2)))}
+            className={`${inputClassName} w-16 font-mono`}
+          />
+          harmonics
+        </label>
+      )}
+      {view.cursorMode === CURSOR_MODES.SIDEBAND && (
+        <label className="flex items-center gap-1 text-slate-400">
+          ±
+          <input
+            type="number"
+            min="1"
+            max="20"
+            value={view.sidebandCount}
+            onChange={(event) => update('sidebandCount', Math.max(1, Math.min(20, Number(event.target.value) || 1)))}
+            className={`${inputClassName} w-14 font-mono`}
+          />
+          at
+          <input
+            type="number"
+            min="0.1"
+            step="any"
+            value={view.sidebandSpacing}
+            onChange={(event) => update('sidebandSpacing', Math.max(0.1, Number(event.target.value) || 0.1))}
+            className={`${inputClassName} w-20 font-mono`}
+          />
+          Hz spacing
+        </label>
+      )}
+
+      <button
+        type="button"
+        onClick={() => onChange(resetZoom(view, nyquist))}
+        className="ml-auto flex items-center gap-1 px-2 py-1 rounded-lg border border-slate-600 text-slate-300 hover:bg-slate-700"
+        title="Reset zoom (or double-click a chart)"
+      >
+        <RotateCcw className="w-4 h-4" />
+        Reset zoom
+      </button>
+    </div>
+  );
+};
+
+export default SpectrumViewPanel;
@@ -0,0 +1,87 @@
+import React, { useEffect, useRef } from 'react';
+import { decimateTrace } from '../utils/decimate';
+
+// Canvas layer for the data traces of an SVG chart, laid under the SVG and
+// drawn in the same viewBox units at the screen's pixel density, decimated to
+// one column per device pixel. Each trace is { values, first, last, toX, toY,
+// color, lineWidth, dash, opacity, breakAbove, fill }; `fill` ({ from, to,
+// colors: [top, bottom] }) shades the area down to `to` with a gradient from
+// `from` to `to`. `grid` ({ width, height, color }) is drawn under the traces.
+const TraceCanvas = ({ width, height, traces, clip, grid }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+
+    const scale = ((canvas.clientWidth || width) / width) * (window.devicePixelRatio || 1);
+    const pixelWidth = Math.round(width * scale);
+    const pixelHeight = Math.round(height * scale);
+    if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+      canvas.width = pixelWidth;
+      canvas.height = pixelHeight;
+    }
+    context.setTransform(scale, 0, 0, scale, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    if (grid) {
+      context.strokeStyle = grid.color;
+      context.lineWidth = 1;
+      context.beginPath();
+      for (let gridX = 0; gridX <= width; gridX += grid.width) {
+        context.moveTo(gridX, 0);
+        context.lineTo(gridX, height);
+      }
+      for (let gridY = 0; gridY <= height; gridY += grid.height) {
+        context.moveTo(0, gridY);
+        context.lineTo(width, gridY);
+      }
+      context.stroke();
+    }
+
+    context.save();
+    if (clip) {
+      context.beginPath();
+      context.rect(clip.x, clip.y, clip.width, clip.height);
+      context.clip();
+    }
+
+    traces.forEach(trace => {
+      const segments = decimateTrace(trace.values, { first: trace.first, last: trace.last, toX: trace.toX, resolution: scale, breakAbove: trace.breakAbove });
+      context.globalAlpha = trace.opacity ?? 1;
+
+      if (trace.fill) {
+        const gradient = context.createLinearGradient(0, trace.fill.from, 0, trace.fill.to);
+        gradient.addColorStop(0, trace.fill.colors[0]);
+        gradient.addColorStop(1, trace.fill.colors[1]);
+        context.fillStyle = gradient;
+        segments.forEach(points => {
+          context.beginPath();
+          context.moveTo(points[0], trace.fill.to);
+          for (let i = 0; i < points.length; i += 2) context.lineTo(points[i], trace.toY(points[i + 1]));
+          context.lineTo(points[points.length - 2], trace.fill.to);
+          context.closePath();
+          context.fill();
+        });
+      }
+
+      context.strokeStyle = trace.color;
+      context.lineWidth = trace.lineWidth || 1.5;
+      context.lineJoin = 'round';
+      context.lineCap = 'round';
+      context.setLineDash(trace.dash || []);
+      context.beginPath();
+      segments.forEach(points => {
+        context.moveTo(points[0], trace.toY(points[1]));
+        for (let i = 2; i < points.length; i += 2) context.lineTo(points[i], trace.toY(points[i + 1]));
+      });
+      context.stroke();
+    });
+    context.restore();
+  });
+
+  return <canvas ref={canvasRef} width={width} height={height} className="absolute inset-0 w-full h-full pointer-events-none" />;
+};
+
+export default TraceCanvas;
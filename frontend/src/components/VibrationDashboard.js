@@ -1,160 +1,507 @@
-import React, { useState, useEffect } from 'react';
-import { Activity, Zap, Radio, TrendingUp } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Activity, Zap, Radio, TrendingUp, ShieldCheck, BellRing, SlidersHorizontal, Layers, HardDrive, Download, FileInput, Cog, ChartSpline, LayoutGrid, MapPin, Settings2, Cpu, TriangleAlert, GitCompareArrows } from 'lucide-react';
 import ChannelChart from './LineChart';
+import DataSourcePanel from './DataSourcePanel';
+import FftSettingsPanel from './FftSettingsPanel';
+import SeverityTrendChart from './SeverityTrendChart';
+import ZoneBadge from './ZoneBadge';
+import AlarmBadge from './AlarmBadge';
+import AlarmLog from './AlarmLog';
+import AlarmRulesEditor from './AlarmRulesEditor';
+import MachineTrainEditor from './MachineTrainEditor';
+import SpectrumHistoryPanel, { DEFAULT_HISTORY_SETTINGS } from './SpectrumHistoryPanel';
+import SpectrumViewPanel, { DEFAULT_SPECTRUM_VIEW, visibleRange } from './SpectrumViewPanel';
+import BaselinePanel, { DEFAULT_BASELINE_SETTINGS } from './BaselinePanel';
+import PeakSettingsPanel from './PeakSettingsPanel';
+import PeakTrendChart, { TREND_METRICS } from './PeakTrendChart';
+import RunningSpeedPanel from './RunningSpeedPanel';
+import OrderTable from './OrderTable';
+import ChannelSettingsPanel from './ChannelSettingsPanel';
+import DeviceConfigPanel from './DeviceConfigPanel';
+import DataQualityPanel from './DataQualityPanel';
+import ChannelOverlayPanel, { DEFAULT_OVERLAY_SETTINGS } from './ChannelOverlayPanel';
+import CrossChannelPanel from './CrossChannelPanel';
+import SessionPanel from './SessionPanel';
+import ExportPanel from './ExportPanel';
+import FileDropZone from './FileDropZone';
+import ImportDialog from './ImportDialog';
+import useDataSource from '../hooks/useDataSource';
+import useAlarms from '../hooks/useAlarms';
+import useSessionRecorder from '../hooks/useSessionRecorder';
+import useFrameHistory from '../hooks/useFrameHistory';
+import useBaselines from '../hooks/useBaselines';
+import usePeakTracks from '../hooks/usePeakTracks';
+import useFrameAnalysis from '../hooks/useFrameAnalysis';
+import { LIVE_TYPES, SOURCE_TYPES, activeChannelKeys, sortChannelKeys } from '../dataSources';
+import { buildChannelList, convertSpectrum, resolveChannelSettings, unitFactor } from '../channels';
+import { deviceSettingsKey, deviceSourceConfig, pickSourceSettings } from '../devices';
+import { createSessionPlayer, loadSessionFrames } from '../sessions';
+import { IMPORT_ACCEPT, readImportFile } from '../importers';
+import { DEFAULT_FFT_SETTINGS } from '../dsp/spectrum';
+import { WINDOW_TYPES } from '../dsp/windows';
+import { DEFAULT_VELOCITY_BAND } from '../dsp/metrics';
+import { DEFAULT_AVERAGING } from '../dsp/averaging';
+import { DEFAULT_PEAK_SETTINGS, groupHarmonics, labelHarmonics } from '../dsp/peaks';
+import { alignSpectrum, compareSpectra } from '../dsp/baseline';
+import { DEFAULT_SPEED_SETTINGS, orderAmplitudes } from '../dsp/runningSpeed';
+import { frameAcquisition } from '../dsp/analyzeFrame';
+import { DEFAULT_CROSS_SETTINGS } from '../dsp/crossSpectrum';
+import { DEFAULT_MACHINE_CLASS, classifySeverity } from '../dsp/isoSeverity';
+import { LEVEL_STYLES } from '../alarms';
+import { FAULT_COLORS, buildFaultMarkers, createMachineTrain, labelPeaks } from '../kinematics';
+import { formatFrequency } from '../utils/scales';
+import { loadJSON, saveJSON } from '../utils/storage';
 
-const VibrationDashboard = () => {
-  const [vibrationData, setVibrationData] = useState({
-    Channel1: [],
-    Channel2: [],
-    Channel3: [],
-    Channel4: []
+const FFT_SETTINGS_KEY = 'vibration.fftSettings';
+const VELOCITY_BAND_KEY = 'vibration.velocityBand';
+const HISTORY_SETTINGS_KEY = 'vibration.historySettings';
+const SPECTRUM_VIEW_KEY = 'vibration.spectrumView';
+const PEAK_SETTINGS_KEY = 'vibration.peakSettings';
+const SPEED_SETTINGS_KEY = 'vibration.runningSpeed';
+const OVERLAY_SETTINGS_KEY = 'vibration.overlaySettings';
+const TREND_DEPTH = 300;
+// Shared by channels without samples so the charts see the same empty block every frame
+const EMPTY_SAMPLES = [];
+
+// Peaks are found on the spectra in g and shown in the channel's unit
+const convertPeaks = (peaks, unit) => peaks.map(peak => ({ ...peak, magnitude: peak.magnitude * unitFactor(unit, peak.frequency) }));
+
+const PeakCard = ({ channelName, location, unit, peaks, orders, color, zone, alarm }) => {
+  const alarmClassName = alarm ? LEVEL_STYLES[alarm.level].card : 'border-slate-700 hover:border-slate-600';
+  return (
+    <div className={`bg-slate-800 rounded-xl shadow-lg p-4 sm:p-6 border ${alarmClassName} hover:shadow-2xl transition-all duration-300 transform hover:-translate-y-1`}>
+      <div className="flex items-center gap-2 sm:gap-3 mb-3 sm:mb-4">
+        <div className="w-3 h-3 sm:w-4 sm:h-4 rounded-full animate-pulse" style={{ backgroundColor: color }}></div>
+        <h3 className="text-base sm:text-lg font-bold text-slate-100">{channelName}</h3>
+        {location && <span className="text-xs text-slate-400 truncate">{location}</span>}
+        <ZoneBadge zone={zone} />
+        <AlarmBadge alarm={alarm} />
+        <TrendingUp className="w-4 h-4 sm:w-5 sm:h-5 ml-auto text-slate-400" />
+      </div>
+      <div className="space-y-2">
+        {peaks.length > 0 ? (
+          peaks.map((peak, index) => (
+            <div key={index} className="flex justify-between items-center p-2 sm:p-3 bg-slate-700 bg-opacity-50 rounded-lg text-xs sm:text-sm border border-slate-600 hover:border-slate-500 transition-colors">
+              <div className="flex items-center gap-2">
+                <span className="w-1.5 h-1.5 sm:w-2 sm:h-2 rounded-full" style={{ backgroundColor: color }}></span>
+                <span className="font-mono font-semibold text-cyan-400">
+                  {peak.frequency >= 1000 ? `${(peak.frequency/1000).toFixed(2)} kHz` : `${peak.frequency.toFixed(1)} Hz`}
+                </span>
+                {peak.harmonic && (
+                  <span
+                    className="px-1.5 py-0.5 rounded border border-slate-600 bg-slate-900 text-[10px] sm:text-xs font-mono text-slate-300"
+                    title={`Harmonic ${peak.harmonic.order} of ${peak.harmonic.fundamental.toFixed(2)} Hz`}
+                  >
+                    {peak.harmonic.order}×
+                  </span>
+                )}
+                {peak.fault && (
+                  <span
+                    className="px-1.5 py-0.5 rounded border border-slate-600 bg-slate-900 text-[10px] sm:text-xs font-bold truncate"
+                    style={{ color: FAULT_COLORS[peak.fault.kind] }}
+                    title={peak.fault.name}
+                  >
+                    {peak.fault.short}
+                  </span>
+                )}
+              </div>
+              <div>
+                <span className="font-mono font-bold text-emerald-400">{peak.magnitude.toFixed(4)}</span>
+                <span className="ml-1 text-slate-400">{unit}</span>
+              </div>
+            </div>
+          ))
+        ) : (
+          <div className="text-slate-500 text-xs sm:text-sm text-center py-6 sm:py-8">No peaks detected</div>
+        )}
+      </div>
+      {orders && (
+        <div className="mt-3 sm:mt-4">
+          <OrderTable orders={orders} unit={unit} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Per-channel dashboard of one registered device. Source changes made here
+// are saved back to the registry through `onDeviceChange`.
+const VibrationDashboard = ({ device, onDeviceChange, onBack }) => {
+  const [sourceConfig, setSourceConfig] = useState(() => deviceSourceConfig(device));
+  const [fftSettings, setFftSettings] = useState(() => ({
+    ...DEFAULT_FFT_SETTINGS,
+    ...loadJSON(FFT_SETTINGS_KEY, {})
+  }));
+  const [velocityBand, setVelocityBand] = useState(() => loadJSON(VELOCITY_BAND_KEY, DEFAULT_VELOCITY_BAND));
+  const [machineClasses, setMachineClasses] = useState(() => loadJSON(deviceSettingsKey(device.id, 'machineClasses'), {}));
+  const [showAlarmRules, setShowAlarmRules] = useState(false);
+  const [machineTrains, setMachineTrains] = useState(() => loadJSON(deviceSettingsKey(device.id, 'machineTrains'), {}));
+  const [showKinematics, setShowKinematics] = useState(false);
+  const [peakSettings, setPeakSettings] = useState(() => ({
+    ...DEFAULT_PEAK_SETTINGS,
+    ...loadJSON(PEAK_SETTINGS_KEY, {})
+  }));
+  const [showPeakTrends, setShowPeakTrends] = useState(false);
+  const [showChannelSettings, setShowChannelSettings] = useState(false);
+  const [showDeviceConfig, setShowDeviceConfig] = useState(false);
+  const [showQuality, setShowQuality] = useState(false);
+  const [speedSettings, setSpeedSettings] = useState(() => ({
+    ...DEFAULT_SPEED_SETTINGS,
+    ...loadJSON(SPEED_SETTINGS_KEY, {})
+  }));
+  const [trendMetric, setTrendMetric] = useState(TREND_METRICS.MAGNITUDE);
+  const [averagingSettings, setAveragingSettings] = useState(() => loadJSON(deviceSettingsKey(device.id, 'averaging'), {}));
+  const [baselineSettings, setBaselineSettings] = useState(() => ({
+    ...DEFAULT_BASELINE_SETTINGS,
+    ...loadJSON(deviceSettingsKey(device.id, 'baselineSettings'), {})
+  }));
+  const baselines = useBaselines(device.id);
+  const [historySettings, setHistorySettings] = useState(() => ({
+    ...DEFAULT_HISTORY_SETTINGS,
+    ...loadJSON(HISTORY_SETTINGS_KEY, {})
+  }));
+  const [spectrumView, setSpectrumView] = useState(() => ({
+    ...DEFAULT_SPECTRUM_VIEW,
+    ...loadJSON(SPECTRUM_VIEW_KEY, {})
+  }));
+  const [overlaySettings, setOverlaySettings] = useState(() => ({
+    ...DEFAULT_OVERLAY_SETTINGS,
+    ...loadJSON(OVERLAY_SETTINGS_KEY, {})
+  }));
+  const [crossSettings, setCrossSettings] = useState(() => ({
+    ...DEFAULT_CROSS_SETTINGS,
+    ...loadJSON(deviceSettingsKey(device.id, 'crossChannel'), {})
+  }));
+  const [replay, setReplay] = useState(null);
+  const [importDraft, setImportDraft] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const recorder = useSessionRecorder(device.id);
+
+  // A session replay temporarily replaces the live source without touching its settings
+  const activeSourceConfig = useMemo(
+    () => (replay ? { ...sourceConfig, type: SOURCE_TYPES.SESSION, player: replay.player } : sourceConfig),
+    [replay, sourceConfig]
+  );
+  const { frame, loading, lastUpdate, error, streamStats } = useDataSource(activeSourceConfig, {
+    // Only live frames are recorded, never replayed or imported ones
+    onFrame: (incoming) => {
+      if (!LIVE_TYPES.includes(activeSourceConfig.type)) return;
+      const { samplingFreq, fftSize } = frameAcquisition(incoming);
+      recorder.recordFrame({ ...incoming, acquisition: { samplingFreq, fftSize } });
+    }
   });
-  const [loading, setLoading] = useState(false);
-  const [lastUpdate, setLastUpdate] = useState(null);
-  const [error, setError] = useState(null);
-
-  // FFT Parameters
-  const SAMPLING_FREQ = 30000;
-  const FFT_SIZE = 4096;
-  const FFT_MAGNITUDE = 2048;
-
-  const fetchVibrationData = async () => {
-    setLoading(true);
-    setError(null);
-    
-    try {
-      const response = await fetch('https://cmti-edge.online/ESP32/TestVibration.php', {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      if (data.success && data.data) {
-        setVibrationData({
-          Channel1: data.data.V1 || [],
-          Channel2: data.data.V2 || [],
-          Channel3: data.data.V3 || [],
-          Channel4: data.data.V4 || []
-        });
-        setLastUpdate(new Date(data.timestamp));
-      } else {
-        throw new Error(data.message || 'Failed to fetch data');
-      }
-    } catch (err) {
-      console.error('Error fetching vibration data:', err);
-      setError(err.message);
-    } finally {
-      setLoading(false);
+  // What the device itself reports, whatever the spectrum mode
+  const deviceAcquisition = useMemo(() => (lastUpdate ? frameAcquisition(frame) : null), [frame, lastUpdate]);
+
+  const analysisOptions = useMemo(
+    () => ({ fftSettings, velocityBand, peakSettings, speedSettings }),
+    [fftSettings, velocityBand, peakSettings, speedSettings]
+  );
+  // Analysis runs in a worker and may lag the source by a frame; everything
+  // below follows the frame that was analyzed
+  const {
+    analysis,
+    frame: analyzedFrame,
+    resetAveraging,
+    resetCross
+  } = useFrameAnalysis(frame, { options: analysisOptions, averaging: averagingSettings, cross: crossSettings });
+  const analyzedAt = analyzedFrame.timestamp;
+  const {
+    browserFft,
+    spectra: vibrationData,
+    metrics: channelMetrics,
+    runningSpeed,
+    enbw,
+    warnings,
+    averaged
+  } = analysis;
+  const SAMPLING_FREQ = analysis.samplingFreq;
+  const FFT_SIZE = analysis.fftSize;
+  const RAW_SAMPLING_FREQ = analysis.rawSamplingFreq;
+
+  // The channels the source reports, less the ones disabled in the channel settings
+  // Kept stable across frames while the set of channels stays the same
+  const reportedKeys = activeChannelKeys(vibrationData).join(',');
+  const CHANNEL_KEYS = useMemo(
+    () => reportedKeys.split(',').filter(key => resolveChannelSettings(device.channels, key).enabled),
+    [reportedKeys, device.channels]
+  );
+  const channelList = useMemo(() => buildChannelList(CHANNEL_KEYS, device.channels), [CHANNEL_KEYS, device.channels]);
+  const channelSettings = useMemo(() => channelList.reduce((acc, channel) => {
+    acc[channel.key] = channel;
+    return acc;
+  }, {}), [channelList]);
+  const toUnit = useCallback(
+    (key, magnitudes) => convertSpectrum(magnitudes, channelSettings[key].unit, { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE }),
+    [channelSettings, SAMPLING_FREQ, FFT_SIZE]
+  );
+
+  // Peaks and chart stats follow the averaged spectra; alarms, history and
+  // export keep using each frame as received. All of it is derived once per
+  // analyzed frame.
+  const displaySpectra = averaged.spectra;
+  useEffect(() => resetAveraging(), [activeSourceConfig, resetAveraging]);
+  const displayPeaks = useMemo(() => CHANNEL_KEYS.reduce((acc, key) => {
+    acc[key] = convertPeaks(averaged.peaks[key], channelSettings[key].unit);
+    return acc;
+  }, {}), [CHANNEL_KEYS, averaged, channelSettings]);
+  const unitSpectra = useMemo(() => CHANNEL_KEYS.reduce((acc, key) => {
+    acc[key] = toUnit(key, displaySpectra[key]);
+    return acc;
+  }, {}), [CHANNEL_KEYS, displaySpectra, toUnit]);
+
+  // Baselines are kept in g and re-sampled onto the live bins when taken
+  // with other acquisition settings
+  const activeBaseline = baselines.baselines.find(baseline => baseline.id === baselineSettings.activeId);
+  const baselineComparisons = useMemo(() => CHANNEL_KEYS.reduce((acc, key) => {
+    const reference = activeBaseline && activeBaseline.spectra[key];
+    if (!reference || displaySpectra[key].length === 0) return acc;
+    const binWidth = SAMPLING_FREQ / FFT_SIZE;
+    const aligned = toUnit(key, alignSpectrum(reference, activeBaseline.samplingFreq / activeBaseline.fftSize, displaySpectra[key].length, binWidth));
+    acc[key] = {
+      aligned,
+      ...compareSpectra(unitSpectra[key], aligned, { binWidth, marginDb: baselineSettings.marginDb })
+    };
+    return acc;
+  }, {}), [CHANNEL_KEYS, activeBaseline, displaySpectra, unitSpectra, toUnit, SAMPLING_FREQ, FFT_SIZE, baselineSettings.marginDb]);
+
+  const getAveraging = (key) => averagingSettings[key] || DEFAULT_AVERAGING;
+
+  const faultMarkers = useMemo(() => CHANNEL_KEYS.reduce((acc, key) => {
+    acc[key] = buildFaultMarkers(machineTrains[key], SAMPLING_FREQ / 2);
+    return acc;
+  }, {}), [CHANNEL_KEYS, machineTrains, SAMPLING_FREQ]);
+  const labeledPeaks = useMemo(() => CHANNEL_KEYS.reduce((acc, key) => {
+    const families = groupHarmonics(displayPeaks[key], { tolerance: peakSettings.harmonicTolerance });
+    acc[key] = labelPeaks(labelHarmonics(displayPeaks[key], families), faultMarkers[key], {
+      tolerance: (machineTrains[key] || createMachineTrain()).tolerance,
+      binWidth: SAMPLING_FREQ / FFT_SIZE
+    });
+    return acc;
+  }, {}), [CHANNEL_KEYS, displayPeaks, faultMarkers, machineTrains, peakSettings.harmonicTolerance, SAMPLING_FREQ, FFT_SIZE]);
+
+  const orderTables = useMemo(() => CHANNEL_KEYS.reduce((acc, key) => {
+    acc[key] = runningSpeed
+      ? orderAmplitudes(unitSpectra[key], runningSpeed.frequency, { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE })
+      : null;
+    return acc;
+  }, {}), [CHANNEL_KEYS, unitSpectra, runningSpeed, SAMPLING_FREQ, FFT_SIZE]);
+
+  const [peakTracks, resetPeakTracks] = usePeakTracks(analyzedAt, displayPeaks, {
+    binWidth: SAMPLING_FREQ / FFT_SIZE,
+    depth: TREND_DEPTH
+  });
+  useEffect(() => resetPeakTracks(), [activeSourceConfig, peakSettings, device.channels, resetPeakTracks]);
+
+  const getMachineClass = (key) => machineClasses[key] || DEFAULT_MACHINE_CLASS;
+  const zones = useMemo(() => CHANNEL_KEYS.reduce((acc, key) => {
+    acc[key] = analyzedAt ? classifySeverity(channelMetrics[key].velocityRms, machineClasses[key] || DEFAULT_MACHINE_CLASS) : null;
+    return acc;
+  }, {}), [CHANNEL_KEYS, analyzedAt, channelMetrics, machineClasses]);
+
+  const [severityHistory] = useFrameHistory(analyzedAt, {
+    velocity: CHANNEL_KEYS.reduce((acc, key) => {
+      acc[key] = channelMetrics[key].velocityRms;
+      return acc;
+    }, {})
+  }, TREND_DEPTH);
+
+  // Copied only when a new frame is analyzed, as the history keeps every copy
+  const historyEntry = useMemo(() => ({
+    binWidth: SAMPLING_FREQ / FFT_SIZE,
+    spectra: CHANNEL_KEYS.reduce((acc, key) => {
+      acc[key] = Float32Array.from(vibrationData[key]);
+      return acc;
+    }, {})
+  }), [CHANNEL_KEYS, vibrationData, SAMPLING_FREQ, FFT_SIZE]);
+  const [spectrumHistory, resetSpectrumHistory] = useFrameHistory(analyzedAt, historyEntry, historySettings.depth);
+
+  const alarms = useAlarms(device.id, analyzedAt, CHANNEL_KEYS.reduce((acc, key) => {
+    acc[key] = {
+      magnitudes: vibrationData[key],
+      metrics: channelMetrics[key],
+      samplingFreq: SAMPLING_FREQ,
+      fftSize: FFT_SIZE,
+      enbw
+    };
+    return acc;
+  }, {}));
+  const activeAlarmCount = Object.keys(alarms.channelAlarms).length;
+
+  // A saved pair falls back to the first channels when the device lacks them,
+  // as the analysis does
+  const crossPair = {
+    ...crossSettings,
+    channelA: CHANNEL_KEYS.includes(crossSettings.channelA) ? crossSettings.channelA : CHANNEL_KEYS[0],
+    channelB: CHANNEL_KEYS.includes(crossSettings.channelB) ? crossSettings.channelB : CHANNEL_KEYS[1] || CHANNEL_KEYS[0]
+  };
+  const crossChannel = analysis.cross;
+  useEffect(() => resetCross(), [activeSourceConfig, resetCross]);
+
+  // Largest magnitude on screen across all channels, used when locking the Y scale
+  const displayRange = visibleRange(spectrumView, SAMPLING_FREQ / 2, SAMPLING_FREQ / FFT_SIZE);
+  const displayMax = useMemo(() => CHANNEL_KEYS.reduce((max, key) => {
+    const binWidth = SAMPLING_FREQ / FFT_SIZE;
+    const first = Math.max(1, Math.floor(displayRange.minFreq / binWidth));
+    const last = Math.min(unitSpectra[key].length - 1, Math.ceil(displayRange.maxFreq / binWidth));
+    for (let i = first; i <= last; i++) {
+      if (unitSpectra[key][i] > max) max = unitSpectra[key][i];
     }
+    return max;
+  }, 1e-3), [CHANNEL_KEYS, unitSpectra, displayRange.minFreq, displayRange.maxFreq, SAMPLING_FREQ, FFT_SIZE]);
+
+  const handleFftSettingsChange = (settings) => {
+    saveJSON(FFT_SETTINGS_KEY, settings);
+    setFftSettings(settings);
+  };
+
+  const handleVelocityBandChange = (band) => {
+    saveJSON(VELOCITY_BAND_KEY, band);
+    setVelocityBand(band);
+  };
+
+  const handleHistorySettingsChange = (settings) => {
+    saveJSON(HISTORY_SETTINGS_KEY, settings);
+    setHistorySettings(settings);
   };
 
-  
-  useEffect(() => {
-    fetchVibrationData();
-    const interval = setInterval(fetchVibrationData, 4000);
-    return () => clearInterval(interval);
+  const handleSpectrumViewChange = useCallback((view) => {
+    saveJSON(SPECTRUM_VIEW_KEY, view);
+    setSpectrumView(view);
   }, []);
 
-  const binToFrequency = (binIndex) => {
-    return (binIndex * SAMPLING_FREQ) / FFT_SIZE;
-  };
-
-  const findPeaks = (magnitudeData, minHeight = 0.001, minDistance = 5) => {
-    if (!magnitudeData || magnitudeData.length === 0) return [];
-    
-    const peaks = [];
-    
-    for (let i = minDistance; i < magnitudeData.length - minDistance; i++) {
-      const current = magnitudeData[i];
-      
-      if (current < minHeight) continue;
-      
-      let isPeak = true;
-      for (let j = i - minDistance; j <= i + minDistance; j++) {
-        if (j !== i && magnitudeData[j] >= current) {
-          isPeak = false;
-          break;
-        }
-      }
-      
-      if (isPeak) {
-        peaks.push({
-          binIndex: i,
-          frequency: binToFrequency(i),
-          magnitude: current
-        });
-      }
+  const handleAveragingChange = useCallback((key, settings) => {
+    const next = { ...averagingSettings, [key]: settings };
+    saveJSON(deviceSettingsKey(device.id, 'averaging'), next);
+    setAveragingSettings(next);
+    resetAveraging(key);
+  }, [device.id, averagingSettings, resetAveraging]);
+
+  const handleBaselineSettingsChange = (settings) => {
+    saveJSON(deviceSettingsKey(device.id, 'baselineSettings'), settings);
+    setBaselineSettings(settings);
+  };
+
+  const handleBaselineCapture = (name) => baselines.capture(name, displaySpectra, {
+    samplingFreq: SAMPLING_FREQ,
+    fftSize: FFT_SIZE
+  });
+
+  const handleBaselineDelete = async (id) => {
+    await baselines.remove(id);
+    if (baselineSettings.activeId === id) handleBaselineSettingsChange({ ...baselineSettings, activeId: null });
+  };
+
+  const handleOverlaySettingsChange = (settings) => {
+    saveJSON(OVERLAY_SETTINGS_KEY, settings);
+    setOverlaySettings(settings);
+  };
+
+  const handleCrossSettingsChange = (settings) => {
+    saveJSON(deviceSettingsKey(device.id, 'crossChannel'), settings);
+    setCrossSettings(settings);
+    resetCross();
+  };
+
+  const handleSpeedSettingsChange = (settings) => {
+    saveJSON(SPEED_SETTINGS_KEY, settings);
+    setSpeedSettings(settings);
+  };
+
+  const handlePeakSettingsChange = (settings) => {
+    saveJSON(PEAK_SETTINGS_KEY, settings);
+    setPeakSettings(settings);
+  };
+
+  const handleMachineTrainsChange = (trains) => {
+    saveJSON(deviceSettingsKey(device.id, 'machineTrains'), trains);
+    setMachineTrains(trains);
+  };
+
+  const handleMachineClassChange = (key, machineClass) => {
+    const next = { ...machineClasses, [key]: machineClass };
+    saveJSON(deviceSettingsKey(device.id, 'machineClasses'), next);
+    setMachineClasses(next);
+  };
+
+  // Calibration is applied by the source, so it restarts with the new settings
+  const handleChannelSettingsSave = (channels) => {
+    onDeviceChange({ ...device, channels });
+    setSourceConfig(current => ({ ...current, channels }));
+    setShowChannelSettings(false);
+  };
+
+  // A replay file only replaces the source for this view; the device keeps its live source
+  const handleSourceChange = (config) => {
+    setReplay(null);
+    if (LIVE_TYPES.includes(config.type)) onDeviceChange({ ...device, source: pickSourceSettings(config) });
+    setSourceConfig({ ...config, player: null });
+  };
+
+  const handleReplay = async (session) => {
+    const frames = await loadSessionFrames(session.id);
+    setReplay({ name: session.name, player: createSessionPlayer(frames) });
+  };
+
+  const handleImportFile = async (file) => {
+    if (recorder.recording) {
+      setImportError(`${file.name}: stop the recording before importing a file`);
+      return;
+    }
+    try {
+      setImportDraft(await readImportFile(file));
+      setImportError(null);
+    } catch (err) {
+      setImportError(`${file.name}: ${err.message}`);
     }
-    
-    return peaks.sort((a, b) => b.magnitude - a.magnitude).slice(0, 5);
   };
 
-  const calculateStats = (data) => {
-    if (!data || data.length === 0) return { 
-      min: 0, max: 0, avg: 0, rms: 0, peaks: [] 
-    };
-    
-    const min = Math.min(...data);
-    const max = Math.max(...data);
-    const avg = data.reduce((sum, val) => sum + val, 0) / data.length;
-    const rms = Math.sqrt(data.reduce((sum, val) => sum + val * val, 0) / data.length);
-    const peaks = findPeaks(data);
-    
-    return { min, max, avg, rms, peaks };
-  };
-
-  const colors = {
-    Channel1: '#10b981',
-    Channel2: '#3b82f6', 
-    Channel3: '#8b5cf6',
-    Channel4: '#ec4899'
-  };
-
-  const PeakCard = ({ channelName, peaks, color }) => {
-    return (
-      <div className="bg-slate-800 rounded-xl shadow-lg p-4 sm:p-6 border border-slate-700 hover:border-slate-600 hover:shadow-2xl transition-all duration-300 transform hover:-translate-y-1">
-        <div className="flex items-center gap-2 sm:gap-3 mb-3 sm:mb-4">
-          <div className="w-3 h-3 sm:w-4 sm:h-4 rounded-full animate-pulse" style={{ backgroundColor: color }}></div>
-          <h3 className="text-base sm:text-lg font-bold text-slate-100">{channelName}</h3>
-          <TrendingUp className="w-4 h-4 sm:w-5 sm:h-5 ml-auto text-slate-400" />
-        </div>
-        <div className="space-y-2">
-          {peaks.length > 0 ? (
-            peaks.map((peak, index) => (
-              <div key={index} className="flex justify-between items-center p-2 sm:p-3 bg-slate-700 bg-opacity-50 rounded-lg text-xs sm:text-sm border border-slate-600 hover:border-slate-500 transition-colors">
-                <div className="flex items-center gap-2">
-                  <span className="w-1.5 h-1.5 sm:w-2 sm:h-2 rounded-full" style={{ backgroundColor: color }}></span>
-                  <span className="font-mono font-semibold text-cyan-400">
-                    {peak.frequency >= 1000 ? `${(peak.frequency/1000).toFixed(2)} kHz` : `${peak.frequency.toFixed(1)} Hz`}
-                  </span>
-                </div>
-                <div>
-                  <span className="font-mono font-bold text-emerald-400">{peak.magnitude.toFixed(4)}</span>
-                </div>
-              </div>
-            ))
-          ) : (
-            <div className="text-slate-500 text-xs sm:text-sm text-center py-6 sm:py-8">No peaks detected</div>
-          )}
-        </div>
-      </div>
-    );
+  // Imported files play back through the session player, like recorded sessions
+  const handleImport = (frames) => {
+    setReplay({ name: importDraft.fileName, player: createSessionPlayer(frames) });
+    setImportDraft(null);
   };
-  
+
   return (
-    <div className="w-full min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 p-2 sm:p-4 lg:p-6">
+    <FileDropZone onFile={handleImportFile} className="w-full min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 p-2 sm:p-4 lg:p-6">
       <div className="max-w-[2000px] mx-auto">
         {/* Header Section */}
         <div className="mb-4 sm:mb-6 lg:mb-8 bg-gradient-to-r from-slate-800 to-slate-900 rounded-2xl shadow-2xl p-4 sm:p-6 lg:p-8 border border-slate-700 relative overflow-hidden">
           <div className="absolute inset-0 bg-gradient-to-r from-cyan-500/10 via-purple-500/10 to-pink-500/10"></div>
           <div className="relative z-10">
+            <div className="flex flex-wrap items-center gap-2 sm:gap-3 mb-2 text-xs sm:text-sm">
+              <button
+                type="button"
+                onClick={onBack}
+                className="flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:border-slate-400 hover:bg-slate-700 transition-colors"
+              >
+                <LayoutGrid className="w-4 h-4" />
+                Fleet
+              </button>
+              <span className="font-bold text-slate-100">{device.name}</span>
+              {device.location && (
+                <span className="flex items-center gap-1 text-slate-400">
+                  <MapPin className="w-3 h-3" />
+                  {device.location}
+                </span>
+              )}
+              <button
+                type="button"
+                onClick={() => setShowDeviceConfig(!showDeviceConfig)}
+                className="ml-auto flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:border-slate-400 hover:bg-slate-700 transition-colors"
+              >
+                <Cpu className="w-4 h-4" />
+                {showDeviceConfig ? 'Hide device config' : 'Device config'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowChannelSettings(!showChannelSettings)}
+                className="flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:border-slate-400 hover:bg-slate-700 transition-colors"
+              >
+                <Settings2 className="w-4 h-4" />
+                {showChannelSettings ? 'Hide channels' : 'Channels'}
+              </button>
+            </div>
             <div className="flex items-center justify-center gap-2 sm:gap-3 mb-3 sm:mb-4">
               <Radio className="w-6 h-6 sm:w-8 sm:h-8 lg:w-10 lg:h-10 text-cyan-400 animate-pulse" />
               <h1 className="text-2xl sm:text-3xl lg:text-4xl xl:text-5xl font-bold text-slate-100">
@@ -175,14 +522,21 @@ const VibrationDashboard = () => {
                   <Activity className="w-3 h-3 sm:w-4 sm:h-4 text-emerald-400" />
                   <div className="font-bold text-slate-300 text-base">FFT Size</div>
                 </div>
-                <div className="text-base sm:text-lg lg:text-xl font-mono font-bold text-emerald-400">{FFT_SIZE.toLocaleString()}</div>
+                <div className="text-base sm:text-lg lg:text-xl font-mono font-bold text-emerald-400">
+                  {FFT_SIZE.toLocaleString()}
+                  <span className="ml-2 text-xs sm:text-sm font-medium text-slate-400">
+                    {browserFft ? `${WINDOW_TYPES[fftSettings.window].label}, ${fftSettings.overlap * 100}% overlap` : 'device'}
+                  </span>
+                </div>
               </div>
               <div className="bg-slate-800 bg-opacity-80 backdrop-blur-sm p-2 sm:p-3 lg:p-4 rounded-xl border border-slate-700 sm:col-span-2 lg:col-span-1">
                 <div className="flex items-center gap-2 mb-1">
                   <TrendingUp className="w-3 h-3 sm:w-4 sm:h-4 text-purple-400" />
                   <div className="font-bold text-slate-300 text-base">Display Range</div>
                 </div>
-                <div className="text-base sm:text-lg lg:text-xl font-mono font-bold text-purple-400">0 - 8 kHz</div>
+                <div className="text-base sm:text-lg lg:text-xl font-mono font-bold text-purple-400">
+                  {formatFrequency(displayRange.minFreq, 0)} – {formatFrequency(displayRange.maxFreq, 0)}
+                </div>
               </div>
             </div>
           
@@ -191,62 +545,382 @@ const VibrationDashboard = () => {
                 <div className={`w-2 h-2 sm:w-3 sm:h-3 rounded-full ${loading ? 'bg-yellow-400 animate-ping' : 'bg-emerald-400'}`}></div>
                 <span className="font-medium text-slate-200">{loading ? 'Updating...' : 'Live'}</span>
               </div>
+              <div className="flex items-center gap-2 bg-slate-800 bg-opacity-80 backdrop-blur-sm px-3 py-1.5 sm:px-4 sm:py-2 rounded-full border border-slate-700 font-mono text-slate-300">
+                <span className="text-cyan-400">{streamStats.fps.toFixed(1)} fps</span>
+                {streamStats.latency !== null && <span>{Math.round(streamStats.latency)} ms</span>}
+                {streamStats.dropped > 0 && <span className="text-yellow-400">{streamStats.dropped} dropped</span>}
+              </div>
+              {lastUpdate && (
+                <span className="font-mono text-slate-400">{lastUpdate.toLocaleTimeString()}</span>
+              )}
+              {warnings.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setShowQuality(!showQuality)}
+                  className="flex items-center gap-2 text-yellow-200 bg-yellow-900 bg-opacity-50 backdrop-blur-sm px-3 py-1.5 sm:px-4 sm:py-2 rounded-full border border-yellow-700"
+                >
+                  <TriangleAlert className="w-4 h-4" />
+                  <span className="font-medium">{warnings.length} data warning{warnings.length > 1 ? 's' : ''}</span>
+                </button>
+              )}
+              {activeAlarmCount > 0 && (
+                <div className="flex items-center gap-2 text-orange-200 bg-orange-900 bg-opacity-50 backdrop-blur-sm px-3 py-1.5 sm:px-4 sm:py-2 rounded-full border border-orange-600">
+                  <BellRing className="w-4 h-4" />
+                  <span className="font-medium">{activeAlarmCount} channel{activeAlarmCount > 1 ? 's' : ''} in alarm</span>
+                </div>
+              )}
               {error && (
                 <div className="flex items-center gap-2 text-red-200 bg-red-900 bg-opacity-50 backdrop-blur-sm px-3 py-1.5 sm:px-4 sm:py-2 rounded-full border border-red-700">
                   <span className="font-medium">⚠ {error}</span>
                 </div>
               )}
+              {importError && (
+                <button
+                  type="button"
+                  onClick={() => setImportError(null)}
+                  title="Dismiss"
+                  className="flex items-center gap-2 text-red-200 bg-red-900 bg-opacity-50 backdrop-blur-sm px-3 py-1.5 sm:px-4 sm:py-2 rounded-full border border-red-700"
+                >
+                  <span className="font-medium">⚠ {importError}</span>
+                </button>
+              )}
+            </div>
+
+            <div className="mt-3 sm:mt-4 flex flex-wrap items-stretch gap-2">
+              <div className="flex-1">
+                <DataSourcePanel config={sourceConfig} onChange={handleSourceChange} />
+              </div>
+              <label
+                className={`flex items-center gap-2 bg-slate-800 bg-opacity-80 backdrop-blur-sm px-3 py-2 rounded-xl border border-slate-700 text-xs sm:text-sm text-slate-300 hover:text-slate-100 ${recorder.recording ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                title="Analyze a CSV, WAV or JSON file offline. Files can also be dropped anywhere on the page."
+              >
+                <FileInput className="w-4 h-4 text-cyan-400" />
+                <span>Import file…</span>
+                <input
+                  type="file"
+                  accept={IMPORT_ACCEPT}
+                  disabled={Boolean(recorder.recording)}
+                  onChange={(event) => {
+                    if (event.target.files[0]) handleImportFile(event.target.files[0]);
+                    event.target.value = '';
+                  }}
+                  className="hidden"
+                />
+              </label>
+            </div>
+            <div className="mt-2">
+              <FftSettingsPanel
+                settings={fftSettings}
+                onChange={handleFftSettingsChange}
+                hasSamples={Boolean(frame.samples)}
+                velocityBand={velocityBand}
+                onVelocityBandChange={handleVelocityBandChange}
+              />
             </div>
+            {showQuality && warnings.length > 0 && (
+              <div className="mt-2">
+                <DataQualityPanel warnings={warnings} channels={channelList} />
+              </div>
+            )}
+            {showDeviceConfig && (
+              <div className="mt-2">
+                <DeviceConfigPanel device={device} acquisition={deviceAcquisition} onDeviceChange={onDeviceChange} />
+              </div>
+            )}
+            {showChannelSettings && (
+              <div className="mt-2">
+                <ChannelSettingsPanel
+                  channels={buildChannelList(
+                    sortChannelKeys(new Set([...reportedKeys.split(','), ...Object.keys(device.channels || {})])),
+                    device.channels
+                  )}
+                  deviceName={device.name}
+                  onSave={handleChannelSettingsSave}
+                />
+              </div>
+            )}
           </div>
         </div>
 
         {/* Peak Detection Section */}
         <div className="mb-4 sm:mb-6 lg:mb-8">
-          <h2 className="text-xl sm:text-2xl lg:text-3xl font-bold text-slate-100 mb-3 sm:mb-4 lg:mb-6 flex items-center gap-2 sm:gap-3">
-            <TrendingUp className="w-5 h-5 sm:w-6 sm:h-6 lg:w-8 lg:h-8 text-cyan-400" />
-            Peak Detection
-          </h2>
+          <div className="flex items-center gap-2 sm:gap-3 mb-3 sm:mb-4 lg:mb-6">
+            <h2 className="text-xl sm:text-2xl lg:text-3xl font-bold text-slate-100 flex items-center gap-2 sm:gap-3">
+              <TrendingUp className="w-5 h-5 sm:w-6 sm:h-6 lg:w-8 lg:h-8 text-cyan-400" />
+              Peak Detection
+            </h2>
+            <button
+              type="button"
+              onClick={() => setShowPeakTrends(!showPeakTrends)}
+              className="ml-auto flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 text-xs sm:text-sm hover:border-slate-400 hover:bg-slate-700 transition-colors"
+            >
+              <ChartSpline className="w-4 h-4" />
+              {showPeakTrends ? 'Hide trends' : 'Peak trends'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowKinematics(!showKinematics)}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 text-xs sm:text-sm hover:border-slate-400 hover:bg-slate-700 transition-colors"
+            >
+              <Cog className="w-4 h-4" />
+              {showKinematics ? 'Hide kinematics' : 'Machine kinematics'}
+            </button>
+          </div>
+          <div className="mb-3 sm:mb-4 space-y-2">
+            <PeakSettingsPanel settings={peakSettings} onChange={handlePeakSettingsChange} />
+            <RunningSpeedPanel settings={speedSettings} onChange={handleSpeedSettingsChange} speed={runningSpeed} channels={channelList} />
+          </div>
+          {showKinematics && (
+            <div className="mb-3 sm:mb-4">
+              <MachineTrainEditor trains={machineTrains} onChange={handleMachineTrainsChange} channels={channelList} />
+            </div>
+          )}
           <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-3 sm:gap-4 lg:gap-6">
-            <PeakCard channelName="Channel 1" peaks={calculateStats(vibrationData.Channel1).peaks} color={colors.Channel1} />
-            <PeakCard channelName="Channel 2" peaks={calculateStats(vibrationData.Channel2).peaks} color={colors.Channel2} />
-            <PeakCard channelName="Channel 3" peaks={calculateStats(vibrationData.Channel3).peaks} color={colors.Channel3} />
-            <PeakCard channelName="Channel 4" peaks={calculateStats(vibrationData.Channel4).peaks} color={colors.Channel4} />
+            {channelList.map(({ key, ...channel }) => (
+              <PeakCard
+                key={key}
+                channelName={channel.name}
+                location={channel.location}
+                unit={channel.unit}
+                peaks={labeledPeaks[key]}
+                orders={orderTables[key]}
+                color={channel.color}
+                zone={zones[key]}
+                alarm={alarms.channelAlarms[key]}
+              />
+            ))}
           </div>
+          {showPeakTrends && (
+            <div className="mt-3 sm:mt-4 space-y-2">
+              <div className="flex items-center gap-2 text-xs sm:text-sm">
+                <select
+                  value={trendMetric}
+                  onChange={(event) => setTrendMetric(event.target.value)}
+                  className="bg-slate-900 text-slate-200 border border-slate-600 rounded-lg px-2 py-1"
+                >
+                  <option value={TREND_METRICS.MAGNITUDE}>Amplitude trend</option>
+                  <option value={TREND_METRICS.FREQUENCY}>Frequency trend</option>
+                </select>
+                <button
+                  type="button"
+                  onClick={resetPeakTracks}
+                  className="px-3 py-1 rounded-lg border border-slate-600 text-slate-200 hover:border-slate-400 hover:bg-slate-700 transition-colors"
+                >
+                  Restart tracking
+                </button>
+              </div>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-3 sm:gap-4 lg:gap-6">
+                {channelList.map(({ key, ...channel }) => (
+                  <PeakTrendChart
+                    key={key}
+                    channelName={channel.name}
+                    color={channel.color}
+                    tracks={peakTracks[key]}
+                    metric={trendMetric}
+                    unit={channel.unit}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
-        {/* Charts Section */}
-        <div className="grid grid-cols-1 gap-4 sm:gap-6 lg:gap-8">
-          <ChannelChart 
-            channelName="Channel 1" 
-            data={vibrationData.Channel1} 
-            color={colors.Channel1}
-            samplingFreq={SAMPLING_FREQ}
-            fftSize={FFT_SIZE}
+        {/* Alarms Section */}
+        <div className="mb-4 sm:mb-6 lg:mb-8">
+          <div className="flex items-center gap-2 sm:gap-3 mb-3 sm:mb-4 lg:mb-6">
+            <h2 className="text-xl sm:text-2xl lg:text-3xl font-bold text-slate-100 flex items-center gap-2 sm:gap-3">
+              <BellRing className="w-5 h-5 sm:w-6 sm:h-6 lg:w-8 lg:h-8 text-cyan-400" />
+              Alarms
+            </h2>
+            <button
+              type="button"
+              onClick={() => setShowAlarmRules(!showAlarmRules)}
+              className="ml-auto flex items-center gap-1 px-3 py-1 rounded-lg border border-slate-600 text-slate-200 text-xs sm:text-sm hover:border-slate-400 hover:bg-slate-700 transition-colors"
+            >
+              <SlidersHorizontal className="w-4 h-4" />
+              {showAlarmRules ? 'Hide rules' : 'Edit rules'}
+            </button>
+          </div>
+          <div className="space-y-3 sm:space-y-4">
+            {showAlarmRules && <AlarmRulesEditor rules={alarms.rules} onChange={alarms.setRules} channels={channelList} />}
+            <AlarmLog
+              events={alarms.events}
+              channels={channelList}
+              onAcknowledge={alarms.acknowledge}
+              onAcknowledgeAll={alarms.acknowledgeAll}
+              onClear={alarms.clearEvents}
+              notificationsEnabled={alarms.notificationsEnabled}
+              onToggleNotifications={alarms.toggleNotifications}
+            />
+          </div>
+        </div>
+
+        {/* Sessions Section */}
+        <div className="mb-4 sm:mb-6 lg:mb-8">
+          <h2 className="text-xl sm:text-2xl lg:text-3xl font-bold text-slate-100 mb-3 sm:mb-4 lg:mb-6 flex items-center gap-2 sm:gap-3">
+            <HardDrive className="w-5 h-5 sm:w-6 sm:h-6 lg:w-8 lg:h-8 text-cyan-400" />
+            Sessions
+          </h2>
+          <SessionPanel
+            deviceId={device.id}
+            recorder={recorder}
+            replay={replay}
+            onReplay={handleReplay}
+            onExitReplay={() => setReplay(null)}
+            canRecord={!replay}
           />
-          <ChannelChart 
-            channelName="Channel 2" 
-            data={vibrationData.Channel2} 
-            color={colors.Channel2}
-            samplingFreq={SAMPLING_FREQ}
-            fftSize={FFT_SIZE}
+        </div>
+
+        {/* Export Section */}
+        <div className="mb-4 sm:mb-6 lg:mb-8">
+          <h2 className="text-xl sm:text-2xl lg:text-3xl font-bold text-slate-100 mb-3 sm:mb-4 lg:mb-6 flex items-center gap-2 sm:gap-3">
+            <Download className="w-5 h-5 sm:w-6 sm:h-6 lg:w-8 lg:h-8 text-cyan-400" />
+            Export
+          </h2>
+          <ExportPanel
+            deviceId={device.id}
+            channels={channelList}
+            currentAnalysis={analysis}
+            analysisOptions={analysisOptions}
           />
-          <ChannelChart 
-            channelName="Channel 3" 
-            data={vibrationData.Channel3} 
-            color={colors.Channel3}
-            samplingFreq={SAMPLING_FREQ}
-            fftSize={FFT_SIZE}
+        </div>
+
+        {/* Severity Section */}
+        <div className="mb-4 sm:mb-6 lg:mb-8">
+          <h2 className="text-xl sm:text-2xl lg:text-3xl font-bold text-slate-100 mb-3 sm:mb-4 lg:mb-6 flex items-center gap-2 sm:gap-3">
+            <ShieldCheck className="w-5 h-5 sm:w-6 sm:h-6 lg:w-8 lg:h-8 text-cyan-400" />
+            ISO Severity Trend
+          </h2>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-3 sm:gap-4 lg:gap-6">
+            {channelList.map(({ key, ...channel }) => (
+              <SeverityTrendChart
+                key={key}
+                channelKey={key}
+                channelName={channel.name}
+                color={channel.color}
+                history={severityHistory}
+                machineClass={getMachineClass(key)}
+                zone={zones[key]}
+                onMachineClassChange={handleMachineClassChange}
+              />
+            ))}
+          </div>
+        </div>
+
+        {/* Spectrum History Section */}
+        <div className="mb-4 sm:mb-6 lg:mb-8">
+          <h2 className="text-xl sm:text-2xl lg:text-3xl font-bold text-slate-100 mb-3 sm:mb-4 lg:mb-6 flex items-center gap-2 sm:gap-3">
+            <Layers className="w-5 h-5 sm:w-6 sm:h-6 lg:w-8 lg:h-8 text-cyan-400" />
+            Spectrum History
+          </h2>
+          <SpectrumHistoryPanel
+            channels={channelList}
+            history={spectrumHistory}
+            settings={historySettings}
+            onSettingsChange={handleHistorySettingsChange}
+            onReset={resetSpectrumHistory}
+            maxFreq={SAMPLING_FREQ / 2}
           />
-          <ChannelChart 
-            channelName="Channel 4" 
-            data={vibrationData.Channel4} 
-            color={colors.Channel4}
-            samplingFreq={SAMPLING_FREQ}
-            fftSize={FFT_SIZE}
+        </div>
+
+        {/* Charts Section */}
+        <div className="mb-3 sm:mb-4">
+          <SpectrumViewPanel
+            view={spectrumView}
+            onChange={handleSpectrumViewChange}
+            nyquist={SAMPLING_FREQ / 2}
+            currentMax={displayMax}
+            runningSpeed={runningSpeed ? runningSpeed.frequency : null}
           />
+          <div className="mt-2">
+            <BaselinePanel
+              baselines={baselines.baselines}
+              settings={baselineSettings}
+              onSettingsChange={handleBaselineSettingsChange}
+              onCapture={handleBaselineCapture}
+              onDelete={handleBaselineDelete}
+              canCapture={Boolean(analyzedAt)}
+              averaged={CHANNEL_KEYS.some(key => averaged.counts[key] > 0)}
+              error={baselines.error}
+            />
+          </div>
+        </div>
+        <div className="grid grid-cols-1 gap-4 sm:gap-6 lg:gap-8">
+          {channelList.map(({ key, ...channel }) => (
+            <ChannelChart
+              key={key}
+              channelKey={key}
+              channelName={channel.name}
+              location={channel.location}
+              unit={channel.unit}
+              data={unitSpectra[key]}
+              color={channel.color}
+              samplingFreq={SAMPLING_FREQ}
+              fftSize={FFT_SIZE}
+              samples={analyzedFrame.samples ? analyzedFrame.samples[key] : EMPTY_SAMPLES}
+              rawSamplingFreq={RAW_SAMPLING_FREQ}
+              metrics={channelMetrics[key]}
+              velocityBand={velocityBand}
+              zone={zones[key]}
+              alarm={alarms.channelAlarms[key]}
+              view={spectrumView}
+              onViewChange={handleSpectrumViewChange}
+              peaks={labeledPeaks[key]}
+              faultMarkers={faultMarkers[key]}
+              averaging={getAveraging(key)}
+              onAveragingChange={handleAveragingChange}
+              averageCount={averaged.counts[key]}
+              onAveragingReset={resetAveraging}
+              baseline={baselineComparisons[key] && baselineSettings.overlay ? baselineComparisons[key].aligned : null}
+              comparison={baselineComparisons[key] || null}
+              baselineTrace={baselineSettings.trace}
+              marginDb={baselineSettings.marginDb}
+              orderFrequency={runningSpeed ? runningSpeed.frequency : null}
+            />
+          ))}
+        </div>
+
+        {/* Cross-Channel Section */}
+        <div className="mt-4 sm:mt-6 lg:mt-8">
+          <h2 className="text-xl sm:text-2xl lg:text-3xl font-bold text-slate-100 mb-3 sm:mb-4 lg:mb-6 flex items-center gap-2 sm:gap-3">
+            <GitCompareArrows className="w-5 h-5 sm:w-6 sm:h-6 lg:w-8 lg:h-8 text-cyan-400" />
+            Cross-Channel Analysis
+          </h2>
+          <div className="space-y-3 sm:space-y-4">
+            <ChannelOverlayPanel
+              channels={channelList}
+              spectra={displaySpectra}
+              samplingFreq={SAMPLING_FREQ}
+              fftSize={FFT_SIZE}
+              view={spectrumView}
+              settings={overlaySettings}
+              onSettingsChange={handleOverlaySettingsChange}
+            />
+            <CrossChannelPanel
+              channels={channelList}
+              settings={crossPair}
+              onSettingsChange={handleCrossSettingsChange}
+              cross={crossChannel ? crossChannel.cross : null}
+              frames={crossChannel ? crossChannel.frames : 0}
+              source={crossChannel ? crossChannel.source : null}
+              samplingFreq={crossChannel ? crossChannel.samplingFreq : null}
+              fftSize={crossChannel ? crossChannel.fftSize : null}
+              view={spectrumView}
+              speed={runningSpeed ? runningSpeed.frequency : null}
+              onReset={resetCross}
+            />
+          </div>
         </div>
       </div>
-    </div>
+      {importDraft && (
+        <ImportDialog
+          key={importDraft.fileName}
+          draft={importDraft}
+          onImport={handleImport}
+          onCancel={() => setImportDraft(null)}
+        />
+      )}
+    </FileDropZone>
   );
 };
 
@@ -0,0 +1,81 @@
+import React from 'react';
+import TraceCanvas from './TraceCanvas';
+
+const WIDTH = 1200;
+const HEIGHT = 200;
+const PADDING = { top: 15, right: 40, bottom: 35, left: 60 };
+const GRID = { width: 40, height: 30, color: '#1e293b' };
+
+const WaveformChart = ({ samples, samplingFreq, color }) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const duration = samples.length > 0 ? (samples.length / samplingFreq) * 1000 : 0;
+
+  let yMax = 0;
+  for (let i = 0; i < samples.length; i++) {
+    yMax = Math.max(yMax, Math.abs(samples[i]));
+  }
+  yMax = Math.max(yMax, 0.001);
+
+  const toY = (value) => PADDING.top + plotHeight / 2 - (value / yMax) * (plotHeight / 2);
+
+  // Decimated per pixel column on the canvas, so every spike stays visible
+  // however long the block is
+  const traces = samples.length > 0
+    ? [{ values: samples, toX: (i) => PADDING.left + (i / samples.length) * plotWidth, toY, color, lineWidth: 1.2 }]
+    : [];
+
+  return (
+    <div className="bg-slate-950 p-2 sm:p-3 lg:p-4 rounded-xl border border-slate-800 overflow-x-auto">
+      <div className="relative">
+        <TraceCanvas width={WIDTH} height={HEIGHT} traces={traces} grid={GRID} />
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="relative w-full h-auto" preserveAspectRatio="xMidYMid meet">
+          {/* Axes */}
+          <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PADDING.top + plotHeight} stroke="#64748b" strokeWidth="2" opacity="0.5"/>
+          <line x1={PADDING.left} y1={toY(0)} x2={WIDTH - PADDING.right} y2={toY(0)} stroke="#64748b" strokeWidth="1" opacity="0.4"/>
+
+          <text x="30" y={PADDING.top + plotHeight / 2} textAnchor="middle" fontSize="12" fill="#cbd5e1" fontWeight="bold" transform={`rotate(-90, 30, ${PADDING.top + plotHeight / 2})`}>
+            Accel (g)
+          </text>
+          <text x="630" y={HEIGHT - 2} textAnchor="middle" fontSize="11" fill="#cbd5e1" fontWeight="bold">
+            Time (ms)
+          </text>
+
+          {/* Y-axis tick marks and labels */}
+          {[-1, -0.5, 0, 0.5, 1].map(ratio => {
+            const y = toY(ratio * yMax);
+            return (
+              <g key={ratio}>
+                <line x1={PADDING.left - 5} y1={y} x2={PADDING.left} y2={y} stroke="#64748b" strokeWidth="1.5"/>
+                <text x={PADDING.left - 10} y={y + 4} textAnchor="end" fontSize="10" fill="#94a3b8">
+                  {(ratio * yMax).toFixed(3)}
+                </text>
+              </g>
+            );
+          })}
+
+          {/* X-axis tick marks and labels */}
+          {duration > 0 && [0, 0.2, 0.4, 0.6, 0.8, 1].map(ratio => {
+            const x = PADDING.left + ratio * plotWidth;
+            return (
+              <g key={ratio}>
+                <line x1={x} y1={PADDING.top + plotHeight} x2={x} y2={PADDING.top + plotHeight + 5} stroke="#64748b" strokeWidth="1.5"/>
+                <text x={x} y={PADDING.top + plotHeight + 17} textAnchor="middle" fontSize="10" fill="#94a3b8">
+                  {(ratio * duration).toFixed(1)}
+                </text>
+              </g>
+            );
+          })}
+
+          {samples.length === 0 && (
+            <text x="600" y="100" textAnchor="middle" fontSize="14" fill="#64748b">
+              No time-domain samples available
+            </text>
+          )}
+        </svg>
+      </div>
+    </div>
+  );
+};
+
+export default WaveformChart;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { ZONES } from '../dsp/isoSeverity';
+
+const ZoneBadge = ({ zone }) => {
+  if (!zone) return null;
+
+  const { color, description } = ZONES[zone];
+  return (
+    <span
+      title={`ISO zone ${zone}: ${description}`}
+      className="px-2 py-0.5 rounded-full text-xs font-bold border"
+      style={{ color, borderColor: color, backgroundColor: `${color}26` }}
+    >
+      Zone {zone}
+    </span>
+  );
+};
+
+export default ZoneBadge;
@@ -0,0 +1,119 @@
+// A frame is the unit every data source emits:
+// { timestamp: Date, channels: { Channel1: number[], ... } }
+// with one channel per input the payload provides (V1..Vn).
+// Sources with access to the raw ADS1256 blocks may add
+// `samples: { Channel1: number[], ... }` and the `samplingFreq` they were taken at,
+// and a tachometer reading `rpm` when the rig has one. Firmware that reports
+// them adds the `fftSize` of its spectra, their `units` (one for all channels
+// or `{ Channel1: unit, ... }`) and the ADS1256
+// settings in effect as `adc` (see devices/adcConfig.js). Firmware that keeps
+// the phase of its FFT adds the complex spectra as
+// `complex: { Channel1: { re: number[], im: number[] }, ... }`.
+
+// Channels shown before a source has reported its own
+export const CHANNEL_KEYS = ['Channel1', 'Channel2', 'Channel3', 'Channel4'];
+
+// Single-ended inputs of the ADS1256
+export const ADS1256_INPUTS = 8;
+
+export const channelKeys = (count) => Array.from({ length: count }, (_, index) => `Channel${index + 1}`);
+
+const channelNumber = (key) => Number(key.replace(/^Channel/, ''));
+
+export const sortChannelKeys = (keys) => [...keys].sort((a, b) => channelNumber(a) - channelNumber(b));
+
+// Channels of a frame that carry data, in input order
+export const activeChannelKeys = (channels) => {
+  const keys = Object.keys(channels).filter(key => channels[key] && channels[key].length > 0);
+  return keys.length > 0 ? sortChannelKeys(keys) : CHANNEL_KEYS;
+};
+
+export const emptyChannels = () => CHANNEL_KEYS.reduce((acc, key) => {
+  acc[key] = [];
+  return acc;
+}, {});
+
+// 'Channel1' -> 'Channel 1'
+export const channelLabel = (key) => key.replace(/^Channel(\d+)$/, 'Channel $1');
+
+// V1..Vn -> Channel1..Channeln; the first four are always present
+const mapChannels = (values) => Object.keys(values).reduce((acc, input) => {
+  const match = /^V(\d+)$/.exec(input);
+  if (match) acc[`Channel${match[1]}`] = values[input] || [];
+  return acc;
+}, emptyChannels());
+
+// Complex spectra are only kept for the inputs that send them
+const mapComplex = (values) => Object.keys(values).reduce((acc, input) => {
+  const match = /^V(\d+)$/.exec(input);
+  if (match && values[input]) acc[`Channel${match[1]}`] = values[input];
+  return acc;
+}, {});
+
+// Per-channel units keyed V1..Vn -> Channel1..Channeln
+const mapUnits = (units) => Object.keys(units).reduce((acc, input) => {
+  acc[input.replace(/^V(\d+)$/, 'Channel$1')] = units[input];
+  return acc;
+}, {});
+
+const toDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value ?? Date.now());
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+};
+
+// Parses the `{success, data: {V1..Vn}, timestamp}` shape served by TestVibration.php
+export const parseTestVibrationPayload = (payload) => {
+  if (!payload || !payload.success || !payload.data) {
+    throw new Error((payload && payload.message) || 'Failed to fetch data');
+  }
+
+  const frame = {
+    timestamp: toDate(payload.timestamp),
+    channels: mapChannels(payload.data)
+  };
+  if (payload.raw) frame.samples = mapChannels(payload.raw);
+  if (payload.samplingFreq) frame.samplingFreq = Number(payload.samplingFreq);
+  if (payload.rpm) frame.rpm = Number(payload.rpm);
+  if (payload.fftSize) frame.fftSize = Number(payload.fftSize);
+  if (payload.units) frame.units = typeof payload.units === 'string' ? payload.units : mapUnits(payload.units);
+  if (payload.adc) frame.adc = payload.adc;
+  if (payload.complex) frame.complex = mapComplex(payload.complex);
+  return frame;
+};
+
+// Routes source inputs to dashboard channels. `channelMap` maps each channel
+// key to the input key feeding it, or null to leave the channel empty.
+// Channels missing from the map read their own input.
+export const remapChannels = (frame, channelMap) => {
+  const keys = sortChannelKeys(new Set([...Object.keys(frame.channels), ...Object.keys(channelMap)]));
+  const inputOf = (key) => (channelMap[key] === undefined ? key : channelMap[key]);
+  const route = (values) => keys.reduce((acc, key) => {
+    const input = inputOf(key);
+    acc[key] = (input && values[input]) || [];
+    return acc;
+  }, {});
+
+  const routeReported = (values) => keys.reduce((acc, key) => {
+    const input = inputOf(key);
+    if (input && values[input]) acc[key] = values[input];
+    return acc;
+  }, {});
+
+  const remapped = { ...frame, channels: route(frame.channels) };
+  if (frame.samples) remapped.samples = route(frame.samples);
+  if (frame.complex) remapped.complex = routeReported(frame.complex);
+  if (frame.units && typeof frame.units === 'object') remapped.units = routeReported(mapUnits(frame.units));
+  return remapped;
+};
+
+// Accepts either an already normalized frame or a TestVibration.php payload
+export const normalizeFrame = (entry) => {
+  if (entry && entry.channels) {
+    return {
+      ...entry,
+      timestamp: toDate(entry.timestamp),
+      channels: { ...emptyChannels(), ...entry.channels }
+    };
+  }
+  return parseTestVibrationPayload(entry);
+};
@@ -0,0 +1,83 @@
+import { parseTestVibrationPayload, remapChannels } from './frames';
+
+const frame = () => ({
+  timestamp: new Date(0),
+  channels: { Channel1: [1], Channel2: [2], Channel3: [3], Channel4: [4] },
+  samples: { Channel1: [10], Channel2: [20], Channel3: [30], Channel4: [40] },
+  complex: { Channel1: { re: [1], im: [0] }, Channel3: { re: [3], im: [0] } }
+});
+
+describe('remapChannels', () => {
+  it('leaves an identity map unchanged', () => {
+    const input = frame();
+    const remapped = remapChannels(input, { Channel1: 'Channel1', Channel2: 'Channel2' });
+
+    expect(remapped.channels).toEqual(input.channels);
+    expect(remapped.samples).toEqual(input.samples);
+    expect(remapped.complex).toEqual(input.complex);
+  });
+
+  it('routes spectra, samples and complex spectra from their input', () => {
+    const remapped = remapChannels(frame(), { Channel1: 'Channel3', Channel3: 'Channel1' });
+
+    expect(remapped.channels).toEqual({ Channel1: [3], Channel2: [2], Channel3: [1], Channel4: [4] });
+    expect(remapped.samples).toEqual({ Channel1: [30], Channel2: [20], Channel3: [10], Channel4: [40] });
+    expect(remapped.complex).toEqual({ Channel1: { re: [3], im: [0] }, Channel3: { re: [1], im: [0] } });
+  });
+
+  it('lets several channels read the same input', () => {
+    expect(remapChannels(frame(), { Channel2: 'Channel1' }).channels.Channel2).toEqual([1]);
+  });
+
+  it('empties channels mapped to no input', () => {
+    const remapped = remapChannels(frame(), { Channel3: null });
+
+    expect(remapped.channels.Channel3).toEqual([]);
+    expect(remapped.samples.Channel3).toEqual([]);
+    expect(remapped.complex).toEqual({ Channel1: { re: [1], im: [0] } });
+  });
+
+  it('adds the mapped channels the frame lacks, in channel order', () => {
+    const remapped = remapChannels(frame(), { Channel10: 'Channel2', Channel5: 'Channel5' });
+
+    expect(Object.keys(remapped.channels)).toEqual(['Channel1', 'Channel2', 'Channel3', 'Channel4', 'Channel5', 'Channel10']);
+    expect(remapped.channels.Channel5).toEqual([]);
+    expect(remapped.channels.Channel10).toEqual([2]);
+  });
+
+  it('keeps the rest of the frame and does not modify its input', () => {
+    const input = { ...frame(), rpm: 1480, acquisition: { samplingFreq: 1000, fftSize: 8 } };
+    const remapped = remapChannels(input, { Channel1: 'Channel2' });
+
+    expect(remapped.rpm).toBe(1480);
+    expect(remapped.acquisition).toBe(input.acquisition);
+    expect(input.channels.Channel1).toEqual([1]);
+  });
+
+  it('handles frames without samples or complex spectra', () => {
+    const remapped = remapChannels({ timestamp: null, channels: { Channel1: [1] } }, { Channel2: 'Channel1' });
+    expect(remapped).toEqual({ timestamp: null, channels: { Channel1: [1], Channel2: [1] } });
+  });
+});
+
+describe('parseTestVibrationPayload', () => {
+  it('maps inputs V1..Vn onto channels', () => {
+    const parsed = parseTestVibrationPayload({
+      success: true,
+      timestamp: '2026-03-01T10:00:00Z',
+      data: { V1: [1], V6: [6] },
+      complex: { V6: { re: [1], im: [1] } },
+      units: { V6: 'mV' }
+    });
+
+    expect(parsed.timestamp.toISOString()).toBe('2026-03-01T10:00:00.000Z');
+    expect(parsed.channels).toEqual({ Channel1: [1], Channel2: [], Channel3: [], Channel4: [], Channel6: [6] });
+    expect(parsed.complex).toEqual({ Channel6: { re: [1], im: [1] } });
+    expect(parsed.units).toEqual({ Channel6: 'mV' });
+  });
+
+  it('rejects failed responses with their message', () => {
+    expect(() => parseTestVibrationPayload({ success: false, message: 'Sensor offline' })).toThrow('Sensor offline');
+    expect(() => parseTestVibrationPayload(null)).toThrow('Failed to fetch data');
+  });
+});
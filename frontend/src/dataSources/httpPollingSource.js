@@ -0,0 +1,56 @@
+import { parseTestVibrationPayload } from './frames';
+
+// Polls a JSON endpoint. The next request is only scheduled once the previous
+// one has settled, so slow responses never pile up.
+const createHttpPollingSource = ({ url, interval = 4000, parse = parseTestVibrationPayload }) => {
+  let running = false;
+  let timer = null;
+  let controller = null;
+
+  const poll = async (handlers) => {
+    controller = new AbortController();
+    handlers.onLoading(true);
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json',
+        },
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (running) handlers.onFrame(parse(data));
+    } catch (err) {
+      if (running && err.name !== 'AbortError') handlers.onError(err);
+    } finally {
+      if (running) {
+        handlers.onLoading(false);
+        timer = setTimeout(() => poll(handlers), interval);
+      }
+    }
+  };
+
+  return {
+    start(handlers) {
+      if (!url) {
+        handlers.onError(new Error('No URL configured'));
+        return;
+      }
+      running = true;
+      poll(handlers);
+    },
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      if (controller) controller.abort();
+    }
+  };
+};
+
+export default createHttpPollingSource;
@@ -0,0 +1,31 @@
+import createHttpPollingSource from './httpPollingSource';
+
+const handlers = () => ({ onFrame: jest.fn(), onError: jest.fn(), onLoading: jest.fn() });
+
+describe('createHttpPollingSource', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('reports a missing URL instead of polling', () => {
+    global.fetch = jest.fn();
+    const callbacks = handlers();
+    createHttpPollingSource({ url: '' }).start(callbacks);
+
+    expect(callbacks.onError).toHaveBeenCalledWith(new Error('No URL configured'));
+    expect(callbacks.onLoading).not.toHaveBeenCalled();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('emits the parsed response', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve({ value: 1 }) });
+    const callbacks = handlers();
+    const source = createHttpPollingSource({ url: 'http://device/data', parse: data => data });
+    source.start(callbacks);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    source.stop();
+
+    expect(global.fetch).toHaveBeenCalledWith('http://device/data', expect.objectContaining({ method: 'GET' }));
+    expect(callbacks.onFrame).toHaveBeenCalledWith({ value: 1 });
+  });
+});
@@ -0,0 +1,116 @@
+import createHttpPollingSource from './httpPollingSource';
+import createMockSource from './mockSource';
+import createReplaySource from './replaySource';
+import createWebSocketSource from './webSocketSource';
+import createSseSource from './sseSource';
+import { remapChannels } from './frames';
+import { calibrateFrame } from '../channels/calibration';
+import { loadJSON } from '../utils/storage';
+
+export const SOURCE_TYPES = {
+  HTTP: 'http',
+  MOCK: 'mock',
+  REPLAY: 'replay',
+  WEBSOCKET: 'websocket',
+  SSE: 'sse',
+  SESSION: 'session'
+};
+
+export const STREAMING_TYPES = [SOURCE_TYPES.WEBSOCKET, SOURCE_TYPES.SSE];
+
+// Sources a device can be saved with. Replay files and recorded sessions are
+// only ever opened for the current view.
+export const LIVE_TYPES = [SOURCE_TYPES.HTTP, SOURCE_TYPES.MOCK, SOURCE_TYPES.WEBSOCKET, SOURCE_TYPES.SSE];
+
+export const SOURCE_OPTIONS = [
+  { value: SOURCE_TYPES.HTTP, label: 'HTTP Polling' },
+  { value: SOURCE_TYPES.MOCK, label: 'Simulated' },
+  { value: SOURCE_TYPES.REPLAY, label: 'File Replay' },
+  { value: SOURCE_TYPES.WEBSOCKET, label: 'WebSocket Stream' },
+  { value: SOURCE_TYPES.SSE, label: 'SSE Stream' }
+];
+
+export const DEFAULT_SOURCE_CONFIG = {
+  type: process.env.REACT_APP_DATA_SOURCE || SOURCE_TYPES.HTTP,
+  url: process.env.REACT_APP_DATA_URL || 'https://cmti-edge.online/ESP32/TestVibration.php',
+  streamUrl: process.env.REACT_APP_STREAM_URL || '',
+  interval: 4000,
+  frames: [],
+  fileName: null,
+  player: null
+};
+
+const STORAGE_KEY = 'vibration.dataSource';
+
+// Source settings saved before the device registry existed (see devices/registry.js),
+// which seed its first device. Replay frames are never persisted.
+export const loadSourceConfig = () => ({
+  ...DEFAULT_SOURCE_CONFIG,
+  ...loadJSON(STORAGE_KEY, {}),
+  frames: [],
+  fileName: null,
+  player: null
+});
+
+// Stand-in for sources that cannot run, so the dashboard shows why
+const createUnavailableSource = (message) => ({
+  start(handlers) {
+    handlers.onError(new Error(message));
+  },
+  stop() {}
+});
+
+const createUnmappedSource = (config) => {
+  switch (config.type) {
+    case SOURCE_TYPES.SESSION:
+      // The session player is built by the Sessions panel and is a source itself
+      return config.player || createUnavailableSource('Choose a recorded session to replay in the Sessions panel');
+    case SOURCE_TYPES.MOCK:
+      return createMockSource({ interval: config.interval });
+    case SOURCE_TYPES.REPLAY:
+      return createReplaySource({ frames: config.frames, interval: config.interval });
+    case SOURCE_TYPES.WEBSOCKET:
+      return createWebSocketSource({ url: config.streamUrl });
+    case SOURCE_TYPES.SSE:
+      return createSseSource({ url: config.streamUrl });
+    case SOURCE_TYPES.HTTP:
+    default:
+      return createHttpPollingSource({ url: config.url, interval: config.interval });
+  }
+};
+
+// Live sources of a device are wrapped so their frames follow its channel
+// map and channel calibration. Recorded sessions and replay files were
+// mapped and calibrated when they were taken.
+const withChannelSetup = (source, { channelMap, channels }) => ({
+  ...source,
+  start(handlers) {
+    source.start({
+      ...handlers,
+      onFrame: (frame) => {
+        const mapped = channelMap ? remapChannels(frame, channelMap) : frame;
+        handlers.onFrame(channels ? calibrateFrame(mapped, channels) : mapped);
+      }
+    });
+  }
+});
+
+export const createDataSource = (config) => {
+  const source = createUnmappedSource(config);
+  const live = ![SOURCE_TYPES.SESSION, SOURCE_TYPES.REPLAY].includes(config.type);
+  return (config.channelMap || config.channels) && live ? withChannelSetup(source, config) : source;
+};
+
+export { parseReplayFile } from './replaySource';
+export {
+  ADS1256_INPUTS,
+  CHANNEL_KEYS,
+  activeChannelKeys,
+  channelKeys,
+  channelLabel,
+  emptyChannels,
+  normalizeFrame,
+  parseTestVibrationPayload,
+  remapChannels,
+  sortChannelKeys
+} from './frames';
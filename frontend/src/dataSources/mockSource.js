@@ -0,0 +1,110 @@
+import { CHANNEL_KEYS } from './frames';
+
+// Per-channel signature of the simulated machine: shaft harmonics, a bearing
+// tone and a structural resonance band, all scaled differently per channel.
+// Shaft harmonics are sized so the channels land in different ISO zones and
+// lag the shaft by a fixed `phase` (degrees), so they stay coherent across channels.
+const CHANNEL_PROFILES = [
+  { harmonics: [0.02, 0.01, 0.004], bearing: 0.03, resonance: 0.02, phase: 0 },
+  { harmonics: [0.05, 0.04, 0.01], bearing: 0.05, resonance: 0.015, phase: 90 },
+  { harmonics: [0.03, 0.01, 0.03], bearing: 0.02, resonance: 0.04, phase: 10 },
+  { harmonics: [0.08, 0.02, 0.01], bearing: 0.08, resonance: 0.01, phase: 180 }
+];
+
+const NOISE_LEVEL = 0.002;
+
+// Lists the sinusoids making up one channel: [{ frequency, amplitude, phase? }].
+// Shaft harmonics start from `shaftPhase` (radians); the other tones get random phases.
+const buildTones = (shaftFreq, profile, shaftPhase = 0) => {
+  const tones = profile.harmonics.map((amplitude, index) => ({
+    frequency: shaftFreq * (index + 1),
+    amplitude: amplitude * (0.9 + Math.random() * 0.2),
+    phase: (index + 1) * (shaftPhase - (profile.phase * Math.PI) / 180)
+  }));
+  tones.push({ frequency: shaftFreq * 3.57, amplitude: profile.bearing * (0.8 + Math.random() * 0.4) });
+
+  for (let frequency = 2400; frequency < 3600; frequency += 40) {
+    const envelope = Math.sin((Math.PI * (frequency - 2400)) / 1200);
+    tones.push({ frequency, amplitude: profile.resonance * envelope * Math.random() });
+  }
+  return tones;
+};
+
+const addTone = (spectrum, frequency, amplitude, binWidth) => {
+  const position = frequency / binWidth;
+  const center = Math.round(position);
+  // Spread the tone over neighbouring bins like a Hann main lobe would
+  for (let offset = -2; offset <= 2; offset++) {
+    const bin = center + offset;
+    if (bin <= 0 || bin >= spectrum.length) continue;
+    const distance = Math.abs(bin - position);
+    if (distance >= 2) continue;
+    spectrum[bin] += amplitude * 0.5 * (1 + Math.cos((Math.PI * distance) / 2));
+  }
+};
+
+export const generateMockSpectrum = ({ samplingFreq, fftSize, tones }) => {
+  const binCount = fftSize / 2;
+  const binWidth = samplingFreq / fftSize;
+  const spectrum = new Array(binCount);
+
+  for (let i = 0; i < binCount; i++) {
+    spectrum[i] = NOISE_LEVEL / 2 + Math.random() * NOISE_LEVEL;
+  }
+  tones.forEach(({ frequency, amplitude }) => addTone(spectrum, frequency, amplitude, binWidth));
+
+  return spectrum;
+};
+
+// Time-domain block as the ADS1256 would deliver it, for exercising the
+// in-browser FFT
+export const generateMockSamples = ({ samplingFreq, sampleCount, tones }) => {
+  const samples = new Array(sampleCount);
+  const phases = tones.map(tone => (tone.phase === undefined ? Math.random() * 2 * Math.PI : tone.phase));
+
+  for (let n = 0; n < sampleCount; n++) {
+    const t = n / samplingFreq;
+    let value = (Math.random() - 0.5) * NOISE_LEVEL * 4;
+    for (let i = 0; i < tones.length; i++) {
+      value += tones[i].amplitude * Math.sin(2 * Math.PI * tones[i].frequency * t + phases[i]);
+    }
+    samples[n] = value;
+  }
+  return samples;
+};
+
+// Synthetic source for bench rigs and CI where the ESP32 endpoint is unreachable
+const createMockSource = ({
+  interval = 1000,
+  samplingFreq = 30000,
+  fftSize = 4096,
+  sampleCount = 16384,
+  shaftFreq = 24.7
+} = {}) => {
+  let timer = null;
+
+  const emit = (handlers) => {
+    const drift = 1 + 0.01 * Math.sin(Date.now() / 20000);
+    const channels = {};
+    const samples = {};
+    const shaftPhase = Math.random() * 2 * Math.PI;
+    CHANNEL_KEYS.forEach((key, index) => {
+      const tones = buildTones(shaftFreq * drift, CHANNEL_PROFILES[index % CHANNEL_PROFILES.length], shaftPhase);
+      channels[key] = generateMockSpectrum({ samplingFreq, fftSize, tones });
+      samples[key] = generateMockSamples({ samplingFreq, sampleCount, tones });
+    });
+    handlers.onFrame({ timestamp: new Date(), channels, samples, samplingFreq });
+  };
+
+  return {
+    start(handlers) {
+      emit(handlers);
+      timer = setInterval(() => emit(handlers), interval);
+    },
+    stop() {
+      clearInterval(timer);
+    }
+  };
+};
+
+export default createMockSource;
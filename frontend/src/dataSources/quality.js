@@ -0,0 +1,104 @@
+// Data-quality checks on a frame, run before analysis. Each problem becomes a
+// `{ channel, message }` warning; `channel` is null for the whole frame.
+// Frames are analyzed regardless, with non-finite values zeroed.
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isArrayLike = (values) => Array.isArray(values) || ArrayBuffer.isView(values);
+
+const countWhere = (values, predicate) => {
+  let count = 0;
+  for (let i = 0; i < values.length; i++) if (predicate(values[i])) count += 1;
+  return count;
+};
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const formatRate = (frequency) => (frequency >= 1000 ? `${frequency / 1000} kHz` : `${frequency} Hz`);
+
+// Replaces anything that is not a finite number with 0. Channels without
+// such values are passed through as they are.
+export const sanitizeValues = (valuesByChannel) => Object.keys(valuesByChannel).reduce((acc, key) => {
+  const values = valuesByChannel[key];
+  if (!isArrayLike(values)) {
+    acc[key] = [];
+  } else if (countWhere(values, value => !isFiniteNumber(value)) > 0) {
+    acc[key] = Array.from(values, value => (isFiniteNumber(value) ? value : 0));
+  } else {
+    acc[key] = values;
+  }
+  return acc;
+}, {});
+
+const checkValues = (key, values, kind) => {
+  if (!isArrayLike(values)) return [{ channel: key, message: `${kind} is not an array` }];
+  const invalid = countWhere(values, value => !isFiniteNumber(value));
+  return invalid > 0 ? [{ channel: key, message: `${kind} has ${plural(invalid, 'non-numeric value')} (NaN, null or text), shown as 0` }] : [];
+};
+
+const checkSpectrum = (key, values, fftSize) => {
+  const warnings = checkValues(key, values, 'Spectrum');
+  if (warnings.length > 0 || values.length === 0) return warnings;
+
+  const expected = fftSize / 2;
+  if (values.length !== expected && values.length !== expected + 1) {
+    warnings.push({ channel: key, message: `Spectrum has ${plural(values.length, 'bin')}, a ${fftSize}-point FFT gives ${expected}` });
+  }
+  const negative = countWhere(values, value => value < 0);
+  if (negative > 0) warnings.push({ channel: key, message: `Spectrum has ${plural(negative, 'negative magnitude')}` });
+  return warnings;
+};
+
+// Payload units apply to every channel, or per channel when given as a map.
+// The map follows the channel map like the spectra (see remapChannels);
+// older recordings and replay files may still key it by input, V1..Vn.
+const checkUnits = (units) => {
+  const entries = typeof units === 'string' ? [[null, units]] : Object.entries(units || {});
+  return entries
+    .filter(([, unit]) => unit !== 'g')
+    .map(([key, unit]) => ({
+      channel: key && key.replace(/^V(\d+)$/, 'Channel$1'),
+      message: `Payload units are "${unit}", expected g; values are shown as if they were g`
+    }));
+};
+
+// `acquisition` is what the frame will be analyzed with (see dsp/analyzeFrame.js)
+export const checkFrame = (frame, acquisition) => {
+  const warnings = [];
+  const keys = Object.keys(frame.channels);
+  const hasData = keys.some(key => frame.channels[key] && frame.channels[key].length > 0);
+  if (!hasData) return warnings;
+
+  if (acquisition.sources.samplingFreq === 'default') {
+    warnings.push({ channel: null, message: `Sampling rate not reported; assuming ${formatRate(acquisition.samplingFreq)}` });
+  }
+  if (acquisition.sources.fftSize === 'default') {
+    warnings.push({ channel: null, message: `FFT size not reported or inferable from the spectrum length; assuming ${acquisition.fftSize}` });
+  }
+
+  keys.forEach(key => warnings.push(...checkSpectrum(key, frame.channels[key], acquisition.fftSize)));
+
+  if (frame.samples) {
+    const sampleKeys = Object.keys(frame.samples);
+    sampleKeys.forEach(key => warnings.push(...checkValues(key, frame.samples[key], 'Waveform')));
+    const lengths = new Set(sampleKeys.map(key => frame.samples[key] && frame.samples[key].length).filter(Boolean));
+    if (lengths.size > 1) {
+      warnings.push({ channel: null, message: `Waveform blocks differ in length (${[...lengths].join(', ')} samples)` });
+    }
+  }
+
+  if (frame.complex) {
+    Object.keys(frame.complex).forEach(key => {
+      const { re, im } = frame.complex[key] || {};
+      if (!isArrayLike(re) || !isArrayLike(im) || re.length !== im.length) {
+        warnings.push({ channel: key, message: 'Complex spectrum needs re and im arrays of equal length; cross-channel phase is unavailable' });
+      }
+    });
+  }
+
+  if (frame.units !== undefined) warnings.push(...checkUnits(frame.units));
+  if (frame.rpm !== undefined && !(frame.rpm > 0)) {
+    warnings.push({ channel: null, message: 'Tachometer reading is not a positive number and was ignored' });
+  }
+  return warnings;
+};
@@ -0,0 +1,101 @@
+import { checkFrame, sanitizeValues } from './quality';
+import { parseTestVibrationPayload, remapChannels } from './frames';
+import { frameAcquisition } from '../dsp/analyzeFrame';
+
+const spectrum = (length, value = 0.01) => new Array(length).fill(value);
+
+const frame = (overrides = {}) => ({
+  timestamp: new Date(0),
+  channels: { Channel1: spectrum(512), Channel2: spectrum(512) },
+  acquisition: { samplingFreq: 25600, fftSize: 1024 },
+  ...overrides
+});
+
+const check = (input) => checkFrame(input, frameAcquisition(input));
+const messages = (input) => check(input).map(({ channel, message }) => `${channel}: ${message}`);
+
+describe('sanitizeValues', () => {
+  it('zeroes values that are not finite numbers', () => {
+    expect(sanitizeValues({ Channel1: [1, NaN, null, '2', Infinity, 3] })).toEqual({ Channel1: [1, 0, 0, 0, 0, 3] });
+  });
+
+  it('passes clean channels through and empties non-arrays', () => {
+    const clean = Float64Array.from([1, 2]);
+    const sanitized = sanitizeValues({ Channel1: clean, Channel2: 'text', Channel3: null });
+
+    expect(sanitized.Channel1).toBe(clean);
+    expect(sanitized.Channel2).toEqual([]);
+    expect(sanitized.Channel3).toEqual([]);
+  });
+});
+
+describe('checkFrame', () => {
+  it('raises nothing for a complete frame', () => {
+    expect(check(frame())).toEqual([]);
+  });
+
+  it('raises nothing for a frame without data', () => {
+    expect(check({ timestamp: new Date(0), channels: { Channel1: [] } })).toEqual([]);
+  });
+
+  it('reports assumed acquisition parameters', () => {
+    expect(messages(frame({ acquisition: undefined, channels: { Channel1: spectrum(300) } }))).toEqual([
+      'null: Sampling rate not reported; assuming 30 kHz',
+      'null: FFT size not reported or inferable from the spectrum length; assuming 4096',
+      'Channel1: Spectrum has 300 bins, a 4096-point FFT gives 2048'
+    ]);
+  });
+
+  it('reports bad spectrum values', () => {
+    const channels = { Channel1: [0.1, NaN, null, 0.2], Channel2: [0.1, -0.2, 0.3, 0.4], Channel3: 'text' };
+    expect(messages(frame({ channels, acquisition: { samplingFreq: 1000, fftSize: 8 } }))).toEqual([
+      'Channel1: Spectrum has 2 non-numeric values (NaN, null or text), shown as 0',
+      'Channel2: Spectrum has 1 negative magnitude',
+      'Channel3: Spectrum is not an array'
+    ]);
+  });
+
+  it('accepts a Nyquist bin', () => {
+    expect(check(frame({ channels: { Channel1: spectrum(513) } }))).toEqual([]);
+  });
+
+  it('reports bad waveforms and blocks of different lengths', () => {
+    expect(messages(frame({ samples: { Channel1: [1, 2, NaN], Channel2: [1, 2] } }))).toEqual([
+      'Channel1: Waveform has 1 non-numeric value (NaN, null or text), shown as 0',
+      'null: Waveform blocks differ in length (3, 2 samples)'
+    ]);
+  });
+
+  it('reports malformed complex spectra', () => {
+    expect(messages(frame({ complex: { Channel1: { re: [1, 2], im: [1] }, Channel2: { re: [1], im: [1] } } }))).toEqual([
+      'Channel1: Complex spectrum needs re and im arrays of equal length; cross-channel phase is unavailable'
+    ]);
+  });
+
+  it('reports a tachometer reading that is not a positive number', () => {
+    expect(messages(frame({ rpm: -5 }))).toEqual(['null: Tachometer reading is not a positive number and was ignored']);
+  });
+
+  describe('units', () => {
+    it('reports units other than g for the whole frame', () => {
+      expect(messages(frame({ units: 'mm/s' }))).toEqual(['null: Payload units are "mm/s", expected g; values are shown as if they were g']);
+      expect(check(frame({ units: 'g' }))).toEqual([]);
+    });
+
+    it('reports per-input units on the channel they feed', () => {
+      const payload = { success: true, data: { V1: spectrum(512), V2: spectrum(512) }, samplingFreq: 25600, fftSize: 1024, units: { V1: 'g', V2: 'V' } };
+      const mapped = remapChannels(parseTestVibrationPayload(payload), { Channel1: 'Channel2', Channel2: 'Channel1' });
+
+      expect(check(mapped)).toEqual([{ channel: 'Channel1', message: 'Payload units are "V", expected g; values are shown as if they were g' }]);
+    });
+
+    it('drops the units of inputs no channel reads', () => {
+      const payload = { success: true, data: { V1: spectrum(512), V2: spectrum(512) }, samplingFreq: 25600, fftSize: 1024, units: { V2: 'V' } };
+      expect(check(remapChannels(parseTestVibrationPayload(payload), { Channel2: null }))).toEqual([]);
+    });
+
+    it('maps frames keyed by input', () => {
+      expect(check(frame({ units: { V2: 'V' } }))[0].channel).toBe('Channel2');
+    });
+  });
+});
@@ -0,0 +1,6 @@
+// Exponential backoff with a little jitter so several dashboards do not
+// hammer a rebooting ESP32 in lockstep.
+export const getReconnectDelay = (attempt, baseDelay = 1000, maxDelay = 30000) => {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
@@ -0,0 +1,48 @@
+import { normalizeFrame } from './frames';
+
+// Reads a replay file: a JSON array of frames (or TestVibration.php payloads),
+// or an object with a `frames` array.
+export const parseReplayFile = (text) => {
+  const content = JSON.parse(text);
+  const entries = Array.isArray(content) ? content : content.frames;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Replay file contains no frames');
+  }
+
+  return entries.map(normalizeFrame);
+};
+
+const createReplaySource = ({ frames = [], interval = 1000, loop = true }) => {
+  let timer = null;
+  let position = 0;
+
+  const emit = (handlers) => {
+    if (position >= frames.length) {
+      if (!loop) {
+        clearInterval(timer);
+        return;
+      }
+      position = 0;
+    }
+    handlers.onFrame(frames[position]);
+    position += 1;
+  };
+
+  return {
+    historical: true,
+    start(handlers) {
+      if (frames.length === 0) {
+        handlers.onError(new Error('No replay file loaded'));
+        return;
+      }
+      emit(handlers);
+      timer = setInterval(() => emit(handlers), interval);
+    },
+    stop() {
+      clearInterval(timer);
+    }
+  };
+};
+
+export default createReplaySource;
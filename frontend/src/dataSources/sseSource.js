@@ -0,0 +1,58 @@
+import { normalizeFrame } from './frames';
+import { getReconnectDelay } from './reconnect';
+
+// Server-Sent Events source. EventSource retries on its own only while the
+// server keeps answering, so errors are handled with the same backoff as the
+// WebSocket source.
+const createSseSource = ({ url, parse = normalizeFrame }) => {
+  let running = false;
+  let eventSource = null;
+  let timer = null;
+  let attempts = 0;
+
+  const connect = (handlers) => {
+    handlers.onLoading(true);
+    eventSource = new EventSource(url);
+
+    eventSource.onopen = () => {
+      attempts = 0;
+      handlers.onLoading(false);
+    };
+
+    eventSource.onmessage = (event) => {
+      try {
+        handlers.onFrame(parse(JSON.parse(event.data)));
+      } catch (err) {
+        handlers.onError(err);
+      }
+    };
+
+    eventSource.onerror = () => {
+      eventSource.close();
+      if (!running) return;
+      const delay = getReconnectDelay(attempts);
+      attempts += 1;
+      handlers.onLoading(false);
+      handlers.onError(new Error(`Stream disconnected, reconnecting in ${(delay / 1000).toFixed(1)} s`));
+      timer = setTimeout(() => connect(handlers), delay);
+    };
+  };
+
+  return {
+    start(handlers) {
+      if (!url) {
+        handlers.onError(new Error('No stream URL configured'));
+        return;
+      }
+      running = true;
+      connect(handlers);
+    },
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      if (eventSource) eventSource.close();
+    }
+  };
+};
+
+export default createSseSource;
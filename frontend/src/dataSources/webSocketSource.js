@@ -0,0 +1,62 @@
+import { normalizeFrame } from './frames';
+import { getReconnectDelay } from './reconnect';
+
+// Push-based source: every WebSocket message carries one JSON frame
+const createWebSocketSource = ({ url, parse = normalizeFrame }) => {
+  let running = false;
+  let socket = null;
+  let timer = null;
+  let attempts = 0;
+
+  const connect = (handlers) => {
+    handlers.onLoading(true);
+
+    try {
+      socket = new WebSocket(url);
+    } catch (err) {
+      handlers.onLoading(false);
+      handlers.onError(err);
+      return;
+    }
+
+    socket.onopen = () => {
+      attempts = 0;
+      handlers.onLoading(false);
+    };
+
+    socket.onmessage = (event) => {
+      try {
+        handlers.onFrame(parse(JSON.parse(event.data)));
+      } catch (err) {
+        handlers.onError(err);
+      }
+    };
+
+    socket.onclose = () => {
+      if (!running) return;
+      const delay = getReconnectDelay(attempts);
+      attempts += 1;
+      handlers.onLoading(false);
+      handlers.onError(new Error(`Stream disconnected, reconnecting in ${(delay / 1000).toFixed(1)} s`));
+      timer = setTimeout(() => connect(handlers), delay);
+    };
+  };
+
+  return {
+    start(handlers) {
+      if (!url) {
+        handlers.onError(new Error('No stream URL configured'));
+        return;
+      }
+      running = true;
+      connect(handlers);
+    },
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      if (socket) socket.close();
+    }
+  };
+};
+
+export default createWebSocketSource;
@@ -0,0 +1,72 @@
+// Settings of the ADS1256 front end that the firmware accepts over its
+// configuration endpoint
+export const PGA_GAINS = [1, 2, 4, 8, 16, 32, 64];
+
+// Output data rates of the ADS1256, in samples per second
+export const DATA_RATES = [30000, 15000, 7500, 3750, 2000, 1000, 500, 100, 60, 50, 30, 25, 15, 10, 5, 2.5];
+
+export const MUX_MODES = {
+  singleEnded: { label: 'Single-ended (AIN0–7 vs AINCOM)', inputs: 8 },
+  differential: { label: 'Differential (AIN0/1 … AIN6/7)', inputs: 4 }
+};
+
+export const DEFAULT_ADC_CONFIG = {
+  pga: 1,
+  dataRate: 30000,
+  mux: 'singleEnded',
+  buffer: true,
+  fftSize: 4096
+};
+
+export const ADC_FIELD_LABELS = {
+  pga: 'PGA gain',
+  dataRate: 'Data rate',
+  mux: 'Input mux',
+  buffer: 'Input buffer',
+  fftSize: 'FFT size'
+};
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Settings the device reports as applied that differ from the ones sent
+export const adcMismatches = (sent, applied) => Object.keys(ADC_FIELD_LABELS).filter(key => (
+  applied[key] !== undefined && String(applied[key]) !== String(sent[key])
+));
+
+// POSTs `config` to the device's configuration endpoint. The firmware answers
+// `{ success, applied: {...} }` with the settings now in effect, or
+// `{ success: false, message }`. Returns the applied settings.
+export const sendAdcConfig = async (url, config) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(config),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const payload = await response.json();
+    if (!payload || !payload.success) {
+      throw new Error((payload && payload.message) || 'The device rejected the settings');
+    }
+    if (!payload.applied) {
+      throw new Error('The device did not report the settings it applied');
+    }
+    return payload.applied;
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error(`No answer within ${REQUEST_TIMEOUT_MS / 1000} s`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+};
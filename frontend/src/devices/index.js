@@ -0,0 +1,21 @@
+export {
+  ALARM_EVENTS_KEY,
+  DEFAULT_CHANNEL_MAP,
+  createDevice,
+  deviceSettingsKey,
+  deviceSourceConfig,
+  loadDevices,
+  pickSourceSettings,
+  removeDeviceData,
+  saveDevices
+} from './registry';
+export { DEVICE_STATUSES, STATUS_STYLES, deviceStatus, formatAge, staleAfter } from './status';
+export {
+  ADC_FIELD_LABELS,
+  DATA_RATES,
+  DEFAULT_ADC_CONFIG,
+  MUX_MODES,
+  PGA_GAINS,
+  adcMismatches,
+  sendAdcConfig
+} from './adcConfig';
@@ -0,0 +1,128 @@
+import { ADS1256_INPUTS, DEFAULT_SOURCE_CONFIG, LIVE_TYPES, SOURCE_TYPES, channelKeys, loadSourceConfig } from '../dataSources';
+import { DEFAULT_ADC_CONFIG } from './adcConfig';
+import { claimUntaggedRecords, deleteDeviceRecords } from '../sessions';
+import { loadJSON, removeJSON, saveJSON } from '../utils/storage';
+
+const STORAGE_KEY = 'vibration.devices';
+
+// The alarm log is shared by all devices; each event carries its `deviceId`
+export const ALARM_EVENTS_KEY = 'vibration.alarmEvents';
+
+// Settings tied to one machine rather than to the dashboard, stored per
+// device. They were global before devices existed.
+const DEVICE_SETTINGS = {
+  machineTrains: 'vibration.machineTrains',
+  machineClasses: 'vibration.machineClasses',
+  averaging: 'vibration.averaging',
+  alarmRules: 'vibration.alarmRules',
+  baselineSettings: 'vibration.baselineSettings',
+  crossChannel: 'vibration.crossChannel'
+};
+
+// Set once the sessions and baselines recorded before devices existed have
+// been handed to a device
+const RECORDS_CLAIMED_KEY = 'vibration.recordsClaimed';
+
+export const deviceSettingsKey = (deviceId, name) => `vibration.device.${deviceId}.${name}`;
+
+// Drops the settings, alarm events, sessions and baselines of a device
+// leaving the registry
+export const removeDeviceData = (deviceId) => {
+  Object.keys(DEVICE_SETTINGS).forEach(name => removeJSON(deviceSettingsKey(deviceId, name)));
+  const events = loadJSON(ALARM_EVENTS_KEY, []);
+  if (Array.isArray(events)) saveJSON(ALARM_EVENTS_KEY, events.filter(event => event.deviceId !== deviceId));
+  deleteDeviceRecords(deviceId).catch(err => console.error('Failed to delete device recordings:', err));
+};
+
+// Hands the settings, alarm events, sessions and baselines saved before
+// they were per device to `deviceId`, the device the dashboard showed then
+const migrateGlobalSettings = (deviceId) => {
+  Object.entries(DEVICE_SETTINGS).forEach(([name, globalKey]) => {
+    const stored = loadJSON(globalKey, null);
+    if (stored === null) return;
+    if (loadJSON(deviceSettingsKey(deviceId, name), null) === null) saveJSON(deviceSettingsKey(deviceId, name), stored);
+    removeJSON(globalKey);
+  });
+
+  const events = loadJSON(ALARM_EVENTS_KEY, []);
+  if (Array.isArray(events) && events.some(event => !event.deviceId)) {
+    saveJSON(ALARM_EVENTS_KEY, events.map(event => (event.deviceId ? event : { ...event, deviceId })));
+  }
+
+  if (!loadJSON(RECORDS_CLAIMED_KEY, false)) {
+    claimUntaggedRecords(deviceId)
+      .then(() => saveJSON(RECORDS_CLAIMED_KEY, true))
+      .catch(err => console.error('Failed to assign recordings to a device:', err));
+  }
+};
+
+// Each dashboard channel reads the input of the same number unless remapped
+export const DEFAULT_CHANNEL_MAP = channelKeys(ADS1256_INPUTS).reduce((acc, key) => {
+  acc[key] = key;
+  return acc;
+}, {});
+
+let deviceCounter = 0;
+
+// A DAQ node: where to reach it, how its inputs map onto channels and how
+// each channel is set up. `source` holds the persisted data source settings
+// (see dataSources); `channels` only the channel settings edited away from
+// their defaults (see channels/config.js); `adc` the ADS1256 settings last
+// applied through the node's `configUrl` (see devices/adcConfig.js).
+export const createDevice = (overrides = {}) => {
+  deviceCounter += 1;
+  return {
+    id: `device-${Date.now().toString(36)}-${deviceCounter}`,
+    name: 'New device',
+    location: '',
+    source: {
+      type: SOURCE_TYPES.HTTP,
+      url: '',
+      streamUrl: '',
+      interval: DEFAULT_SOURCE_CONFIG.interval
+    },
+    channelMap: { ...DEFAULT_CHANNEL_MAP },
+    channels: {},
+    configUrl: '',
+    adc: { ...DEFAULT_ADC_CONFIG },
+    ...overrides
+  };
+};
+
+// Source config for `createDataSource`. Only the lightweight settings live
+// in the registry; replay frames and session players are attached per view.
+export const deviceSourceConfig = (device) => ({
+  ...DEFAULT_SOURCE_CONFIG,
+  ...pickSourceSettings({ ...DEFAULT_SOURCE_CONFIG, ...device.source }),
+  channelMap: device.channelMap,
+  channels: device.channels,
+  frames: [],
+  fileName: null,
+  player: null
+});
+
+// Devices only keep live sources; one saved with a replay type before would
+// otherwise get no data after a reload
+export const pickSourceSettings = ({ type, url, streamUrl, interval }) => ({
+  type: LIVE_TYPES.includes(type) ? type : SOURCE_TYPES.HTTP,
+  url,
+  streamUrl,
+  interval
+});
+
+export const saveDevices = (devices) => saveJSON(STORAGE_KEY, devices);
+
+// The first load turns the single endpoint configured before the registry
+// existed into its first device
+export const loadDevices = () => {
+  const stored = loadJSON(STORAGE_KEY, null);
+  if (Array.isArray(stored) && stored.length > 0) {
+    migrateGlobalSettings(stored[0].id);
+    return stored;
+  }
+
+  const devices = [createDevice({ name: 'DAQ node 1', source: pickSourceSettings(loadSourceConfig()) })];
+  saveDevices(devices);
+  migrateGlobalSettings(devices[0].id);
+  return devices;
+};
@@ -0,0 +1,125 @@
+import {
+  ALARM_EVENTS_KEY,
+  DEFAULT_CHANNEL_MAP,
+  createDevice,
+  deviceSettingsKey,
+  deviceSourceConfig,
+  loadDevices,
+  removeDeviceData
+} from './registry';
+import { claimUntaggedRecords, deleteDeviceRecords } from '../sessions';
+import { SOURCE_TYPES } from '../dataSources';
+
+// Sessions live in IndexedDB, which jsdom lacks
+jest.mock('../sessions', () => ({
+  claimUntaggedRecords: jest.fn(),
+  deleteDeviceRecords: jest.fn()
+}));
+
+const stored = (key) => JSON.parse(localStorage.getItem(key));
+const store = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  localStorage.clear();
+  claimUntaggedRecords.mockResolvedValue();
+  deleteDeviceRecords.mockResolvedValue();
+});
+
+describe('deviceSettingsKey', () => {
+  it('namespaces a setting under the device id', () => {
+    expect(deviceSettingsKey('device-1', 'alarmRules')).toBe('vibration.device.device-1.alarmRules');
+  });
+});
+
+describe('createDevice', () => {
+  it('gives every device its own id and an identity channel map', () => {
+    const first = createDevice();
+    const second = createDevice({ name: 'Pump 3' });
+
+    expect(first.id).not.toBe(second.id);
+    expect(second.name).toBe('Pump 3');
+    expect(first.channelMap).toEqual(DEFAULT_CHANNEL_MAP);
+    expect(first.channelMap.Channel8).toBe('Channel8');
+    expect(first.channelMap).not.toBe(DEFAULT_CHANNEL_MAP);
+  });
+});
+
+describe('deviceSourceConfig', () => {
+  it('carries the channel setup and keeps devices on live sources', () => {
+    const device = createDevice({ source: { type: SOURCE_TYPES.REPLAY, url: 'http://node/data' }, channelMap: { Channel1: 'Channel2' } });
+    const config = deviceSourceConfig(device);
+
+    expect(config.type).toBe(SOURCE_TYPES.HTTP);
+    expect(config.url).toBe('http://node/data');
+    expect(config.channelMap).toEqual({ Channel1: 'Channel2' });
+    expect(config.frames).toEqual([]);
+  });
+});
+
+describe('loadDevices', () => {
+  it('turns the endpoint configured before the registry into the first device', () => {
+    store('vibration.dataSource', { type: SOURCE_TYPES.WEBSOCKET, streamUrl: 'ws://node/stream' });
+    const [device] = loadDevices();
+
+    expect(device.name).toBe('DAQ node 1');
+    expect(device.source.type).toBe(SOURCE_TYPES.WEBSOCKET);
+    expect(device.source.streamUrl).toBe('ws://node/stream');
+    expect(stored('vibration.devices')).toEqual([device]);
+  });
+
+  it('moves the global settings to the first device', () => {
+    store('vibration.devices', [createDevice({ id: 'a' }), createDevice({ id: 'b' })]);
+    store('vibration.alarmRules', [{ id: 'rule' }]);
+    store('vibration.crossChannel', { channelA: 'Channel1', channelB: 'Channel2' });
+    store(deviceSettingsKey('a', 'crossChannel'), { channelA: 'Channel3', channelB: 'Channel4' });
+    store(ALARM_EVENTS_KEY, [{ id: 1 }, { id: 2, deviceId: 'b' }]);
+    loadDevices();
+
+    expect(stored(deviceSettingsKey('a', 'alarmRules'))).toEqual([{ id: 'rule' }]);
+    expect(stored(deviceSettingsKey('a', 'crossChannel'))).toEqual({ channelA: 'Channel3', channelB: 'Channel4' });
+    expect(localStorage.getItem('vibration.alarmRules')).toBeNull();
+    expect(localStorage.getItem('vibration.crossChannel')).toBeNull();
+    expect(stored(deviceSettingsKey('b', 'alarmRules'))).toBeNull();
+    expect(stored(ALARM_EVENTS_KEY)).toEqual([{ id: 1, deviceId: 'a' }, { id: 2, deviceId: 'b' }]);
+  });
+
+  it('hands the untagged recordings to the first device once', async () => {
+    store('vibration.devices', [createDevice({ id: 'a' })]);
+    loadDevices();
+    await settle();
+    loadDevices();
+
+    expect(claimUntaggedRecords).toHaveBeenCalledTimes(1);
+    expect(claimUntaggedRecords).toHaveBeenCalledWith('a');
+  });
+
+  it('tries the recordings again after a failure', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    claimUntaggedRecords.mockImplementationOnce(() => Promise.reject(new Error('blocked')));
+    store('vibration.devices', [createDevice({ id: 'a' })]);
+    loadDevices();
+    await settle();
+    loadDevices();
+
+    expect(claimUntaggedRecords).toHaveBeenCalledTimes(2);
+    console.error.mockRestore();
+  });
+});
+
+describe('removeDeviceData', () => {
+  it('drops the settings, alarm events and recordings of one device only', () => {
+    ['a', 'b'].forEach(id => {
+      store(deviceSettingsKey(id, 'alarmRules'), [{ id }]);
+      store(deviceSettingsKey(id, 'averaging'), { mode: 'linear' });
+    });
+    store(ALARM_EVENTS_KEY, [{ id: 1, deviceId: 'a' }, { id: 2, deviceId: 'b' }]);
+    removeDeviceData('a');
+
+    expect(localStorage.getItem(deviceSettingsKey('a', 'alarmRules'))).toBeNull();
+    expect(localStorage.getItem(deviceSettingsKey('a', 'averaging'))).toBeNull();
+    expect(stored(deviceSettingsKey('b', 'alarmRules'))).toEqual([{ id: 'b' }]);
+    expect(stored(ALARM_EVENTS_KEY)).toEqual([{ id: 2, deviceId: 'b' }]);
+    expect(deleteDeviceRecords).toHaveBeenCalledWith('a');
+  });
+});
@@ -0,0 +1,40 @@
+import { STREAMING_TYPES } from '../dataSources';
+
+export const DEVICE_STATUSES = {
+  CONNECTING: 'connecting',
+  ONLINE: 'online',
+  STALE: 'stale',
+  OFFLINE: 'offline'
+};
+
+export const STATUS_STYLES = {
+  connecting: { dot: 'bg-yellow-400 animate-pulse', text: 'text-yellow-300', label: 'Connecting' },
+  online: { dot: 'bg-emerald-400', text: 'text-emerald-300', label: 'Online' },
+  stale: { dot: 'bg-orange-400', text: 'text-orange-300', label: 'No recent data' },
+  offline: { dot: 'bg-red-500', text: 'text-red-300', label: 'Offline' }
+};
+
+// Streams push every frame; polled devices are late after missing a few polls
+const STREAM_STALE_MS = 10000;
+const MISSED_POLLS = 3;
+
+export const staleAfter = (source) => (
+  STREAMING_TYPES.includes(source.type) ? STREAM_STALE_MS : Math.max(5000, MISSED_POLLS * source.interval)
+);
+
+// Connection state of a device at time `now` from its last frame and error
+export const deviceStatus = ({ lastUpdate, error }, source, now) => {
+  const age = lastUpdate ? now - lastUpdate.getTime() : null;
+  const fresh = age !== null && age <= staleAfter(source);
+  if (error && !fresh) return DEVICE_STATUSES.OFFLINE;
+  if (age === null) return DEVICE_STATUSES.CONNECTING;
+  return fresh ? DEVICE_STATUSES.ONLINE : DEVICE_STATUSES.STALE;
+};
+
+// "4 s ago", "3 min ago", "2 h ago"
+export const formatAge = (milliseconds) => {
+  const seconds = Math.max(0, Math.round(milliseconds / 1000));
+  if (seconds < 60) return `${seconds} s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  return `${Math.floor(seconds / 3600)} h ago`;
+};
@@ -0,0 +1,95 @@
+import { DEFAULT_FFT_SETTINGS, SPECTRUM_MODES, computeChannelSpectra } from './spectrum';
+import { getWindow } from './windows';
+import { DEFAULT_VELOCITY_BAND, computeChannelMetrics } from './metrics';
+import { DEFAULT_PEAK_SETTINGS, findPeaks } from './peaks';
+import { DEFAULT_SPEED_SETTINGS, resolveRunningSpeed } from './runningSpeed';
+import { isPowerOfTwo } from './fft';
+import { checkFrame, sanitizeValues } from '../dataSources/quality';
+
+// Acquisition defaults of the ESP32 firmware, for frames that do not say
+export const DEVICE_SAMPLING_FREQ = 30000;
+export const DEVICE_FFT_SIZE = 4096;
+
+// A single-sided spectrum has fftSize / 2 bins, or one more with Nyquist
+const inferFftSize = (binCount) => {
+  if (binCount > 1 && isPowerOfTwo(binCount)) return binCount * 2;
+  if (binCount > 2 && isPowerOfTwo(binCount - 1)) return (binCount - 1) * 2;
+  return null;
+};
+
+// Acquisition parameters of the spectra a frame carries: as recorded with it
+// or reported by the device, the FFT size otherwise inferred from the spectrum
+// length, and the firmware defaults as a last resort. `sources` says which.
+export const frameAcquisition = (frame) => {
+  const recorded = frame.acquisition || {};
+  const binCount = Math.max(0, ...Object.values(frame.channels).map(values => (values ? values.length : 0)));
+  const reportedRate = recorded.samplingFreq || frame.samplingFreq;
+  const reportedSize = recorded.fftSize || frame.fftSize;
+  const inferredSize = reportedSize ? null : inferFftSize(binCount);
+
+  return {
+    samplingFreq: reportedRate || DEVICE_SAMPLING_FREQ,
+    fftSize: reportedSize || inferredSize || DEVICE_FFT_SIZE,
+    sources: {
+      samplingFreq: reportedRate ? 'frame' : 'default',
+      fftSize: (reportedSize && 'frame') || (inferredSize && 'length') || 'default'
+    }
+  };
+};
+
+// The firmware's window is not reported; assume Hann for the device spectra
+const DEVICE_WINDOW_ENBW = 1.5;
+
+// Everything the dashboard derives from one frame: the spectra it displays
+// (browser FFT of the raw blocks when selected and available, otherwise the
+// device's own magnitudes), the acquisition parameters they were computed
+// with, the running speed, per-channel peaks and overall metrics, and the
+// data-quality warnings raised by the frame. Values that are not finite
+// numbers are zeroed before analysis.
+export const analyzeFrame = (frame, {
+  fftSettings = DEFAULT_FFT_SETTINGS,
+  velocityBand = DEFAULT_VELOCITY_BAND,
+  peakSettings = DEFAULT_PEAK_SETTINGS,
+  speedSettings = DEFAULT_SPEED_SETTINGS
+} = {}) => {
+  const browserFft = fftSettings.mode === SPECTRUM_MODES.BROWSER && Boolean(frame.samples);
+  const acquisition = frameAcquisition(frame);
+  const warnings = checkFrame(frame, acquisition);
+  const samples = frame.samples && sanitizeValues(frame.samples);
+  const rawSamplingFreq = frame.samplingFreq || acquisition.samplingFreq;
+  const samplingFreq = browserFft ? rawSamplingFreq : acquisition.samplingFreq;
+  const fftSize = browserFft ? fftSettings.fftSize : acquisition.fftSize;
+  const enbw = browserFft ? getWindow(fftSettings.window, fftSize).enbw : DEVICE_WINDOW_ENBW;
+  const spectra = browserFft ? computeChannelSpectra(samples, fftSettings) : sanitizeValues(frame.channels);
+
+  const peaks = {};
+  const metrics = {};
+  Object.keys(spectra).forEach(key => {
+    peaks[key] = findPeaks(spectra[key], { ...peakSettings, samplingFreq, fftSize });
+    metrics[key] = computeChannelMetrics({
+      samples: samples ? samples[key] : null,
+      magnitudes: spectra[key],
+      samplingFreq,
+      fftSize,
+      enbw,
+      velocityBand
+    });
+  });
+
+  const runningSpeed = resolveRunningSpeed({ spectra, tachoRpm: frame.rpm, samplingFreq, fftSize }, speedSettings);
+
+  return {
+    timestamp: frame.timestamp,
+    browserFft,
+    samplingFreq,
+    rawSamplingFreq,
+    fftSize,
+    window: browserFft ? fftSettings.window : null,
+    enbw,
+    spectra,
+    runningSpeed,
+    peaks,
+    metrics,
+    warnings
+  };
+};
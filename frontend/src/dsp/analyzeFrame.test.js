@@ -0,0 +1,39 @@
+import { DEVICE_FFT_SIZE, DEVICE_SAMPLING_FREQ, frameAcquisition } from './analyzeFrame';
+
+const bins = (length) => ({ Channel1: new Array(length).fill(0), Channel2: [] });
+
+describe('frameAcquisition', () => {
+  it('prefers the parameters recorded with the frame', () => {
+    const acquisition = frameAcquisition({
+      channels: bins(512),
+      acquisition: { samplingFreq: 25600, fftSize: 2048 },
+      samplingFreq: 1000,
+      fftSize: 4096
+    });
+
+    expect(acquisition).toEqual({ samplingFreq: 25600, fftSize: 2048, sources: { samplingFreq: 'frame', fftSize: 'frame' } });
+  });
+
+  it('takes the parameters the device reported', () => {
+    expect(frameAcquisition({ channels: bins(512), samplingFreq: 1000, fftSize: 4096 })).toEqual({
+      samplingFreq: 1000,
+      fftSize: 4096,
+      sources: { samplingFreq: 'frame', fftSize: 'frame' }
+    });
+  });
+
+  it('infers the FFT size from the spectrum length', () => {
+    expect(frameAcquisition({ channels: bins(512) }).fftSize).toBe(1024);
+    expect(frameAcquisition({ channels: bins(1025) }).fftSize).toBe(2048);
+    expect(frameAcquisition({ channels: bins(1025) }).sources).toEqual({ samplingFreq: 'default', fftSize: 'length' });
+  });
+
+  it('falls back to the firmware defaults', () => {
+    expect(frameAcquisition({ channels: bins(300) })).toEqual({
+      samplingFreq: DEVICE_SAMPLING_FREQ,
+      fftSize: DEVICE_FFT_SIZE,
+      sources: { samplingFreq: 'default', fftSize: 'default' }
+    });
+    expect(frameAcquisition({ channels: { Channel1: null } }).fftSize).toBe(DEVICE_FFT_SIZE);
+  });
+});
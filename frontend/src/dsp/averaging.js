@@ -0,0 +1,61 @@
+export const AVERAGING_MODES = {
+  NONE: 'none',
+  LINEAR: 'linear',
+  EXPONENTIAL: 'exponential',
+  PEAK_HOLD: 'peakHold'
+};
+
+export const AVERAGING_OPTIONS = [
+  { value: AVERAGING_MODES.NONE, label: 'No averaging' },
+  { value: AVERAGING_MODES.LINEAR, label: 'Linear' },
+  { value: AVERAGING_MODES.EXPONENTIAL, label: 'Exponential' },
+  { value: AVERAGING_MODES.PEAK_HOLD, label: 'Peak hold' }
+];
+
+// `count` is the linear window in frames, `weight` the share of each new
+// frame in the exponential average
+export const DEFAULT_AVERAGING = {
+  mode: AVERAGING_MODES.NONE,
+  count: 8,
+  weight: 0.25
+};
+
+// Folds one spectrum into an averaging state and returns the new state
+// { spectrum, frames, sum, count }. States are never mutated. Linear mode is
+// a moving average over the last `count` frames; a spectrum of a different
+// length (FFT size change) restarts the average.
+export const accumulateSpectrum = (state, spectrum, settings) => {
+  const length = spectrum.length;
+  const fresh = !state || state.spectrum.length !== length;
+
+  switch (settings.mode) {
+    case AVERAGING_MODES.LINEAR: {
+      const frames = fresh ? [spectrum] : [...state.frames, spectrum];
+      const dropped = frames.length > settings.count ? frames.splice(0, frames.length - settings.count) : [];
+      const sum = fresh ? new Float64Array(length) : Float64Array.from(state.sum);
+      for (let i = 0; i < length; i++) {
+        sum[i] += spectrum[i];
+        for (let j = 0; j < dropped.length; j++) sum[i] -= dropped[j][i];
+      }
+      const averaged = new Float64Array(length);
+      for (let i = 0; i < length; i++) averaged[i] = Math.max(0, sum[i] / frames.length);
+      return { spectrum: averaged, frames, sum, count: frames.length };
+    }
+    case AVERAGING_MODES.EXPONENTIAL: {
+      if (fresh) return { spectrum: Float64Array.from(spectrum), count: 1 };
+      const averaged = new Float64Array(length);
+      for (let i = 0; i < length; i++) {
+        averaged[i] = state.spectrum[i] + settings.weight * (spectrum[i] - state.spectrum[i]);
+      }
+      return { spectrum: averaged, count: state.count + 1 };
+    }
+    case AVERAGING_MODES.PEAK_HOLD: {
+      if (fresh) return { spectrum: Float64Array.from(spectrum), count: 1 };
+      const held = new Float64Array(length);
+      for (let i = 0; i < length; i++) held[i] = Math.max(state.spectrum[i], spectrum[i]);
+      return { spectrum: held, count: state.count + 1 };
+    }
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,74 @@
+import { AVERAGING_MODES, accumulateSpectrum } from './averaging';
+
+const fold = (spectra, settings) => spectra.reduce((state, spectrum) => accumulateSpectrum(state, spectrum, settings), null);
+
+describe('accumulateSpectrum', () => {
+  describe('linear', () => {
+    const settings = { mode: AVERAGING_MODES.LINEAR, count: 3 };
+
+    it('averages the frames so far', () => {
+      const state = fold([[1, 2], [3, 6]], settings);
+
+      expect(Array.from(state.spectrum)).toEqual([2, 4]);
+      expect(state.count).toBe(2);
+    });
+
+    it('moves over the last `count` frames', () => {
+      const state = fold([[100, 100], [1, 2], [2, 4], [3, 6]], settings);
+
+      expect(Array.from(state.spectrum)).toEqual([2, 4]);
+      expect(state.count).toBe(3);
+      expect(state.frames).toHaveLength(3);
+    });
+  });
+
+  describe('exponential', () => {
+    const settings = { mode: AVERAGING_MODES.EXPONENTIAL, weight: 0.25 };
+
+    it('starts from the first frame', () => {
+      const state = fold([[4, 8]], settings);
+
+      expect(Array.from(state.spectrum)).toEqual([4, 8]);
+      expect(state.count).toBe(1);
+    });
+
+    it('gives each new frame `weight` of the average', () => {
+      const state = fold([[4, 8], [8, 0], [0, 0]], settings);
+
+      expect(Array.from(state.spectrum)).toEqual([3.75, 4.5]);
+      expect(state.count).toBe(3);
+    });
+  });
+
+  describe('peak hold', () => {
+    it('keeps the highest level of each bin', () => {
+      const state = fold([[1, 5, 2], [3, 1, 2], [2, 4, 6]], { mode: AVERAGING_MODES.PEAK_HOLD });
+
+      expect(Array.from(state.spectrum)).toEqual([3, 5, 6]);
+      expect(state.count).toBe(3);
+    });
+  });
+
+  it('restarts when the spectrum length changes', () => {
+    Object.values(AVERAGING_MODES).filter(mode => mode !== AVERAGING_MODES.NONE).forEach(mode => {
+      const state = fold([[9, 9], [9, 9], [1, 2, 3]], { mode, count: 4, weight: 0.5 });
+
+      expect(Array.from(state.spectrum)).toEqual([1, 2, 3]);
+      expect(state.count).toBe(1);
+    });
+  });
+
+  it('does not modify the previous state or the spectrum', () => {
+    const spectrum = [2, 2];
+    const first = accumulateSpectrum(null, [1, 1], { mode: AVERAGING_MODES.LINEAR, count: 4 });
+    accumulateSpectrum(first, spectrum, { mode: AVERAGING_MODES.LINEAR, count: 4 });
+
+    expect(Array.from(first.spectrum)).toEqual([1, 1]);
+    expect(first.frames).toHaveLength(1);
+    expect(spectrum).toEqual([2, 2]);
+  });
+
+  it('returns no state without averaging', () => {
+    expect(accumulateSpectrum(null, [1, 2], { mode: AVERAGING_MODES.NONE })).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import { toDb } from '../utils/scales';
+
+// Bins quieter than this (g) are never reported as exceeding the baseline,
+// so noise-floor ripple does not light up the whole spectrum
+const LEVEL_FLOOR = 1e-4;
+// Exceeding bins separated by at most this many bins merge into one band
+const BAND_GAP_BINS = 2;
+
+// Re-samples a baseline spectrum onto the live bin grid by linear
+// interpolation, so a baseline taken with another FFT size or sampling rate
+// can still be compared. Bins beyond the baseline's range are null.
+export const alignSpectrum = (spectrum, sourceBinWidth, binCount, binWidth) => {
+  if (spectrum.length === binCount && Math.abs(sourceBinWidth - binWidth) < 1e-9) return spectrum;
+
+  const aligned = new Array(binCount);
+  for (let i = 0; i < binCount; i++) {
+    const position = (i * binWidth) / sourceBinWidth;
+    const lower = Math.floor(position);
+    if (lower >= spectrum.length - 1) {
+      aligned[i] = lower === spectrum.length - 1 && position === lower ? spectrum[lower] : null;
+      continue;
+    }
+    const fraction = position - lower;
+    aligned[i] = spectrum[lower] * (1 - fraction) + spectrum[lower + 1] * fraction;
+  }
+  return aligned;
+};
+
+// Compares a live spectrum with an aligned baseline. Returns the difference
+// (g) and ratio (dB) per bin, and the bands where the live level exceeds the
+// baseline by more than `marginDb`: [{ lowFreq, highFreq, excessDb }].
+export const compareSpectra = (live, baseline, { binWidth, marginDb }) => {
+  const length = Math.min(live.length, baseline.length);
+  const difference = new Array(length);
+  const ratioDb = new Array(length);
+  const bands = [];
+  let band = null;
+
+  for (let i = 0; i < length; i++) {
+    if (baseline[i] === null || baseline[i] === undefined) {
+      difference[i] = null;
+      ratioDb[i] = null;
+      continue;
+    }
+    difference[i] = live[i] - baseline[i];
+    ratioDb[i] = toDb(live[i]) - toDb(Math.max(baseline[i], LEVEL_FLOOR));
+
+    if (i === 0 || live[i] < LEVEL_FLOOR || ratioDb[i] <= marginDb) continue;
+    if (band && i - band.lastBin <= BAND_GAP_BINS + 1) {
+      band.lastBin = i;
+      band.excessDb = Math.max(band.excessDb, ratioDb[i]);
+    } else {
+      band = { firstBin: i, lastBin: i, excessDb: ratioDb[i] };
+      bands.push(band);
+    }
+  }
+
+  return {
+    difference,
+    ratioDb,
+    bands: bands.map(({ firstBin, lastBin, excessDb }) => ({
+      lowFreq: (firstBin - 0.5) * binWidth,
+      highFreq: (lastBin + 0.5) * binWidth,
+      excessDb
+    }))
+  };
+};
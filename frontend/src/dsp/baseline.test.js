@@ -0,0 +1,86 @@
+import { alignSpectrum, compareSpectra } from './baseline';
+
+describe('alignSpectrum', () => {
+  it('returns a baseline on the live grid unchanged', () => {
+    const spectrum = [1, 2, 3];
+    expect(alignSpectrum(spectrum, 0.5, 3, 0.5)).toBe(spectrum);
+  });
+
+  it('picks every other bin of a finer baseline', () => {
+    const spectrum = Array.from({ length: 9 }, (_, i) => i);
+    expect(alignSpectrum(spectrum, 1, 4, 2)).toEqual([0, 2, 4, 6]);
+  });
+
+  it('interpolates a coarser baseline and leaves bins beyond its range empty', () => {
+    expect(alignSpectrum([0, 10, 20], 2, 6, 1)).toEqual([0, 5, 10, 15, 20, null]);
+  });
+
+  it('interpolates between bins that do not line up', () => {
+    const aligned = alignSpectrum([0, 3, 6, 9], 3, 4, 2);
+
+    expect(aligned[1]).toBeCloseTo(2, 12);
+    expect(aligned[2]).toBeCloseTo(4, 12);
+    expect(aligned[3]).toBe(6);
+  });
+});
+
+describe('compareSpectra', () => {
+  const baseline = new Array(32).fill(0.01);
+
+  const live = () => {
+    const spectrum = new Array(32).fill(0.01);
+    spectrum[5] = 0.04;
+    spectrum[6] = 0.04;
+    spectrum[8] = 0.02;
+    spectrum[20] = 0.1;
+    return spectrum;
+  };
+
+  it('reports the difference and the ratio per bin', () => {
+    const { difference, ratioDb } = compareSpectra(live(), baseline, { binWidth: 2, marginDb: 6 });
+
+    expect(difference[5]).toBeCloseTo(0.03, 12);
+    expect(difference[0]).toBe(0);
+    expect(ratioDb[20]).toBeCloseTo(20, 10);
+    expect(ratioDb[0]).toBe(0);
+  });
+
+  it('merges exceeding bins close to each other into one band', () => {
+    const { bands } = compareSpectra(live(), baseline, { binWidth: 2, marginDb: 6 });
+
+    expect(bands).toHaveLength(2);
+    expect(bands[0].lowFreq).toBe(9);
+    expect(bands[0].highFreq).toBe(17);
+    expect(bands[0].excessDb).toBeCloseTo(20 * Math.log10(4), 10);
+    expect(bands[1].lowFreq).toBe(39);
+    expect(bands[1].highFreq).toBe(41);
+  });
+
+  it('keeps bins up to the margin out of the bands', () => {
+    const { bands } = compareSpectra(live(), baseline, { binWidth: 2, marginDb: 13 });
+    expect(bands.map(band => band.lowFreq)).toEqual([39]);
+  });
+
+  it('ignores DC and bins below the level floor', () => {
+    const quiet = new Array(8).fill(1e-6);
+    const spectrum = [...quiet];
+    spectrum[0] = 1;
+    spectrum[3] = 5e-5;
+
+    expect(compareSpectra(spectrum, quiet, { binWidth: 1, marginDb: 6 }).bands).toEqual([]);
+  });
+
+  it('leaves bins without a baseline out of the comparison', () => {
+    const aligned = [...baseline.slice(0, 16), ...new Array(16).fill(null)];
+    const { difference, ratioDb, bands } = compareSpectra(live(), aligned, { binWidth: 2, marginDb: 6 });
+
+    expect(difference[20]).toBeNull();
+    expect(ratioDb[20]).toBeNull();
+    expect(bands.map(band => band.lowFreq)).toEqual([9]);
+  });
+
+  it('compares up to the shorter spectrum', () => {
+    const { difference } = compareSpectra(live(), baseline.slice(0, 10), { binWidth: 2, marginDb: 6 });
+    expect(difference).toHaveLength(10);
+  });
+});
@@ -0,0 +1,168 @@
+import { fft } from './fft';
+import { getWindow } from './windows';
+
+// Cross-channel analysis of a pair of channels A and B. Both paths produce
+// the same densities { sab: { re, im }, saa, sbb, count }: sums over `count`
+// spectra of B·conj(A), |A|² and |B|², with the spectra amplitude-scaled like
+// computeSpectrum so that sqrt(saa / count) is the magnitude spectrum of A.
+// Phase is that of B relative to A: positive when B leads.
+
+export const DEFAULT_CROSS_SETTINGS = {
+  channelA: 'Channel1',
+  channelB: 'Channel2',
+  averages: 16
+};
+
+// Bins either side of an order frequency searched for the cross-spectrum peak
+const ORDER_SEARCH_BINS = 2;
+
+const emptyDensities = (binCount) => ({
+  sab: { re: new Float64Array(binCount), im: new Float64Array(binCount) },
+  saa: new Float64Array(binCount),
+  sbb: new Float64Array(binCount),
+  count: 0
+});
+
+const accumulateBins = (densities, aRe, aIm, bRe, bIm, binCount) => {
+  for (let k = 0; k < binCount; k++) {
+    densities.sab.re[k] += bRe[k] * aRe[k] + bIm[k] * aIm[k];
+    densities.sab.im[k] += bIm[k] * aRe[k] - bRe[k] * aIm[k];
+    densities.saa[k] += aRe[k] * aRe[k] + aIm[k] * aIm[k];
+    densities.sbb[k] += bRe[k] * bRe[k] + bIm[k] * bIm[k];
+  }
+  densities.count += 1;
+};
+
+// Welch densities of two simultaneously sampled blocks, segmented and
+// windowed as in computeSpectrum. Blocks are cut to the shorter of the two.
+export const sampleDensities = (a, b, { fftSize = 4096, window = 'hann', overlap = 0.5 } = {}) => {
+  const length = Math.min(a ? a.length : 0, b ? b.length : 0);
+  if (length === 0) return null;
+
+  const binCount = fftSize / 2;
+  const segmentLength = Math.min(fftSize, length);
+  const { coefficients, coherentGain } = getWindow(window, segmentLength);
+  const scale = 1 / (coherentGain * segmentLength);
+  const hop = Math.max(1, Math.round(segmentLength * (1 - overlap)));
+
+  const mean = (values) => {
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += values[i];
+    return sum / length;
+  };
+  const meanA = mean(a);
+  const meanB = mean(b);
+
+  const aRe = new Float64Array(fftSize);
+  const aIm = new Float64Array(fftSize);
+  const bRe = new Float64Array(fftSize);
+  const bIm = new Float64Array(fftSize);
+  const densities = emptyDensities(binCount);
+
+  for (let start = 0; start + segmentLength <= length; start += hop) {
+    aRe.fill(0);
+    aIm.fill(0);
+    bRe.fill(0);
+    bIm.fill(0);
+    for (let n = 0; n < segmentLength; n++) {
+      aRe[n] = (a[start + n] - meanA) * coefficients[n];
+      bRe[n] = (b[start + n] - meanB) * coefficients[n];
+    }
+    fft(aRe, aIm);
+    fft(bRe, bIm);
+    for (let k = 0; k < binCount; k++) {
+      const factor = k === 0 ? scale : scale * 2;
+      aRe[k] *= factor;
+      aIm[k] *= factor;
+      bRe[k] *= factor;
+      bIm[k] *= factor;
+    }
+    accumulateBins(densities, aRe, aIm, bRe, bIm, binCount);
+  }
+  return densities;
+};
+
+const complexLength = (spectrum) => (
+  spectrum && spectrum.re && spectrum.im && spectrum.re.length === spectrum.im.length ? spectrum.re.length : 0
+);
+
+// Densities of one pair of complex spectra `{ re, im }` as the device sends
+// them, on the same scale as its magnitudes
+export const complexDensities = (a, b) => {
+  const binCount = Math.min(complexLength(a), complexLength(b));
+  if (binCount === 0) return null;
+  const densities = emptyDensities(binCount);
+  accumulateBins(densities, a.re, a.im, b.re, b.im, binCount);
+  return densities;
+};
+
+const addInto = (target, source, sign) => {
+  for (let k = 0; k < target.saa.length; k++) {
+    target.sab.re[k] += sign * source.sab.re[k];
+    target.sab.im[k] += sign * source.sab.im[k];
+    target.saa[k] += sign * source.saa[k];
+    target.sbb[k] += sign * source.sbb[k];
+  }
+  target.count += sign * source.count;
+};
+
+// Folds one frame's densities into a moving average over the last `averages`
+// frames: { frames, sum }. States are never mutated; a change in bin count
+// restarts the average.
+export const accumulateDensities = (state, densities, averages) => {
+  const binCount = densities.saa.length;
+  if (!state || state.sum.saa.length !== binCount) {
+    const sum = emptyDensities(binCount);
+    addInto(sum, densities, 1);
+    return { frames: [densities], sum };
+  }
+
+  const frames = [...state.frames, densities];
+  const dropped = frames.length > averages ? frames.splice(0, frames.length - averages) : [];
+  const sum = emptyDensities(binCount);
+  addInto(sum, state.sum, 1);
+  addInto(sum, densities, 1);
+  dropped.forEach(frame => addInto(sum, frame, -1));
+  return { frames, sum };
+};
+
+// Cross-spectrum magnitude (geometric mean amplitude of A and B), phase in
+// degrees (−180..180) and magnitude-squared coherence (0..1) per bin.
+// Coherence is 1 by construction until more than one spectrum is averaged.
+export const crossSpectrum = (densities) => {
+  const binCount = densities.saa.length;
+  const magnitude = new Array(binCount);
+  const phase = new Array(binCount);
+  const coherence = new Array(binCount);
+
+  for (let k = 0; k < binCount; k++) {
+    const re = densities.sab.re[k];
+    const im = densities.sab.im[k];
+    const cross = Math.hypot(re, im);
+    const auto = densities.saa[k] * densities.sbb[k];
+    magnitude[k] = Math.sqrt(cross / densities.count);
+    phase[k] = (Math.atan2(im, re) * 180) / Math.PI;
+    coherence[k] = auto > 0 ? Math.min(1, (cross * cross) / auto) : 0;
+  }
+  return { magnitude, phase, coherence, count: densities.count };
+};
+
+// Phase and coherence at the orders of the running speed, read at the
+// strongest cross-spectrum bin next to each order.
+// Returns [{ order, frequency, magnitude, phase, coherence }].
+export const orderPhases = (cross, speed, { binWidth, orders = [1, 2, 3] }) => orders
+  .map(order => {
+    const center = Math.round((order * speed) / binWidth);
+    let best = -1;
+    for (let k = Math.max(1, center - ORDER_SEARCH_BINS); k <= Math.min(cross.magnitude.length - 1, center + ORDER_SEARCH_BINS); k++) {
+      if (best < 0 || cross.magnitude[k] > cross.magnitude[best]) best = k;
+    }
+    return best < 0 ? null : {
+      order,
+      frequency: best * binWidth,
+      magnitude: cross.magnitude[best],
+      phase: cross.phase[best],
+      coherence: cross.coherence[best]
+    };
+  })
+  .filter(Boolean);
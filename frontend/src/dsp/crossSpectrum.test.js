@@ -0,0 +1,142 @@
+import { accumulateDensities, complexDensities, crossSpectrum, orderPhases, sampleDensities } from './crossSpectrum';
+
+const SAMPLING_FREQ = 1024;
+const FFT_SIZE = 256;
+const fftSettings = { fftSize: FFT_SIZE, window: 'hann', overlap: 0.5 };
+
+// 64 Hz falls on bin 16 of a 256-point FFT at 1024 Hz
+const TONE_BIN = 16;
+const TONE_FREQ = (TONE_BIN * SAMPLING_FREQ) / FFT_SIZE;
+
+const sine = (length, amplitude, phaseDeg = 0) => Array.from(
+  { length },
+  (_, n) => amplitude * Math.sin((2 * Math.PI * TONE_FREQ * n) / SAMPLING_FREQ + (phaseDeg * Math.PI) / 180)
+);
+
+// Deterministic uniform noise in −1..1
+const noise = (length, seed) => {
+  let state = seed;
+  return Array.from({ length }, () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return (state / 4294967296) * 2 - 1;
+  });
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+describe('sampleDensities and crossSpectrum', () => {
+  it('measure the amplitude and phase of B relative to A', () => {
+    const densities = sampleDensities(sine(1024, 1), sine(1024, 2, 30), fftSettings);
+    const cross = crossSpectrum(densities);
+
+    expect(densities.count).toBe(7);
+    expect(cross.count).toBe(7);
+    expect(cross.magnitude).toHaveLength(FFT_SIZE / 2);
+    expect(cross.magnitude[TONE_BIN]).toBeCloseTo(Math.SQRT2, 3);
+    expect(cross.phase[TONE_BIN]).toBeCloseTo(30, 3);
+    expect(cross.coherence[TONE_BIN]).toBeCloseTo(1, 6);
+  });
+
+  it('report a negative phase when B lags', () => {
+    const cross = crossSpectrum(sampleDensities(sine(1024, 1), sine(1024, 1, -45), fftSettings));
+    expect(cross.phase[TONE_BIN]).toBeCloseTo(-45, 3);
+  });
+
+  it('scale the auto densities like the magnitude spectrum', () => {
+    const densities = sampleDensities(sine(1024, 3), sine(1024, 1), fftSettings);
+    expect(Math.sqrt(densities.saa[TONE_BIN] / densities.count)).toBeCloseTo(3, 3);
+  });
+
+  it('show low coherence between unrelated signals', () => {
+    const cross = crossSpectrum(sampleDensities(noise(8192, 1), noise(8192, 2), fftSettings));
+    expect(mean(cross.coherence.slice(1))).toBeLessThan(0.1);
+  });
+
+  it('show full coherence between a signal and a scaled copy', () => {
+    const a = noise(8192, 3);
+    const cross = crossSpectrum(sampleDensities(a, a.map(value => -0.5 * value), fftSettings));
+
+    expect(Math.min(...cross.coherence.slice(1))).toBeGreaterThan(0.999);
+    expect(Math.abs(cross.phase[TONE_BIN])).toBeCloseTo(180, 6);
+  });
+
+  it('cut the blocks to the shorter one', () => {
+    expect(sampleDensities(sine(1024, 1), sine(512, 1), fftSettings).count).toBe(3);
+  });
+
+  it('return nothing without samples', () => {
+    expect(sampleDensities([], sine(256, 1), fftSettings)).toBeNull();
+    expect(sampleDensities(null, sine(256, 1), fftSettings)).toBeNull();
+  });
+});
+
+describe('complexDensities', () => {
+  it('multiplies B by the conjugate of A per bin', () => {
+    const densities = complexDensities({ re: [1, 0], im: [0, 1] }, { re: [0, 2], im: [1, 0] });
+
+    expect(Array.from(densities.sab.re)).toEqual([0, 0]);
+    expect(Array.from(densities.sab.im)).toEqual([1, -2]);
+    expect(Array.from(densities.saa)).toEqual([1, 1]);
+    expect(Array.from(densities.sbb)).toEqual([1, 4]);
+    expect(densities.count).toBe(1);
+
+    const cross = crossSpectrum(densities);
+    expect(cross.phase).toEqual([90, -90]);
+    expect(cross.coherence).toEqual([1, 1]);
+  });
+
+  it('returns nothing for missing or malformed spectra', () => {
+    expect(complexDensities(undefined, { re: [1], im: [1] })).toBeNull();
+    expect(complexDensities({ re: [1, 2], im: [1] }, { re: [1], im: [1] })).toBeNull();
+  });
+});
+
+describe('accumulateDensities', () => {
+  const frame = (value) => complexDensities({ re: [value, value], im: [0, 0] }, { re: [value, value], im: [0, 0] });
+
+  it('keeps a moving sum over the last frames', () => {
+    let state = null;
+    [1, 2, 3].forEach(value => {
+      state = accumulateDensities(state, frame(value), 2);
+    });
+
+    expect(state.frames).toHaveLength(2);
+    expect(state.sum.count).toBe(2);
+    expect(Array.from(state.sum.saa)).toEqual([13, 13]);
+  });
+
+  it('does not modify the previous state', () => {
+    const first = accumulateDensities(null, frame(1), 4);
+    const second = accumulateDensities(first, frame(2), 4);
+
+    expect(first.frames).toHaveLength(1);
+    expect(Array.from(first.sum.saa)).toEqual([1, 1]);
+    expect(Array.from(second.sum.saa)).toEqual([5, 5]);
+  });
+
+  it('restarts when the bin count changes', () => {
+    const state = accumulateDensities(accumulateDensities(null, frame(1), 4), complexDensities({ re: [2], im: [0] }, { re: [2], im: [0] }), 4);
+
+    expect(state.frames).toHaveLength(1);
+    expect(Array.from(state.sum.saa)).toEqual([4]);
+  });
+});
+
+describe('orderPhases', () => {
+  const cross = {
+    magnitude: [0, 0, 0, 0.5, 1, 0.2, 0, 0, 0.1, 0.3, 0, 0],
+    phase: [0, 0, 0, 10, 20, 30, 0, 0, 40, 50, 0, 0],
+    coherence: [0, 0, 0, 0.5, 0.9, 0.4, 0, 0, 0.6, 0.7, 0, 0]
+  };
+
+  it('reads each order at the strongest bin next to it', () => {
+    expect(orderPhases(cross, 10, { binWidth: 2, orders: [1, 2] })).toEqual([
+      { order: 1, frequency: 8, magnitude: 1, phase: 20, coherence: 0.9 },
+      { order: 2, frequency: 18, magnitude: 0.3, phase: 50, coherence: 0.7 }
+    ]);
+  });
+
+  it('leaves out orders beyond the spectrum', () => {
+    expect(orderPhases(cross, 10, { binWidth: 2, orders: [1, 5] }).map(entry => entry.order)).toEqual([1]);
+  });
+});
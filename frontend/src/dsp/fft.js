@@ -0,0 +1,57 @@
+const twiddleCache = new Map();
+
+const getTwiddles = (size) => {
+  if (!twiddleCache.has(size)) {
+    const cos = new Float64Array(size / 2);
+    const sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      cos[i] = Math.cos((2 * Math.PI * i) / size);
+      sin[i] = -Math.sin((2 * Math.PI * i) / size);
+    }
+    twiddleCache.set(size, { cos, sin });
+  }
+  return twiddleCache.get(size);
+};
+
+export const isPowerOfTwo = (value) => value > 0 && (value & (value - 1)) === 0;
+
+// In-place iterative radix-2 FFT. `real` and `imag` must have a power-of-two length.
+export const fft = (real, imag) => {
+  const size = real.length;
+  if (!isPowerOfTwo(size)) {
+    throw new Error(`FFT size must be a power of two, got ${size}`);
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  const { cos, sin } = getTwiddles(size);
+  for (let length = 2; length <= size; length <<= 1) {
+    const half = length >> 1;
+    const step = size / length;
+    for (let start = 0; start < size; start += length) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * step];
+        const wi = sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tr = real[b] * wr - imag[b] * wi;
+        const ti = real[b] * wi + imag[b] * wr;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+
+  return { real, imag };
+};
@@ -0,0 +1,43 @@
+import { fft, isPowerOfTwo } from './fft';
+
+const transform = (values) => {
+  const real = Float64Array.from(values);
+  return fft(real, new Float64Array(values.length));
+};
+
+describe('fft', () => {
+  it('turns an impulse into a flat spectrum', () => {
+    const { real, imag } = transform([1, 0, 0, 0, 0, 0, 0, 0]);
+
+    expect(Array.from(real)).toEqual([1, 1, 1, 1, 1, 1, 1, 1]);
+    expect(Array.from(imag).every(value => value === 0)).toBe(true);
+  });
+
+  it('puts a cosine into its bin and the mirrored one', () => {
+    const size = 16;
+    const { real, imag } = transform(Array.from({ length: size }, (_, n) => Math.cos((2 * Math.PI * 3 * n) / size)));
+
+    real.forEach((value, k) => expect(value).toBeCloseTo(k === 3 || k === size - 3 ? size / 2 : 0, 10));
+    imag.forEach(value => expect(value).toBeCloseTo(0, 10));
+  });
+
+  it('gives a sine a negative imaginary part at its bin', () => {
+    const size = 32;
+    const { imag } = transform(Array.from({ length: size }, (_, n) => Math.sin((2 * Math.PI * 5 * n) / size)));
+
+    expect(imag[5]).toBeCloseTo(-size / 2, 10);
+    expect(imag[size - 5]).toBeCloseTo(size / 2, 10);
+  });
+
+  it('rejects lengths that are not a power of two', () => {
+    expect(() => transform(new Array(12).fill(0))).toThrow('FFT size must be a power of two, got 12');
+    expect(() => transform([])).toThrow('FFT size must be a power of two, got 0');
+  });
+});
+
+describe('isPowerOfTwo', () => {
+  it('accepts powers of two only', () => {
+    expect([1, 2, 1024, 16384].every(isPowerOfTwo)).toBe(true);
+    expect([0, 3, 1000, -4].some(isPowerOfTwo)).toBe(false);
+  });
+});
@@ -0,0 +1,36 @@
+// Vibration severity zones from ISO 10816-1 / ISO 10816-3 (carried over into
+// ISO 20816-1/-3). Limits are broadband velocity RMS in mm/s at the zone
+// boundaries A/B, B/C and C/D.
+export const MACHINE_CLASSES = {
+  'class1': { label: 'Class I – small machines ≤ 15 kW', limits: [0.71, 1.8, 4.5] },
+  'class2': { label: 'Class II – medium 15–75 kW', limits: [1.12, 2.8, 7.1] },
+  'class3': { label: 'Class III – large, rigid foundation', limits: [1.8, 4.5, 11.2] },
+  'class4': { label: 'Class IV – large, flexible foundation', limits: [2.8, 7.1, 18] },
+  'group1-rigid': { label: 'Group 1 – 300 kW–50 MW, rigid', limits: [2.3, 4.5, 7.1] },
+  'group1-flexible': { label: 'Group 1 – 300 kW–50 MW, flexible', limits: [3.5, 7.1, 11] },
+  'group2-rigid': { label: 'Group 2 – 15–300 kW, rigid', limits: [1.4, 2.8, 4.5] },
+  'group2-flexible': { label: 'Group 2 – 15–300 kW, flexible', limits: [2.3, 4.5, 7.1] }
+};
+
+export const DEFAULT_MACHINE_CLASS = 'group2-rigid';
+
+export const ZONES = {
+  A: { label: 'A', description: 'Newly commissioned', color: '#10b981' },
+  B: { label: 'B', description: 'Unrestricted long-term operation', color: '#eab308' },
+  C: { label: 'C', description: 'Restricted operation', color: '#f97316' },
+  D: { label: 'D', description: 'Damage may occur', color: '#ef4444' }
+};
+
+export const getZoneLimits = (machineClass) => {
+  return (MACHINE_CLASSES[machineClass] || MACHINE_CLASSES[DEFAULT_MACHINE_CLASS]).limits;
+};
+
+export const classifySeverity = (velocityRms, machineClass) => {
+  if (velocityRms === null || velocityRms === undefined || Number.isNaN(velocityRms)) return null;
+
+  const [ab, bc, cd] = getZoneLimits(machineClass);
+  if (velocityRms < ab) return 'A';
+  if (velocityRms < bc) return 'B';
+  if (velocityRms < cd) return 'C';
+  return 'D';
+};
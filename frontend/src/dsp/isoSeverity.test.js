@@ -0,0 +1,51 @@
+import { DEFAULT_MACHINE_CLASS, MACHINE_CLASSES, ZONES, classifySeverity, getZoneLimits } from './isoSeverity';
+
+describe('getZoneLimits', () => {
+  it('returns the A/B, B/C and C/D limits of a class', () => {
+    expect(getZoneLimits('class1')).toEqual([0.71, 1.8, 4.5]);
+  });
+
+  it('falls back to the default class', () => {
+    expect(getZoneLimits('unknown')).toEqual(MACHINE_CLASSES[DEFAULT_MACHINE_CLASS].limits);
+  });
+
+  it('lists increasing limits for every class', () => {
+    Object.values(MACHINE_CLASSES).forEach(({ limits }) => {
+      expect(limits).toHaveLength(3);
+      expect([...limits].sort((a, b) => a - b)).toEqual(limits);
+    });
+  });
+});
+
+describe('classifySeverity', () => {
+  it('places velocities in the zones of the class', () => {
+    expect(classifySeverity(1, 'group2-rigid')).toBe('A');
+    expect(classifySeverity(2, 'group2-rigid')).toBe('B');
+    expect(classifySeverity(3, 'group2-rigid')).toBe('C');
+    expect(classifySeverity(5, 'group2-rigid')).toBe('D');
+  });
+
+  it('counts a value on a limit as the upper zone', () => {
+    const [ab, bc, cd] = getZoneLimits('class3');
+    expect(classifySeverity(ab, 'class3')).toBe('B');
+    expect(classifySeverity(bc, 'class3')).toBe('C');
+    expect(classifySeverity(cd, 'class3')).toBe('D');
+  });
+
+  it('depends on the machine class', () => {
+    expect(classifySeverity(4, 'class1')).toBe('C');
+    expect(classifySeverity(4, 'class4')).toBe('B');
+  });
+
+  it('returns zones that have a display entry', () => {
+    [0, 1.5, 3, 100].forEach(value => {
+      expect(ZONES[classifySeverity(value)]).toBeDefined();
+    });
+  });
+
+  it('returns null without a value', () => {
+    expect(classifySeverity(null, 'class1')).toBeNull();
+    expect(classifySeverity(undefined, 'class1')).toBeNull();
+    expect(classifySeverity(NaN, 'class1')).toBeNull();
+  });
+});
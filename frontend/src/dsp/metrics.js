@@ -0,0 +1,86 @@
+export const STANDARD_GRAVITY_MM = 9806.65;
+
+export const DEFAULT_VELOCITY_BAND = { low: 10, high: 1000 };
+
+// Overall time-domain metrics of an acceleration block (units of the input, g).
+// The mean is removed first so a sensor offset does not inflate RMS or peak.
+export const computeWaveformMetrics = (samples) => {
+  if (!samples || samples.length === 0) return null;
+
+  const count = samples.length;
+  let mean = 0;
+  for (let i = 0; i < count; i++) mean += samples[i];
+  mean /= count;
+
+  let min = Infinity;
+  let max = -Infinity;
+  let m2 = 0;
+  let m4 = 0;
+  for (let i = 0; i < count; i++) {
+    const value = samples[i] - mean;
+    if (value < min) min = value;
+    if (value > max) max = value;
+    const squared = value * value;
+    m2 += squared;
+    m4 += squared * squared;
+  }
+  m2 /= count;
+  m4 /= count;
+
+  const rms = Math.sqrt(m2);
+  const peak = Math.max(Math.abs(min), Math.abs(max));
+  return {
+    rms,
+    peak,
+    peakToPeak: max - min,
+    crestFactor: rms > 0 ? peak / rms : 0,
+    kurtosis: m2 > 0 ? m4 / (m2 * m2) : 0
+  };
+};
+
+// Overall RMS of a single-sided amplitude spectrum between `low` and `high` Hz.
+// `enbw` is the window's equivalent noise bandwidth in bins (1.5 for Hann) and
+// keeps leakage into neighbouring bins from being counted more than once.
+// With `integrate` set, acceleration in g is converted to velocity in mm/s
+// by dividing each bin by 2πf before summing.
+export const computeBandRms = (magnitudes, { samplingFreq, fftSize, low = 0, high = Infinity, enbw = 1.5, integrate = false }) => {
+  if (!magnitudes || magnitudes.length === 0) return 0;
+
+  const binWidth = samplingFreq / fftSize;
+  const first = Math.max(1, Math.ceil(low / binWidth));
+  const last = Math.min(magnitudes.length - 1, Math.floor(high / binWidth));
+
+  let sumSquares = 0;
+  for (let k = first; k <= last; k++) {
+    const amplitude = integrate
+      ? (magnitudes[k] * STANDARD_GRAVITY_MM) / (2 * Math.PI * k * binWidth)
+      : magnitudes[k];
+    sumSquares += (amplitude * amplitude) / 2;
+  }
+  return Math.sqrt(sumSquares / enbw);
+};
+
+export const computeVelocityRms = (magnitudes, { samplingFreq, fftSize, band = DEFAULT_VELOCITY_BAND, enbw }) => {
+  return computeBandRms(magnitudes, {
+    samplingFreq,
+    fftSize,
+    low: band.low,
+    high: band.high,
+    enbw,
+    integrate: true
+  });
+};
+
+// Metrics for one channel. Time-domain values need the raw block; without it
+// acceleration RMS is estimated from the spectrum and the rest stay null.
+export const computeChannelMetrics = ({ samples, magnitudes, samplingFreq, fftSize, enbw, velocityBand }) => {
+  const waveform = computeWaveformMetrics(samples);
+  return {
+    rms: waveform ? waveform.rms : computeBandRms(magnitudes, { samplingFreq, fftSize, enbw }),
+    peak: waveform ? waveform.peak : null,
+    peakToPeak: waveform ? waveform.peakToPeak : null,
+    crestFactor: waveform ? waveform.crestFactor : null,
+    kurtosis: waveform ? waveform.kurtosis : null,
+    velocityRms: computeVelocityRms(magnitudes, { samplingFreq, fftSize, band: velocityBand, enbw })
+  };
+};
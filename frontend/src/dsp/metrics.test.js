@@ -0,0 +1,109 @@
+import {
+  STANDARD_GRAVITY_MM,
+  computeBandRms,
+  computeChannelMetrics,
+  computeVelocityRms,
+  computeWaveformMetrics
+} from './metrics';
+import { computeSpectrum } from './spectrum';
+
+const SAMPLING_FREQ = 1024;
+const FFT_SIZE = 1024;
+const axis = { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE };
+
+const sine = (frequency, amplitude = 1, offset = 0) => Array.from(
+  { length: FFT_SIZE },
+  (_, n) => offset + amplitude * Math.sin((2 * Math.PI * frequency * n) / SAMPLING_FREQ)
+);
+
+// A single-sided amplitude spectrum with one non-zero bin
+const lineAt = (bin, amplitude) => {
+  const magnitudes = new Array(FFT_SIZE / 2).fill(0);
+  magnitudes[bin] = amplitude;
+  return magnitudes;
+};
+
+describe('computeWaveformMetrics', () => {
+  it('returns the RMS, peak, crest factor and kurtosis of a sine', () => {
+    const metrics = computeWaveformMetrics(sine(50, 2));
+    expect(metrics.rms).toBeCloseTo(Math.SQRT2, 6);
+    expect(metrics.peak).toBeCloseTo(2, 3);
+    expect(metrics.peakToPeak).toBeCloseTo(4, 3);
+    expect(metrics.crestFactor).toBeCloseTo(Math.SQRT2, 3);
+    expect(metrics.kurtosis).toBeCloseTo(1.5, 6);
+  });
+
+  it('removes the sensor offset first', () => {
+    const metrics = computeWaveformMetrics(sine(50, 2, 5));
+    expect(metrics.rms).toBeCloseTo(Math.SQRT2, 6);
+    expect(metrics.peak).toBeCloseTo(2, 3);
+  });
+
+  it('returns zero ratios for a flat block', () => {
+    expect(computeWaveformMetrics([3, 3, 3, 3])).toEqual({ rms: 0, peak: 0, peakToPeak: 0, crestFactor: 0, kurtosis: 0 });
+  });
+
+  it('returns null without samples', () => {
+    expect(computeWaveformMetrics([])).toBeNull();
+    expect(computeWaveformMetrics(undefined)).toBeNull();
+  });
+});
+
+describe('computeBandRms', () => {
+  it('turns a line amplitude into RMS', () => {
+    expect(computeBandRms(lineAt(100, 2), { ...axis, enbw: 1 })).toBeCloseTo(Math.SQRT2, 10);
+  });
+
+  it('matches the time-domain RMS of a Hann-windowed sine', () => {
+    const magnitudes = computeSpectrum(sine(100, 2), { fftSize: FFT_SIZE, window: 'hann', overlap: 0 });
+    expect(computeBandRms(magnitudes, { ...axis, enbw: 1.5 })).toBeCloseTo(Math.SQRT2, 2);
+  });
+
+  it('leaves out DC and bins outside the band', () => {
+    const magnitudes = lineAt(100, 1);
+    magnitudes[0] = 10;
+    magnitudes[300] = 1;
+
+    expect(computeBandRms(magnitudes, { ...axis, enbw: 1, low: 50, high: 200 })).toBeCloseTo(Math.SQRT1_2, 10);
+    expect(computeBandRms(magnitudes, { ...axis, enbw: 1 })).toBeCloseTo(1, 10);
+  });
+
+  it('integrates acceleration in g to velocity in mm/s', () => {
+    const velocity = STANDARD_GRAVITY_MM / (2 * Math.PI * 100);
+    expect(computeBandRms(lineAt(100, 1), { ...axis, enbw: 1, integrate: true })).toBeCloseTo(velocity / Math.SQRT2, 6);
+  });
+
+  it('returns zero for an empty spectrum', () => {
+    expect(computeBandRms([], axis)).toBe(0);
+  });
+});
+
+describe('computeVelocityRms', () => {
+  it('only counts the velocity band', () => {
+    const magnitudes = lineAt(5, 1);
+    expect(computeVelocityRms(magnitudes, { ...axis, enbw: 1 })).toBe(0);
+    expect(computeVelocityRms(magnitudes, { ...axis, enbw: 1, band: { low: 2, high: 1000 } })).toBeGreaterThan(0);
+  });
+});
+
+describe('computeChannelMetrics', () => {
+  it('uses the raw block for the time-domain metrics', () => {
+    const samples = sine(100, 2);
+    const magnitudes = computeSpectrum(samples, { fftSize: FFT_SIZE, window: 'hann', overlap: 0 });
+    const metrics = computeChannelMetrics({ samples, magnitudes, ...axis, enbw: 1.5 });
+
+    expect(metrics.rms).toBeCloseTo(Math.SQRT2, 6);
+    expect(metrics.crestFactor).toBeCloseTo(Math.SQRT2, 3);
+    expect(metrics.velocityRms).toBeCloseTo((2 * STANDARD_GRAVITY_MM) / (2 * Math.PI * 100) / Math.SQRT2, 0);
+  });
+
+  it('estimates RMS from the spectrum without a raw block', () => {
+    const metrics = computeChannelMetrics({ magnitudes: lineAt(100, 2), ...axis, enbw: 1 });
+
+    expect(metrics.rms).toBeCloseTo(Math.SQRT2, 10);
+    expect(metrics.peak).toBeNull();
+    expect(metrics.peakToPeak).toBeNull();
+    expect(metrics.crestFactor).toBeNull();
+    expect(metrics.kurtosis).toBeNull();
+  });
+});
@@ -0,0 +1,237 @@
+import { toDb } from '../utils/scales';
+
+export const THRESHOLD_MODES = {
+  ABSOLUTE: 'absolute',
+  RELATIVE: 'relative',
+  NOISE_FLOOR: 'noiseFloor'
+};
+
+export const INTERPOLATION_MODES = {
+  NONE: 'none',
+  PARABOLIC: 'parabolic',
+  GAUSSIAN: 'gaussian'
+};
+
+// `absolute` is in g, `relative` in percent of the largest bin and
+// `noiseFloorDb` in dB above the median bin. `minDistance` is in bins and
+// `harmonicTolerance` in percent of the expected harmonic frequency.
+export const DEFAULT_PEAK_SETTINGS = {
+  threshold: THRESHOLD_MODES.ABSOLUTE,
+  absolute: 0.001,
+  relative: 5,
+  noiseFloorDb: 12,
+  minProminenceDb: 3,
+  minDistance: 5,
+  limit: 5,
+  interpolation: INTERPOLATION_MODES.PARABOLIC,
+  harmonicTolerance: 2
+};
+
+export const binToFrequency = (binIndex, samplingFreq, fftSize) => {
+  return (binIndex * samplingFreq) / fftSize;
+};
+
+// Min, max, mean and RMS of a spectrum, without spreading large arrays
+export const spectrumStats = (data) => {
+  if (!data || data.length === 0) return { min: 0, max: 0, avg: 0, rms: 0 };
+
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < data.length; i++) {
+    const value = data[i];
+    if (value < min) min = value;
+    if (value > max) max = value;
+    sum += value;
+    sumSquares += value * value;
+  }
+  return { min, max, avg: sum / data.length, rms: Math.sqrt(sumSquares / data.length) };
+};
+
+// Median magnitude, excluding DC. For a spectrum made mostly of noise bins
+// this estimates the noise floor.
+export const noiseFloor = (data) => {
+  if (!data || data.length < 2) return 0;
+  const sorted = Array.from(data).slice(1).sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+export const peakThreshold = (data, settings) => {
+  switch (settings.threshold) {
+    case THRESHOLD_MODES.RELATIVE:
+      return (spectrumStats(data).max * settings.relative) / 100;
+    case THRESHOLD_MODES.NOISE_FLOOR:
+      return noiseFloor(data) * 10 ** (settings.noiseFloorDb / 20);
+    default:
+      return settings.absolute;
+  }
+};
+
+// Topographic prominence in dB: how far the peak rises above the higher of
+// the two lowest points separating it from a taller bin (or the spectrum
+// edge) on either side
+export const peakProminence = (data, index) => {
+  const height = data[index];
+  let leftMin = height;
+  for (let j = index - 1; j >= 1 && data[j] <= height; j--) {
+    if (data[j] < leftMin) leftMin = data[j];
+  }
+  let rightMin = height;
+  for (let j = index + 1; j < data.length && data[j] <= height; j++) {
+    if (data[j] < rightMin) rightMin = data[j];
+  }
+  return toDb(height) - toDb(Math.max(leftMin, rightMin));
+};
+
+// Fits a parabola through the peak bin and its neighbours (on a log scale
+// for the Gaussian fit, which is exact for a Gaussian-shaped main lobe).
+// Returns the fractional bin offset in [-0.5, 0.5] and the fitted height.
+export const interpolatePeak = (data, index, mode = INTERPOLATION_MODES.PARABOLIC) => {
+  const height = data[index];
+  if (mode === INTERPOLATION_MODES.NONE || index < 1 || index >= data.length - 1) {
+    return { offset: 0, magnitude: height };
+  }
+
+  const gaussian = mode === INTERPOLATION_MODES.GAUSSIAN;
+  const transform = gaussian ? (value) => Math.log(Math.max(value, 1e-12)) : (value) => value;
+  const alpha = transform(data[index - 1]);
+  const beta = transform(height);
+  const gamma = transform(data[index + 1]);
+  const denominator = alpha - 2 * beta + gamma;
+  if (denominator >= 0) return { offset: 0, magnitude: height };
+
+  const offset = Math.max(-0.5, Math.min(0.5, (0.5 * (alpha - gamma)) / denominator));
+  const fitted = beta - 0.25 * (alpha - gamma) * offset;
+  return { offset, magnitude: gaussian ? Math.exp(fitted) : fitted };
+};
+
+// Peaks above the threshold and minimum prominence, strongest first. A peak
+// closer than `minDistance` bins to a stronger one is dropped. Frequencies
+// and magnitudes are interpolated between bins; `binIndex` is the raw bin.
+export const findPeaks = (magnitudeData, { samplingFreq, fftSize, ...options }) => {
+  if (!magnitudeData || magnitudeData.length < 3) return [];
+
+  const settings = { ...DEFAULT_PEAK_SETTINGS, ...options };
+  const threshold = peakThreshold(magnitudeData, settings);
+  const candidates = [];
+
+  for (let i = 1; i < magnitudeData.length - 1; i++) {
+    const current = magnitudeData[i];
+    // `>` on the left and `>=` on the right keeps one bin of a flat top
+    if (current < threshold || current <= magnitudeData[i - 1] || current < magnitudeData[i + 1]) continue;
+
+    const prominence = peakProminence(magnitudeData, i);
+    if (prominence < settings.minProminenceDb) continue;
+    candidates.push({ binIndex: i, magnitude: current, prominence });
+  }
+
+  candidates.sort((a, b) => b.magnitude - a.magnitude);
+  const kept = [];
+  for (let c = 0; c < candidates.length && kept.length < settings.limit; c++) {
+    const candidate = candidates[c];
+    if (kept.every(peak => Math.abs(peak.binIndex - candidate.binIndex) > settings.minDistance)) {
+      kept.push(candidate);
+    }
+  }
+
+  return kept.map(({ binIndex, prominence }) => {
+    const { offset, magnitude } = interpolatePeak(magnitudeData, binIndex, settings.interpolation);
+    return {
+      binIndex,
+      frequency: binToFrequency(binIndex + offset, samplingFreq, fftSize),
+      magnitude,
+      prominence
+    };
+  });
+};
+
+// Groups peaks into harmonic families: a fundamental plus the peaks lying
+// within `tolerance` percent of its integer multiples. Each peak joins the
+// lowest family it fits. Returns [{ fundamental, members: [{ order, peak }] }]
+// for families with at least two members.
+export const groupHarmonics = (peaks, { tolerance = 2, maxOrder = 20 } = {}) => {
+  const sorted = [...peaks].sort((a, b) => a.frequency - b.frequency);
+  const assigned = new Set();
+  const families = [];
+
+  sorted.forEach(fundamental => {
+    if (assigned.has(fundamental) || fundamental.frequency <= 0) return;
+
+    const members = [{ order: 1, peak: fundamental }];
+    sorted.forEach(peak => {
+      if (peak === fundamental || assigned.has(peak)) return;
+      const order = Math.round(peak.frequency / fundamental.frequency);
+      if (order < 2 || order > maxOrder || members.some(member => member.order === order)) return;
+      const expected = order * fundamental.frequency;
+      if (Math.abs(peak.frequency - expected) <= (expected * tolerance) / 100) {
+        members.push({ order, peak });
+      }
+    });
+
+    if (members.length > 1) {
+      members.forEach(member => assigned.add(member.peak));
+      families.push({ fundamental: fundamental.frequency, members });
+    }
+  });
+
+  return families;
+};
+
+// Copies each peak with a `harmonic: { order, fundamental }` field when it
+// belongs to one of the families
+export const labelHarmonics = (peaks, families) => peaks.map(peak => {
+  for (let f = 0; f < families.length; f++) {
+    const member = families[f].members.find(candidate => candidate.peak === peak);
+    if (member) return { ...peak, harmonic: { order: member.order, fundamental: families[f].fundamental } };
+  }
+  return peak;
+});
+
+let trackCounter = 0;
+
+// Follows peaks from frame to frame. Each track is
+// { id, frequency, magnitude, missed, points: [{ time, frequency, magnitude }] }.
+// Stronger peaks claim the nearest open track within `tolerance` Hz first;
+// unmatched peaks start new tracks and tracks unmatched for more than
+// `maxMissed` frames end. Tracks keep their last `depth` points.
+export const trackPeaks = (tracks, peaks, { time, tolerance, maxMissed = 3, depth = 120 }) => {
+  const matches = new Map();
+  const started = [];
+
+  [...peaks].sort((a, b) => b.magnitude - a.magnitude).forEach(peak => {
+    let best = null;
+    let bestDistance = Infinity;
+    tracks.forEach(track => {
+      const distance = Math.abs(track.frequency - peak.frequency);
+      if (!matches.has(track.id) && distance <= tolerance && distance < bestDistance) {
+        best = track;
+        bestDistance = distance;
+      }
+    });
+
+    const point = { time, frequency: peak.frequency, magnitude: peak.magnitude };
+    if (best) {
+      matches.set(best.id, point);
+    } else {
+      trackCounter += 1;
+      started.push({ id: `track-${trackCounter}`, frequency: peak.frequency, magnitude: peak.magnitude, missed: 0, points: [point] });
+    }
+  });
+
+  const continued = tracks
+    .map(track => {
+      const point = matches.get(track.id);
+      if (!point) return { ...track, missed: track.missed + 1 };
+      return {
+        ...track,
+        frequency: point.frequency,
+        magnitude: point.magnitude,
+        missed: 0,
+        points: [...track.points, point].slice(-depth)
+      };
+    })
+    .filter(track => track.missed <= maxMissed);
+
+  return [...continued, ...started];
+};
@@ -0,0 +1,181 @@
+import {
+  INTERPOLATION_MODES,
+  THRESHOLD_MODES,
+  findPeaks,
+  groupHarmonics,
+  spectrumStats,
+  trackPeaks
+} from './peaks';
+import { computeSpectrum } from './spectrum';
+
+const SAMPLING_FREQ = 1024;
+const FFT_SIZE = 1024;
+const axis = { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE };
+
+// A flat floor with isolated triangular peaks of the given heights
+const spectrumWith = (peaks, { length = 512, floor = 0.0001 } = {}) => {
+  const data = new Array(length).fill(floor);
+  peaks.forEach(({ bin, height }) => {
+    data[bin] = height;
+    data[bin - 1] = Math.max(data[bin - 1], height / 4);
+    data[bin + 1] = Math.max(data[bin + 1], height / 4);
+  });
+  return data;
+};
+
+const sine = (frequency, amplitude = 1) => Array.from(
+  { length: FFT_SIZE },
+  (_, n) => amplitude * Math.sin((2 * Math.PI * frequency * n) / SAMPLING_FREQ)
+);
+
+const noInterpolation = { interpolation: INTERPOLATION_MODES.NONE };
+
+describe('spectrumStats', () => {
+  it('returns min, max, mean and RMS', () => {
+    expect(spectrumStats([3, -1, 2, 0])).toEqual({ min: -1, max: 3, avg: 1, rms: Math.sqrt(14 / 4) });
+  });
+
+  it('returns zeros for an empty spectrum', () => {
+    expect(spectrumStats([])).toEqual({ min: 0, max: 0, avg: 0, rms: 0 });
+  });
+});
+
+describe('findPeaks', () => {
+  const data = spectrumWith([{ bin: 50, height: 1 }, { bin: 120, height: 0.2 }, { bin: 300, height: 0.004 }]);
+
+  it('applies an absolute threshold', () => {
+    const peaks = findPeaks(data, { ...axis, ...noInterpolation, threshold: THRESHOLD_MODES.ABSOLUTE, absolute: 0.01 });
+    expect(peaks.map(peak => peak.binIndex)).toEqual([50, 120]);
+    expect(peaks[0].frequency).toBe(50);
+    expect(peaks[0].magnitude).toBe(1);
+  });
+
+  it('applies a threshold relative to the largest bin', () => {
+    const peaks = findPeaks(data, { ...axis, ...noInterpolation, threshold: THRESHOLD_MODES.RELATIVE, relative: 50 });
+    expect(peaks.map(peak => peak.binIndex)).toEqual([50]);
+
+    const lower = findPeaks(data, { ...axis, ...noInterpolation, threshold: THRESHOLD_MODES.RELATIVE, relative: 10 });
+    expect(lower.map(peak => peak.binIndex)).toEqual([50, 120]);
+  });
+
+  it('drops peaks below the minimum prominence', () => {
+    // A shoulder rising 1 dB above the valley beside the main peak
+    const shoulder = new Array(64).fill(0.001);
+    [0.1, 0.3, 1, 0.3, 0.2, 0.224, 0.2, 0.05].forEach((value, i) => {
+      shoulder[20 + i] = value;
+    });
+    const settings = { ...axis, ...noInterpolation, absolute: 0.01, minDistance: 1 };
+
+    expect(findPeaks(shoulder, { ...settings, minProminenceDb: 3 }).map(peak => peak.binIndex)).toEqual([22]);
+    expect(findPeaks(shoulder, { ...settings, minProminenceDb: 0.5 }).map(peak => peak.binIndex)).toEqual([22, 25]);
+  });
+
+  it('keeps only the stronger of two peaks closer than the minimum spacing', () => {
+    const close = spectrumWith([{ bin: 100, height: 1 }, { bin: 104, height: 0.5 }]);
+    const settings = { ...axis, ...noInterpolation, absolute: 0.01 };
+
+    expect(findPeaks(close, { ...settings, minDistance: 5 }).map(peak => peak.binIndex)).toEqual([100]);
+    expect(findPeaks(close, { ...settings, minDistance: 3 }).map(peak => peak.binIndex)).toEqual([100, 104]);
+  });
+
+  it('limits the number of peaks, strongest first', () => {
+    const many = spectrumWith([10, 40, 70, 100, 130].map((bin, i) => ({ bin, height: 0.1 * (i + 1) })));
+    const peaks = findPeaks(many, { ...axis, ...noInterpolation, limit: 3 });
+    expect(peaks.map(peak => peak.binIndex)).toEqual([130, 100, 70]);
+  });
+
+  describe('interpolation of an off-bin tone', () => {
+    // 100.3 Hz sits 0.3 bin above bin 100
+    const tone = computeSpectrum(sine(100.3), { fftSize: FFT_SIZE, window: 'hann', overlap: 0 });
+    const peakOf = (interpolation) => findPeaks(tone, { ...axis, interpolation, limit: 1 })[0];
+
+    it('reports the raw bin without interpolation', () => {
+      expect(peakOf(INTERPOLATION_MODES.NONE).frequency).toBe(100);
+    });
+
+    it('refines the frequency with a parabolic fit', () => {
+      const peak = peakOf(INTERPOLATION_MODES.PARABOLIC);
+      expect(peak.binIndex).toBe(100);
+      expect(Math.abs(peak.frequency - 100.3)).toBeLessThan(0.1);
+    });
+
+    it('refines the frequency with a Gaussian fit', () => {
+      const peak = peakOf(INTERPOLATION_MODES.GAUSSIAN);
+      expect(Math.abs(peak.frequency - 100.3)).toBeLessThan(0.02);
+    });
+
+    it('recovers the amplitude lost to scalloping', () => {
+      const raw = peakOf(INTERPOLATION_MODES.NONE).magnitude;
+      const fitted = peakOf(INTERPOLATION_MODES.GAUSSIAN).magnitude;
+      expect(raw).toBeLessThan(0.97);
+      expect(Math.abs(fitted - 1)).toBeLessThan(Math.abs(raw - 1));
+    });
+
+    it('is exact for a Gaussian-shaped lobe', () => {
+      const lobe = Array.from({ length: 64 }, (_, k) => Math.exp(-((k - 30.4) ** 2) / 8));
+      const [peak] = findPeaks(lobe, { samplingFreq: 64, fftSize: 64, interpolation: INTERPOLATION_MODES.GAUSSIAN, limit: 1 });
+      expect(peak.frequency).toBeCloseTo(30.4, 6);
+      expect(peak.magnitude).toBeCloseTo(1, 6);
+    });
+  });
+});
+
+describe('groupHarmonics', () => {
+  const peak = (frequency) => ({ frequency, magnitude: 1 });
+
+  it('groups multiples of a fundamental within the tolerance', () => {
+    const peaks = [peak(50), peak(100.5), peak(151), peak(173)];
+    const [family, ...others] = groupHarmonics(peaks, { tolerance: 2 });
+
+    expect(others).toEqual([]);
+    expect(family.fundamental).toBe(50);
+    expect(family.members.map(member => [member.order, member.peak.frequency])).toEqual([[1, 50], [2, 100.5], [3, 151]]);
+  });
+
+  it('leaves out peaks outside the tolerance', () => {
+    const peaks = [peak(50), peak(103), peak(150)];
+
+    expect(groupHarmonics(peaks, { tolerance: 2 })[0].members.map(member => member.order)).toEqual([1, 3]);
+    expect(groupHarmonics(peaks, { tolerance: 5 })[0].members.map(member => member.order)).toEqual([1, 2, 3]);
+  });
+
+  it('returns no family for unrelated peaks', () => {
+    expect(groupHarmonics([peak(50), peak(77), peak(131)])).toEqual([]);
+  });
+});
+
+describe('trackPeaks', () => {
+  const peak = (frequency, magnitude = 1) => ({ frequency, magnitude });
+
+  it('keeps the track id while a peak drifts within the tolerance', () => {
+    let tracks = trackPeaks([], [peak(100), peak(250, 0.5)], { time: 0, tolerance: 2 });
+    const ids = tracks.map(track => track.id);
+
+    tracks = trackPeaks(tracks, [peak(101), peak(249, 0.5)], { time: 1, tolerance: 2 });
+    tracks = trackPeaks(tracks, [peak(102.5), peak(250.5, 0.5)], { time: 2, tolerance: 2 });
+
+    expect(tracks.map(track => track.id)).toEqual(ids);
+    expect(tracks[0].points.map(point => point.frequency)).toEqual([100, 101, 102.5]);
+  });
+
+  it('starts a new track for a peak beyond the tolerance', () => {
+    const first = trackPeaks([], [peak(100)], { time: 0, tolerance: 2 });
+    const next = trackPeaks(first, [peak(110)], { time: 1, tolerance: 2 });
+
+    expect(next).toHaveLength(2);
+    expect(next[1].id).not.toBe(first[0].id);
+    expect(next[0].missed).toBe(1);
+  });
+
+  it('ends tracks missing for more than maxMissed frames', () => {
+    let tracks = trackPeaks([], [peak(100)], { time: 0, tolerance: 2 });
+    for (let time = 1; time <= 3; time++) tracks = trackPeaks(tracks, [], { time, tolerance: 2, maxMissed: 2 });
+    expect(tracks).toEqual([]);
+  });
+
+  it('keeps the last depth points', () => {
+    let tracks = [];
+    for (let time = 0; time < 10; time++) tracks = trackPeaks(tracks, [peak(100)], { time, tolerance: 2, depth: 4 });
+    expect(tracks[0].points.map(point => point.time)).toEqual([6, 7, 8, 9]);
+  });
+});
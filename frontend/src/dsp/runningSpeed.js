@@ -0,0 +1,131 @@
+import { INTERPOLATION_MODES, THRESHOLD_MODES, findPeaks, noiseFloor } from './peaks';
+import { toDb } from '../utils/scales';
+
+export const SPEED_SOURCES = {
+  AUTO: 'auto',
+  SPECTRUM: 'spectrum',
+  MANUAL: 'manual'
+};
+
+// Running speed comes from the payload's tachometer reading when there is one
+// (`auto`), from the spectrum of the reference channel, or is typed in.
+// The search range keeps the estimator away from sub-synchronous tones and
+// high-frequency combs such as gear mesh.
+export const DEFAULT_SPEED_SETTINGS = {
+  source: SPEED_SOURCES.AUTO,
+  channel: 'Channel1',
+  minRpm: 300,
+  maxRpm: 6000,
+  manualRpm: 1480,
+  harmonics: 5
+};
+
+// Orders listed next to the peak list: sub-synchronous, then 1× to 3×
+export const TABLE_ORDERS = [0.5, 1, 2, 3];
+
+// Candidate peaks must rise this far above the noise floor and their valleys
+const PEAK_MIN_DB = 6;
+// Harmonics match a peak within this fraction of a bin
+const MATCH_BINS = 0.5;
+
+// Every peak standing clear of the noise floor, as the comb and the order
+// table see them
+const detectPeaks = (spectrum, samplingFreq, fftSize) => findPeaks(spectrum, {
+  samplingFreq,
+  fftSize,
+  threshold: THRESHOLD_MODES.NOISE_FLOOR,
+  noiseFloorDb: PEAK_MIN_DB,
+  minProminenceDb: PEAK_MIN_DB,
+  minDistance: 1,
+  limit: 50,
+  interpolation: INTERPOLATION_MODES.PARABOLIC
+});
+
+// Peak closest to `frequency`, if one lies within MATCH_BINS
+const peakNear = (peaks, frequency, binWidth) => {
+  let match = null;
+  peaks.forEach(peak => {
+    const error = Math.abs(peak.frequency - frequency);
+    if (error <= MATCH_BINS * binWidth && (!match || error < Math.abs(match.frequency - frequency))) match = peak;
+  });
+  return match;
+};
+
+// Estimates the shaft speed as the fundamental of the strongest harmonic
+// comb. Every spectral peak inside the search range is a candidate 1×; it
+// scores the dB above the noise floor of the peaks found at its first
+// `harmonics` multiples. The winner is refined from the matched peak
+// frequencies, weighted towards the higher harmonics.
+// Returns { frequency, rpm, harmonics } (matched harmonic count) or null.
+export const estimateRunningSpeed = (spectrum, {
+  samplingFreq,
+  fftSize,
+  minRpm = DEFAULT_SPEED_SETTINGS.minRpm,
+  maxRpm = DEFAULT_SPEED_SETTINGS.maxRpm,
+  harmonics = DEFAULT_SPEED_SETTINGS.harmonics
+}) => {
+  if (!spectrum || spectrum.length < 8) return null;
+
+  const binWidth = samplingFreq / fftSize;
+  const floorDb = toDb(noiseFloor(spectrum));
+  const peaks = detectPeaks(spectrum, samplingFreq, fftSize);
+
+  const matchHarmonics = (fundamental) => {
+    const matches = [];
+    for (let h = 1; h <= harmonics; h++) {
+      const peak = peakNear(peaks, h * fundamental, binWidth);
+      if (peak) matches.push({ h, peak });
+    }
+    return matches;
+  };
+
+  let best = null;
+  peaks
+    .filter(peak => peak.frequency >= minRpm / 60 && peak.frequency <= maxRpm / 60 && peak.binIndex >= 2)
+    .forEach(candidate => {
+      const matches = matchHarmonics(candidate.frequency);
+      const score = matches.reduce((sum, { peak }) => sum + toDb(peak.magnitude) - floorDb, 0);
+      if (!best || score > best.score) best = { matches, score };
+    });
+  if (!best) return null;
+
+  let weighted = 0;
+  let weights = 0;
+  best.matches.forEach(({ h, peak }) => {
+    weighted += peak.magnitude * peak.frequency;
+    weights += h * peak.magnitude;
+  });
+  const frequency = weighted / weights;
+  return { frequency, rpm: frequency * 60, harmonics: best.matches.length };
+};
+
+// Running speed for one frame according to `settings`. `tachoRpm` is the
+// payload's tachometer reading, if any. Returns
+// { frequency, rpm, source: 'tacho' | 'spectrum' | 'manual', harmonics? } or null.
+export const resolveRunningSpeed = ({ spectra, tachoRpm, samplingFreq, fftSize }, settings = DEFAULT_SPEED_SETTINGS) => {
+  if (settings.source === SPEED_SOURCES.MANUAL) {
+    return settings.manualRpm > 0 ? { frequency: settings.manualRpm / 60, rpm: settings.manualRpm, source: 'manual' } : null;
+  }
+  if (settings.source === SPEED_SOURCES.AUTO && tachoRpm > 0) {
+    return { frequency: tachoRpm / 60, rpm: tachoRpm, source: 'tacho' };
+  }
+  const estimate = estimateRunningSpeed(spectra[settings.channel], { ...settings, samplingFreq, fftSize });
+  return estimate && { ...estimate, source: 'spectrum' };
+};
+
+// Amplitude at each order of `speed` (Hz): the interpolated height of the
+// peak at the order frequency, or the level of the nearest bin when there is
+// no peak there. Returns [{ order, frequency, magnitude, peak }].
+export const orderAmplitudes = (spectrum, speed, { samplingFreq, fftSize, orders = TABLE_ORDERS }) => {
+  const binWidth = samplingFreq / fftSize;
+  const peaks = spectrum && spectrum.length > 2 ? detectPeaks(spectrum, samplingFreq, fftSize) : [];
+  return orders.map(order => {
+    const frequency = order * speed;
+    const peak = peakNear(peaks, frequency, binWidth);
+    const bin = Math.round(frequency / binWidth);
+    let magnitude = null;
+    if (peak) magnitude = peak.magnitude;
+    else if (spectrum && bin < spectrum.length) magnitude = spectrum[bin];
+    return { order, frequency, magnitude, peak: Boolean(peak) };
+  });
+};
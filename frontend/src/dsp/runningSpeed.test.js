@@ -0,0 +1,109 @@
+import { SPEED_SOURCES, estimateRunningSpeed, orderAmplitudes, resolveRunningSpeed } from './runningSpeed';
+import { computeSpectrum } from './spectrum';
+
+const SAMPLING_FREQ = 2048;
+const FFT_SIZE = 4096;
+const BIN_WIDTH = SAMPLING_FREQ / FFT_SIZE;
+
+// Deterministic uniform noise in −1..1
+const noise = (length, seed) => {
+  let state = seed;
+  return Array.from({ length }, () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return (state / 4294967296) * 2 - 1;
+  });
+};
+
+// Sum of tones [{ frequency, amplitude }] over a little noise
+const signal = (tones, length = 4 * FFT_SIZE) => noise(length, 7).map((value, n) => tones.reduce(
+  (sum, { frequency, amplitude }) => sum + amplitude * Math.sin((2 * Math.PI * frequency * n) / SAMPLING_FREQ),
+  0.001 * value
+));
+
+const spectrumOf = (tones) => computeSpectrum(signal(tones), { fftSize: FFT_SIZE, window: 'hann', overlap: 0.5 });
+
+// A shaft at 24.7 Hz (1482 rpm), between bins, with falling harmonics
+const SHAFT = 24.7;
+const comb = (fundamental, amplitudes) => amplitudes.map((amplitude, i) => ({ frequency: (i + 1) * fundamental, amplitude }));
+
+describe('estimateRunningSpeed', () => {
+  it('finds the fundamental of the harmonic comb', () => {
+    const estimate = estimateRunningSpeed(spectrumOf(comb(SHAFT, [1, 0.5, 0.3, 0.2, 0.1])), { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE });
+
+    expect(estimate.harmonics).toBe(5);
+    expect(Math.abs(estimate.frequency - SHAFT)).toBeLessThan(0.1 * BIN_WIDTH);
+    expect(estimate.rpm).toBeCloseTo(estimate.frequency * 60, 10);
+  });
+
+  it('refines the speed between bins', () => {
+    const estimate = estimateRunningSpeed(spectrumOf(comb(SHAFT, [1, 0.5, 0.3])), { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE });
+    const nearestBin = Math.round(SHAFT / BIN_WIDTH) * BIN_WIDTH;
+
+    expect(Math.abs(estimate.frequency - SHAFT)).toBeLessThan(Math.abs(nearestBin - SHAFT) / 2);
+  });
+
+  it('prefers the comb over a stronger lone tone', () => {
+    const tones = [...comb(SHAFT, [0.3, 0.3, 0.3, 0.3]), { frequency: 61.3, amplitude: 1 }];
+    const estimate = estimateRunningSpeed(spectrumOf(tones), { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE });
+
+    expect(Math.abs(estimate.frequency - SHAFT)).toBeLessThan(0.1 * BIN_WIDTH);
+  });
+
+  it('keeps to the search range', () => {
+    const tones = [...comb(SHAFT, [0.5, 0.3]), ...comb(400, [1, 1, 1])];
+    const estimate = estimateRunningSpeed(spectrumOf(tones), { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE, maxRpm: 6000 });
+
+    expect(Math.abs(estimate.frequency - SHAFT)).toBeLessThan(0.1 * BIN_WIDTH);
+    expect(estimateRunningSpeed(spectrumOf(comb(SHAFT, [1, 0.5])), { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE, minRpm: 3000 })).toBeNull();
+  });
+
+  it('returns nothing for a missing or tiny spectrum', () => {
+    expect(estimateRunningSpeed(null, { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE })).toBeNull();
+    expect(estimateRunningSpeed([0, 1, 0], { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE })).toBeNull();
+  });
+});
+
+describe('resolveRunningSpeed', () => {
+  const spectra = { Channel1: spectrumOf(comb(SHAFT, [1, 0.5, 0.3])) };
+  const input = { spectra, samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE };
+  const settings = (source) => ({ source, channel: 'Channel1', minRpm: 300, maxRpm: 6000, manualRpm: 1200, harmonics: 5 });
+
+  it('takes the tachometer reading in auto mode', () => {
+    expect(resolveRunningSpeed({ ...input, tachoRpm: 1500 }, settings(SPEED_SOURCES.AUTO))).toEqual({ frequency: 25, rpm: 1500, source: 'tacho' });
+  });
+
+  it('falls back to the spectrum without a tachometer', () => {
+    const speed = resolveRunningSpeed(input, settings(SPEED_SOURCES.AUTO));
+
+    expect(speed.source).toBe('spectrum');
+    expect(speed.frequency).toBeCloseTo(SHAFT, 1);
+  });
+
+  it('ignores the tachometer in spectrum mode', () => {
+    expect(resolveRunningSpeed({ ...input, tachoRpm: 1500 }, settings(SPEED_SOURCES.SPECTRUM)).source).toBe('spectrum');
+  });
+
+  it('uses the typed-in speed in manual mode', () => {
+    expect(resolveRunningSpeed({ ...input, tachoRpm: 1500 }, settings(SPEED_SOURCES.MANUAL))).toEqual({ frequency: 20, rpm: 1200, source: 'manual' });
+    expect(resolveRunningSpeed(input, { ...settings(SPEED_SOURCES.MANUAL), manualRpm: 0 })).toBeNull();
+  });
+});
+
+describe('orderAmplitudes', () => {
+  it('reads the peak at each order and the bin level elsewhere', () => {
+    const spectrum = spectrumOf(comb(SHAFT, [1, 0.5]));
+    const [half, first, second, third] = orderAmplitudes(spectrum, SHAFT, { samplingFreq: SAMPLING_FREQ, fftSize: FFT_SIZE });
+
+    expect(first).toMatchObject({ order: 1, frequency: SHAFT, peak: true });
+    expect(first.magnitude).toBeCloseTo(1, 1);
+    expect(second.peak).toBe(true);
+    expect(second.magnitude).toBeCloseTo(0.5, 1);
+    expect(half.peak).toBe(false);
+    expect(half.magnitude).toBe(spectrum[Math.round((SHAFT / 2) / BIN_WIDTH)]);
+    expect(third.peak).toBe(false);
+  });
+
+  it('leaves orders beyond the spectrum empty', () => {
+    expect(orderAmplitudes([0, 0, 0, 0], 100, { samplingFreq: 16, fftSize: 8, orders: [1] })[0].magnitude).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+import { fft } from './fft';
+import { getWindow } from './windows';
+
+export const FFT_SIZES = [1024, 2048, 4096, 8192, 16384];
+export const OVERLAP_OPTIONS = [0, 0.5, 0.75];
+
+export const SPECTRUM_MODES = {
+  DEVICE: 'device',
+  BROWSER: 'browser'
+};
+
+export const DEFAULT_FFT_SETTINGS = {
+  mode: SPECTRUM_MODES.DEVICE,
+  fftSize: 4096,
+  window: 'hann',
+  overlap: 0.5
+};
+
+// Single-sided amplitude spectrum of a block of time-domain samples.
+// The block is split into windowed segments of `fftSize` with the given
+// overlap, and segment powers are averaged (RMS averaging). Magnitudes are
+// corrected for the window's coherent gain, so a sine of amplitude A shows up
+// as a peak of height A. Blocks shorter than one segment are zero-padded.
+export const computeSpectrum = (samples, { fftSize = 4096, window = 'hann', overlap = 0.5 } = {}) => {
+  const binCount = fftSize / 2;
+  if (!samples || samples.length === 0) return [];
+
+  const segmentLength = Math.min(fftSize, samples.length);
+  const { coefficients, coherentGain } = getWindow(window, segmentLength);
+  const scale = 1 / (coherentGain * segmentLength);
+  const hop = Math.max(1, Math.round(segmentLength * (1 - overlap)));
+
+  let mean = 0;
+  for (let i = 0; i < samples.length; i++) mean += samples[i];
+  mean /= samples.length;
+
+  const power = new Float64Array(binCount);
+  const real = new Float64Array(fftSize);
+  const imag = new Float64Array(fftSize);
+  let segments = 0;
+
+  for (let start = 0; start + segmentLength <= samples.length; start += hop) {
+    real.fill(0);
+    imag.fill(0);
+    for (let n = 0; n < segmentLength; n++) {
+      real[n] = (samples[start + n] - mean) * coefficients[n];
+    }
+    fft(real, imag);
+    for (let k = 0; k < binCount; k++) {
+      power[k] += real[k] * real[k] + imag[k] * imag[k];
+    }
+    segments += 1;
+  }
+
+  const magnitudes = new Array(binCount);
+  for (let k = 0; k < binCount; k++) {
+    const amplitude = Math.sqrt(power[k] / segments) * scale;
+    magnitudes[k] = k === 0 ? amplitude : amplitude * 2;
+  }
+  return magnitudes;
+};
+
+export const computeChannelSpectra = (samplesByChannel, settings) => {
+  return Object.keys(samplesByChannel).reduce((acc, key) => {
+    acc[key] = computeSpectrum(samplesByChannel[key], settings);
+    return acc;
+  }, {});
+};
@@ -0,0 +1,74 @@
+import { computeChannelSpectra, computeSpectrum } from './spectrum';
+import { WINDOW_TYPES } from './windows';
+
+const SAMPLING_FREQ = 1024;
+const FFT_SIZE = 1024;
+
+// 64 Hz falls on bin 64 of a 1024-point FFT at 1024 Hz
+const TONE_BIN = 64;
+
+const sine = (length, amplitude, frequency = TONE_BIN) => Array.from(
+  { length },
+  (_, n) => amplitude * Math.sin((2 * Math.PI * frequency * n) / SAMPLING_FREQ)
+);
+
+describe('computeSpectrum', () => {
+  it('shows a bin-centred sine at its amplitude under every window', () => {
+    Object.keys(WINDOW_TYPES).forEach(window => {
+      const spectrum = computeSpectrum(sine(4096, 2), { fftSize: FFT_SIZE, window, overlap: 0.5 });
+
+      expect(spectrum).toHaveLength(FFT_SIZE / 2);
+      expect(spectrum[TONE_BIN]).toBeCloseTo(2, 6);
+    });
+  });
+
+  it('keeps a rectangular window from leaking into other bins', () => {
+    const spectrum = computeSpectrum(sine(1024, 1), { fftSize: FFT_SIZE, window: 'rectangular', overlap: 0 });
+    spectrum.forEach((magnitude, k) => expect(magnitude).toBeCloseTo(k === TONE_BIN ? 1 : 0, 9));
+  });
+
+  it('removes the DC offset', () => {
+    const spectrum = computeSpectrum(sine(1024, 1).map(value => value + 5), { fftSize: FFT_SIZE, window: 'hann', overlap: 0 });
+    expect(spectrum[0]).toBeCloseTo(0, 9);
+  });
+
+  it('zero-pads blocks shorter than the FFT size', () => {
+    const spectrum = computeSpectrum(sine(512, 3), { fftSize: FFT_SIZE, window: 'hann', overlap: 0.5 });
+
+    expect(spectrum).toHaveLength(FFT_SIZE / 2);
+    expect(spectrum[TONE_BIN]).toBeCloseTo(3, 6);
+  });
+
+  // A tone in the first 1024 samples only, silence after. With a
+  // rectangular window each segment shows the tone in proportion to its
+  // share of the segment, so the average reveals how many segments were cut.
+  it('averages the segments given by the overlap', () => {
+    const samples = [...sine(1024, 1), ...new Array(1024).fill(0)];
+    const toneLevel = (overlap) => computeSpectrum(samples, { fftSize: FFT_SIZE, window: 'rectangular', overlap })[TONE_BIN];
+
+    // 2 segments: the tone, then silence
+    expect(toneLevel(0)).toBeCloseTo(Math.sqrt(1 / 2), 9);
+    // 3 segments holding 1, 1/2 and 0 of the tone
+    expect(toneLevel(0.5)).toBeCloseTo(Math.sqrt((1 + 0.25) / 3), 9);
+    // 5 segments holding 1, 3/4, 1/2, 1/4 and 0 of the tone
+    expect(toneLevel(0.75)).toBeCloseTo(Math.sqrt((1 + 0.5625 + 0.25 + 0.0625) / 5), 9);
+  });
+
+  it('rejects an FFT size that is not a power of two', () => {
+    expect(() => computeSpectrum(sine(2048, 1), { fftSize: 1000 })).toThrow('FFT size must be a power of two, got 1000');
+  });
+
+  it('returns nothing without samples', () => {
+    expect(computeSpectrum([], { fftSize: FFT_SIZE })).toEqual([]);
+    expect(computeSpectrum(null)).toEqual([]);
+  });
+});
+
+describe('computeChannelSpectra', () => {
+  it('computes one spectrum per channel', () => {
+    const spectra = computeChannelSpectra({ Channel1: sine(1024, 1), Channel2: sine(1024, 4) }, { fftSize: FFT_SIZE, window: 'hann', overlap: 0 });
+
+    expect(Object.keys(spectra)).toEqual(['Channel1', 'Channel2']);
+    expect(spectra.Channel2[TONE_BIN]).toBeCloseTo(4, 6);
+  });
+});
@@ -0,0 +1,38 @@
+// Window functions for spectral analysis. Periodic (DFT-even) forms are used
+// so the coefficients line up with the FFT bins.
+const cosineSum = (coefficients) => (n, size) => coefficients.reduce(
+  (sum, a, k) => sum + (k % 2 === 0 ? a : -a) * Math.cos((2 * Math.PI * k * n) / size),
+  0
+);
+
+export const WINDOW_TYPES = {
+  hann: { label: 'Hann', fn: cosineSum([0.5, 0.5]) },
+  hamming: { label: 'Hamming', fn: cosineSum([0.54, 0.46]) },
+  flattop: { label: 'Flat-top', fn: cosineSum([0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368]) },
+  rectangular: { label: 'Rectangular', fn: () => 1 }
+};
+
+const windowCache = new Map();
+
+// Returns the coefficients together with their coherent gain (amplitude
+// correction) and equivalent noise bandwidth in bins (energy correction).
+export const getWindow = (type, size) => {
+  const key = `${type}:${size}`;
+  if (!windowCache.has(key)) {
+    const { fn } = WINDOW_TYPES[type] || WINDOW_TYPES.hann;
+    const coefficients = new Float64Array(size);
+    let sum = 0;
+    let sumSquares = 0;
+    for (let n = 0; n < size; n++) {
+      coefficients[n] = fn(n, size);
+      sum += coefficients[n];
+      sumSquares += coefficients[n] * coefficients[n];
+    }
+    windowCache.set(key, {
+      coefficients,
+      coherentGain: sum / size,
+      enbw: (size * sumSquares) / (sum * sum)
+    });
+  }
+  return windowCache.get(key);
+};
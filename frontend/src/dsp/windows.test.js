@@ -0,0 +1,34 @@
+import { WINDOW_TYPES, getWindow } from './windows';
+
+describe('getWindow', () => {
+  it('returns periodic coefficients', () => {
+    const { coefficients } = getWindow('hann', 8);
+
+    expect(coefficients[0]).toBe(0);
+    expect(coefficients[4]).toBeCloseTo(1, 12);
+    expect(coefficients[1]).toBeCloseTo(coefficients[7], 12);
+  });
+
+  it('reports the coherent gain and noise bandwidth of each window', () => {
+    const expected = {
+      hann: { coherentGain: 0.5, enbw: 1.5 },
+      hamming: { coherentGain: 0.54, enbw: 1.3628 },
+      flattop: { coherentGain: 0.21557895, enbw: 3.7702 },
+      rectangular: { coherentGain: 1, enbw: 1 }
+    };
+
+    Object.keys(WINDOW_TYPES).forEach(type => {
+      const { coherentGain, enbw } = getWindow(type, 1024);
+      expect(coherentGain).toBeCloseTo(expected[type].coherentGain, 8);
+      expect(enbw).toBeCloseTo(expected[type].enbw, 3);
+    });
+  });
+
+  it('falls back to Hann for unknown types', () => {
+    expect(Array.from(getWindow('kaiser', 16).coefficients)).toEqual(Array.from(getWindow('hann', 16).coefficients));
+  });
+
+  it('reuses the coefficients for the same type and size', () => {
+    expect(getWindow('hamming', 64)).toBe(getWindow('hamming', 64));
+  });
+});
@@ -0,0 +1,37 @@
+import { DEFAULT_UNIT, convertSpectrum } from '../channels/units';
+
+const escapeCell = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Spectra as CSV: one row per frequency bin with a magnitude column per
+// channel, in the channel's display unit. Exports of several frames get a
+// leading timestamp column.
+export const spectraToCsv = (analyses, channels) => {
+  const multiFrame = analyses.length > 1;
+  const header = [
+    ...(multiFrame ? ['timestamp'] : []),
+    'frequency_hz',
+    ...channels.map(({ name, unit = DEFAULT_UNIT }) => `${name} (${unit})`)
+  ];
+  const lines = [header.map(escapeCell).join(',')];
+
+  analyses.forEach(analysis => {
+    const binWidth = analysis.samplingFreq / analysis.fftSize;
+    const spectra = channels.map(({ key, unit }) => convertSpectrum(analysis.spectra[key] || [], unit, analysis));
+    const binCount = Math.max(...spectra.map(spectrum => spectrum.length));
+    const timestamp = analysis.timestamp ? analysis.timestamp.toISOString() : '';
+
+    for (let k = 0; k < binCount; k++) {
+      const row = [
+        ...(multiFrame ? [timestamp] : []),
+        (k * binWidth).toFixed(4),
+        ...spectra.map(spectrum => (spectrum[k] === undefined ? '' : spectrum[k]))
+      ];
+      lines.push(row.join(','));
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+};
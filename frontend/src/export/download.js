@@ -0,0 +1,13 @@
+export const downloadFile = (fileName, content, mimeType = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// File-system friendly timestamp, e.g. 2026-09-14_10-32-05
+export const fileTimestamp = (date = new Date()) => date.toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
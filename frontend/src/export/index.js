@@ -0,0 +1,16 @@
+import { spectraToCsv } from './csv';
+import { analysesToJson } from './json';
+import { analysesToUff58 } from './uff58';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', build: spectraToCsv },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: analysesToJson },
+  uff58: { label: 'UFF58', extension: 'uff', mimeType: 'text/plain', build: analysesToUff58 }
+};
+
+// Meta handed to every format: JSON keeps the session name, UFF58 writes the
+// description into each dataset
+export const exportMeta = (session) => (session ? { session: session.name, description: `Session ${session.name}` } : {});
+
+export { downloadFile, fileTimestamp } from './download';
+export { spectraToCsv, analysesToJson, analysesToUff58 };
@@ -0,0 +1,45 @@
+import { EXPORT_FORMATS, exportMeta } from './index';
+
+const analysis = {
+  timestamp: new Date(2026, 2, 5, 14, 7, 9),
+  samplingFreq: 1024,
+  fftSize: 1024,
+  spectra: { Channel1: [0, 1, 0.5] },
+  peaks: { Channel1: [] },
+  metrics: { Channel1: { rms: 1 } }
+};
+const channels = [{ key: 'Channel1', name: 'Motor DE', unit: 'g' }];
+
+// Build the files the way the export panel does
+const build = (formatKey, session) => EXPORT_FORMATS[formatKey].build([analysis], channels, exportMeta(session));
+
+const uffDescription = (text) => text.split('\n')[5].trim();
+
+describe('export formats', () => {
+  it('describe a current-frame UFF58 export with the default description', () => {
+    expect(uffDescription(build('uff58', null))).toBe('ADS1256 DAQ');
+  });
+
+  it('describe a session UFF58 export with the session name', () => {
+    expect(uffDescription(build('uff58', { id: 1, name: 'Run-up 3' }))).toBe('Session Run-up 3');
+  });
+
+  it('keep the session out of current-frame JSON exports', () => {
+    expect(JSON.parse(build('json', null)).session).toBeUndefined();
+    expect(JSON.parse(build('json', { id: 1, name: 'Run-up 3' })).session).toBe('Run-up 3');
+  });
+
+  it('record the units of a JSON snapshot', () => {
+    const snapshot = JSON.parse(EXPORT_FORMATS.json.build([analysis], [{ ...channels[0], unit: 'mm/s' }], exportMeta(null)));
+
+    expect(snapshot.unit).toBe('g');
+    expect(snapshot.channelUnits).toEqual({ Channel1: 'mm/s' });
+    expect(snapshot.frames[0].channels.Channel1).toEqual([0, 1, 0.5]);
+  });
+
+  it('accept the meta in every format', () => {
+    Object.keys(EXPORT_FORMATS).forEach(key => {
+      expect(build(key, { id: 1, name: 'Run-up 3' })).not.toContain('[object Object]');
+    });
+  });
+});
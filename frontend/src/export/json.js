@@ -0,0 +1,40 @@
+import { DEFAULT_UNIT } from '../channels/units';
+
+// Full snapshot of one or more analysed frames. Each entry keeps the frame
+// shape (`timestamp`, `channels`), so a snapshot can be loaded again as a
+// replay file. Spectra and peaks therefore stay in g, as `unit` says;
+// `channelUnits` records the unit each channel was displayed in.
+export const analysesToJson = (analyses, channels, meta = {}) => {
+  const pick = (values) => channels.reduce((acc, { key }) => {
+    acc[key] = values[key];
+    return acc;
+  }, {});
+
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    ...meta,
+    channelNames: channels.reduce((acc, { key, name }) => {
+      acc[key] = name;
+      return acc;
+    }, {}),
+    unit: DEFAULT_UNIT,
+    channelUnits: channels.reduce((acc, { key, unit = DEFAULT_UNIT }) => {
+      acc[key] = unit;
+      return acc;
+    }, {}),
+    frames: analyses.map(analysis => ({
+      timestamp: analysis.timestamp ? analysis.timestamp.toISOString() : null,
+      acquisition: {
+        samplingFreq: analysis.samplingFreq,
+        fftSize: analysis.fftSize,
+        binWidth: analysis.samplingFreq / analysis.fftSize,
+        spectrumSource: analysis.browserFft ? 'browser' : 'device',
+        window: analysis.window
+      },
+      runningSpeed: analysis.runningSpeed,
+      channels: pick(analysis.spectra),
+      peaks: pick(analysis.peaks),
+      metrics: pick(analysis.metrics)
+    }))
+  }, null, 2);
+};
@@ -0,0 +1,92 @@
+import { DEFAULT_UNIT, convertSpectrum } from '../channels/units';
+
+// Universal File Format dataset 58 (function at nodal DOF), ASCII variant.
+// Every channel of every frame becomes one dataset holding an evenly spaced,
+// real single-precision spectrum (function type 12) in the channel's
+// display unit.
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const FUNCTION_TYPE_SPECTRUM = 12;
+const ORDINATE_REAL_SINGLE = 2;
+const EVEN_SPACING = 1;
+const DATA_TYPE_FREQUENCY = 18;
+const DATA_TYPE_UNKNOWN = 0;
+
+// Ordinate record per display unit: UFF data type, length unit exponent,
+// label and units (ASCII only)
+const ORDINATES = {
+  g: { dataType: 12, lengthExponent: 1, label: 'Acceleration', units: 'g' },
+  'm/s²': { dataType: 12, lengthExponent: 1, label: 'Acceleration', units: 'm/s^2' },
+  'mm/s': { dataType: 11, lengthExponent: 1, label: 'Velocity', units: 'mm/s' },
+  'µm': { dataType: 8, lengthExponent: 1, label: 'Displacement', units: 'um' }
+};
+
+const padLeft = (value, width) => String(value).padStart(width).slice(-width);
+const padRight = (value, width) => String(value).padEnd(width).slice(0, width);
+
+// Fortran E13.5, e.g. " 1.23450E+02"
+const formatE = (value, width = 13) => {
+  const [mantissa, exponent] = Number(value).toExponential(5).split('e');
+  const sign = exponent[0] === '-' ? '-' : '+';
+  const digits = exponent.replace(/^[+-]/, '').padStart(2, '0');
+  return padLeft(`${mantissa}E${sign}${digits}`, width);
+};
+
+// UFF date format: DD-MMM-YY HH:MM:SS
+const formatDate = (date) => {
+  const two = (value) => String(value).padStart(2, '0');
+  return `${two(date.getDate())}-${MONTHS[date.getMonth()]}-${two(date.getFullYear() % 100)} `
+    + `${two(date.getHours())}:${two(date.getMinutes())}:${two(date.getSeconds())}`;
+};
+
+const axisRecord = (dataType, lengthExponent, label, units) => (
+  `${padLeft(dataType, 10)}${padLeft(lengthExponent, 5)}${padLeft(0, 5)}${padLeft(0, 5)} ${padRight(label, 20)} ${padRight(units, 20)}`
+);
+
+const dataset = ({ spectrum, binWidth, ordinate, name, node, functionId, timestamp, description }) => {
+  const lines = [
+    '    -1',
+    '    58',
+    padRight(name, 80),
+    padRight('Spectrum', 80),
+    padRight(formatDate(timestamp), 80),
+    padRight(description, 80),
+    padRight('NONE', 80),
+    `${padLeft(FUNCTION_TYPE_SPECTRUM, 5)}${padLeft(functionId, 10)}${padLeft(0, 5)}${padLeft(0, 10)} `
+      + `${padRight('NONE', 10)}${padLeft(node, 10)}${padLeft(0, 4)} ${padRight('NONE', 10)}${padLeft(0, 10)}${padLeft(0, 4)}`,
+    `${padLeft(ORDINATE_REAL_SINGLE, 10)}${padLeft(spectrum.length, 10)}${padLeft(EVEN_SPACING, 10)}`
+      + `${formatE(0)}${formatE(binWidth)}${formatE(0)}`,
+    axisRecord(DATA_TYPE_FREQUENCY, 0, 'Frequency', 'Hz'),
+    axisRecord(ordinate.dataType, ordinate.lengthExponent, ordinate.label, ordinate.units),
+    axisRecord(DATA_TYPE_UNKNOWN, 0, 'NONE', 'NONE'),
+    axisRecord(DATA_TYPE_UNKNOWN, 0, 'NONE', 'NONE')
+  ];
+
+  for (let i = 0; i < spectrum.length; i += 6) {
+    lines.push(Array.from(spectrum.slice(i, i + 6), value => formatE(value)).join(''));
+  }
+  lines.push('    -1');
+  return lines.join('\n');
+};
+
+export const analysesToUff58 = (analyses, channels, { description = 'ADS1256 DAQ' } = {}) => {
+  const datasets = [];
+  analyses.forEach(analysis => {
+    channels.forEach(({ key, name, unit = DEFAULT_UNIT }, index) => {
+      const spectrum = analysis.spectra[key];
+      if (!spectrum || spectrum.length === 0) return;
+      datasets.push(dataset({
+        spectrum: convertSpectrum(spectrum, unit, analysis),
+        binWidth: analysis.samplingFreq / analysis.fftSize,
+        ordinate: ORDINATES[unit] || ORDINATES[DEFAULT_UNIT],
+        name,
+        node: index + 1,
+        functionId: datasets.length + 1,
+        timestamp: analysis.timestamp || new Date(),
+        description
+      }));
+    });
+  });
+  return `${datasets.join('\n')}\n`;
+};
@@ -0,0 +1,90 @@
+import { analysesToUff58 } from './uff58';
+
+const analysis = (spectrum, timestamp = new Date(2026, 2, 5, 14, 7, 9)) => ({
+  timestamp,
+  samplingFreq: 1024,
+  fftSize: 1024,
+  spectra: { Channel1: spectrum, Channel2: spectrum.map(value => value * 2), Channel3: [] }
+});
+
+const channels = [
+  { key: 'Channel1', name: 'Motor DE' },
+  { key: 'Channel2', name: 'Motor NDE' },
+  { key: 'Channel3', name: 'Unused' }
+];
+
+// Lines of each dataset between its -1 delimiters
+const datasetsOf = (text) => {
+  const datasets = [];
+  let current = null;
+  text.split('\n').forEach(line => {
+    if (line !== '    -1') {
+      if (current) current.push(line);
+    } else if (current) {
+      datasets.push(current);
+      current = null;
+    } else {
+      current = [];
+    }
+  });
+  return datasets;
+};
+
+describe('analysesToUff58', () => {
+  const spectrum = [0, 0.5, 1, 0.25, 0.125, 0.0625, 0.03125];
+
+  it('writes one dataset per channel with data and frame', () => {
+    const datasets = datasetsOf(analysesToUff58([analysis(spectrum), analysis(spectrum)], channels));
+
+    expect(datasets).toHaveLength(4);
+    expect(datasets.map(lines => lines[1].trim())).toEqual(['Motor DE', 'Motor NDE', 'Motor DE', 'Motor NDE']);
+  });
+
+  it('writes the header records of dataset 58', () => {
+    const [lines] = datasetsOf(analysesToUff58([analysis(spectrum)], channels.slice(0, 1), { description: 'Pump 3' }));
+
+    expect(lines[0]).toBe('    58');
+    expect(lines[2].trim()).toBe('Spectrum');
+    expect(lines[3].trim()).toBe('05-MAR-26 14:07:09');
+    expect(lines[4].trim()).toBe('Pump 3');
+    expect(lines.slice(1, 6).every(line => line.length === 80)).toBe(true);
+    expect(lines[6].slice(0, 5)).toBe('   12');
+    expect(lines[7]).toBe('         2         7         1  0.00000E+00  1.00000E+00  0.00000E+00');
+    expect(lines[8]).toMatch(/^ {8}18 {4}0 .*Frequency {12}Hz/);
+    expect(lines[9]).toMatch(/^ {8}12 {4}1 .*Acceleration {9}g/);
+  });
+
+  it('writes six E13.5 values per line', () => {
+    const [lines] = datasetsOf(analysesToUff58([analysis(spectrum)], channels.slice(0, 1)));
+    const data = lines.slice(12);
+
+    expect(data).toEqual([
+      '  0.00000E+00  5.00000E-01  1.00000E+00  2.50000E-01  1.25000E-01  6.25000E-02',
+      '  3.12500E-02'
+    ]);
+  });
+
+  it('numbers the functions across frames and the nodes by channel', () => {
+    const datasets = datasetsOf(analysesToUff58([analysis(spectrum), analysis(spectrum)], channels));
+    const idRecord = (lines) => lines[6];
+
+    expect(datasets.map(lines => Number(idRecord(lines).slice(5, 15)))).toEqual([1, 2, 3, 4]);
+    expect(datasets.map(lines => Number(idRecord(lines).slice(41, 51)))).toEqual([1, 2, 1, 2]);
+  });
+
+  it('writes spectra in the display unit of their channel', () => {
+    const line = new Array(8).fill(0);
+    line[4] = 1;
+    const [velocity, displacement] = datasetsOf(analysesToUff58([analysis(line)], [
+      { key: 'Channel1', name: 'Velocity', unit: 'mm/s' },
+      { key: 'Channel1', name: 'Displacement', unit: 'µm' }
+    ]));
+
+    expect(velocity[9]).toMatch(/^ {8}11 .*Velocity {13}mm\/s/);
+    expect(displacement[9]).toMatch(/^ {9}8 .*Displacement {9}um/);
+
+    const fifth = (lines) => Number(lines[12].slice(4 * 13, 5 * 13));
+    expect(fifth(velocity)).toBeCloseTo(9806.65 / (2 * Math.PI * 4), 2);
+    expect(fifth(displacement)).toBeCloseTo((9806.65 * 1000) / (2 * Math.PI * 4) ** 2, -1);
+  });
+});
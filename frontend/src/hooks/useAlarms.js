@@ -0,0 +1,137 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { DEFAULT_RULES, LEVEL_RANK, RULE_TYPES, evaluateAlarms, summarizeChannels } from '../alarms';
+import { channelLabel } from '../dataSources';
+import { ALARM_EVENTS_KEY, deviceSettingsKey } from '../devices';
+import { loadJSON, saveJSON } from '../utils/storage';
+
+const NOTIFY_KEY = 'vibration.alarmNotifications';
+const MAX_EVENTS = 500;
+
+// A device's rules as last saved, for views that evaluate them outside the dashboard
+export const loadAlarmRules = (deviceId) => loadJSON(deviceSettingsKey(deviceId, 'alarmRules'), DEFAULT_RULES);
+
+const notify = (event) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  new Notification(`${event.level.toUpperCase()}: ${event.ruleName}`, {
+    body: `${channelLabel(event.channel)} at ${event.value.toFixed(3)} ${event.unit}`,
+    tag: event.id
+  });
+};
+
+// Evaluates a device's alarm rules on every rendered frame and keeps the
+// persistent event log. `inputs` maps channel keys to the analysis results the
+// rules measure (see alarms/engine.js). The log is shared by all devices;
+// `events` and the actions on them only cover this device's events.
+const useAlarms = (deviceId, timestamp, inputs) => {
+  const [rules, setRulesState] = useState(() => loadAlarmRules(deviceId));
+  const [events, setEvents] = useState(() => loadJSON(ALARM_EVENTS_KEY, []));
+  const [notificationsEnabled, setNotificationsEnabled] = useState(() => loadJSON(NOTIFY_KEY, false));
+  const [channelAlarms, setChannelAlarms] = useState({});
+
+  const statesRef = useRef({});
+  const inputsRef = useRef(inputs);
+  inputsRef.current = inputs;
+  const notifyRef = useRef(notificationsEnabled);
+  notifyRef.current = notificationsEnabled;
+
+  useEffect(() => {
+    saveJSON(ALARM_EVENTS_KEY, events);
+  }, [events]);
+
+  useEffect(() => {
+    if (!timestamp) return;
+
+    const time = timestamp.getTime();
+    const { states, transitions } = evaluateAlarms({
+      rules,
+      inputs: inputsRef.current,
+      states: statesRef.current,
+      time
+    });
+    statesRef.current = states;
+    setChannelAlarms(summarizeChannels(rules, states));
+
+    if (transitions.length === 0) return;
+
+    const raised = transitions
+      .filter(({ from, to }) => LEVEL_RANK[to] > LEVEL_RANK[from])
+      .map(({ rule, channel, to, value }) => ({
+        id: `${deviceId}:${rule.id}:${channel}:${time}:${to}`,
+        deviceId,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        channel,
+        level: to,
+        value,
+        unit: RULE_TYPES[rule.type].unit(rule.params),
+        raisedAt: time,
+        clearedAt: null,
+        acknowledged: false
+      }));
+
+    // An event stays active until its rule drops below the event's level
+    const lowered = transitions.filter(({ from, to }) => LEVEL_RANK[to] < LEVEL_RANK[from]);
+
+    setEvents(prev => {
+      const updated = prev.map(event => {
+        const drop = event.deviceId === deviceId && lowered.find(({ rule, channel, to }) => (
+          rule.id === event.ruleId && channel === event.channel && LEVEL_RANK[to] < LEVEL_RANK[event.level]
+        ));
+        return drop && !event.clearedAt ? { ...event, clearedAt: time } : event;
+      });
+      return [...raised.reverse(), ...updated].slice(0, MAX_EVENTS);
+    });
+
+    if (notifyRef.current) raised.forEach(notify);
+  }, [deviceId, timestamp, rules]);
+
+  const setRules = useCallback((next) => {
+    saveJSON(deviceSettingsKey(deviceId, 'alarmRules'), next);
+    setRulesState(next);
+  }, [deviceId]);
+
+  const acknowledge = useCallback((id) => {
+    setEvents(prev => prev.map(event => (event.id === id ? { ...event, acknowledged: true } : event)));
+  }, []);
+
+  const acknowledgeAll = useCallback(() => {
+    setEvents(prev => prev.map(event => (event.deviceId === deviceId ? { ...event, acknowledged: true } : event)));
+  }, [deviceId]);
+
+  // Removes acknowledged events that are no longer active
+  const clearEvents = useCallback(() => {
+    setEvents(prev => prev.filter(event => event.deviceId !== deviceId || !event.acknowledged || !event.clearedAt));
+  }, [deviceId]);
+
+  const deviceEvents = useMemo(() => events.filter(event => event.deviceId === deviceId), [events, deviceId]);
+
+  const toggleNotifications = useCallback(async () => {
+    if (notificationsEnabled) {
+      saveJSON(NOTIFY_KEY, false);
+      setNotificationsEnabled(false);
+      return;
+    }
+    if (typeof Notification === 'undefined') return;
+
+    const permission = Notification.permission === 'granted'
+      ? 'granted'
+      : await Notification.requestPermission();
+    const enabled = permission === 'granted';
+    saveJSON(NOTIFY_KEY, enabled);
+    setNotificationsEnabled(enabled);
+  }, [notificationsEnabled]);
+
+  return {
+    rules,
+    setRules,
+    events: deviceEvents,
+    acknowledge,
+    acknowledgeAll,
+    clearEvents,
+    channelAlarms,
+    notificationsEnabled,
+    toggleNotifications
+  };
+};
+
+export default useAlarms;
@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'react';
+import { deleteBaseline, listBaselines, saveBaseline } from '../sessions';
+
+// Loads the baselines stored for a device and captures new ones. Capturing
+// copies the given spectra so later frames cannot change them.
+const useBaselines = (deviceId) => {
+  const [baselines, setBaselines] = useState([]);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setBaselines(await listBaselines(deviceId));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const capture = useCallback(async (name, spectra, { samplingFreq, fftSize }) => {
+    try {
+      const id = await saveBaseline({
+        name,
+        deviceId,
+        samplingFreq,
+        fftSize,
+        spectra: Object.keys(spectra).reduce((acc, key) => {
+          acc[key] = Float32Array.from(spectra[key]);
+          return acc;
+        }, {})
+      });
+      await refresh();
+      return id;
+    } catch (err) {
+      console.error('Failed to save baseline:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [deviceId, refresh]);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteBaseline(id);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [refresh]);
+
+  return { baselines, error, capture, remove };
+};
+
+export default useBaselines;
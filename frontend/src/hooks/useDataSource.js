@@ -0,0 +1,87 @@
+import { useState, useEffect, useRef } from 'react';
+import { createDataSource, emptyChannels } from '../dataSources';
+
+const STATS_WINDOW_MS = 2000;
+
+// Runs the configured data source and exposes the latest frame. A new source
+// is created whenever the config object changes.
+//
+// Frames are committed to React state at most once per animation frame. When
+// a source pushes faster than the browser can render, the newest frame wins
+// and the ones in between are counted as dropped. `onFrame` still sees every
+// frame the source delivers.
+const useDataSource = (config, { onFrame } = {}) => {
+  const [frame, setFrame] = useState(() => ({ timestamp: null, channels: emptyChannels() }));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [streamStats, setStreamStats] = useState({ fps: 0, latency: null, dropped: 0 });
+
+  const pendingFrameRef = useRef(null);
+  const animationFrameRef = useRef(null);
+  const renderTimesRef = useRef([]);
+  const latencyRef = useRef(null);
+  const droppedRef = useRef(0);
+  const onFrameRef = useRef(onFrame);
+  onFrameRef.current = onFrame;
+
+  useEffect(() => {
+    const source = createDataSource(config);
+    renderTimesRef.current = [];
+    latencyRef.current = null;
+    droppedRef.current = 0;
+    setError(null);
+
+    const flush = () => {
+      const next = pendingFrameRef.current;
+      pendingFrameRef.current = null;
+      animationFrameRef.current = null;
+      if (!next) return;
+
+      const now = Date.now();
+      renderTimesRef.current.push(now);
+      // Replayed frames carry their original timestamps, so latency is meaningless
+      latencyRef.current = source.historical ? null : now - next.timestamp.getTime();
+      setFrame(next);
+      setError(null);
+    };
+
+    source.start({
+      onFrame: (incoming) => {
+        if (onFrameRef.current) onFrameRef.current(incoming);
+        if (pendingFrameRef.current) droppedRef.current += 1;
+        pendingFrameRef.current = incoming;
+        if (!animationFrameRef.current) {
+          animationFrameRef.current = requestAnimationFrame(flush);
+        }
+      },
+      onError: (err) => {
+        console.error('Error fetching vibration data:', err);
+        setError(err.message);
+      },
+      onLoading: setLoading
+    });
+
+    const statsTimer = setInterval(() => {
+      const cutoff = Date.now() - STATS_WINDOW_MS;
+      renderTimesRef.current = renderTimesRef.current.filter(time => time >= cutoff);
+      setStreamStats({
+        fps: renderTimesRef.current.length / (STATS_WINDOW_MS / 1000),
+        latency: latencyRef.current,
+        dropped: droppedRef.current
+      });
+    }, 1000);
+
+    return () => {
+      source.stop();
+      clearInterval(statsTimer);
+      cancelAnimationFrame(animationFrameRef.current);
+      animationFrameRef.current = null;
+      pendingFrameRef.current = null;
+      setLoading(false);
+    };
+  }, [config]);
+
+  return { frame, channels: frame.channels, lastUpdate: frame.timestamp, loading, error, streamStats };
+};
+
+export default useDataSource;
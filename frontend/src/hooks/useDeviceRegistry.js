@@ -0,0 +1,27 @@
+import { useState, useCallback } from 'react';
+import { loadDevices, removeDeviceData, saveDevices } from '../devices';
+
+// The persisted list of DAQ nodes. `saveDevice` adds a device or replaces the
+// one with the same id.
+const useDeviceRegistry = () => {
+  const [devices, setDevices] = useState(loadDevices);
+
+  const commit = useCallback((next) => {
+    saveDevices(next);
+    setDevices(next);
+  }, []);
+
+  const saveDevice = useCallback((device) => {
+    const exists = devices.some(item => item.id === device.id);
+    commit(exists ? devices.map(item => (item.id === device.id ? device : item)) : [...devices, device]);
+  }, [devices, commit]);
+
+  const removeDevice = useCallback((id) => {
+    removeDeviceData(id);
+    commit(devices.filter(device => device.id !== id));
+  }, [devices, commit]);
+
+  return { devices, saveDevice, removeDevice };
+};
+
+export default useDeviceRegistry;
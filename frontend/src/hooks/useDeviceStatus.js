@@ -0,0 +1,62 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import useDataSource from './useDataSource';
+import useFrameAnalysis from './useFrameAnalysis';
+import { loadAlarmRules } from './useAlarms';
+import { LEVELS, LEVEL_RANK, evaluateAlarms, summarizeChannels } from '../alarms';
+import { channelLabel } from '../dataSources';
+import { deviceSourceConfig } from '../devices';
+
+// Default analysis settings, without averaging or cross-channel analysis, so
+// every tile can use the one shared worker
+const TILE_ANALYSIS = { options: {}, averaging: {}, cross: null, shared: true };
+
+// Headline numbers for a fleet tile: runs the device's source, analyses each
+// frame with the default settings in the shared analysis worker and evaluates the
+// saved alarm rules on it. `accelRms` and `velocityRms` are the highest
+// channel values.
+const useDeviceStatus = (device) => {
+  const config = useMemo(() => deviceSourceConfig(device), [device]);
+  const { frame, lastUpdate, error } = useDataSource(config);
+  const { analysis, frame: analyzedFrame } = useFrameAnalysis(frame, TILE_ANALYSIS);
+  const analyzedAt = analyzedFrame.timestamp;
+  const [alarm, setAlarm] = useState(null);
+
+  const statesRef = useRef({});
+  const analysisRef = useRef(analysis);
+  analysisRef.current = analysis;
+
+  useEffect(() => {
+    if (!analyzedAt) return;
+    const { spectra, metrics, samplingFreq, fftSize, enbw } = analysisRef.current;
+    const rules = loadAlarmRules(device.id);
+    const inputs = Object.keys(spectra).reduce((acc, key) => {
+      acc[key] = { magnitudes: spectra[key], metrics: metrics[key], samplingFreq, fftSize, enbw };
+      return acc;
+    }, {});
+    const { states } = evaluateAlarms({ rules, inputs, states: statesRef.current, time: analyzedAt.getTime() });
+    statesRef.current = states;
+
+    // The device carries its worst channel's level
+    const channels = summarizeChannels(rules, states);
+    const worst = Object.entries(channels).reduce((current, [key, summary]) => ({
+      level: LEVEL_RANK[summary.level] > LEVEL_RANK[current.level] ? summary.level : current.level,
+      rules: [...current.rules, ...summary.rules.map(rule => ({ ...rule, name: `${channelLabel(key)}: ${rule.name}` }))]
+    }), { level: LEVELS.NORMAL, rules: [] });
+    setAlarm(worst.level === LEVELS.NORMAL ? null : worst);
+  }, [analyzedAt, device.id]);
+
+  const channelValues = (field) => Object.values(analysis.metrics)
+    .map(metrics => metrics[field])
+    .filter(value => value !== null && value !== undefined);
+  const highest = (values) => (values.length > 0 ? Math.max(...values) : null);
+
+  return {
+    lastUpdate,
+    error,
+    accelRms: highest(channelValues('rms')),
+    velocityRms: highest(channelValues('velocityRms')),
+    alarm
+  };
+};
+
+export default useDeviceStatus;
@@ -0,0 +1,79 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createAnalysisClient, createAnalysisEngine, createSharedAnalysisClient } from '../analysis';
+
+// Analyzes each rendered frame in the analysis worker (see analysis/). One
+// analysis is in flight at a time; frames arriving meanwhile replace each
+// other, so a slow machine skips frames instead of falling behind. Settings
+// changes re-analyze the current frame.
+//
+// `settings` is { options, averaging, cross } as taken by the engine, plus
+// `shared` to use the worker shared by all callers that analyze without
+// averaging or cross-channel settings.
+// Returns the latest result together with the frame it belongs to, and
+// functions resetting the spectral averages (of one channel, or of all
+// without a key) and the cross-channel average.
+const useFrameAnalysis = (frame, { options, averaging, cross, shared = false }) => {
+  const [state, setState] = useState(() => ({
+    frame,
+    analysis: createAnalysisEngine().analyze({ frame, options })
+  }));
+  const clientRef = useRef(null);
+  const requestRef = useRef(null);
+  requestRef.current = { frame, options, averaging, cross };
+
+  useEffect(() => {
+    const client = shared ? createSharedAnalysisClient() : createAnalysisClient();
+    let active = true;
+    let busy = false;
+    let pending = null;
+
+    const run = async () => {
+      const request = pending;
+      pending = null;
+      busy = true;
+      try {
+        const analysis = await client.analyze(request);
+        if (active) setState({ frame: request.frame, analysis });
+      } catch (err) {
+        if (active) console.error('Error analyzing frame:', err);
+      }
+      busy = false;
+      if (active && pending) run();
+    };
+
+    clientRef.current = {
+      client,
+      submit: (request) => {
+        pending = request;
+        if (!busy) run();
+      }
+    };
+    return () => {
+      active = false;
+      clientRef.current = null;
+      client.terminate();
+    };
+  }, [shared]);
+
+  // Settings objects may be rebuilt on every render; only their content counts
+  const settingsKey = JSON.stringify([averaging, cross]);
+  useEffect(() => {
+    clientRef.current.submit(requestRef.current);
+  }, [frame, options, settingsKey]);
+
+  const resetAveraging = useCallback((key) => {
+    if (!clientRef.current) return;
+    clientRef.current.client.resetAveraging(key);
+    clientRef.current.submit(requestRef.current);
+  }, []);
+
+  const resetCross = useCallback(() => {
+    if (!clientRef.current) return;
+    clientRef.current.client.resetCross();
+    clientRef.current.submit(requestRef.current);
+  }, []);
+
+  return { analysis: state.analysis, frame: state.frame, resetAveraging, resetCross };
+};
+
+export default useFrameAnalysis;
@@ -0,0 +1,20 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Appends `entry` to a rolling history each time a new frame timestamp is
+// rendered. Only the newest `depth` entries are kept.
+const useFrameHistory = (timestamp, entry, depth) => {
+  const [history, setHistory] = useState([]);
+  const entryRef = useRef(entry);
+  entryRef.current = entry;
+
+  useEffect(() => {
+    if (!timestamp) return;
+    setHistory(prev => [...prev, { timestamp, ...entryRef.current }].slice(-depth));
+  }, [timestamp, depth]);
+
+  const reset = useCallback(() => setHistory([]), []);
+
+  return [history, reset];
+};
+
+export default useFrameHistory;
@@ -0,0 +1,32 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { trackPeaks } from '../dsp/peaks';
+
+// Peaks closer than this many bins to a track's last frequency continue it
+const TRACK_TOLERANCE_BINS = 3;
+
+// Follows each channel's peaks across frames. `peaksByChannel` maps channel
+// keys to the peaks of the frame stamped `timestamp`; returns the tracks per
+// channel and a reset callback. Tracks restart when the bin width changes.
+const usePeakTracks = (timestamp, peaksByChannel, { binWidth, depth }) => {
+  const [tracks, setTracks] = useState({});
+  const inputRef = useRef();
+  inputRef.current = { peaksByChannel, binWidth, depth };
+
+  useEffect(() => setTracks({}), [binWidth]);
+
+  useEffect(() => {
+    if (!timestamp) return;
+    const { peaksByChannel: peaks, binWidth: width, depth: maxPoints } = inputRef.current;
+    const options = { time: timestamp, tolerance: TRACK_TOLERANCE_BINS * width, depth: maxPoints };
+    setTracks(prev => Object.keys(peaks).reduce((acc, key) => {
+      acc[key] = trackPeaks(prev[key] || [], peaks[key], options);
+      return acc;
+    }, {}));
+  }, [timestamp]);
+
+  const reset = useCallback(() => setTracks({}), []);
+
+  return [tracks, reset];
+};
+
+export default usePeakTracks;
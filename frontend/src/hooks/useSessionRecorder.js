@@ -0,0 +1,47 @@
+import { useState, useRef, useCallback } from 'react';
+import { appendFrame, createSession } from '../sessions';
+
+// Records frames of a device into a named IndexedDB session. Writes are
+// chained so they land in the order the frames arrived.
+const useSessionRecorder = (deviceId) => {
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState(null);
+  const sessionIdRef = useRef(null);
+  const queueRef = useRef(Promise.resolve());
+
+  const start = useCallback(async (name) => {
+    try {
+      const id = await createSession(name, deviceId);
+      sessionIdRef.current = id;
+      setError(null);
+      setRecording({ id, name, frameCount: 0 });
+    } catch (err) {
+      console.error('Failed to start recording:', err);
+      setError(err.message);
+    }
+  }, [deviceId]);
+
+  // Resolves once every queued frame has been written
+  const stop = useCallback(() => {
+    sessionIdRef.current = null;
+    setRecording(null);
+    return queueRef.current;
+  }, []);
+
+  const recordFrame = useCallback((frame) => {
+    const id = sessionIdRef.current;
+    if (!id) return;
+
+    queueRef.current = queueRef.current
+      .then(() => appendFrame(id, frame))
+      .catch(err => {
+        console.error('Failed to record frame:', err);
+        setError(err.message);
+      });
+    setRecording(prev => (prev ? { ...prev, frameCount: prev.frameCount + 1 } : prev));
+  }, []);
+
+  return { recording, error, start, stop, recordFrame };
+};
+
+export default useSessionRecorder;
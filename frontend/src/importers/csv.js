@@ -0,0 +1,100 @@
+import { UNITS } from '../channels/units';
+
+const FREQUENCY_HEADER = /freq|hz/i;
+const TIME_HEADER = /^(t|time|sec|seconds|s)\b|time/i;
+const TIMESTAMP_HEADER = /^timestamp$/i;
+
+// Spectrum exports name each column "<channel> (<unit>)"
+const UNIT_HEADER = /\(([^)]+)\)\s*$/;
+
+const headerUnit = (header) => {
+  const match = UNIT_HEADER.exec(header);
+  return match && UNITS[match[1]] ? match[1] : null;
+};
+
+const detectDelimiter = (line) => {
+  const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: line.split(delimiter).length }));
+  return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+// Splits rows into runs sharing the same timestamp cell, one per exported frame
+const splitByTimestamp = (cells) => cells.reduce((groups, cell, row) => {
+  const last = groups[groups.length - 1];
+  if (last && last.timestamp === cell) last.rows.push(row);
+  else groups.push({ timestamp: cell, rows: [row] });
+  return groups;
+}, []);
+
+// The frequency column gives the bin width and the first bin, so partial
+// bands and spectra with or without the Nyquist bin keep their frequencies.
+// The FFT size defaults to the smallest power of two reaching the last bin.
+// A unit in a column header is kept so the import can convert back to g.
+const parseSpectrum = ({ headers, cells, values, columns, frequencyIndex }) => {
+  const timestampIndex = headers.findIndex(header => TIMESTAMP_HEADER.test(header));
+  const groups = timestampIndex !== -1
+    ? splitByTimestamp(cells.map(row => row[timestampIndex]))
+    : [{ timestamp: null, rows: values[frequencyIndex].map((_, row) => row) }];
+
+  const frequencies = groups[0].rows.map(row => values[frequencyIndex][row]);
+  const startFrequency = frequencies[0];
+  const binWidth = frequencies.length > 1 ? (frequencies[frequencies.length - 1] - startFrequency) / (frequencies.length - 1) : 0;
+  const lastBin = binWidth > 0 ? Math.round(frequencies[frequencies.length - 1] / binWidth) : frequencies.length;
+  const fftSize = 2 ** Math.ceil(Math.log2(Math.max(2, 2 * lastBin)));
+
+  const spectra = groups.map(({ timestamp, rows }) => {
+    const date = timestamp ? new Date(timestamp) : null;
+    return {
+      timestamp: date && !Number.isNaN(date.getTime()) ? date : null,
+      columns: columns.map(({ name, index }) => ({ name, unit: headerUnit(name), values: rows.map(row => values[index][row]) }))
+    };
+  });
+
+  return {
+    kind: 'spectrum',
+    columns: spectra[0].columns,
+    spectra,
+    startFrequency,
+    binWidth: binWidth > 0 ? binWidth : null,
+    fftSize,
+    samplingFreq: binWidth > 0 ? binWidth * fftSize : null
+  };
+};
+
+// Parses a numeric CSV export. A column whose header mentions frequency
+// marks a spectrum file; a time column marks a time series and gives the
+// sampling rate. Every other column is a candidate channel.
+export const parseCsv = (text, fileName) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  if (lines.length < 2) throw new Error(`${fileName} has no data rows`);
+
+  const delimiter = detectDelimiter(lines[0]);
+  const firstRow = lines[0].split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+  const hasHeader = firstRow.some(cell => cell !== '' && Number.isNaN(Number(cell)));
+  const headers = hasHeader ? firstRow : firstRow.map((_, index) => `Column ${index + 1}`);
+  const dataLines = hasHeader ? lines.slice(1) : lines;
+
+  const cells = dataLines.map(line => line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, '')));
+  const values = headers.map((_, index) => cells.map(row => Number(row[index])));
+
+  const frequencyIndex = headers.findIndex(header => FREQUENCY_HEADER.test(header));
+  const timeIndex = frequencyIndex === -1 ? headers.findIndex(header => TIME_HEADER.test(header)) : -1;
+  const axisIndex = frequencyIndex !== -1 ? frequencyIndex : timeIndex;
+
+  const columns = headers
+    .map((name, index) => ({ name, index, values: values[index] }))
+    .filter(({ index }) => index !== axisIndex)
+    .filter(column => column.values.some(value => !Number.isNaN(value)));
+
+  if (columns.length === 0) throw new Error(`${fileName} has no numeric columns`);
+
+  if (frequencyIndex !== -1) return parseSpectrum({ headers, cells, values, columns, frequencyIndex });
+
+  let samplingFreq = null;
+  if (timeIndex !== -1) {
+    const times = values[timeIndex];
+    const span = times[times.length - 1] - times[0];
+    const scale = /ms/i.test(headers[timeIndex]) ? 1000 : 1;
+    samplingFreq = span > 0 ? ((times.length - 1) / span) * scale : null;
+  }
+  return { kind: 'timeseries', columns, samplingFreq, fftSize: null };
+};
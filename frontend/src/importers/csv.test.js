@@ -0,0 +1,132 @@
+import { parseCsv } from './csv';
+import { buildImportedFrames } from './index';
+
+const csv = (rows) => rows.join('\n');
+const channel1 = (name) => ({ Channel1: name, Channel2: '', Channel3: '', Channel4: '' });
+
+describe('parseCsv', () => {
+  describe('spectra', () => {
+    it('takes the bin width from the frequency column', () => {
+      const rows = Array.from({ length: 512 }, (_, k) => `${k * 2},${k}`);
+      const draft = parseCsv(csv(['frequency_hz,Channel1 (g)', ...rows]), 'spectrum.csv');
+
+      expect(draft.kind).toBe('spectrum');
+      expect(draft.columns.map(column => column.name)).toEqual(['Channel1 (g)']);
+      expect(draft.startFrequency).toBe(0);
+      expect(draft.binWidth).toBe(2);
+      expect(draft.fftSize).toBe(1024);
+      expect(draft.samplingFreq).toBe(2048);
+    });
+
+    it('recognizes a Nyquist bin', () => {
+      const rows = Array.from({ length: 513 }, (_, k) => `${k * 2},${k}`);
+      const draft = parseCsv(csv(['frequency_hz,a', ...rows]), 'spectrum.csv');
+
+      expect(draft.fftSize).toBe(1024);
+      expect(draft.samplingFreq).toBe(2048);
+    });
+
+    it('keeps the first frequency of a partial band', () => {
+      const rows = Array.from({ length: 11 }, (_, k) => `${(100 + k * 6.25).toFixed(4)},${k + 1}`);
+      const draft = parseCsv(csv(['frequency_hz,a', ...rows]), 'band.csv');
+
+      expect(draft.startFrequency).toBe(100);
+      expect(draft.binWidth).toBeCloseTo(6.25, 10);
+
+      const [frame] = buildImportedFrames(draft, { mapping: channel1('a'), samplingFreq: 25600, fftSize: 4096 });
+      expect(frame.channels.Channel1).toHaveLength(27);
+      expect(frame.channels.Channel1.slice(0, 16).every(value => value === 0)).toBe(true);
+      expect(frame.channels.Channel1[16]).toBe(1);
+      expect(frame.channels.Channel1[26]).toBe(11);
+    });
+
+    it('splits a multi-frame export by timestamp', () => {
+      const times = ['2026-03-01T10:00:00.000Z', '2026-03-01T10:00:01.000Z'];
+      const rows = times.flatMap((time, frame) => [0, 1, 2, 3].map(k => `${time},${(k * 12.5).toFixed(4)},${frame + k}`));
+      const draft = parseCsv(csv(['timestamp,frequency_hz,Channel1 (g)', ...rows]), 'session.csv');
+
+      expect(draft.columns.map(column => column.name)).toEqual(['Channel1 (g)']);
+      expect(draft.spectra).toHaveLength(2);
+
+      const frames = buildImportedFrames(draft, { mapping: channel1('Channel1 (g)'), samplingFreq: 100, fftSize: 8 });
+      expect(frames.map(frame => frame.timestamp.toISOString())).toEqual(times);
+      expect(frames.map(frame => frame.channels.Channel1)).toEqual([[0, 1, 2, 3], [1, 2, 3, 4]]);
+      expect(frames[0].acquisition).toEqual({ samplingFreq: 100, fftSize: 8 });
+    });
+
+    it('reads semicolon-separated files and quoted headers', () => {
+      const draft = parseCsv(csv(['"Frequency (Hz)";"X";"Y"', '0;1;2', '10;3;4']), 'semi.csv');
+
+      expect(draft.columns.map(column => column.name)).toEqual(['X', 'Y']);
+      expect(draft.binWidth).toBe(10);
+    });
+
+    it('converts columns exported in another unit back to g', () => {
+      // 1 g at 100 Hz is 9806.65 / (2π · 100) mm/s
+      const velocity = 9806.65 / (2 * Math.PI * 100);
+      const draft = parseCsv(csv(['frequency_hz,Motor (mm/s),Fan (m/s²),Pump (g)', `0,5,9.80665,1`, `100,${velocity},19.6133,2`]), 'velocity.csv');
+
+      expect(draft.columns.map(column => column.unit)).toEqual(['mm/s', 'm/s²', 'g']);
+
+      const mapping = { Channel1: 'Motor (mm/s)', Channel2: 'Fan (m/s²)', Channel3: 'Pump (g)', Channel4: '' };
+      const [frame] = buildImportedFrames(draft, { mapping, samplingFreq: 400, fftSize: 4 });
+      expect(frame.channels.Channel1[0]).toBe(0);
+      expect(frame.channels.Channel1[1]).toBeCloseTo(1, 10);
+      expect(frame.channels.Channel2[0]).toBeCloseTo(1, 10);
+      expect(frame.channels.Channel2[1]).toBeCloseTo(2, 10);
+      expect(frame.channels.Channel3).toEqual([1, 2]);
+    });
+
+    it('reads columns without a known unit as g', () => {
+      const draft = parseCsv(csv(['frequency_hz,Motor (inch/s)', '0,1', '10,2']), 'other.csv');
+
+      expect(draft.columns[0].unit).toBeNull();
+      expect(buildImportedFrames(draft, { mapping: channel1('Motor (inch/s)'), samplingFreq: 40, fftSize: 4 })[0].channels.Channel1).toEqual([1, 2]);
+    });
+  });
+
+  describe('time series', () => {
+    it('derives the sampling rate from a time column in seconds', () => {
+      const rows = Array.from({ length: 5 }, (_, i) => `${i / 1000},${i}`);
+      const draft = parseCsv(csv(['time,accel', ...rows]), 'samples.csv');
+
+      expect(draft.kind).toBe('timeseries');
+      expect(draft.samplingFreq).toBeCloseTo(1000, 6);
+      expect(draft.columns.map(column => column.values)).toEqual([[0, 1, 2, 3, 4]]);
+    });
+
+    it('reads a time column in milliseconds', () => {
+      const draft = parseCsv(csv(['time_ms,accel', '0,1', '0.5,2', '1,3']), 'samples.csv');
+      expect(draft.samplingFreq).toBeCloseTo(2000, 6);
+    });
+
+    it('leaves the sampling rate open without a time column', () => {
+      const draft = parseCsv(csv(['# logger export', '1,2', '3,4']), 'plain.csv');
+
+      expect(draft.samplingFreq).toBeNull();
+      expect(draft.columns.map(column => column.name)).toEqual(['Column 1', 'Column 2']);
+    });
+  });
+
+  it('remaps the complex spectra of imported frames', () => {
+    const frame = {
+      timestamp: new Date(0),
+      channels: { a: [1], b: [2] },
+      complex: { a: { re: [1], im: [0] }, b: { re: [2], im: [1] } },
+      acquisition: { samplingFreq: 100, fftSize: 2 }
+    };
+    const [imported] = buildImportedFrames({ kind: 'frames', frames: [frame] }, {
+      mapping: { Channel1: 'b', Channel2: 'a', Channel3: '', Channel4: '' },
+      samplingFreq: 100,
+      fftSize: 2
+    });
+
+    expect(imported.channels).toEqual({ Channel1: [2], Channel2: [1], Channel3: [], Channel4: [] });
+    expect(imported.complex).toEqual({ Channel1: frame.complex.b, Channel2: frame.complex.a });
+  });
+
+  it('rejects files without data', () => {
+    expect(() => parseCsv('frequency_hz,a', 'empty.csv')).toThrow('empty.csv has no data rows');
+    expect(() => parseCsv(csv(['name,label', 'x,y']), 'text.csv')).toThrow('text.csv has no numeric columns');
+  });
+});
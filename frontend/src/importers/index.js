@@ -0,0 +1,112 @@
+import { parseCsv } from './csv';
+import { parseWav } from './wav';
+import { ADS1256_INPUTS, CHANNEL_KEYS, channelKeys, parseReplayFile } from '../dataSources';
+import { computeChannelSpectra } from '../dsp/spectrum';
+import { convertSpectrumToG } from '../channels/units';
+
+export const IMPORT_ACCEPT = '.csv,.txt,.wav,.json';
+
+const readFile = (file, method) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader[method](file);
+});
+
+// Turns a dropped file into an import draft: the candidate columns (CSV
+// columns, WAV tracks or JSON channel keys) plus whatever acquisition
+// parameters the file itself carries. The user completes the draft with a
+// channel mapping before it becomes frames.
+export const readImportFile = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+
+  if (extension === 'wav') {
+    return { fileName: file.name, ...parseWav(await readFile(file, 'readAsArrayBuffer'), file.name) };
+  }
+
+  const text = await readFile(file, 'readAsText');
+  if (extension === 'json') {
+    const frames = parseReplayFile(text);
+    const acquisition = frames[0].acquisition || {};
+    return {
+      fileName: file.name,
+      kind: 'frames',
+      frames,
+      columns: Object.keys(frames[0].channels)
+        .filter(key => frames[0].channels[key].length > 0)
+        .map(name => ({ name })),
+      samplingFreq: acquisition.samplingFreq || null,
+      fftSize: acquisition.fftSize || null
+    };
+  }
+  return { fileName: file.name, ...parseCsv(text, file.name) };
+};
+
+// Default mapping: the first candidate columns onto Channel1..n in order,
+// one channel per column up to the ADS1256's inputs and at least four
+export const defaultMapping = (draft) => channelKeys(
+  Math.max(CHANNEL_KEYS.length, Math.min(draft.columns.length, ADS1256_INPUTS))
+).reduce((acc, key, index) => {
+  acc[key] = draft.columns[index] ? draft.columns[index].name : '';
+  return acc;
+}, {});
+
+const mapColumns = (columns, mapping, transform = values => values) => Object.keys(mapping).reduce((acc, key) => {
+  const column = columns.find(({ name }) => name === mapping[key]);
+  acc[key] = column ? transform(column.values, column) : [];
+  return acc;
+}, {});
+
+// Builds frames from a completed draft. Time series are transformed with a
+// Hann window so the device-FFT view has a spectrum to show; Browser FFT
+// re-transforms the samples with the live settings.
+export const buildImportedFrames = (draft, { mapping, samplingFreq, fftSize, scale = 1 }) => {
+  const timestamp = new Date();
+
+  if (draft.kind === 'frames') {
+    return draft.frames.map(frame => {
+      const remap = (values) => values && Object.keys(mapping).reduce((acc, key) => {
+        acc[key] = values[mapping[key]] || [];
+        return acc;
+      }, {});
+      // Channels without a complex spectrum are left out, as in remapChannels
+      const remapComplex = (complex) => Object.keys(mapping).reduce((acc, key) => {
+        if (complex[mapping[key]]) acc[key] = complex[mapping[key]];
+        return acc;
+      }, {});
+      return {
+        ...frame,
+        channels: remap(frame.channels),
+        samples: frame.samples ? remap(frame.samples) : undefined,
+        complex: frame.complex ? remapComplex(frame.complex) : undefined,
+        acquisition: { ...frame.acquisition, samplingFreq, fftSize }
+      };
+    });
+  }
+
+  // Bins below the first exported frequency are left at zero so every
+  // value keeps its frequency. Columns exported in another unit are
+  // converted back to g.
+  if (draft.kind === 'spectrum') {
+    const startBin = Math.max(0, Math.round((draft.startFrequency || 0) / (samplingFreq / fftSize)));
+    const toBins = (values, { unit }) => convertSpectrumToG(
+      [...new Array(startBin).fill(0), ...values.map(value => (Number.isNaN(value) ? 0 : value))],
+      unit,
+      { samplingFreq, fftSize }
+    );
+    return draft.spectra.map(spectrum => ({
+      timestamp: spectrum.timestamp || timestamp,
+      channels: mapColumns(spectrum.columns, mapping, toBins),
+      acquisition: { samplingFreq, fftSize }
+    }));
+  }
+
+  const samples = mapColumns(draft.columns, mapping, values => Array.from(values, value => (Number.isNaN(value) ? 0 : value * scale)));
+  return [{
+    timestamp,
+    samples,
+    samplingFreq,
+    channels: computeChannelSpectra(samples, { fftSize, window: 'hann', overlap: 0.5 }),
+    acquisition: { samplingFreq, fftSize }
+  }];
+};
@@ -0,0 +1,83 @@
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+const readString = (view, offset, length) => {
+  let text = '';
+  for (let i = 0; i < length; i++) text += String.fromCharCode(view.getUint8(offset + i));
+  return text;
+};
+
+const readSample = (view, offset, format, bits) => {
+  if (format === FORMAT_FLOAT) {
+    return bits === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+  }
+  switch (bits) {
+    case 8:
+      return (view.getUint8(offset) - 128) / 128;
+    case 16:
+      return view.getInt16(offset, true) / 32768;
+    case 24: {
+      const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+      return value / 8388608;
+    }
+    case 32:
+      return view.getInt32(offset, true) / 2147483648;
+    default:
+      throw new Error(`Unsupported WAV bit depth: ${bits}`);
+  }
+};
+
+// Decodes a RIFF/WAVE file into one track per channel, scaled to ±1 full scale
+export const parseWav = (buffer, fileName) => {
+  const view = new DataView(buffer);
+  if (readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'WAVE') {
+    throw new Error(`${fileName} is not a WAV file`);
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const chunkId = readString(view, offset, 4);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      const audioFormat = view.getUint16(body, true);
+      format = {
+        audioFormat: audioFormat === FORMAT_EXTENSIBLE ? view.getUint16(body + 24, true) : audioFormat,
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) throw new Error(`${fileName} has no format chunk before its data`);
+      if (format.audioFormat !== FORMAT_PCM && format.audioFormat !== FORMAT_FLOAT) {
+        throw new Error(`${fileName} uses an unsupported WAV encoding (${format.audioFormat})`);
+      }
+
+      const bytesPerSample = format.bitsPerSample / 8;
+      const frameSize = bytesPerSample * format.channelCount;
+      const length = Math.floor(Math.min(chunkSize, view.byteLength - body) / frameSize);
+      const tracks = Array.from({ length: format.channelCount }, () => new Float32Array(length));
+
+      for (let i = 0; i < length; i++) {
+        for (let channel = 0; channel < format.channelCount; channel++) {
+          tracks[channel][i] = readSample(view, body + i * frameSize + channel * bytesPerSample, format.audioFormat, format.bitsPerSample);
+        }
+      }
+
+      return {
+        kind: 'timeseries',
+        columns: tracks.map((values, index) => ({ name: `Track ${index + 1}`, values })),
+        samplingFreq: format.sampleRate,
+        fftSize: null
+      };
+    }
+
+    // Chunks are padded to an even size
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error(`${fileName} has no audio data`);
+};
@@ -0,0 +1,103 @@
+import { parseWav } from './wav';
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+};
+
+// A RIFF/WAVE file with interleaved `frames` (one array of samples per frame)
+// written by `write(view, offset, value)`; `extra` chunks go before the data
+const buildWav = ({ format = 1, bits, sampleRate = 8000, frames, write, extra = [] }) => {
+  const channelCount = frames[0].length;
+  const bytesPerSample = bits / 8;
+  const dataSize = frames.length * channelCount * bytesPerSample;
+  const extraSize = extra.reduce((sum, chunk) => sum + 8 + chunk.size + (chunk.size % 2), 0);
+  const view = new DataView(new ArrayBuffer(12 + 24 + extraSize + 8 + dataSize));
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, view.byteLength - 8, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, format, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channelCount * bytesPerSample, true);
+  view.setUint16(32, channelCount * bytesPerSample, true);
+  view.setUint16(34, bits, true);
+
+  let offset = 36;
+  extra.forEach(({ id, size }) => {
+    writeString(view, offset, id);
+    view.setUint32(offset + 4, size, true);
+    offset += 8 + size + (size % 2);
+  });
+
+  writeString(view, offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+  frames.flat().forEach((value, i) => write(view, offset + 8 + i * bytesPerSample, value));
+  return view.buffer;
+};
+
+const values = (column) => Array.from(column.values);
+
+describe('parseWav', () => {
+  it('decodes 16-bit PCM into one track per channel', () => {
+    const buffer = buildWav({
+      bits: 16,
+      sampleRate: 25600,
+      frames: [[16384, -32768], [0, 8192]],
+      write: (view, offset, value) => view.setInt16(offset, value, true)
+    });
+    const draft = parseWav(buffer, 'test.wav');
+
+    expect(draft.kind).toBe('timeseries');
+    expect(draft.samplingFreq).toBe(25600);
+    expect(draft.columns.map(column => column.name)).toEqual(['Track 1', 'Track 2']);
+    expect(values(draft.columns[0])).toEqual([0.5, 0]);
+    expect(values(draft.columns[1])).toEqual([-1, 0.25]);
+  });
+
+  it('decodes 8-bit unsigned PCM', () => {
+    const buffer = buildWav({ bits: 8, frames: [[128], [192], [0]], write: (view, offset, value) => view.setUint8(offset, value) });
+    expect(values(parseWav(buffer, 'test.wav').columns[0])).toEqual([0, 0.5, -1]);
+  });
+
+  it('decodes 24-bit PCM with its sign', () => {
+    const write = (view, offset, value) => {
+      const raw = value < 0 ? value + 0x1000000 : value;
+      view.setUint8(offset, raw & 0xff);
+      view.setUint8(offset + 1, (raw >> 8) & 0xff);
+      view.setUint8(offset + 2, (raw >> 16) & 0xff);
+    };
+    const buffer = buildWav({ bits: 24, frames: [[4194304], [-8388608]], write });
+    expect(values(parseWav(buffer, 'test.wav').columns[0])).toEqual([0.5, -1]);
+  });
+
+  it('decodes 32-bit PCM and float', () => {
+    const pcm = buildWav({ bits: 32, frames: [[1073741824]], write: (view, offset, value) => view.setInt32(offset, value, true) });
+    expect(values(parseWav(pcm, 'test.wav').columns[0])).toEqual([0.5]);
+
+    const float = buildWav({ format: 3, bits: 32, frames: [[0.25], [-0.75]], write: (view, offset, value) => view.setFloat32(offset, value, true) });
+    expect(values(parseWav(float, 'test.wav').columns[0])).toEqual([0.25, -0.75]);
+  });
+
+  it('skips other chunks, including odd-sized padded ones', () => {
+    const buffer = buildWav({
+      bits: 16,
+      frames: [[16384]],
+      write: (view, offset, value) => view.setInt16(offset, value, true),
+      extra: [{ id: 'LIST', size: 5 }]
+    });
+    expect(values(parseWav(buffer, 'test.wav').columns[0])).toEqual([0.5]);
+  });
+
+  it('rejects files that are not WAV', () => {
+    expect(() => parseWav(new ArrayBuffer(16), 'notes.wav')).toThrow('notes.wav is not a WAV file');
+  });
+
+  it('rejects unsupported encodings and bit depths', () => {
+    const write = (view, offset, value) => view.setUint8(offset, value);
+    expect(() => parseWav(buildWav({ format: 2, bits: 8, frames: [[0]], write }), 'adpcm.wav')).toThrow('unsupported WAV encoding');
+    expect(() => parseWav(buildWav({ bits: 12, frames: [[0, 0]], write: () => {} }), 'odd.wav')).toThrow('Unsupported WAV bit depth: 12');
+  });
+});
@@ -0,0 +1,36 @@
+// Nominal geometry of common deep-groove ball bearings (diameters in mm).
+// Good enough to place markers; use the manufacturer's data for critical work.
+export const BEARING_MODELS = {
+  6203: { balls: 8, ballDiameter: 6.75, pitchDiameter: 28.5, contactAngle: 0 },
+  6204: { balls: 8, ballDiameter: 7.94, pitchDiameter: 33.5, contactAngle: 0 },
+  6205: { balls: 9, ballDiameter: 7.94, pitchDiameter: 39.04, contactAngle: 0 },
+  6206: { balls: 9, ballDiameter: 9.53, pitchDiameter: 46.5, contactAngle: 0 },
+  6305: { balls: 8, ballDiameter: 10.32, pitchDiameter: 44.5, contactAngle: 0 },
+  6308: { balls: 8, ballDiameter: 15.08, pitchDiameter: 65, contactAngle: 0 }
+};
+
+export const CUSTOM_MODEL = 'custom';
+
+// Catalog models override whatever geometry the bearing carries
+export const resolveGeometry = (bearing) => (
+  BEARING_MODELS[bearing.model] || {
+    balls: bearing.balls,
+    ballDiameter: bearing.ballDiameter,
+    pitchDiameter: bearing.pitchDiameter,
+    contactAngle: bearing.contactAngle
+  }
+);
+
+// Defect frequencies as multiples of the shaft speed, for a rotating inner
+// ring and a stationary outer ring
+export const bearingFaultOrders = ({ balls, ballDiameter, pitchDiameter, contactAngle = 0 }) => {
+  if (!(balls > 0 && ballDiameter > 0 && pitchDiameter > ballDiameter)) return null;
+
+  const ratio = (ballDiameter / pitchDiameter) * Math.cos((contactAngle * Math.PI) / 180);
+  return {
+    ftf: 0.5 * (1 - ratio),
+    bpfo: (balls / 2) * (1 - ratio),
+    bpfi: (balls / 2) * (1 + ratio),
+    bsf: (pitchDiameter / (2 * ballDiameter)) * (1 - ratio * ratio)
+  };
+};
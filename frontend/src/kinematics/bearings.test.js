@@ -0,0 +1,45 @@
+import { BEARING_MODELS, bearingFaultOrders, resolveGeometry } from './bearings';
+
+describe('bearingFaultOrders', () => {
+  // Published defect orders of a 6205 deep-groove ball bearing
+  it('matches the catalogue values of a 6205', () => {
+    const orders = bearingFaultOrders(BEARING_MODELS[6205]);
+
+    expect(orders.bpfo).toBeCloseTo(3.585, 3);
+    expect(orders.bpfi).toBeCloseTo(5.415, 3);
+    expect(orders.bsf).toBeCloseTo(2.357, 3);
+    expect(orders.ftf).toBeCloseTo(0.398, 3);
+  });
+
+  it('adds up BPFO and BPFI to the ball count', () => {
+    const { bpfo, bpfi } = bearingFaultOrders(BEARING_MODELS[6308]);
+    expect(bpfo + bpfi).toBeCloseTo(8, 12);
+  });
+
+  it('applies the contact angle', () => {
+    // cos 60° halves d/D = 0.2 to 0.1
+    const orders = bearingFaultOrders({ balls: 10, ballDiameter: 10, pitchDiameter: 50, contactAngle: 60 });
+
+    expect(orders.ftf).toBeCloseTo(0.45, 12);
+    expect(orders.bpfo).toBeCloseTo(4.5, 12);
+    expect(orders.bpfi).toBeCloseTo(5.5, 12);
+    expect(orders.bsf).toBeCloseTo(2.475, 12);
+  });
+
+  it('rejects impossible geometry', () => {
+    expect(bearingFaultOrders({ balls: 0, ballDiameter: 8, pitchDiameter: 40 })).toBeNull();
+    expect(bearingFaultOrders({ balls: 9, ballDiameter: 40, pitchDiameter: 40 })).toBeNull();
+    expect(bearingFaultOrders({ balls: 9, ballDiameter: undefined, pitchDiameter: 40 })).toBeNull();
+  });
+});
+
+describe('resolveGeometry', () => {
+  it('takes catalogue models over the stored geometry', () => {
+    expect(resolveGeometry({ model: '6203', balls: 20, ballDiameter: 1, pitchDiameter: 2 })).toBe(BEARING_MODELS[6203]);
+  });
+
+  it('uses the stored geometry of custom bearings', () => {
+    expect(resolveGeometry({ model: 'custom', balls: 12, ballDiameter: 5, pitchDiameter: 30, contactAngle: 15 }))
+      .toEqual({ balls: 12, ballDiameter: 5, pitchDiameter: 30, contactAngle: 15 });
+  });
+});
@@ -0,0 +1,12 @@
+export { BEARING_MODELS, CUSTOM_MODEL, bearingFaultOrders, resolveGeometry } from './bearings';
+export {
+  FAULT_KINDS,
+  buildFaultMarkers,
+  computeFaultFrequencies,
+  createBearing,
+  createGearStage,
+  createMachineTrain,
+  labelPeaks,
+  shaftFrequencies
+} from './train';
+export { FAULT_COLORS } from './styles';
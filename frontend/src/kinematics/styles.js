@@ -0,0 +1,10 @@
+import { FAULT_KINDS } from './train';
+
+export const FAULT_COLORS = {
+  [FAULT_KINDS.SHAFT]: '#e2e8f0',
+  [FAULT_KINDS.BPFO]: '#f87171',
+  [FAULT_KINDS.BPFI]: '#fb923c',
+  [FAULT_KINDS.BSF]: '#facc15',
+  [FAULT_KINDS.FTF]: '#a3e635',
+  [FAULT_KINDS.GMF]: '#38bdf8'
+};
@@ -0,0 +1,139 @@
+import { bearingFaultOrders, resolveGeometry } from './bearings';
+
+export const FAULT_KINDS = {
+  SHAFT: 'shaft',
+  BPFO: 'bpfo',
+  BPFI: 'bpfi',
+  BSF: 'bsf',
+  FTF: 'ftf',
+  GMF: 'gmf'
+};
+
+let itemCounter = 0;
+const nextId = (prefix) => {
+  itemCounter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${itemCounter}`;
+};
+
+export const createBearing = (overrides = {}) => ({
+  id: nextId('bearing'),
+  label: 'Bearing',
+  shaft: 1,
+  model: '6205',
+  balls: 9,
+  ballDiameter: 7.94,
+  pitchDiameter: 39.04,
+  contactAngle: 0,
+  ...overrides
+});
+
+// One gear pair: `teeth` on the driving shaft, `mateTeeth` on the driven one
+export const createGearStage = (overrides = {}) => ({
+  id: nextId('gear'),
+  label: 'Stage',
+  teeth: 20,
+  mateTeeth: 40,
+  ...overrides
+});
+
+export const createMachineTrain = (overrides = {}) => ({
+  enabled: false,
+  rpm: 1480,
+  harmonics: 3,
+  tolerance: 2,
+  bearings: [createBearing({ label: 'DE bearing' })],
+  gears: [],
+  ...overrides
+});
+
+// Rotation frequency (Hz) of every shaft in the train. Shaft 1 turns at the
+// train's RPM; each gear stage drives the next shaft.
+export const shaftFrequencies = (train) => train.gears.reduce((shafts, stage) => {
+  const input = shafts[shafts.length - 1];
+  return [...shafts, stage.mateTeeth > 0 ? (input * stage.teeth) / stage.mateTeeth : 0];
+}, [train.rpm / 60]);
+
+// Fundamental fault frequencies of a train: shaft speeds, bearing defect
+// frequencies and gear-mesh frequencies. Returns
+// [{ kind, short, name, frequency }].
+export const computeFaultFrequencies = (train) => {
+  if (!(train.rpm > 0)) return [];
+
+  const shafts = shaftFrequencies(train);
+  const faults = shafts.map((frequency, index) => ({
+    kind: FAULT_KINDS.SHAFT,
+    short: shafts.length > 1 ? `S${index + 1}` : '1X',
+    name: `Shaft ${index + 1} speed`,
+    frequency
+  }));
+
+  train.bearings.forEach(bearing => {
+    const orders = bearingFaultOrders(resolveGeometry(bearing));
+    const shaftFreq = shafts[Math.min(bearing.shaft, shafts.length) - 1];
+    if (!orders || !shaftFreq) return;
+
+    [FAULT_KINDS.BPFO, FAULT_KINDS.BPFI, FAULT_KINDS.BSF, FAULT_KINDS.FTF].forEach(kind => {
+      faults.push({
+        kind,
+        short: kind.toUpperCase(),
+        name: `${kind.toUpperCase()} ${bearing.label}`,
+        frequency: orders[kind] * shaftFreq
+      });
+    });
+  });
+
+  train.gears.forEach((stage, index) => {
+    faults.push({
+      kind: FAULT_KINDS.GMF,
+      short: train.gears.length > 1 ? `GMF${index + 1}` : 'GMF',
+      name: `Gear mesh ${stage.label}`,
+      frequency: shafts[index] * stage.teeth
+    });
+  });
+
+  return faults.filter(fault => fault.frequency > 0);
+};
+
+// Marker lines for the spectrum: every fault frequency with its harmonics
+// up to `maxFreq`
+export const buildFaultMarkers = (train, maxFreq) => {
+  if (!train || !train.enabled) return [];
+
+  const markers = [];
+  computeFaultFrequencies(train).forEach(fault => {
+    for (let harmonic = 1; harmonic <= train.harmonics; harmonic++) {
+      const frequency = fault.frequency * harmonic;
+      if (frequency > maxFreq) break;
+      const prefix = harmonic > 1 ? `${harmonic}×` : '';
+      markers.push({
+        ...fault,
+        harmonic,
+        frequency,
+        short: `${prefix}${fault.short}`,
+        name: `${prefix}${fault.name}`
+      });
+    }
+  });
+  return markers;
+};
+
+// Attaches the closest marker within tolerance to each peak as `fault`.
+// The tolerance is a percentage of the marker frequency but never less than
+// one bin, since a peak cannot be located more precisely than that.
+export const labelPeaks = (peaks, markers, { tolerance, binWidth }) => {
+  if (markers.length === 0) return peaks;
+
+  return peaks.map(peak => {
+    let match = null;
+    let bestDistance = Infinity;
+    markers.forEach(marker => {
+      const distance = Math.abs(peak.frequency - marker.frequency);
+      const allowed = Math.max((marker.frequency * tolerance) / 100, binWidth);
+      if (distance <= allowed && distance < bestDistance) {
+        match = marker;
+        bestDistance = distance;
+      }
+    });
+    return match ? { ...peak, fault: match } : peak;
+  });
+};
@@ -0,0 +1,111 @@
+import {
+  FAULT_KINDS,
+  buildFaultMarkers,
+  computeFaultFrequencies,
+  createBearing,
+  createGearStage,
+  createMachineTrain,
+  labelPeaks,
+  shaftFrequencies
+} from './train';
+
+// 1800 rpm drives a 20/40 stage and then a 15/45 stage: shafts at 30, 15 and 5 Hz
+const gearbox = () => createMachineTrain({
+  enabled: true,
+  rpm: 1800,
+  harmonics: 3,
+  bearings: [
+    createBearing({ label: 'DE', shaft: 1, model: '6205' }),
+    createBearing({ label: 'Output', shaft: 3, model: '6205' })
+  ],
+  gears: [
+    createGearStage({ label: 'Input', teeth: 20, mateTeeth: 40 }),
+    createGearStage({ label: 'Output', teeth: 15, mateTeeth: 45 })
+  ]
+});
+
+const frequencyOf = (faults, name) => faults.find(fault => fault.name === name).frequency;
+
+describe('shaftFrequencies', () => {
+  it('steps the speed down through each gear stage', () => {
+    expect(shaftFrequencies(gearbox())).toEqual([30, 15, 5]);
+  });
+});
+
+describe('computeFaultFrequencies', () => {
+  it('lists the shaft speeds', () => {
+    const shafts = computeFaultFrequencies(gearbox()).filter(fault => fault.kind === FAULT_KINDS.SHAFT);
+    expect(shafts.map(({ short, frequency }) => [short, frequency])).toEqual([['S1', 30], ['S2', 15], ['S3', 5]]);
+  });
+
+  it('scales the bearing defect orders by the speed of their shaft', () => {
+    const faults = computeFaultFrequencies(gearbox());
+
+    expect(frequencyOf(faults, 'BPFO DE')).toBeCloseTo(107.54, 2);
+    expect(frequencyOf(faults, 'BPFI DE')).toBeCloseTo(162.46, 2);
+    expect(frequencyOf(faults, 'BSF DE')).toBeCloseTo(70.70, 2);
+    expect(frequencyOf(faults, 'FTF DE')).toBeCloseTo(11.95, 2);
+    expect(frequencyOf(faults, 'BPFO Output')).toBeCloseTo(17.92, 2);
+  });
+
+  it('takes the gear mesh from the driving shaft', () => {
+    const faults = computeFaultFrequencies(gearbox());
+
+    expect(frequencyOf(faults, 'Gear mesh Input')).toBe(600);
+    expect(frequencyOf(faults, 'Gear mesh Output')).toBe(225);
+    expect(faults.filter(fault => fault.kind === FAULT_KINDS.GMF).map(fault => fault.short)).toEqual(['GMF1', 'GMF2']);
+  });
+
+  it('labels a single shaft 1X and puts bearings on missing shafts on the last one', () => {
+    const faults = computeFaultFrequencies(createMachineTrain({ rpm: 1800, bearings: [createBearing({ label: 'DE', shaft: 3 })] }));
+
+    expect(faults[0]).toMatchObject({ kind: FAULT_KINDS.SHAFT, short: '1X', frequency: 30 });
+    expect(frequencyOf(faults, 'BPFO DE')).toBeCloseTo(107.54, 2);
+  });
+
+  it('returns nothing without a speed', () => {
+    expect(computeFaultFrequencies(createMachineTrain({ rpm: 0 }))).toEqual([]);
+  });
+});
+
+describe('buildFaultMarkers', () => {
+  it('adds harmonics up to the highest frequency', () => {
+    const markers = buildFaultMarkers(gearbox(), 1000).filter(marker => marker.kind === FAULT_KINDS.GMF);
+
+    expect(markers.map(({ short, frequency }) => [short, frequency])).toEqual([
+      ['GMF1', 600],
+      ['GMF2', 225],
+      ['2×GMF2', 450],
+      ['3×GMF2', 675]
+    ]);
+  });
+
+  it('returns no markers for a disabled train', () => {
+    expect(buildFaultMarkers({ ...gearbox(), enabled: false }, 1000)).toEqual([]);
+    expect(buildFaultMarkers(null, 1000)).toEqual([]);
+  });
+});
+
+describe('labelPeaks', () => {
+  const markers = [
+    { short: '1X', frequency: 30 },
+    { short: 'BPFO', frequency: 107.54 },
+    { short: 'GMF', frequency: 600 }
+  ];
+
+  it('attaches the closest marker within the tolerance', () => {
+    const peaks = labelPeaks([{ frequency: 30.2 }, { frequency: 609 }, { frequency: 615 }], markers, { tolerance: 2, binWidth: 0.5 });
+
+    expect(peaks.map(peak => peak.fault && peak.fault.short)).toEqual(['1X', 'GMF', undefined]);
+  });
+
+  it('allows at least one bin', () => {
+    const [peak] = labelPeaks([{ frequency: 108.5 }], markers, { tolerance: 0.1, binWidth: 1 });
+    expect(peak.fault.short).toBe('BPFO');
+  });
+
+  it('returns the peaks unchanged without markers', () => {
+    const peaks = [{ frequency: 30 }];
+    expect(labelPeaks(peaks, [], { tolerance: 2, binWidth: 1 })).toBe(peaks);
+  });
+});
@@ -0,0 +1,197 @@
+// IndexedDB persistence for recorded sessions and baseline spectra. Session
+// metadata and frames live in separate stores so listing sessions never
+// loads frame data. Sessions and baselines carry the `deviceId` of the
+// device they were taken on.
+const DB_NAME = 'vibration-sessions';
+const DB_VERSION = 2;
+const SESSIONS = 'sessions';
+const FRAMES = 'frames';
+const BASELINES = 'baselines';
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const database = request.result;
+        if (event.oldVersion < 1) {
+          database.createObjectStore(SESSIONS, { keyPath: 'id', autoIncrement: true });
+          database.createObjectStore(FRAMES, { autoIncrement: true }).createIndex('sessionId', 'sessionId');
+        }
+        if (event.oldVersion < 2) {
+          database.createObjectStore(BASELINES, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const completion = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+export const createSession = async (name, deviceId) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(SESSIONS, 'readwrite');
+  const done = completion(transaction);
+  const id = await promisify(transaction.objectStore(SESSIONS).add({
+    name,
+    deviceId,
+    createdAt: new Date(),
+    frameCount: 0,
+    startTime: null,
+    endTime: null,
+    acquisition: null
+  }));
+  await done;
+  return id;
+};
+
+// Stores one frame and updates the session's frame count and time span
+export const appendFrame = async (sessionId, frame) => {
+  const database = await openDatabase();
+  const transaction = database.transaction([SESSIONS, FRAMES], 'readwrite');
+  const done = completion(transaction);
+  const sessions = transaction.objectStore(SESSIONS);
+
+  transaction.objectStore(FRAMES).add({ ...frame, sessionId });
+  const session = await promisify(sessions.get(sessionId));
+  if (session) {
+    sessions.put({
+      ...session,
+      frameCount: session.frameCount + 1,
+      startTime: session.startTime || frame.timestamp,
+      endTime: frame.timestamp,
+      acquisition: session.acquisition || frame.acquisition || null
+    });
+  }
+  await done;
+};
+
+export const listSessions = async (deviceId) => {
+  const database = await openDatabase();
+  const sessions = await promisify(database.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+  return sessions.filter(session => session.deviceId === deviceId).sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const renameSession = async (id, name) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(SESSIONS, 'readwrite');
+  const done = completion(transaction);
+  const store = transaction.objectStore(SESSIONS);
+  const session = await promisify(store.get(id));
+  if (session) store.put({ ...session, name });
+  await done;
+};
+
+const deleteSessionFrames = (frames, id) => {
+  const cursorRequest = frames.index('sessionId').openKeyCursor(IDBKeyRange.only(id));
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    frames.delete(cursor.primaryKey);
+    cursor.continue();
+  };
+};
+
+export const deleteSession = async (id) => {
+  const database = await openDatabase();
+  const transaction = database.transaction([SESSIONS, FRAMES], 'readwrite');
+  const done = completion(transaction);
+
+  transaction.objectStore(SESSIONS).delete(id);
+  deleteSessionFrames(transaction.objectStore(FRAMES), id);
+  await done;
+};
+
+// Frames come back in recording order
+export const loadSessionFrames = async (id) => {
+  const database = await openDatabase();
+  const index = database.transaction(FRAMES).objectStore(FRAMES).index('sessionId');
+  const frames = await promisify(index.getAll(IDBKeyRange.only(id)));
+  return frames.map(({ sessionId, ...frame }) => frame);
+};
+
+// Baselines: { name, deviceId, createdAt, samplingFreq, fftSize, spectra: { [channel]: Float32Array } }
+export const saveBaseline = async (baseline) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(BASELINES, 'readwrite');
+  const done = completion(transaction);
+  const id = await promisify(transaction.objectStore(BASELINES).add({ ...baseline, createdAt: new Date() }));
+  await done;
+  return id;
+};
+
+export const listBaselines = async (deviceId) => {
+  const database = await openDatabase();
+  const baselines = await promisify(database.transaction(BASELINES).objectStore(BASELINES).getAll());
+  return baselines.filter(baseline => baseline.deviceId === deviceId).sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const deleteBaseline = async (id) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(BASELINES, 'readwrite');
+  const done = completion(transaction);
+  transaction.objectStore(BASELINES).delete(id);
+  await done;
+};
+
+// Visits every record of a store with `visit(cursor)`
+const eachRecord = (store, visit) => {
+  const cursorRequest = store.openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    visit(cursor);
+    cursor.continue();
+  };
+};
+
+// Hands the sessions and baselines taken before they carried a device to
+// `deviceId`
+export const claimUntaggedRecords = async (deviceId) => {
+  const database = await openDatabase();
+  const transaction = database.transaction([SESSIONS, BASELINES], 'readwrite');
+  const done = completion(transaction);
+  [SESSIONS, BASELINES].forEach(name => eachRecord(transaction.objectStore(name), cursor => {
+    if (!cursor.value.deviceId) cursor.update({ ...cursor.value, deviceId });
+  }));
+  await done;
+};
+
+// Drops the sessions, with their frames, and the baselines of a device
+export const deleteDeviceRecords = async (deviceId) => {
+  const database = await openDatabase();
+  const transaction = database.transaction([SESSIONS, FRAMES, BASELINES], 'readwrite');
+  const done = completion(transaction);
+  const frames = transaction.objectStore(FRAMES);
+  eachRecord(transaction.objectStore(SESSIONS), cursor => {
+    if (cursor.value.deviceId !== deviceId) return;
+    deleteSessionFrames(frames, cursor.value.id);
+    cursor.delete();
+  });
+  eachRecord(transaction.objectStore(BASELINES), cursor => {
+    if (cursor.value.deviceId === deviceId) cursor.delete();
+  });
+  await done;
+};
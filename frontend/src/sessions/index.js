@@ -0,0 +1,14 @@
+export {
+  appendFrame,
+  claimUntaggedRecords,
+  createSession,
+  deleteBaseline,
+  deleteDeviceRecords,
+  deleteSession,
+  listBaselines,
+  listSessions,
+  loadSessionFrames,
+  renameSession,
+  saveBaseline
+} from './db';
+export { PLAYBACK_SPEEDS, default as createSessionPlayer } from './player';
@@ -0,0 +1,100 @@
+export const PLAYBACK_SPEEDS = [1, 2, 10];
+
+const MIN_GAP_MS = 10;
+const MAX_GAP_MS = 10000;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Plays recorded frames back with their original spacing scaled by the
+// playback speed. The player is itself a data source, so it can be handed to
+// useDataSource, and it adds transport controls and position updates for
+// the timeline.
+const createSessionPlayer = (frames) => {
+  const listeners = new Set();
+  let handlers = null;
+  let timer = null;
+  let position = 0;
+  let speed = 1;
+  let playing = true;
+
+  const getState = () => ({
+    position,
+    length: frames.length,
+    playing,
+    speed,
+    timestamp: frames[position] ? frames[position].timestamp : null
+  });
+
+  const notify = () => listeners.forEach(listener => listener(getState()));
+
+  const emit = () => {
+    if (handlers && frames[position]) handlers.onFrame(frames[position]);
+    notify();
+  };
+
+  const scheduleNext = () => {
+    clearTimeout(timer);
+    if (!playing || !handlers) return;
+
+    if (position >= frames.length - 1) {
+      playing = false;
+      notify();
+      return;
+    }
+
+    const gap = frames[position + 1].timestamp - frames[position].timestamp;
+    timer = setTimeout(() => {
+      position += 1;
+      emit();
+      scheduleNext();
+    }, clamp(gap / speed, MIN_GAP_MS, MAX_GAP_MS));
+  };
+
+  return {
+    historical: true,
+    start(nextHandlers) {
+      handlers = nextHandlers;
+      if (frames.length === 0) {
+        handlers.onError(new Error('Session contains no frames'));
+        return;
+      }
+      emit();
+      scheduleNext();
+    },
+    stop() {
+      clearTimeout(timer);
+      handlers = null;
+    },
+    play() {
+      if (position >= frames.length - 1) {
+        position = 0;
+        emit();
+      }
+      playing = true;
+      notify();
+      scheduleNext();
+    },
+    pause() {
+      playing = false;
+      clearTimeout(timer);
+      notify();
+    },
+    seek(index) {
+      position = clamp(Math.round(index), 0, Math.max(0, frames.length - 1));
+      emit();
+      scheduleNext();
+    },
+    setSpeed(nextSpeed) {
+      speed = nextSpeed;
+      notify();
+      scheduleNext();
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getState
+  };
+};
+
+export default createSessionPlayer;
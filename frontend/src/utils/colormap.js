@@ -0,0 +1,12 @@
+const clampByte = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+// Polynomial approximation of the Turbo colormap; `t` runs from 0 to 1.
+// Returns [r, g, b] in 0–255.
+export const turbo = (t) => {
+  const x = Math.max(0, Math.min(1, t));
+  return [
+    clampByte(34.61 + x * (1172.33 - x * (10793.56 - x * (33300.12 - x * (38394.49 - x * 14825.05))))),
+    clampByte(23.31 + x * (557.33 + x * (1225.33 - x * (3574.96 - x * (1073.77 + x * 707.56))))),
+    clampByte(27.2 + x * (3211.1 - x * (15327.97 - x * (27814 - x * (22569.18 - x * 6838.66)))))
+  ];
+};
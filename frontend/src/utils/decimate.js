@@ -0,0 +1,63 @@
+// Reduces a trace to what a plot can show: per pixel column, the first,
+// lowest, highest and last value, in their original order. Narrow peaks
+// survive however many points share a column, and the work is one pass over
+// the points in [first, last].
+//
+// `toX(index)` places a point in plot units and `resolution` is the number of
+// columns per unit. Null or undefined values break the trace, as do jumps
+// larger than `breakAbove`. Returns the segments to draw as flat
+// [x0, value0, x1, value1, ...] arrays.
+export const decimateTrace = (values, { first = 0, last = values.length - 1, toX, resolution = 1, breakAbove }) => {
+  const segments = [];
+  let segment = null;
+  let column = null;
+  let previous = null;
+
+  const flush = () => {
+    if (!column) return;
+    const { x, first: start, low, high, lowIndex, highIndex, end } = column;
+    const [a, b] = lowIndex <= highIndex ? [low, high] : [high, low];
+    segment.push(x, start);
+    if (a !== start) segment.push(x, a);
+    if (b !== a) segment.push(x, b);
+    if (end !== b) segment.push(x, end);
+    column = null;
+  };
+
+  const endSegment = () => {
+    flush();
+    if (segment && segment.length > 0) segments.push(segment);
+    segment = null;
+  };
+
+  for (let i = first; i <= Math.min(last, values.length - 1); i++) {
+    const value = values[i];
+    if (value === null || value === undefined || Number.isNaN(value)) {
+      endSegment();
+      previous = null;
+      continue;
+    }
+    if (previous !== null && breakAbove !== undefined && Math.abs(value - previous) > breakAbove) endSegment();
+    previous = value;
+
+    const x = toX(i);
+    const index = Math.floor(x * resolution);
+    if (!segment) segment = [];
+    if (column && column.index !== index) flush();
+    if (!column) {
+      column = { index, x, first: value, low: value, high: value, lowIndex: i, highIndex: i, end: value };
+    } else {
+      if (value < column.low) {
+        column.low = value;
+        column.lowIndex = i;
+      }
+      if (value > column.high) {
+        column.high = value;
+        column.highIndex = i;
+      }
+      column.end = value;
+    }
+  }
+  endSegment();
+  return segments;
+};
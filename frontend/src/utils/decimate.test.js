@@ -0,0 +1,46 @@
+import { decimateTrace } from './decimate';
+
+const toX = (index) => index;
+
+describe('decimateTrace', () => {
+  it('keeps every point when each has a column of its own', () => {
+    expect(decimateTrace([3, 1, 4], { toX })).toEqual([[0, 3, 1, 1, 2, 4]]);
+  });
+
+  it('keeps the first, lowest, highest and last value of a column in order', () => {
+    const values = [0, 5, -3, 1, 2, 2, 2, 2, 7, 1];
+    expect(decimateTrace(values, { toX, resolution: 0.25 })).toEqual([[
+      0, 0, 0, 5, 0, -3, 0, 1,
+      4, 2,
+      8, 7, 8, 1
+    ]]);
+  });
+
+  it('keeps a one-sample spike among many points per column', () => {
+    const values = new Array(10000).fill(0);
+    values[4321] = 9;
+    const [segment] = decimateTrace(values, { toX: index => index / 10000, resolution: 100 });
+
+    expect(segment.length).toBeLessThanOrEqual(100 * 4 * 2);
+    expect(Math.max(...segment.filter((_, i) => i % 2 === 1))).toBe(9);
+  });
+
+  it('only reads the points between first and last', () => {
+    expect(decimateTrace([1, 2, 3, 4, 5], { first: 1, last: 3, toX })).toEqual([[1, 2, 2, 3, 3, 4]]);
+    expect(decimateTrace([1, 2], { first: 1, last: 10, toX })).toEqual([[1, 2]]);
+  });
+
+  it('breaks the trace at missing values', () => {
+    expect(decimateTrace([1, 2, null, 3, undefined, NaN, 4], { toX })).toEqual([[0, 1, 1, 2], [3, 3], [6, 4]]);
+  });
+
+  it('breaks the trace at jumps larger than breakAbove', () => {
+    expect(decimateTrace([1, 2, null, 3, 4, 200, 5], { toX, breakAbove: 100 })).toEqual([[0, 1, 1, 2], [3, 3, 4, 4], [5, 200], [6, 5]]);
+    expect(decimateTrace([1, 200], { toX })).toEqual([[0, 1, 1, 200]]);
+  });
+
+  it('returns no segments for an empty trace', () => {
+    expect(decimateTrace([], { toX })).toEqual([]);
+    expect(decimateTrace([null, null], { toX })).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+export const toDb = (value) => 20 * Math.log10(Math.max(value, 1e-12));
+
+export const formatFrequency = (frequency, digits = 1) => (
+  frequency >= 1000 ? `${(frequency / 1000).toFixed(digits + 1)} kHz` : `${frequency.toFixed(digits)} Hz`
+);
+
+// Short tick label: 250, 1.5k, 12k
+export const formatFrequencyTick = (frequency) => (
+  frequency >= 1000 ? `${Number((frequency / 1000).toPrecision(3))}k` : `${Number(frequency.toPrecision(3))}`
+);
+
+// Maps [domainMin, domainMax] onto [rangeMin, rangeMax], linearly or on a
+// log axis. Log domains must be positive.
+export const createScale = (domainMin, domainMax, rangeMin, rangeMax, log = false) => {
+  const transform = log ? Math.log10 : (value) => value;
+  const low = transform(domainMin);
+  const span = transform(domainMax) - low || 1;
+  const rangeSpan = rangeMax - rangeMin;
+
+  const scale = (value) => rangeMin + ((transform(value) - low) / span) * rangeSpan;
+  scale.invert = (position) => {
+    const value = low + ((position - rangeMin) / rangeSpan) * span;
+    return log ? 10 ** value : value;
+  };
+  return scale;
+};
+
+// Round tick values (1, 2 or 5 × 10^n steps) covering [min, max]
+export const linearTicks = (min, max, count = 6) => {
+  const span = max - min;
+  if (!(span > 0)) return [min];
+
+  const rough = span / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(Number(value.toPrecision(12)));
+  }
+  return ticks;
+};
+
+// Decades plus 2× and 5× subdivisions, thinned out when the axis spans many
+// decades. Spans under a decade fall back to linear steps.
+export const logTicks = (min, max) => {
+  if (Math.log10(max / min) < 1) return linearTicks(min, max, 6);
+
+  const ticks = [];
+  const factors = Math.log10(max / min) > 3 ? [1] : [1, 2, 5];
+  for (let exponent = Math.floor(Math.log10(min)); exponent <= Math.ceil(Math.log10(max)); exponent++) {
+    factors.forEach(factor => {
+      const value = factor * 10 ** exponent;
+      if (value >= min && value <= max) ticks.push(value);
+    });
+  }
+  return ticks;
+};
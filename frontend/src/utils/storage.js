@@ -0,0 +1,26 @@
+// Thin localStorage wrapper. Corrupt or missing entries fall back to the
+// given default instead of breaking the dashboard on load.
+export const loadJSON = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored === null ? fallback : JSON.parse(stored);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+export const saveJSON = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`Failed to persist ${key}:`, err);
+  }
+};
+
+export const removeJSON = (key) => {
+  try {
+    localStorage.removeItem(key);
+  } catch (err) {
+    console.error(`Failed to remove ${key}:`, err);
+  }
+};